@@ -0,0 +1,151 @@
+/**
+ * Address Request Protocol Handlers (GT06 0x1A GPS, 0x17 LBS)
+ * The device asks for the address of its position, e.g. to text it to the
+ * phone number in the request; the server replies with 0x17 (Chinese) or 0x97 (English).
+ */
+
+import { buildPacket } from '../shared/encoding.js';
+import { defineSchema, encodeWithSchema, parseWithSchema } from '../shared/schema.js';
+import { ALARM_TYPES } from './alarm.js';
+import { CELL_FIELDS } from './gps.js';
+
+const LANGUAGES = { 0x01: 'Chinese', 0x02: 'English' };
+
+const PHONE_NUMBER_SIZE = 21;
+
+// Command length is one byte: server flag(4) + "ADDRESS"(7) + "&&"(2) + address + "&&"(2) + phone(21) + "##"(2)
+const MAX_ADDRESS_BYTES = 0xff - 38;
+// Chinese replies also have to fit the one-byte packet length of the 0x78 0x78 format
+const MAX_CHINESE_ADDRESS_BYTES = (0xff - 5 - 1 - 38) & ~1;
+
+/**
+ * Phone number, alarm and language shared by both requests
+ */
+const REQUEST_FIELDS = [
+  {
+    name: 'phoneNumber',
+    type: 'ascii',
+    size: PHONE_NUMBER_SIZE,
+    description: 'Phone number to send the address to (NUL padded, empty when none)',
+  },
+  {
+    name: 'alarmByte',
+    type: 'uint8',
+    enum: { table: ALARM_TYPES, as: 'alarmType' },
+    description: 'Alarm that triggered the request (0x00 none)',
+  },
+  {
+    name: 'languageByte',
+    type: 'uint8',
+    enum: { table: LANGUAGES, as: 'language' },
+    default: 0x02,
+    description: 'Reply language',
+  },
+];
+
+function trimPhoneNumber(result) {
+  return { ...result, phoneNumber: result.phoneNumber.replace(/\0/g, '').trim() };
+}
+
+/**
+ * GPS address request: Date(6) + GPS(12) + Phone number(21) + Alarm(1) + Language(1)
+ */
+export const GPS_ADDRESS_REQUEST_SCHEMA = defineSchema({
+  protocolNumber: 0x1a,
+  name: 'GPS Address Request',
+  parser: 'parseGPSAddressRequest',
+  description: 'Date/time + GPS + phone number + alarm/language (GT06)',
+  fields: [
+    { name: 'datetime', type: 'datetime', description: 'UTC date/time of the fix' },
+    { name: 'gps', type: 'gps', flatten: true, description: 'GPS block' },
+    ...REQUEST_FIELDS,
+  ],
+  finish: trimPhoneNumber,
+});
+
+/**
+ * LBS address request: Cell(8) + Phone number(21) + Alarm(1) + Language(1)
+ */
+export const LBS_ADDRESS_REQUEST_SCHEMA = defineSchema({
+  protocolNumber: 0x17,
+  name: 'LBS Address Request',
+  parser: 'parseLBSAddressRequest',
+  description: 'LBS + phone number + alarm/language (GT06)',
+  fields: [
+    { name: 'lbs', type: 'struct', fields: CELL_FIELDS, description: 'Serving cell' },
+    ...REQUEST_FIELDS,
+  ],
+  finish: trimPhoneNumber,
+});
+
+export function parseGPSAddressRequest(packet) {
+  return parseWithSchema(GPS_ADDRESS_REQUEST_SCHEMA, packet);
+}
+
+export function parseLBSAddressRequest(packet) {
+  return parseWithSchema(LBS_ADDRESS_REQUEST_SCHEMA, packet);
+}
+
+/**
+ * Create the address reply to a 0x1A / 0x17 request:
+ * Command length(1) + Server flag(4) + "ADDRESS&&" + address + "&&" + Phone number(21) + "##".
+ * Chinese replies are 0x17 with the address in UTF-16BE, English replies are
+ * 0x97 (0x79 0x79 format) in ASCII. Addresses too long for the command are cut short.
+ * @param {Object} options - Reply fields
+ * @param {string} options.address - Address text
+ * @param {string} options.phoneNumber - Phone number from the request
+ * @param {number|string} options.language - Language from the request (0x01 / "Chinese", otherwise English)
+ * @param {number} options.serialNumber - Serial number of the request
+ * @param {number} options.serverFlag - Server flag (default: 0)
+ * @returns {Buffer} Address reply packet
+ */
+export function createAddressResponse(options) {
+  const { address = '', phoneNumber = '', language, serialNumber, serverFlag = 0 } = options;
+  const chinese = language === 0x01 || language === 'Chinese';
+
+  let addressBytes;
+  if (chinese) {
+    // UTF-16BE: two bytes per character, cut on a character boundary
+    const utf16 = Buffer.from(address, 'utf16le').swap16();
+    addressBytes = utf16.subarray(0, MAX_CHINESE_ADDRESS_BYTES);
+  } else {
+    addressBytes = Buffer.from(address, 'ascii').subarray(0, MAX_ADDRESS_BYTES);
+  }
+
+  const flag = Buffer.alloc(4);
+  flag.writeUInt32BE(serverFlag >>> 0);
+  const phone = Buffer.alloc(PHONE_NUMBER_SIZE);
+  phone.write(phoneNumber.slice(0, PHONE_NUMBER_SIZE), 'ascii');
+
+  const command = Buffer.concat([
+    flag,
+    Buffer.from('ADDRESS&&', 'ascii'),
+    addressBytes,
+    Buffer.from('&&', 'ascii'),
+    phone,
+    Buffer.from('##', 'ascii'),
+  ]);
+  const content = Buffer.concat([Buffer.from([command.length]), command]);
+  return chinese
+    ? buildPacket(0x17, content, serialNumber)
+    : buildPacket(0x97, content, serialNumber, { long: true });
+}
+
+/**
+ * Create a GPS address request (0x1A) as a device sends it
+ * @param {Object} data - parseGPSAddressRequest() fields: { datetime, latitude, longitude, speed, course,
+ *   satellites, gpsPositioned, phoneNumber, alarmByte, languageByte, serialNumber }
+ * @returns {Buffer} Address request packet
+ */
+export function createGPSAddressRequestPacket(data) {
+  return encodeWithSchema(GPS_ADDRESS_REQUEST_SCHEMA, data);
+}
+
+/**
+ * Create an LBS address request (0x17) as a device sends it
+ * @param {Object} data - parseLBSAddressRequest() fields: { lbs, phoneNumber, alarmByte, languageByte, serialNumber }
+ * @returns {Buffer} Address request packet
+ */
+export function createLBSAddressRequestPacket(data) {
+  return encodeWithSchema(LBS_ADDRESS_REQUEST_SCHEMA, data);
+}
@@ -5,6 +5,40 @@
 
 import { getHeaderSize } from '../shared/parser.js';
 import { calculateCRCITU } from '../shared/crc.js';
+import { defineSchema, encodeWithSchema } from '../shared/schema.js';
+import { ALARM_FIELDS, ALARM_SCHEMA } from './alarm.js';
+
+/**
+ * HVT001 alarms have the 0x26 layout. parseAlarmHVT001() stays hand-written:
+ * it tolerates packets without a GPS fix or cell and returns the GPS block
+ * with its raw coordinates, as described by resultFields.
+ */
+export const ALARM_HVT001_SCHEMA = defineSchema({
+  protocolNumber: 0x27,
+  name: 'Alarm HVT001',
+  parser: 'parseAlarmHVT001',
+  description: 'HVT001 alarm with optional GPS data',
+  fields: ALARM_FIELDS,
+  prepare: ALARM_SCHEMA.prepare,
+  resultFields: [
+    { path: 'datetime', type: 'string', description: '"YYYY-MM-DD HH:mm:ss"' },
+    { path: 'datetimeRaw', type: 'object', description: '{ year, month, day, hour, minute, second }' },
+    { path: 'gpsData', type: 'object | null', description: 'null without a fix (no satellites)' },
+    { path: 'gpsData.rawLat', type: 'number', description: 'Latitude as sent (degrees x 1800000)' },
+    { path: 'gpsData.rawLon', type: 'number', description: 'Longitude as sent (degrees x 1800000)' },
+    { path: 'gpsData.latitude', type: 'number', description: 'Signed decimal degrees, 6 decimals' },
+    { path: 'gpsData.longitude', type: 'number', description: 'Signed decimal degrees, 6 decimals' },
+    { path: 'gpsData.speed', type: 'number', description: 'km/h' },
+    { path: 'gpsData.course', type: 'number', description: 'Degrees from north' },
+    { path: 'gpsData.satellites', type: 'number', description: 'Satellites in use' },
+    { path: 'gpsData.positioned', type: 'boolean', description: 'GPS fix' },
+    { path: 'gpsData.statusByte', type: 'number', description: 'Course/status high byte' },
+    { path: 'lbs', type: 'object | null', description: '{ length, mcc, mnc, lac, ci }' },
+    { path: 'alarmType', type: 'string', description: 'Alarm name' },
+    { path: 'alarmByte', type: 'number', description: 'Raw alarm code' },
+    { path: 'terminalInfo', type: 'object', description: '{ terminalByte, battery, gsm }' },
+  ],
+});
 
 /**
  * Parse Alarm Data packet (handles 0x26 and HVT001 0x27 formats)
@@ -35,8 +69,9 @@ export function parseAlarmHVT001(packet) {
     const gpsInfoLen = gpsInfo >> 4;
     const satellites = gpsInfo & 0x0f;
 
-    // Only parse latitude/longitude if gpsInfoLen indicates GPS data present
-    if (gpsInfoLen > 0 && satellites > 0 && packet.length >= gpsInfoIndex + 1 + 4 + 4 + 1 + 2) {
+    // Only parse latitude/longitude if gpsInfoLen indicates GPS data present. A device
+    // without a fix still sends the block (and the cell after it), with the fix bit clear
+    if (gpsInfoLen > 0 && packet.length >= gpsInfoIndex + 1 + 4 + 4 + 1 + 2) {
       const latIndex = gpsInfoIndex + 1;
       const lonIndex = latIndex + 4;
       const speedIndex = lonIndex + 4;
@@ -79,9 +114,9 @@ export function parseAlarmHVT001(packet) {
       const lbsStart = courseIndex + 2;
       if (packet.length > lbsStart) {
         const lbsLen = packet[lbsStart];
-        // Commonly MCC(2)+MNC(1)+LAC(2)+CI(3) = 8 bytes, but use lbsLen to bound reads
-        const expected = lbsStart + 1 + lbsLen;
-        if (packet.length >= expected) {
+        // The length counts itself, so MCC(2)+MNC(1)+LAC(2)+CI(3) is there only from 9 on;
+        // the cell must also end before the serial number
+        if (lbsLen >= 9 && lbsStart + lbsLen <= packet.length - 6) {
           const mcc = packet.readUInt16BE(lbsStart + 1);
           const mnc = packet[lbsStart + 3];
           const lac = packet.readUInt16BE(lbsStart + 4);
@@ -145,8 +180,8 @@ export function parseAlarmHVT001(packet) {
       // compute exact index: header + 1(protocol) + 6(datetime) + 1(gpsInfo) + gps block + 1(lbsLen) + lbsLen + remaining fields...
       // Simpler: find alarmByte index and step back to terminal info: alarmByteIndex = packet.length - 8
       const alarmIndex = packet.length - 8;
-      // In protocol, terminal info is 3 bytes before alarm/language pair in many packets (terminalInfo, battery, gsm)
-      const termInfoIndex = alarmIndex - 4;
+      // Terminal info, battery and GSM are the 3 bytes before the alarm byte
+      const termInfoIndex = alarmIndex - 3;
       if (termInfoIndex > 0 && termInfoIndex < packet.length) {
         const terminalByte = packet[termInfoIndex];
         const battery = packet[termInfoIndex + 1];
@@ -160,6 +195,7 @@ export function parseAlarmHVT001(packet) {
 
   return {
     datetime: `${datetime.year}-${String(datetime.month).padStart(2, "0")}-${String(datetime.day).padStart(2, "0")} ${String(datetime.hour).padStart(2, "0")}:${String(datetime.minute).padStart(2, "0")}:${String(datetime.second).padStart(2, "0")}`,
+    datetimeRaw: datetime,
     gpsData,
     lbs,
     alarmType: alarmByte !== undefined ? (alarmTypes[alarmByte] || `Unknown (0x${alarmByte.toString(16)})`) : undefined,
@@ -191,3 +227,12 @@ export function createAlarmHVT001Ack(serialNumber) {
     Buffer.from([0x0d, 0x0a]),
   ]);
 }
+
+/**
+ * Create an HVT001 Alarm packet (0x27) as a device sends it; same layout as 0x26
+ * @param {Object} data - Alarm fields (see createAlarmPacket) plus serialNumber
+ * @returns {Buffer} Alarm packet
+ */
+export function createAlarmHVT001Packet(data) {
+  return encodeWithSchema(ALARM_HVT001_SCHEMA, data);
+}
@@ -2,70 +2,111 @@
  * Alarm Protocol Handler (0x26)
  */
 
-import { getHeaderSize } from '../shared/parser.js';
 import { calculateCRCITU } from '../shared/crc.js';
+import { defineSchema, encodeWithSchema, parseWithSchema } from '../shared/schema.js';
+import { CELL_FIELDS } from './gps.js';
 
-export function parseAlarm(packet) {
-  const headerSize = getHeaderSize(packet);
-  const dataStart = headerSize + 1;
-
-  const datetime = {
-    year: 2000 + packet[dataStart],
-    month: packet[dataStart + 1],
-    day: packet[dataStart + 2],
-    hour: packet[dataStart + 3],
-    minute: packet[dataStart + 4],
-    second: packet[dataStart + 5],
-  };
-
-  const alarmByte = packet[packet.length - 8];
-  const serialNumber = packet.readUInt16BE(packet.length - 6);
+/**
+ * Alarm byte to alarm type name
+ */
+export const ALARM_TYPES = {
+  0x00: "Normal",
+  0x01: "SOS",
+  0x02: "Power Cut Alarm",
+  0x03: "Vibration Alarm",
+  0x04: "Enter Fence Alarm",
+  0x05: "Exit Fence Alarm",
+  0x06: "Over Speed Alarm",
+  0x09: "Moving Alarm",
+  0x0A: "Enter GPS Dead Zone",
+  0x0B: "Exit GPS Dead Zone",
+  0x0C: "Power On Alarm",
+  0x0D: "GPS First Fix",
+  0x0E: "External Low Battery",
+  0x0F: "External Low Battery Protection",
+  0x10: "SIM Change Notice",
+  0x11: "Power Off Alarm",
+  0x12: "Airplane Mode Alarm",
+  0x13: "Disassemble Alarm",
+  0x14: "Door Alarm",
+  0x15: "Shutdown Alarm (Low Power)",
+  0x16: "Sound Alarm",
+  0x19: "Internal Low Battery Alarm",
+  0x20: "Sleep Mode Alarm",
+  0x23: "Fall Alarm",
+  0x29: "Harsh Acceleration Alarm",
+  0x30: "Harsh Braking Alarm",
+  0x2A: "Sharp Left Turn Alarm",
+  0x2B: "Sharp Right Turn Alarm",
+  0x2C: "Sharp Crash Alarm",
+  0x32: "Pull Alarm",
+  0x3E: "Press Button Upload",
+  0x4C: "Sharp Turn Alarm",
+  0xFE: "ACC On Alarm",
+  0xFF: "ACC Off Alarm",
+};
 
-  const alarmTypes = {
-    0x00: "Normal",
-    0x01: "SOS",
-    0x02: "Power Cut Alarm",
-    0x03: "Vibration Alarm",
-    0x04: "Enter Fence Alarm",
-    0x05: "Exit Fence Alarm",
-    0x06: "Over Speed Alarm",
-    0x09: "Moving Alarm",
-    0x0A: "Enter GPS Dead Zone",
-    0x0B: "Exit GPS Dead Zone",
-    0x0C: "Power On Alarm",
-    0x0D: "GPS First Fix",
-    0x0E: "External Low Battery",
-    0x0F: "External Low Battery Protection",
-    0x10: "SIM Change Notice",
-    0x11: "Power Off Alarm",
-    0x12: "Airplane Mode Alarm",
-    0x13: "Disassemble Alarm",
-    0x14: "Door Alarm",
-    0x15: "Shutdown Alarm (Low Power)",
-    0x16: "Sound Alarm",
-    0x19: "Internal Low Battery Alarm",
-    0x20: "Sleep Mode Alarm",
-    0x23: "Fall Alarm",
-    0x29: "Harsh Acceleration Alarm",
-    0x30: "Harsh Braking Alarm",
-    0x2A: "Sharp Left Turn Alarm",
-    0x2B: "Sharp Right Turn Alarm",
-    0x2C: "Sharp Crash Alarm",
-    0x32: "Pull Alarm",
-    0x3E: "Press Button Upload",
-    0x4C: "Sharp Turn Alarm",
-    0xFE: "ACC On Alarm",
-    0xFF: "ACC Off Alarm",
-  };
+/**
+ * Alarm content shared by 0x26 and HVT001 0x27:
+ * Date(6) + GPS(12) + LBS length(1) + Cell(8) + Terminal info(1) +
+ * Voltage level(1) + GSM signal(1) + Alarm(1) + Language(1).
+ * parseAlarm() returns the date and alarm; the server takes the GPS, cell
+ * and terminal fields from parseAlarmHVT001().
+ */
+export const ALARM_FIELDS = [
+  { name: 'datetime', type: 'datetime', description: 'UTC date/time of the alarm' },
+  { name: 'gpsData', type: 'gps', hidden: true, description: 'GPS block' },
+  { name: 'lbsLength', type: 'uint8', hidden: true, default: 0x09, description: 'LBS length (itself plus the 8 cell bytes)' },
+  {
+    name: 'lbs',
+    type: 'struct',
+    hidden: true,
+    size: 'lbsLength',
+    sizeAdjust: -1,
+    fields: CELL_FIELDS,
+    description: 'Serving cell (null when lbsLength is 0 or 1)',
+  },
+  { name: 'terminalInfo', type: 'uint8', hidden: true, description: 'Terminal info byte' },
+  { name: 'voltageLevel', type: 'uint8', hidden: true, default: 4, description: 'Voltage level 0-6' },
+  { name: 'gsmSignal', type: 'uint8', hidden: true, default: 4, description: 'GSM signal 0-4' },
+  {
+    name: 'alarmByte',
+    type: 'uint8',
+    enum: { table: ALARM_TYPES, as: 'alarmType' },
+    description: 'Raw alarm code',
+  },
+  { name: 'language', type: 'uint8', hidden: true, default: 0x02, description: 'Language (0x02 English)' },
+];
 
+/**
+ * Also take encoder input as parseAlarmHVT001() returns it: lbs.ci for the
+ * cell ID and terminalInfo as { terminalByte, battery, gsm }
+ */
+function prepareAlarm(data) {
+  const terminal =
+    typeof data.terminalInfo === 'number' ? { terminalByte: data.terminalInfo } : data.terminalInfo || {};
   return {
-    datetime,
-    alarmType: alarmTypes[alarmByte] || `Unknown (0x${alarmByte.toString(16)})`,
-    alarmByte,
-    serialNumber,
+    ...data,
+    lbs: data.lbs ? { ...data.lbs, cellId: data.lbs.cellId ?? data.lbs.ci } : undefined,
+    terminalInfo: terminal.terminalByte,
+    voltageLevel: data.voltageLevel ?? terminal.battery,
+    gsmSignal: data.gsmSignal ?? terminal.gsm,
   };
 }
 
+export const ALARM_SCHEMA = defineSchema({
+  protocolNumber: 0x26,
+  name: 'Alarm',
+  parser: 'parseAlarm',
+  description: 'Date/time + alarm type (GPS alarm)',
+  fields: ALARM_FIELDS,
+  prepare: prepareAlarm,
+});
+
+export function parseAlarm(packet) {
+  return parseWithSchema(ALARM_SCHEMA, packet);
+}
+
 export function createAlarmAck(serialNumber) {
   const buffer = Buffer.from([
     0x78, 0x78,
@@ -82,3 +123,12 @@ export function createAlarmAck(serialNumber) {
   ]);
 }
 
+/**
+ * Create an Alarm packet (0x26) as a device sends it
+ * @param {Object} data - { datetime, gpsData, lbs, terminalInfo, voltageLevel, gsmSignal, alarmByte | alarmType,
+ *   language, serialNumber }; gpsData is { latitude, longitude, speed, course, satellites, positioned }
+ * @returns {Buffer} Alarm packet
+ */
+export function createAlarmPacket(data) {
+  return encodeWithSchema(ALARM_SCHEMA, data);
+}
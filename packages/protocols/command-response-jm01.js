@@ -4,7 +4,22 @@
  * Alternative response format for JM01 devices
  */
 
-import { getHeaderSize, isLongPacket } from '../shared/parser.js';
+import { defineSchema, encodeWithSchema, parseWithSchema } from '../shared/schema.js';
+
+/**
+ * JM01 Command Response packet: ResponseLength(1, or 2 in long packets) + Response(N).
+ * Unlike 0x21 there is no server flag.
+ */
+export const COMMAND_RESPONSE_JM01_SCHEMA = defineSchema({
+  protocolNumber: 0x15,
+  name: 'Online Command Response JM01',
+  parser: 'parseCommandResponseJM01',
+  description: 'JM01 device command reply text',
+  fields: [
+    { name: 'responseLength', type: 'uint', size: { short: 1, long: 2 }, lengthOf: 'response', description: 'Response length' },
+    { name: 'response', type: 'ascii', size: 'responseLength', description: 'Response text' },
+  ],
+});
 
 /**
  * Parse Online Command Response JM01 packet
@@ -12,35 +27,14 @@ import { getHeaderSize, isLongPacket } from '../shared/parser.js';
  * @returns {Object} Parsed command response data
  */
 export function parseCommandResponseJM01(packet) {
-  const headerSize = getHeaderSize(packet);
-  const dataStart = headerSize + 1;
-  
-  // JM01 Command Response structure:
-  // Start(2) + Length(1-2) + Protocol(1) + ResponseLength(1-2) + Response(N) + Serial(2) + CRC(2) + Stop(2)
-  // Note: JM01 format doesn't include ServerFlag
-  // ResponseLength is 1 byte for short packets (78 78) and 2 bytes for long packets (79 79)
-  
-  let responseLength;
-  let responseStart;
-  
-  if (isLongPacket(packet)) {
-    // Long packet (79 79): ResponseLength is 2 bytes
-    responseLength = packet.readUInt16BE(dataStart);
-    responseStart = dataStart + 2;
-  } else {
-    // Short packet (78 78): ResponseLength is 1 byte
-    responseLength = packet[dataStart];
-    responseStart = dataStart + 1;
-  }
-  
-  const response = packet.slice(responseStart, responseStart + responseLength).toString('ascii');
-  
-  const serialNumber = packet.readUInt16BE(packet.length - 6);
-
-  return {
-    responseLength,
-    response,
-    serialNumber,
-  };
+  return parseWithSchema(COMMAND_RESPONSE_JM01_SCHEMA, packet);
 }
 
+/**
+ * Create a JM01 Online Command Response packet as a device sends it
+ * @param {Object} data - { response, serialNumber }
+ * @returns {Buffer} Command response packet
+ */
+export function createCommandResponseJM01Packet(data) {
+  return encodeWithSchema(COMMAND_RESPONSE_JM01_SCHEMA, data);
+}
@@ -4,6 +4,31 @@
  */
 
 import { getHeaderSize, isLongPacket } from "../shared/parser.js";
+import { buildPacket } from "../shared/encoding.js";
+import { defineSchema } from "../shared/schema.js";
+
+/**
+ * Command Response packet: ServerFlag(4) + ResponseLength(1) + Response(N).
+ * The parser and encoder stay hand-written: in long packets the byte after
+ * the server flag is the content encoding rather than a length, and the
+ * parser copes with lengths that disagree with the packet.
+ */
+export const COMMAND_RESPONSE_SCHEMA = defineSchema({
+  protocolNumber: 0x21,
+  name: "Online Command Response",
+  parser: "parseCommandResponse",
+  description: "Server flag + command response text",
+  fields: [
+    { name: "serverFlag", type: "hex", size: 4, description: "Server flag echoed from the 0x80 command" },
+    {
+      name: "responseLength",
+      type: "uint8",
+      description: "Declared response length (0x01 ASCII encoding in long packets)",
+    },
+    { name: "response", type: "ascii", size: "rest", description: "Response text, NULs removed and trimmed" },
+  ],
+  derived: [{ path: "actualResponseLength", type: "number", description: "Response bytes actually in the packet" }],
+});
 
 /**
  * Parse Online Command Response packet
@@ -62,3 +87,22 @@ export function parseCommandResponse(packet) {
     serialNumber,
   };
 }
+
+/**
+ * Create an Online Command Response packet as a device sends it:
+ * ServerFlag(4) + ResponseLength(1) + Response(N). Responses too long for a
+ * short packet use the long format, where the byte after the server flag is
+ * the content encoding (0x01 ASCII) as parseCommandResponse() expects.
+ * @param {Object} data - { serverFlag (hex string or Buffer echoed from the 0x80 command), response, serialNumber }
+ * @returns {Buffer} Command response packet
+ */
+export function createCommandResponsePacket(data) {
+  const serverFlag = Buffer.isBuffer(data.serverFlag)
+    ? data.serverFlag
+    : Buffer.from(data.serverFlag.padStart(8, "0"), "hex");
+  const text = Buffer.from(data.response, "ascii");
+  // Protocol(1) + ServerFlag(4) + Length(1) + Response(N) + Serial(2) + CRC(2)
+  const long = text.length + 10 > 0xff;
+  const content = Buffer.concat([serverFlag, Buffer.from([long ? 0x01 : text.length]), text]);
+  return buildPacket(0x21, content, data.serialNumber ?? 1, { long });
+}
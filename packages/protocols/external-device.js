@@ -4,8 +4,28 @@
  * For X3 devices with external sensors/modules
  */
 
-import { getHeaderSize } from '../shared/parser.js';
 import { calculateCRCITU } from '../shared/crc.js';
+import { defineSchema, encodeWithSchema, parseWithSchema } from '../shared/schema.js';
+
+/**
+ * External Device Transfer packet: DataLength(1) + TransparentData(N)
+ */
+export const EXTERNAL_DEVICE_SCHEMA = defineSchema({
+  protocolNumber: 0x9b,
+  name: 'External Device Transfer',
+  parser: 'parseExternalDeviceTransfer',
+  description: 'Transparent data (X3 devices)',
+  fields: [
+    { name: 'dataLength', type: 'uint8', lengthOf: 'transparentData', description: 'Transparent data length' },
+    {
+      name: 'transparentData',
+      type: 'hex',
+      size: 'dataLength',
+      raw: 'transparentDataRaw',
+      description: 'Transparent data',
+    },
+  ],
+});
 
 /**
  * Parse External Device Transfer packet
@@ -13,23 +33,7 @@ import { calculateCRCITU } from '../shared/crc.js';
  * @returns {Object} Parsed external device data
  */
 export function parseExternalDeviceTransfer(packet) {
-  const headerSize = getHeaderSize(packet);
-  const dataStart = headerSize + 1;
-  
-  // External Device Transfer structure (Manual page 31):
-  // Start(2) + Length(1-2) + Protocol(1) + DataLength(1) + TransparentData(N) + Serial(2) + CRC(2) + Stop(2)
-  
-  const dataLength = packet[dataStart];
-  const transparentData = packet.slice(dataStart + 1, dataStart + 1 + dataLength);
-  
-  const serialNumber = packet.readUInt16BE(packet.length - 6);
-
-  return {
-    dataLength,
-    transparentData: transparentData.toString('hex').toUpperCase(),
-    transparentDataRaw: transparentData,
-    serialNumber,
-  };
+  return parseWithSchema(EXTERNAL_DEVICE_SCHEMA, packet);
 }
 
 /**
@@ -95,3 +99,11 @@ export function createExternalDeviceResponse(serialNumber, responseData = null)
   }
 }
 
+/**
+ * Create an External Device Transfer packet as a device sends it
+ * @param {Object} data - { transparentData (hex or Buffer) | transparentDataRaw, serialNumber }
+ * @returns {Buffer} External device packet
+ */
+export function createExternalDevicePacket(data) {
+  return encodeWithSchema(EXTERNAL_DEVICE_SCHEMA, data);
+}
@@ -4,8 +4,29 @@
  * For U20 devices with external modules
  */
 
-import { getHeaderSize } from '../shared/parser.js';
 import { calculateCRCITU } from '../shared/crc.js';
+import { defineSchema, encodeWithSchema, parseWithSchema } from '../shared/schema.js';
+
+/**
+ * External Module Transmission packet: ModuleID(1) + DataLength(1) + TransparentData(N)
+ */
+export const EXTERNAL_MODULE_SCHEMA = defineSchema({
+  protocolNumber: 0x9c,
+  name: 'External Module Transmission',
+  parser: 'parseExternalModuleTransmission',
+  description: 'Module ID + transparent data (U20)',
+  fields: [
+    { name: 'moduleId', type: 'uint8', description: 'External module ID' },
+    { name: 'dataLength', type: 'uint8', lengthOf: 'transparentData', description: 'Transparent data length' },
+    {
+      name: 'transparentData',
+      type: 'hex',
+      size: 'dataLength',
+      raw: 'transparentDataRaw',
+      description: 'Transparent data',
+    },
+  ],
+});
 
 /**
  * Parse External Module Transmission packet
@@ -13,25 +34,7 @@ import { calculateCRCITU } from '../shared/crc.js';
  * @returns {Object} Parsed external module data
  */
 export function parseExternalModuleTransmission(packet) {
-  const headerSize = getHeaderSize(packet);
-  const dataStart = headerSize + 1;
-  
-  // External Module Transmission structure (Manual page 33):
-  // Start(2) + Length(1-2) + Protocol(1) + ModuleID(1) + DataLength(1) + TransparentData(N) + Serial(2) + CRC(2) + Stop(2)
-  
-  const moduleId = packet[dataStart];
-  const dataLength = packet[dataStart + 1];
-  const transparentData = packet.slice(dataStart + 2, dataStart + 2 + dataLength);
-  
-  const serialNumber = packet.readUInt16BE(packet.length - 6);
-
-  return {
-    moduleId,
-    dataLength,
-    transparentData: transparentData.toString('hex').toUpperCase(),
-    transparentDataRaw: transparentData,
-    serialNumber,
-  };
+  return parseWithSchema(EXTERNAL_MODULE_SCHEMA, packet);
 }
 
 /**
@@ -101,3 +104,11 @@ export function createExternalModuleResponse(serialNumber, moduleId, responseDat
   }
 }
 
+/**
+ * Create an External Module Transmission packet as a device sends it
+ * @param {Object} data - { moduleId, transparentData (hex or Buffer) | transparentDataRaw, serialNumber }
+ * @returns {Buffer} External module packet
+ */
+export function createExternalModulePacket(data) {
+  return encodeWithSchema(EXTERNAL_MODULE_SCHEMA, data);
+}
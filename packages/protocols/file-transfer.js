@@ -4,113 +4,122 @@
  * For HVT001 devices - voice file transfers
  */
 
-import { getHeaderSize } from '../shared/parser.js';
 import { calculateCRCITU } from '../shared/crc.js';
+import { formatDatetime } from '../shared/datetime.js';
+import { defineSchema, encodeWithSchema, parseWithSchema } from '../shared/schema.js';
 import crypto from 'crypto';
 
+const FILE_TYPES = {
+  0x00: "Voice file (monitoring)",
+  0x01: "Voice file (SOS)",
+  0x02: "Intercom voice file",
+};
+
+// Monitoring and intercom files are flagged with a date/time, SOS files with the alarm's serial
+const datetimeFlag = [
+  { name: 'type', type: 'const', value: 'datetime', description: 'Flag type' },
+  { name: 'raw', type: 'datetime', description: 'Recording date/time' },
+];
+
+/**
+ * Large File Transfer packet (Manual page 39), always in the long format:
+ * FileType(1) + FileLength(4) + ErrorCheckType(1) + ErrorCheck(2 CRC / 16 MD5) +
+ * StartPosition(4) + CurrentLength(2) + Content(M) + FlagBit(6 date/time or 2 SOS serial)
+ */
+export const FILE_TRANSFER_SCHEMA = defineSchema({
+  protocolNumber: 0x8d,
+  name: 'Large File Transfer',
+  parser: 'parseFileTransfer',
+  description: 'Voice/file chunk with CRC or MD5',
+  long: true,
+  fields: [
+    { name: 'fileTypeRaw', type: 'uint8', enum: { table: FILE_TYPES, as: 'fileType' }, description: 'File type' },
+    { name: 'fileLength', type: 'uint32', description: 'Total file length' },
+    {
+      name: 'errorCheckType',
+      type: 'uint8',
+      enum: { table: { 0x00: 'CRC', 0x01: 'MD5' }, as: 'errorCheckType' },
+      description: 'Whole-file check',
+    },
+    {
+      name: 'errorCheck',
+      type: 'uint16',
+      when: [(values) => values.errorCheckType === 0x00, 'errorCheckType is CRC'],
+      description: 'CRC-ITU of the whole file',
+    },
+    {
+      name: 'errorCheck',
+      type: 'hex',
+      size: 16,
+      when: [(values) => values.errorCheckType === 0x01, 'errorCheckType is MD5'],
+      description: 'MD5 of the whole file',
+    },
+    { name: 'startPosition', type: 'uint32', description: 'Offset of this chunk in the file' },
+    { name: 'currentContentLength', type: 'uint16', lengthOf: 'content', description: 'Chunk length' },
+    { name: 'content', type: 'bytes', size: 'currentContentLength', description: 'Chunk data' },
+    {
+      name: 'flagBit',
+      type: 'switch',
+      on: 'fileTypeRaw',
+      optional: true,
+      description: 'Recording flag',
+      cases: {
+        0x00: datetimeFlag,
+        0x01: [
+          { name: 'type', type: 'const', value: 'serial', description: 'Flag type' },
+          { name: 'value', type: 'uint16', description: 'Serial number of the SOS alarm packet' },
+        ],
+        0x02: datetimeFlag,
+      },
+    },
+  ],
+  finish: (result) => {
+    const received = result.startPosition + result.currentContentLength;
+    const { flagBit } = result;
+    return {
+      ...result,
+      contentLength: result.content.length,
+      flagBit: flagBit && flagBit.type === 'datetime' ? { ...flagBit, value: formatDatetime(flagBit.raw) } : flagBit,
+      isComplete: received >= result.fileLength,
+      progress: (received / result.fileLength * 100).toFixed(2) + '%',
+    };
+  },
+  prepare: (data) => {
+    const { flagBit } = data;
+    return flagBit && flagBit.type === 'datetime'
+      ? { ...data, flagBit: { ...flagBit, raw: flagBit.raw || flagBit.value } }
+      : data;
+  },
+  derived: [
+    { path: 'contentLength', type: 'number', description: 'Bytes of content actually received' },
+    { path: 'flagBit.value', type: 'string', description: '"YYYY-MM-DD HH:mm:ss" when flagBit.type is datetime' },
+    { path: 'isComplete', type: 'boolean', description: 'This chunk reaches the end of the file' },
+    { path: 'progress', type: 'string', description: 'e.g. "42.50%"' },
+  ],
+});
+
 /**
  * Parse Large File Transfer packet
  * @param {Buffer} packet - Packet buffer
  * @returns {Object} Parsed file transfer data
  */
 export function parseFileTransfer(packet) {
-  const headerSize = getHeaderSize(packet);
-  const dataStart = headerSize + 1;
-  
-  // File Transfer structure (Manual page 39):
-  // Start(2) + Length(2) + Protocol(1) + FileType(1) + FileLength(4) + ErrorCheckType(1) + ErrorCheck(N) + StartPosition(4) + CurrentLength(2) + Content(M) + FlagBit(N) + Serial(2) + CRC(2) + Stop(2)
-  // Note: This is always a long packet (0x79 0x79)
-  
-  const fileType = packet[dataStart];
-  const fileLength = packet.readUInt32BE(dataStart + 1);
-  const errorCheckType = packet[dataStart + 5];
-  
-  let errorCheckOffset = dataStart + 6;
-  let errorCheck = null;
-  
-  if (errorCheckType === 0x00) {
-    // CRC check (2 bytes)
-    errorCheck = packet.readUInt16BE(errorCheckOffset);
-    errorCheckOffset += 2;
-  } else if (errorCheckType === 0x01) {
-    // MD5 check (16 bytes)
-    errorCheck = packet.slice(errorCheckOffset, errorCheckOffset + 16).toString('hex').toUpperCase();
-    errorCheckOffset += 16;
-  }
-  
-  const startPosition = packet.readUInt32BE(errorCheckOffset);
-  const currentContentLength = packet.readUInt16BE(errorCheckOffset + 4);
-  const content = packet.slice(errorCheckOffset + 6, errorCheckOffset + 6 + currentContentLength);
-  
-  // Flag bit position depends on file type
-  let flagBitOffset = errorCheckOffset + 6 + currentContentLength;
-  let flagBit = null;
-  
-  const fileTypes = {
-    0x00: "Voice file (monitoring)",
-    0x01: "Voice file (SOS)",
-    0x02: "Intercom voice file",
-  };
-  
-  if (fileType === 0x00 || fileType === 0x02) {
-    // 6 bytes: DateTime for monitoring/intercom
-    if (flagBitOffset + 6 <= packet.length - 6) {
-      const datetime = {
-        year: 2000 + packet[flagBitOffset],
-        month: packet[flagBitOffset + 1],
-        day: packet[flagBitOffset + 2],
-        hour: packet[flagBitOffset + 3],
-        minute: packet[flagBitOffset + 4],
-        second: packet[flagBitOffset + 5],
-      };
-      flagBit = {
-        type: 'datetime',
-        value: `${datetime.year}-${String(datetime.month).padStart(2, "0")}-${String(datetime.day).padStart(2, "0")} ${String(datetime.hour).padStart(2, "0")}:${String(datetime.minute).padStart(2, "0")}:${String(datetime.second).padStart(2, "0")}`,
-        raw: datetime,
-      };
-    }
-  } else if (fileType === 0x01) {
-    // 2 bytes: SOS alarm packet serial number
-    if (flagBitOffset + 2 <= packet.length - 6) {
-      flagBit = {
-        type: 'serial',
-        value: packet.readUInt16BE(flagBitOffset),
-      };
-    }
-  }
-  
-  const serialNumber = packet.readUInt16BE(packet.length - 6);
-
-  return {
-    fileType: fileTypes[fileType] || `Unknown (0x${fileType.toString(16)})`,
-    fileTypeRaw: fileType,
-    fileLength,
-    errorCheckType: errorCheckType === 0x00 ? 'CRC' : 'MD5',
-    errorCheck,
-    startPosition,
-    currentContentLength,
-    contentLength: content.length,
-    content, // Raw content buffer
-    flagBit,
-    serialNumber,
-    isComplete: (startPosition + currentContentLength) >= fileLength,
-    progress: ((startPosition + currentContentLength) / fileLength * 100).toFixed(2) + '%',
-  };
+  return parseWithSchema(FILE_TRANSFER_SCHEMA, packet);
 }
 
 /**
  * Verify file content checksum
  * @param {Buffer} content - File content
  * @param {string|number} errorCheck - Error check value (CRC or MD5)
- * @param {number} errorCheckType - 0x00 for CRC, 0x01 for MD5
+ * @param {number|string} errorCheckType - 0x00 / 'CRC' for CRC, 0x01 / 'MD5' for MD5 (as parseFileTransfer() returns it)
  * @returns {boolean} True if checksum matches
  */
 export function verifyFileChecksum(content, errorCheck, errorCheckType) {
-  if (errorCheckType === 0x00) {
+  if (errorCheckType === 0x00 || errorCheckType === 'CRC') {
     // CRC check
     const calculatedCRC = calculateCRCITU(content);
     return calculatedCRC === errorCheck;
-  } else if (errorCheckType === 0x01) {
+  } else if (errorCheckType === 0x01 || errorCheckType === 'MD5') {
     // MD5 check
     const calculatedMD5 = crypto.createHash('md5').update(content).digest('hex').toUpperCase();
     return calculatedMD5 === errorCheck.toUpperCase();
@@ -135,7 +144,7 @@ export function createFileTransferAck(serialNumber, success = true) {
     serialNumber & 0xff,
   ]);
 
-  const crc = calculateCRCITU(buffer, 4, 8);
+  const crc = calculateCRCITU(buffer, 2, 8);
 
   return Buffer.concat([
     buffer,
@@ -144,3 +153,12 @@ export function createFileTransferAck(serialNumber, success = true) {
   ]);
 }
 
+/**
+ * Create a Large File Transfer packet as a device sends it
+ * @param {Object} data - parseFileTransfer() fields: { fileTypeRaw, fileLength, errorCheckType ('CRC'|'MD5'),
+ *   errorCheck, startPosition, content, flagBit, serialNumber }
+ * @returns {Buffer} File transfer packet
+ */
+export function createFileTransferPacket(data) {
+  return encodeWithSchema(FILE_TRANSFER_SCHEMA, data);
+}
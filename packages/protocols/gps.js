@@ -2,71 +2,59 @@
  * GPS Location Protocol Handler (0x22)
  */
 
-import { getHeaderSize } from '../shared/parser.js';
+import { defineSchema, encodeWithSchema, parseWithSchema } from '../shared/schema.js';
 
-export function parseGPSLocation(packet) {
-  const headerSize = getHeaderSize(packet);
-  const dataStart = headerSize + 1;
-
-  const datetime = {
-    year: 2000 + packet[dataStart],
-    month: packet[dataStart + 1],
-    day: packet[dataStart + 2],
-    hour: packet[dataStart + 3],
-    minute: packet[dataStart + 4],
-    second: packet[dataStart + 5],
-  };
-
-  const gpsInfo = packet[dataStart + 6];
-  const satellites = gpsInfo & 0x0F;
-  const latitude = packet.readUInt32BE(dataStart + 7) / 1800000.0;
-  const longitude = packet.readUInt32BE(dataStart + 11) / 1800000.0;
-  const speed = packet[dataStart + 15];
-  const courseStatus = packet.readUInt16BE(dataStart + 16);
-  
-  const byte1 = (courseStatus >> 8) & 0xFF;
-  const byte2 = courseStatus & 0xFF;
-  const course = ((byte1 & 0x03) << 8) | byte2;
-  const gpsPositioned = (byte1 & 0x10) !== 0;
-  // Bit meanings: bit3 (0x08) East/West, bit2 (0x04) South/North.
-  // Interpretation: bit3 == 0 => East, bit3 == 1 => West
-  //                 bit2 == 1 => North, bit2 == 0 => South
-  const latitudePositive = (byte1 & 0x04) !== 0; // true => North
-  const longitudePositive = (byte1 & 0x08) === 0; // true => East
-
-  const finalLatitude = latitudePositive ? latitude : -latitude;
-  const finalLongitude = longitudePositive ? longitude : -longitude;
+/**
+ * Serving cell: MCC(2) + MNC(1) + LAC(2) + Cell ID(3)
+ */
+export const CELL_FIELDS = [
+  { name: 'mcc', type: 'uint16', description: 'Mobile country code' },
+  { name: 'mnc', type: 'uint8', description: 'Mobile network code' },
+  { name: 'lac', type: 'uint16', description: 'Location area code' },
+  { name: 'cellId', type: 'uint24', description: 'Cell tower ID' },
+];
 
-  const mcc = packet.readUInt16BE(dataStart + 18);
-  const mnc = packet[dataStart + 20];
-  const lac = packet.readUInt16BE(dataStart + 21);
-  const cellId = packet.readUIntBE(dataStart + 23, 3);
-  
-  let acc = null;
-  let dataUploadMode = null;
-  let mileage = null;
-  
-  if (packet.length >= dataStart + 30) {
-    acc = packet[dataStart + 26];
-    dataUploadMode = packet[dataStart + 27];
-  }
-  
-  if (packet.length >= dataStart + 33) {
-    mileage = packet.readUInt32BE(packet.length - 10);
-  }
+/**
+ * Positioning packet: Date(6) + GPS(12) + Cell(8), then on devices with ACC
+ * detection ACC(1) + Upload mode(1) + Re-upload(1) + Mileage(4)
+ */
+export const GPS_LOCATION_SCHEMA = defineSchema({
+  protocolNumber: 0x22,
+  name: 'GPS Location',
+  parser: 'parseGPSLocation',
+  description: 'Date/time GPS coords speed course LBS odometer',
+  fields: [
+    { name: 'datetime', type: 'datetime', description: 'UTC date/time of the fix' },
+    { name: 'gps', type: 'gps', flatten: true, description: 'GPS block' },
+    { name: 'lbs', type: 'struct', fields: CELL_FIELDS, description: 'Serving cell' },
+    { name: 'acc', type: 'uint8', optional: true, description: 'ACC (ignition) 0x00 low, 0x01 high' },
+    { name: 'dataUploadMode', type: 'uint8', optional: true, description: 'Why the fix was uploaded' },
+    { name: 'reupload', type: 'uint8', optional: true, hidden: true, description: '0x01 when re-uploaded' },
+    { name: 'mileage', type: 'uint32', optional: true, description: 'Odometer (meters)' },
+  ],
+  // With ACC the rest of the trailer is always written, as devices send it
+  prepare: (data) =>
+    data.acc === null || data.acc === undefined
+      ? data
+      : {
+          ...data,
+          dataUploadMode: data.dataUploadMode ?? 0,
+          reupload: data.reupload ? 0x01 : 0x00,
+          mileage: Math.round(data.mileage || 0),
+        },
+});
 
-  return {
-    datetime,
-    satellites,
-    latitude: finalLatitude,
-    longitude: finalLongitude,
-    speed,
-    course,
-    gpsPositioned,
-    lbs: { mcc, mnc, lac, cellId },
-    acc,
-    dataUploadMode,
-    mileage,
-  };
+export function parseGPSLocation(packet) {
+  return parseWithSchema(GPS_LOCATION_SCHEMA, packet);
 }
 
+/**
+ * Create a Positioning Data packet as a device sends it. Without acc the
+ * packet ends after the cell; with it the mileage is always written (0 if not given).
+ * @param {Object} data - parseGPSLocation() fields: { datetime, latitude, longitude, speed, course,
+ *   satellites, gpsPositioned, lbs, acc, dataUploadMode, mileage, serialNumber }
+ * @returns {Buffer} Positioning packet
+ */
+export function createGPSLocationPacket(data) {
+  return encodeWithSchema(GPS_LOCATION_SCHEMA, data);
+}
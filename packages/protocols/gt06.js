@@ -0,0 +1,99 @@
+/**
+ * Classic GT06 Protocol Handlers (0x12, 0x16, 0x18)
+ * Older Concox units send these GT06-era packets; their content has the same
+ * layout as the V5 positioning (0x22), alarm (0x26) and LBS extension (0x28) packets.
+ */
+
+import { buildPacket } from '../shared/encoding.js';
+import { defineSchema, encodeWithSchema, parseWithSchema } from '../shared/schema.js';
+import { GPS_LOCATION_SCHEMA } from './gps.js';
+import { ALARM_SCHEMA } from './alarm.js';
+import { LBS_EXTENSION_SCHEMA } from './lbs-extension.js';
+
+/**
+ * GT06 location packet: Date(6) + GPS(12) + Cell(8); the V5 ACC/mileage trailer
+ * is parsed when a device sends it
+ */
+export const GT06_LOCATION_SCHEMA = defineSchema({
+  ...GPS_LOCATION_SCHEMA,
+  protocolNumber: 0x12,
+  name: 'GT06 Location',
+  parser: 'parseGT06Location',
+  description: 'Date/time GPS coords speed course LBS (GT06)',
+});
+
+/**
+ * GT06 GPS + LBS + status alarm packet, laid out as the 0x26 alarm
+ */
+export const GT06_ALARM_SCHEMA = defineSchema({
+  ...ALARM_SCHEMA,
+  protocolNumber: 0x16,
+  name: 'GT06 Alarm',
+  parser: 'parseGT06Alarm',
+  description: 'Date/time + GPS + LBS + status + alarm type (GT06)',
+});
+
+/**
+ * GT06 LBS multiple bases packet, laid out as the 0x28 LBS extension
+ */
+export const GT06_LBS_EXTENSION_SCHEMA = defineSchema({
+  ...LBS_EXTENSION_SCHEMA,
+  protocolNumber: 0x18,
+  name: 'GT06 LBS Extension',
+  parser: 'parseGT06LBSExtension',
+  description: 'Date + main base + 6 neighbors + timing/language (GT06)',
+});
+
+export function parseGT06Location(packet) {
+  return parseWithSchema(GT06_LOCATION_SCHEMA, packet);
+}
+
+/**
+ * Parse a GT06 alarm; like parseAlarm() the GPS, cell and status fields are
+ * left to parseAlarmHVT001()
+ * @param {Buffer} packet - Packet buffer
+ * @returns {Object} { datetime, alarmByte, alarmType, serialNumber }
+ */
+export function parseGT06Alarm(packet) {
+  return parseWithSchema(GT06_ALARM_SCHEMA, packet);
+}
+
+export function parseGT06LBSExtension(packet) {
+  return parseWithSchema(GT06_LBS_EXTENSION_SCHEMA, packet);
+}
+
+/**
+ * Create GT06 alarm acknowledgment (0x16, no content)
+ * @param {number} serialNumber - Serial number from device
+ * @returns {Buffer} Acknowledgment packet
+ */
+export function createGT06AlarmAck(serialNumber) {
+  return buildPacket(0x16, Buffer.alloc(0), serialNumber);
+}
+
+/**
+ * Create a GT06 location packet as a device sends it
+ * @param {Object} data - parseGT06Location() fields (see createGPSLocationPacket)
+ * @returns {Buffer} Location packet
+ */
+export function createGT06LocationPacket(data) {
+  return encodeWithSchema(GT06_LOCATION_SCHEMA, data);
+}
+
+/**
+ * Create a GT06 alarm packet as a device sends it
+ * @param {Object} data - See createAlarmPacket
+ * @returns {Buffer} Alarm packet
+ */
+export function createGT06AlarmPacket(data) {
+  return encodeWithSchema(GT06_ALARM_SCHEMA, data);
+}
+
+/**
+ * Create a GT06 LBS extension packet as a device sends it
+ * @param {Object} data - See createLBSExtensionPacket
+ * @returns {Buffer} LBS extension packet
+ */
+export function createGT06LBSExtensionPacket(data) {
+  return encodeWithSchema(GT06_LBS_EXTENSION_SCHEMA, data);
+}
@@ -2,31 +2,43 @@
  * Heartbeat Protocol Handler (0x13)
  */
 
-import { getHeaderSize } from '../shared/parser.js';
 import { calculateCRCITU } from '../shared/crc.js';
+import { defineSchema, encodeWithSchema, parseWithSchema } from '../shared/schema.js';
 
-export function parseHeartbeat(packet) {
-  const headerSize = getHeaderSize(packet);
-  const terminalInfo = packet[headerSize + 1];
-  const batteryLevel = packet[headerSize + 2];
-  const gsmSignal = packet[headerSize + 3];
-  const serialNumber = packet.readUInt16BE(packet.length - 6);
+/**
+ * Terminal information byte shared by heartbeats and alarms
+ */
+export const TERMINAL_INFO_FLAGS = {
+  oilElectricityDisconnected: 0x80,
+  gpsTracking: 0x40,
+  charging: 0x04,
+  accHigh: 0x02,
+  defenseActivated: 0x01,
+};
 
-  const info = {
-    oilElectricityDisconnected: (terminalInfo & 0x80) !== 0,
-    gpsTracking: (terminalInfo & 0x40) !== 0,
-    charging: (terminalInfo & 0x04) !== 0,
-    accHigh: (terminalInfo & 0x02) !== 0,
-    defenseActivated: (terminalInfo & 0x01) !== 0,
-  };
+/**
+ * Heartbeat packet: Terminal info(1) + Voltage level(1) + GSM signal(1) + Language(2)
+ */
+export const HEARTBEAT_SCHEMA = defineSchema({
+  protocolNumber: 0x13,
+  name: 'Heartbeat',
+  parser: 'parseHeartbeat',
+  description: 'Terminal info battery GSM signal status flags',
+  fields: [
+    {
+      name: 'terminalInfo',
+      type: 'uint8',
+      flags: { bits: TERMINAL_INFO_FLAGS, as: 'info' },
+      description: 'Raw terminal info byte',
+    },
+    { name: 'batteryLevel', type: 'uint8', default: 4, description: '0-6 (No Power ... Full)' },
+    { name: 'gsmSignal', type: 'uint8', default: 4, description: '0-4 (no signal ... strong)' },
+    { name: 'language', type: 'uint16', hidden: true, default: 0x0002, description: 'Language (0x0002 English)' },
+  ],
+});
 
-  return {
-    terminalInfo,
-    batteryLevel,
-    gsmSignal,
-    info,
-    serialNumber,
-  };
+export function parseHeartbeat(packet) {
+  return parseWithSchema(HEARTBEAT_SCHEMA, packet);
 }
 
 export function createHeartbeatAck(serialNumber) {
@@ -45,3 +57,11 @@ export function createHeartbeatAck(serialNumber) {
   ]);
 }
 
+/**
+ * Create a Heartbeat packet as a device sends it
+ * @param {Object} data - parseHeartbeat() fields: { terminalInfo | info, batteryLevel, gsmSignal, serialNumber }
+ * @returns {Buffer} Heartbeat packet
+ */
+export function createHeartbeatPacket(data) {
+  return encodeWithSchema(HEARTBEAT_SCHEMA, data);
+}
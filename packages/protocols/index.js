@@ -18,4 +18,10 @@ export * from './external-module.js';
 export * from './file-transfer.js';
 export * from './time-calibration.js';
 export * from './information-transmission.js';
+export * from './gt06.js';
+export * from './address-request.js';
+export * from './lte.js';
+export * from './position.js';
+export * from './schemas.js';
+export * from './registry.js';
 
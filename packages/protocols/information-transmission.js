@@ -1,69 +1,276 @@
 /**
  * Information Transmission Protocol Handler (0x94)
+ * Non-position data, selected by the sub-protocol byte: external voltage, terminal status,
+ * door / I/O, voltage and mileage, self-check, GPS module status, ICCID, fuel sensor,
+ * temperature / humidity sensors and RFID card swipes.
  */
 
-import { getHeaderSize } from '../shared/parser.js';
+import { buildPacket, encodeDatetime } from '../shared/encoding.js';
+import { defineFieldType, defineSchema, encodeWithSchema, parseWithSchema } from '../shared/schema.js';
 
-export function parseInformationTransmission(packet) {
-  const headerSize = getHeaderSize(packet);
-  const protocolNumberPos = headerSize;
-  const subProtocolNumber = packet[protocolNumberPos + 1];
-  
-  const result = {
-    subProtocol: subProtocolNumber,
-    data: null,
-  };
+// Terminal status synchronization text: "KEY=value;KEY=value"
+defineFieldType('keyValues', {
+  sized: true,
+  read: (bytes) => {
+    const values = {};
+    bytes.toString('ascii').split(';').forEach((part) => {
+      const [key, value] = part.split('=');
+      if (key && value) values[key.trim()] = value.trim();
+    });
+    return values;
+  },
+  write: (value) =>
+    Buffer.from(Object.entries(value || {}).map(([key, item]) => `${key}=${item}`).join(';'), 'ascii'),
+  doc: 'object { [key]: string }',
+});
 
-  switch (subProtocolNumber) {
-    case 0x00:
-      // External power voltage
-      result.data = {
-        type: 'voltage',
-        voltage: packet.readUInt16BE(protocolNumberPos + 2) / 100,
-      };
-      break;
-      
-    case 0x04:
-      // Terminal status synchronization
-      const statusData = packet.slice(protocolNumberPos + 2, packet.length - 6).toString('ascii');
-      const statusParts = statusData.split(';');
-      const status = {};
-      statusParts.forEach(part => {
-        const [key, value] = part.split('=');
-        if (key && value) status[key.trim()] = value.trim();
-      });
-      result.data = { type: 'status', status };
-      break;
-      
-    case 0x05:
-      // Door status
-      const doorStatus = packet[protocolNumberPos + 2];
-      result.data = {
-        type: 'door',
-        doorOpen: (doorStatus & 0x01) !== 0,
-        triggering: (doorStatus & 0x02) !== 0 ? "High" : "Low",
-        ioStatus: (doorStatus & 0x04) !== 0 ? "High" : "Low",
-      };
-      break;
-      
-    case 0x06:
-      result.data = { type: 'voltage_mileage' };
-      break;
-      
-    case 0x0A:
-      // ICCID
-      const iccid = packet.slice(protocolNumberPos + 2, protocolNumberPos + 12).toString('hex');
-      result.data = { type: 'iccid', iccid };
-      break;
-      
-    case 0x0D:
-      result.data = { type: 'fuel_sensor' };
-      break;
-      
-    default:
-      result.data = { type: 'unknown', raw: packet.slice(protocolNumberPos + 2, packet.length - 6) };
-  }
+const GPS_MODULE_STATES = {
+  0x00: 'Not available',
+  0x01: 'Searching',
+  0x02: '2D fix',
+  0x03: '3D fix',
+  0x04: 'Sleeping',
+};
+
+const FUEL_SENSOR_HEADER = '!AIOIL';
 
-  return result;
+/**
+ * Fuel sensor line "!AIOIL,02,025.900,025.400,519J,0200,027.140,0,00,9F": the checksum is the
+ * sum of every byte before the last comma, as two hex digits
+ */
+function fuelSensorChecksum(text) {
+  const body = text.slice(0, text.lastIndexOf(','));
+  const sum = [...Buffer.from(body, 'ascii')].reduce((total, byte) => total + byte, 0);
+  return (sum & 0xff).toString(16).toUpperCase().padStart(2, '0');
 }
 
+const number = (text) => (text === undefined || text === '' ? null : Number(text));
+
+// Fuel sensor report: Date(6, not sent by GT800) + ASCII sensor line
+defineFieldType('fuelSensor', {
+  sized: true,
+  read: (bytes) => {
+    const timed = bytes.length >= 6 && bytes[0] !== FUEL_SENSOR_HEADER.charCodeAt(0);
+    const datetime = timed
+      ? {
+          year: 2000 + bytes[0],
+          month: bytes[1],
+          day: bytes[2],
+          hour: bytes[3],
+          minute: bytes[4],
+          second: bytes[5],
+        }
+      : null;
+    const sensorText = bytes.subarray(timed ? 6 : 0).toString('ascii').trim();
+    const parts = sensorText.startsWith(FUEL_SENSOR_HEADER) ? sensorText.split(',') : [];
+    const status = parts[5] || '';
+    return {
+      datetime,
+      sensorText,
+      sensorAddress: parts[1] ?? null,
+      fuelLevel: number(parts[2]),
+      temperature: number(parts[3]),
+      sensorVersion: parts[4] ?? null,
+      signalLevel: number(status.slice(0, 2)),
+      softwareStatus: number(status.slice(2, 3)),
+      hardwareStatus: number(status.slice(3, 4)),
+      measuredFuelLevel: number(parts[6]),
+      moving: parts[7] === undefined ? null : parts[7] === '0',
+      checksumValid: parts.length > 1 ? parts[parts.length - 1] === fuelSensorChecksum(sensorText) : null,
+    };
+  },
+  write: (value = {}) => {
+    let text = value.sensorText;
+    if (!text) {
+      const level = (level) => (level ?? 0).toFixed(3).padStart(7, '0');
+      const status = `${String(value.signalLevel ?? 0).padStart(2, '0')}${value.softwareStatus ?? 0}${value.hardwareStatus ?? 0}`;
+      const fields = [
+        FUEL_SENSOR_HEADER,
+        value.sensorAddress ?? '01',
+        level(value.fuelLevel),
+        level(value.temperature),
+        value.sensorVersion ?? '519J',
+        status,
+        level(value.measuredFuelLevel ?? value.fuelLevel),
+        value.moving === false ? '1' : '0',
+        '00',
+        '',
+      ];
+      text = fields.join(',');
+      text += fuelSensorChecksum(text);
+    }
+    const sensor = Buffer.from(text, 'ascii');
+    return value.datetime ? Buffer.concat([encodeDatetime(value.datetime), sensor]) : sensor;
+  },
+  doc: 'object',
+  docFields: [
+    ['datetime', 'object | null', 'Report date/time (null for GT800, which sends none)'],
+    ['sensorText', 'string', 'Sensor line as sent, e.g. "!AIOIL,02,025.900,..."'],
+    ['sensorAddress', 'string | null', 'Sensor address'],
+    ['fuelLevel', 'number | null', 'Liquid level output value (cm)'],
+    ['temperature', 'number | null', 'Sensor temperature (°C)'],
+    ['sensorVersion', 'string | null', 'Protocol, software and hardware version'],
+    ['signalLevel', 'number | null', 'Echo signal level'],
+    ['softwareStatus', 'number | null', 'Software status code'],
+    ['hardwareStatus', 'number | null', 'Hardware status code'],
+    ['measuredFuelLevel', 'number | null', 'Liquid level measurement value (cm)'],
+    ['moving', 'boolean | null', 'Motion status (true: moving, false: static)'],
+    ['checksumValid', 'boolean | null', 'Whether the sum check at the end of the line matches'],
+  ],
+});
+
+// RFID reader frame: Header(1) + Type(1) + Card ID(4) + Checksum(1) + Footer(1);
+// some readers send the card number as ASCII text instead
+defineFieldType('rfidCard', {
+  sized: true,
+  read: (bytes) => {
+    if (bytes.length > 0 && /[A-Za-z0-9]/.test(String.fromCharCode(bytes[0]))) {
+      return bytes.toString('ascii').replace(/\0/g, '').trim();
+    }
+    return bytes.subarray(2, 6).toString('hex').toUpperCase();
+  },
+  write: (value) => {
+    const cardId = String(value ?? '');
+    if (!/^[0-9A-Fa-f]{8}$/.test(cardId)) return Buffer.from(cardId, 'ascii');
+    const id = Buffer.from(cardId, 'hex');
+    const checksum = id.reduce((total, byte) => total ^ byte, 0);
+    return Buffer.concat([Buffer.from([0x02, 0x01]), id, Buffer.from([checksum, 0x03])]);
+  },
+  doc: 'string',
+});
+
+const typeField = (type) => ({ name: 'type', type: 'const', value: type, description: 'Content type' });
+const rawField = { name: 'raw', type: 'bytes', size: 'rest', description: 'Content as sent' };
+
+/**
+ * Information Transmission packet, always in the long (0x79 0x79) format:
+ * Sub-protocol(1) + Content(N)
+ */
+export const INFORMATION_TRANSMISSION_SCHEMA = defineSchema({
+  protocolNumber: 0x94,
+  name: 'Information Transmission',
+  parser: 'parseInformationTransmission',
+  description: 'Sub-protocol: voltage status door ICCID etc',
+  long: true,
+  fields: [
+    { name: 'subProtocol', type: 'uint8', description: 'Sub-protocol number' },
+    {
+      name: 'data',
+      type: 'switch',
+      on: 'subProtocol',
+      description: 'Sub-protocol content',
+      cases: {
+        0x00: [
+          typeField('voltage'),
+          { name: 'voltage', type: 'uint16', scale: 100, description: 'External power voltage (V)' },
+        ],
+        0x04: [
+          typeField('status'),
+          { name: 'status', type: 'keyValues', size: 'rest', description: 'Terminal status synchronization' },
+        ],
+        0x05: [
+          typeField('door'),
+          {
+            name: 'doorStatus',
+            type: 'uint8',
+            hidden: true,
+            flags: { bits: { doorOpen: 0x01, triggering: [0x02, 'High', 'Low'], ioStatus: [0x04, 'High', 'Low'] } },
+            description: 'Door status bits',
+          },
+        ],
+        0x06: [
+          typeField('voltage_mileage'),
+          { name: 'voltage', type: 'uint16', scale: 100, description: 'External power voltage (V)' },
+          { name: 'mileage', type: 'uint32', optional: true, description: 'Odometer (meters)' },
+        ],
+        0x08: [
+          typeField('self_check'),
+          { name: 'selfCheck', type: 'ascii', size: 'rest', description: 'Terminal self-check parameters' },
+        ],
+        0x09: [
+          typeField('gps_status'),
+          {
+            name: 'moduleStatus',
+            type: 'uint8',
+            enum: { table: GPS_MODULE_STATES, as: 'moduleState' },
+            description: 'GPS module status',
+          },
+          {
+            name: 'fixSatelliteCount',
+            type: 'uint8',
+            hidden: true,
+            lengthOf: 'fixSatellites',
+            description: 'Number of satellites used in the fix',
+          },
+          {
+            name: 'fixSatellites',
+            type: 'array',
+            count: 'fixSatelliteCount',
+            fields: [{ name: 'signal', type: 'uint8', description: 'Carrier-to-noise ratio (dB-Hz)' }],
+            description: 'Satellites used in the fix',
+          },
+          {
+            name: 'visibleSatelliteCount',
+            type: 'uint8',
+            hidden: true,
+            lengthOf: 'visibleSatellites',
+            description: 'Number of satellites in view',
+          },
+          {
+            name: 'visibleSatellites',
+            type: 'array',
+            count: 'visibleSatelliteCount',
+            fields: [{ name: 'signal', type: 'uint8', description: 'Carrier-to-noise ratio (dB-Hz)' }],
+            description: 'Satellites in view',
+          },
+        ],
+        0x0a: [typeField('iccid'), { name: 'iccid', type: 'hex', size: 10, lowercase: true, description: 'SIM ICCID' }],
+        0x0d: [
+          typeField('fuel_sensor'),
+          { name: 'fuel', type: 'fuelSensor', size: 'rest', flatten: true, description: 'Fuel sensor report' },
+        ],
+        0x0e: [
+          typeField('temperature'),
+          { name: 'sensorCount', type: 'uint8', hidden: true, lengthOf: 'sensors', description: 'Number of sensors' },
+          {
+            name: 'sensors',
+            type: 'array',
+            count: 'sensorCount',
+            fields: [
+              { name: 'sensorId', type: 'uint8', description: 'Sensor number' },
+              { name: 'temperature', type: 'int16', scale: 10, description: 'Temperature (°C)' },
+              { name: 'humidity', type: 'uint8', description: 'Relative humidity (%), 0xFF without a humidity sensor' },
+            ],
+            description: 'Temperature / humidity sensors',
+          },
+        ],
+        0x1b: [
+          typeField('rfid'),
+          { name: 'cardId', type: 'rfidCard', size: 'rest', description: 'Swiped card ID (hex, or text as sent)' },
+        ],
+        default: [typeField('unknown'), rawField],
+      },
+    },
+  ],
+});
+
+export function parseInformationTransmission(packet) {
+  return parseWithSchema(INFORMATION_TRANSMISSION_SCHEMA, packet);
+}
+
+/**
+ * Create an Information Transmission packet as a device sends it
+ * @param {Object} data - { subProtocol, data (as parsed) | content (raw sub-protocol content), serialNumber }
+ * @returns {Buffer} Information transmission packet
+ */
+export function createInformationTransmissionPacket(data) {
+  if (Buffer.isBuffer(data.content)) {
+    return buildPacket(
+      INFORMATION_TRANSMISSION_SCHEMA.protocolNumber,
+      Buffer.concat([Buffer.from([data.subProtocol]), data.content]),
+      data.serialNumber ?? 1,
+      { long: true },
+    );
+  }
+  return encodeWithSchema(INFORMATION_TRANSMISSION_SCHEMA, data);
+}
@@ -3,88 +3,95 @@
  * Based on Concox V5 Protocol Manual
  */
 
-import { getHeaderSize } from '../shared/parser.js';
 import { calculateCRCITU } from '../shared/crc.js';
+import { defineSchema, encodeWithSchema, parseWithSchema } from '../shared/schema.js';
 
+const LBS_ALARM_TYPES = {
+  0x00: "Normal",
+  0x01: "SOS",
+  0x02: "Power Cut Alarm",
+  0x03: "Vibration Alarm",
+  0x04: "Enter Fence Alarm",
+  0x05: "Exit Fence Alarm",
+  0x06: "Over Speed Alarm",
+  0x09: "Vibration alarm",
+  0x0A: "Enter GPS dead zone alarm",
+  0x0B: "Exit GPS dead zone alarm",
+  0x0C: "Power on alarm",
+  0x0D: "GPS First fix notice",
+  0x0E: "External Low battery alarm",
+  0x0F: "Low battery protection alarm",
+  0x10: "SIM change notice",
+  0x11: "Power off alarm",
+  0x12: "Airplane mode alarm",
+  0x13: "Disassemble alarm",
+  0x14: "Door alarm",
+  0x15: "Shutdown alarm (Low Power)",
+  0x16: "Sound alarm",
+  0x19: "Internal low Battery Alarm",
+  0x20: "Sleep mode alarm",
+  0x23: "Fall alarm",
+  0x29: "Harsh acceleration alarm",
+  0x30: "Harsh braking alarm",
+  0x2A: "Sharp Left Turn Alarm",
+  0x2B: "Sharp Right Turn Alarm",
+  0x2C: "Sharp Crash Alarm",
+  0x32: "Pull alarm",
+  0x3E: "Press Button Upload",
+  0x4C: "Sharp Turn Alarm",
+  0xFE: "ACC On alarm",
+  0xFF: "ACC Off alarm",
+};
+
+const LANGUAGES = { 0x00: 'no_reply', 0x01: 'Chinese', 0x02: 'English' };
+
+/**
+ * LBS Alarm packet. Per V5 Protocol PDF section 7.1 (page 21) there is no Date/Time:
+ * MCC(2) + MNC(1) + LAC(2) + Cell ID(3) + Terminal info(1) + Voltage(1) + GSM(1) + Alarm(1) + Language(1)
+ */
+export const LBS_ALARM_SCHEMA = defineSchema({
+  protocolNumber: 0x19,
+  name: 'LBS Alarm',
+  parser: 'parseLBSAlarm',
+  description: 'LBS location + alarm (no Date/Time in packet)',
+  fields: [
+    {
+      name: 'lbs',
+      type: 'struct',
+      description: 'Serving cell',
+      fields: [
+        { name: 'mcc', type: 'uint16', description: 'Mobile country code' },
+        { name: 'mnc', type: 'uint8', description: 'Mobile network code' },
+        { name: 'lac', type: 'uint16', description: 'Location area code' },
+        { name: 'cellId', type: 'hex', size: 3, description: 'Cell tower ID' },
+      ],
+    },
+    { name: 'terminalInfo', type: 'uint8', description: 'Raw terminal info byte' },
+    { name: 'voltageLevel', type: 'uint8', default: 4, description: 'Voltage level 0-6' },
+    { name: 'gsmSignal', type: 'uint8', default: 4, description: 'GSM signal 0-4' },
+    {
+      name: 'alarmByte',
+      type: 'uint8',
+      enum: { table: LBS_ALARM_TYPES, as: 'alarmType' },
+      description: 'Raw alarm code',
+    },
+    {
+      name: 'languageByte',
+      type: 'uint8',
+      enum: { table: LANGUAGES, as: 'language' },
+      default: 0x02,
+      description: 'Reply language',
+    },
+  ],
+});
 
 /**
  * Parse LBS Alarm packet
- * Per V5 Protocol PDF section 7.1 (page 21): No Date/Time. Content = MCC, MNC, LAC, Cell ID, Terminal Info, Voltage, GSM, Alarm/Language.
  * @param {Buffer} packet - Packet buffer
  * @returns {Object} Parsed LBS alarm data
  */
 export function parseLBSAlarm(packet) {
-  const headerSize = getHeaderSize(packet);
-  const dataStart = headerSize + 1;
-
-  // LBS Alarm structure (PDF page 21):
-  // Start(2) + Length(1) + Protocol(1) + MCC(2) + MNC(1) + LAC(2) + CellID(3) + TerminalInfo(1) + Voltage(1) + GSM(1) + Alarm/Language(2) + Serial(2) + CRC(2) + Stop(2)
-  const mcc = packet.readUInt16BE(dataStart);
-  const mnc = packet[dataStart + 2];
-  const lac = packet.readUInt16BE(dataStart + 3);
-  const cellId = packet.readUIntBE(dataStart + 5, 3);
-  const terminalInfo = packet[dataStart + 8];
-  const voltageLevel = packet[dataStart + 9];
-  const gsmSignal = packet[dataStart + 10];
-  const alarmByte = packet[dataStart + 11];
-  const languageByte = packet[dataStart + 12];
-  const serialNumber = packet.readUInt16BE(packet.length - 6);
-
-  const alarmTypes = {
-    0x00: "Normal",
-    0x01: "SOS",
-    0x02: "Power Cut Alarm",
-    0x03: "Vibration Alarm",
-    0x04: "Enter Fence Alarm",
-    0x05: "Exit Fence Alarm",
-    0x06: "Over Speed Alarm",
-    0x09: "Vibration alarm",
-    0x0A: "Enter GPS dead zone alarm",
-    0x0B: "Exit GPS dead zone alarm",
-    0x0C: "Power on alarm",
-    0x0D: "GPS First fix notice",
-    0x0E: "External Low battery alarm",
-    0x0F: "Low battery protection alarm",
-    0x10: "SIM change notice",
-    0x11: "Power off alarm",
-    0x12: "Airplane mode alarm",
-    0x13: "Disassemble alarm",
-    0x14: "Door alarm",
-    0x15: "Shutdown alarm (Low Power)",
-    0x16: "Sound alarm",
-    0x19: "Internal low Battery Alarm",
-    0x20: "Sleep mode alarm",
-    0x23: "Fall alarm",
-    0x29: "Harsh acceleration alarm",
-    0x30: "Harsh braking alarm",
-    0x2A: "Sharp Left Turn Alarm",
-    0x2B: "Sharp Right Turn Alarm",
-    0x2C: "Sharp Crash Alarm",
-    0x32: "Pull alarm",
-    0x3E: "Press Button Upload",
-    0x4C: "Sharp Turn Alarm",
-    0xFE: "ACC On alarm",
-    0xFF: "ACC Off alarm",
-  };
-
-  const languageMap = { 0x00: "no_reply", 0x01: "Chinese", 0x02: "English" };
-
-  return {
-    lbs: {
-      mcc,
-      mnc,
-      lac,
-      cellId: cellId.toString(16).toUpperCase().padStart(6, "0"),
-    },
-    terminalInfo,
-    voltageLevel,
-    gsmSignal,
-    alarmType: alarmTypes[alarmByte] || `Unknown (0x${alarmByte.toString(16)})`,
-    alarmByte,
-    language: languageMap[languageByte] ?? `Unknown (0x${languageByte.toString(16)})`,
-    languageByte,
-    serialNumber,
-  };
+  return parseWithSchema(LBS_ALARM_SCHEMA, packet);
 }
 
 /**
@@ -110,3 +117,11 @@ export function createLBSAlarmAck(serialNumber) {
   ]);
 }
 
+/**
+ * Create an LBS Alarm packet as a device sends it
+ * @param {Object} data - parseLBSAlarm() fields: { lbs, terminalInfo, voltageLevel, gsmSignal, alarmByte, languageByte, serialNumber }
+ * @returns {Buffer} LBS alarm packet
+ */
+export function createLBSAlarmPacket(data) {
+  return encodeWithSchema(LBS_ALARM_SCHEMA, data);
+}
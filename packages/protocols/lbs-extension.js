@@ -3,67 +3,73 @@
  * Based on Concox V5 Protocol Manual - Section 4.1 (page 12)
  */
 
-import { getHeaderSize } from '../shared/parser.js';
+import { formatDatetime } from '../shared/datetime.js';
+import { defineSchema, encodeWithSchema, parseWithSchema } from '../shared/schema.js';
 
 /**
- * Parse LBS Multiple Bases Extension packet
- * Per PDF: DATE(UTC) 6, main base (MCC+MNC+LAC+CI+RSSI) 9 bytes, 6 neighbors each (LAC+CI+RSSI) 6 bytes, Timing Advance 1, LANGUAGE 2.
- * @param {Buffer} packet - Packet buffer
- * @returns {Object} Parsed LBS extension data
+ * Main base station (MCC + MNC + LAC + CI + RSSI, 9 bytes)
  */
-export function parseLBSExtension(packet) {
-  const headerSize = getHeaderSize(packet);
-  const dataStart = headerSize + 1;
-
-  // LBS Extension structure (PDF page 12):
-  // Start(2) + Length(1-2) + Protocol(1) + DATE(UTC)(6) + MCC(2)+MNC(1)+LAC(2)+CI(3)+RSSI(1) + 6×(NLAC(2)+NCI(3)+NRSSI(1)) + TimingAdvance(1) + LANGUAGE(2) + Serial(2) + CRC(2) + Stop(2)
-  const datetime = {
-    year: 2000 + packet[dataStart],
-    month: packet[dataStart + 1],
-    day: packet[dataStart + 2],
-    hour: packet[dataStart + 3],
-    minute: packet[dataStart + 4],
-    second: packet[dataStart + 5],
-  };
+export const MAIN_BASE_FIELDS = [
+  { name: 'mcc', type: 'uint16', description: 'Mobile country code' },
+  { name: 'mnc', type: 'uint8', description: 'Mobile network code' },
+  { name: 'lac', type: 'uint16', description: 'Location area code' },
+  { name: 'cellId', type: 'hex', size: 3, description: 'Cell tower ID' },
+  { name: 'rssi', type: 'uint8', description: 'Signal strength' },
+];
 
-  // Main base: 9 bytes at dataStart+6
-  const mainBase = {
-    mcc: packet.readUInt16BE(dataStart + 6),
-    mnc: packet[dataStart + 8],
-    lac: packet.readUInt16BE(dataStart + 9),
-    cellId: packet.readUIntBE(dataStart + 11, 3).toString(16).toUpperCase().padStart(6, "0"),
-    rssi: packet[dataStart + 14],
-  };
+/**
+ * Six neighbour cells (LAC + CI + RSSI, 6 bytes each)
+ */
+export const NEIGHBOR_FIELDS = [
+  { name: 'lac', type: 'uint16', description: 'Location area code' },
+  { name: 'cellId', type: 'hex', size: 3, description: 'Cell tower ID' },
+  { name: 'rssi', type: 'uint8', description: 'Signal strength' },
+];
 
-  // 6 neighbors: each 6 bytes (LAC 2 + CI 3 + RSSI 1)
-  const neighbors = [];
-  let neighborsParsed = 0;
-  for (let i = 0; i < 6; i++) {
-    const offset = dataStart + 15 + i * 6;
-    if (offset + 6 > packet.length - 6) break;
-    neighbors.push({
-      index: i + 1,
-      lac: packet.readUInt16BE(offset),
-      cellId: packet.readUIntBE(offset + 2, 3).toString(16).toUpperCase().padStart(6, "0"),
-      rssi: packet[offset + 5],
-    });
-    neighborsParsed++;
-  }
+/**
+ * Parsers that return the date/time both formatted and as fields read it
+ * into datetimeRaw; encoders take either
+ */
+export const DATETIME_TEXT = {
+  finish: (result) => ({ datetime: formatDatetime(result.datetimeRaw), ...result }),
+  prepare: (data) => ({ ...data, datetimeRaw: data.datetimeRaw || data.datetime }),
+  derived: [{ path: 'datetime', type: 'string', description: '"YYYY-MM-DD HH:mm:ss"' }],
+};
 
-  // timingAdvance and language follow the neighbors block
-  const afterNeighborsOffset = dataStart + 15 + neighborsParsed * 6;
-  const timingAdvance = packet[afterNeighborsOffset];
-  const language = packet.readUInt16BE(afterNeighborsOffset + 1);
-  const serialNumber = packet.readUInt16BE(packet.length - 6);
+/**
+ * LBS Extension packet: DATE(UTC) 6, main base 9, 6 neighbours of 6,
+ * Timing Advance 1, LANGUAGE 2
+ */
+export const LBS_EXTENSION_SCHEMA = defineSchema({
+  protocolNumber: 0x28,
+  name: 'LBS Multiple Bases Extension',
+  parser: 'parseLBSExtension',
+  description: 'Date + main base + 6 neighbors + timing/language',
+  fields: [
+    { name: 'datetimeRaw', type: 'datetime', description: 'UTC date/time' },
+    { name: 'mainBase', type: 'struct', fields: MAIN_BASE_FIELDS, description: 'Serving cell' },
+    { name: 'neighbors', type: 'array', count: 6, index: true, fields: NEIGHBOR_FIELDS, description: 'Neighbour cells' },
+    { name: 'timingAdvance', type: 'uint8', description: 'Timing advance' },
+    { name: 'language', type: 'uint16', default: 0x0002, description: 'Language' },
+  ],
+  ...DATETIME_TEXT,
+});
 
-  return {
-    datetime: `${datetime.year}-${String(datetime.month).padStart(2, "0")}-${String(datetime.day).padStart(2, "0")} ${String(datetime.hour).padStart(2, "0")}:${String(datetime.minute).padStart(2, "0")}:${String(datetime.second).padStart(2, "0")}`,
-    datetimeRaw: datetime,
-    mainBase,
-    neighbors,
-    timingAdvance,
-    language,
-    serialNumber,
-  };
+/**
+ * Parse LBS Multiple Bases Extension packet
+ * @param {Buffer} packet - Packet buffer
+ * @returns {Object} Parsed LBS extension data
+ */
+export function parseLBSExtension(packet) {
+  return parseWithSchema(LBS_EXTENSION_SCHEMA, packet);
 }
 
+/**
+ * Create an LBS Multiple Bases Extension packet as a device sends it; missing
+ * neighbours are zero-filled
+ * @param {Object} data - parseLBSExtension() fields: { datetimeRaw | datetime, mainBase, neighbors, timingAdvance, language, serialNumber }
+ * @returns {Buffer} LBS extension packet
+ */
+export function createLBSExtensionPacket(data) {
+  return encodeWithSchema(LBS_EXTENSION_SCHEMA, data);
+}
@@ -2,17 +2,38 @@
  * Login Protocol Handler (0x01)
  */
 
-import { getHeaderSize } from '../shared/parser.js';
-import { extractIMEI } from '../shared/imei.js';
 import { calculateCRCITU } from '../shared/crc.js';
+import { defineSchema, encodeWithSchema, parseWithSchema } from '../shared/schema.js';
+
+/**
+ * Login packet: IMEI(8) + Type identifier(2) + Time zone/language(2)
+ */
+export const LOGIN_SCHEMA = defineSchema({
+  protocolNumber: 0x01,
+  name: 'Login',
+  parser: 'parseLogin',
+  description: 'Device IMEI and serial number',
+  fields: [
+    { name: 'imei', type: 'imei', raw: 'imeiBytes', description: 'Device IMEI (8 BCD bytes)' },
+    { name: 'typeId', type: 'uint16', default: 0x3608, description: 'Model type identifier' },
+    {
+      name: 'zoneLanguage',
+      type: 'uint16',
+      hidden: true,
+      default: 0x0002,
+      description: 'bits15-4: time zone in hours x100, bit3: west, bits1-0: language',
+    },
+  ],
+  prepare: (data) => {
+    if (data.zoneLanguage !== undefined || data.timezoneOffsetMinutes === undefined) return data;
+    const offset = data.timezoneOffsetMinutes;
+    const zone = Math.round((Math.abs(offset) / 60) * 100);
+    return { ...data, zoneLanguage: (zone << 4) | (offset < 0 ? 0x08 : 0) | 0x02 };
+  },
+});
 
 export function parseLogin(packet) {
-  const headerSize = getHeaderSize(packet);
-  const imeiBytes = packet.slice(headerSize + 1, headerSize + 9);
-  const imei = extractIMEI(imeiBytes);
-  const serialNumber = packet.readUInt16BE(packet.length - 6);
-  
-  return { imei, serialNumber, imeiBytes };
+  return parseWithSchema(LOGIN_SCHEMA, packet);
 }
 
 export function createLoginAck(serialNumber) {
@@ -31,3 +52,11 @@ export function createLoginAck(serialNumber) {
   ]);
 }
 
+/**
+ * Create a Login packet as a device sends it
+ * @param {Object} data - { imei, serialNumber, typeId, timezoneOffsetMinutes }
+ * @returns {Buffer} Login packet
+ */
+export function createLoginPacket(data) {
+  return encodeWithSchema(LOGIN_SCHEMA, data);
+}
@@ -0,0 +1,196 @@
+/**
+ * 4G/LTE Protocol Handlers (0xA0 location, 0xA1 LBS extension, 0xA4 alarm)
+ * Same content as 0x22, 0x28 and 0x26, with wider cells: LAC(4) and Cell ID(8),
+ * and a 2-byte MNC when bit 15 of the MCC is set.
+ */
+
+import { buildPacket } from '../shared/encoding.js';
+import { defineSchema, encodeWithSchema, parseWithSchema } from '../shared/schema.js';
+import { ALARM_TYPES } from './alarm.js';
+import { GPS_LOCATION_SCHEMA } from './gps.js';
+import { DATETIME_TEXT } from './lbs-extension.js';
+
+const MNC_TWO_BYTES = 0x8000;
+
+/**
+ * LTE serving cell: MCC(2) + MNC(1 or 2) + LAC(4) + Cell ID(8)
+ */
+export const LTE_CELL_FIELDS = [
+  {
+    name: 'mcc',
+    type: 'uint16',
+    flags: { bits: { mncTwoBytes: MNC_TWO_BYTES } },
+    description: 'Mobile country code; bit 15 set when the MNC is 2 bytes (cleared in the result)',
+  },
+  {
+    name: 'mnc',
+    type: 'uint8',
+    when: [(values) => (values.mcc & MNC_TWO_BYTES) === 0, 'MCC bit 15 is clear'],
+    description: 'Mobile network code',
+  },
+  {
+    name: 'mnc',
+    type: 'uint16',
+    when: [(values) => (values.mcc & MNC_TWO_BYTES) !== 0, 'MCC bit 15 is set'],
+    description: 'Mobile network code',
+  },
+  { name: 'lac', type: 'uint32', description: 'Location / tracking area code' },
+  { name: 'cellId', type: 'uint64', description: 'Cell ID' },
+];
+
+/**
+ * LTE neighbour cell: LAC(4) + Cell ID(8) + RSSI(1)
+ */
+const LTE_NEIGHBOR_FIELDS = [
+  { name: 'lac', type: 'uint32', description: 'Location / tracking area code' },
+  { name: 'cellId', type: 'uint64', description: 'Cell ID' },
+  { name: 'rssi', type: 'uint8', description: 'Signal strength' },
+];
+
+/**
+ * Clear the MNC length bit from a parsed cell's MCC
+ */
+function finishCell(cell) {
+  return cell && { ...cell, mcc: cell.mcc & ~MNC_TWO_BYTES };
+}
+
+/**
+ * Set the MCC's MNC length bit for a 2-byte MNC (mncTwoBytes, or an MNC above 0xFF)
+ */
+function prepareCell(cell) {
+  const fields = cell || {};
+  const twoBytes = fields.mncTwoBytes ?? fields.mnc > 0xff;
+  return { ...fields, mcc: ((fields.mcc ?? 0) & ~MNC_TWO_BYTES) | (twoBytes ? MNC_TWO_BYTES : 0) };
+}
+
+/**
+ * LTE location: Date(6) + GPS(12) + LTE cell(15-16), then ACC(1) + Upload mode(1) +
+ * Re-upload(1) + Mileage(4) as in 0x22
+ */
+export const LTE_LOCATION_SCHEMA = defineSchema({
+  protocolNumber: 0xa0,
+  name: 'LTE Location',
+  parser: 'parseLTELocation',
+  description: 'Date/time GPS coords speed course LTE cell odometer',
+  fields: GPS_LOCATION_SCHEMA.fields.map((field) =>
+    field.name === 'lbs' ? { ...field, fields: LTE_CELL_FIELDS } : field,
+  ),
+  prepare: (data) => GPS_LOCATION_SCHEMA.prepare({ ...data, lbs: prepareCell(data.lbs) }),
+  finish: (result) => ({ ...result, lbs: finishCell(result.lbs) }),
+});
+
+/**
+ * LTE LBS extension: Date(6) + main cell(16-17 with RSSI) + 6 neighbours of 13 +
+ * Timing Advance(1) + Language(2)
+ */
+export const LTE_LBS_EXTENSION_SCHEMA = defineSchema({
+  protocolNumber: 0xa1,
+  name: 'LTE LBS Extension',
+  parser: 'parseLTELBSExtension',
+  description: 'Date + main LTE cell + 6 neighbors + timing/language',
+  fields: [
+    { name: 'datetimeRaw', type: 'datetime', description: 'UTC date/time' },
+    {
+      name: 'mainBase',
+      type: 'struct',
+      fields: [...LTE_CELL_FIELDS, { name: 'rssi', type: 'uint8', description: 'Signal strength' }],
+      description: 'Serving cell',
+    },
+    { name: 'neighbors', type: 'array', count: 6, index: true, fields: LTE_NEIGHBOR_FIELDS, description: 'Neighbour cells' },
+    { name: 'timingAdvance', type: 'uint8', description: 'Timing advance' },
+    { name: 'language', type: 'uint16', default: 0x0002, description: 'Language' },
+  ],
+  prepare: (data) => DATETIME_TEXT.prepare({ ...data, mainBase: prepareCell(data.mainBase) }),
+  finish: (result) => DATETIME_TEXT.finish({ ...result, mainBase: finishCell(result.mainBase) }),
+  derived: DATETIME_TEXT.derived,
+});
+
+/**
+ * LTE alarm: Date(6) + GPS(12) + LBS length(1) + LTE cell(15-16) + Terminal info(1) +
+ * Voltage level(1) + GSM signal(1) + Alarm(1) + Language(1)
+ */
+export const LTE_ALARM_SCHEMA = defineSchema({
+  protocolNumber: 0xa4,
+  name: 'LTE Alarm',
+  parser: 'parseLTEAlarm',
+  description: 'Date/time + GPS + LTE cell + status + alarm type',
+  fields: [
+    { name: 'datetime', type: 'datetime', description: 'UTC date/time of the alarm' },
+    { name: 'gpsData', type: 'gps', description: 'GPS block' },
+    { name: 'lbsLength', type: 'uint8', hidden: true, description: 'LBS length (itself plus the cell bytes)' },
+    {
+      name: 'lbs',
+      type: 'struct',
+      size: 'lbsLength',
+      sizeAdjust: -1,
+      fields: LTE_CELL_FIELDS,
+      description: 'Serving cell (null when lbsLength is 0 or 1)',
+    },
+    { name: 'terminalInfo', type: 'uint8', description: 'Raw terminal info byte' },
+    { name: 'voltageLevel', type: 'uint8', default: 4, description: 'Voltage level 0-6' },
+    { name: 'gsmSignal', type: 'uint8', default: 4, description: 'GSM signal 0-4' },
+    {
+      name: 'alarmByte',
+      type: 'uint8',
+      enum: { table: ALARM_TYPES, as: 'alarmType' },
+      description: 'Raw alarm code',
+    },
+    { name: 'language', type: 'uint8', hidden: true, default: 0x02, description: 'Language (0x02 English)' },
+  ],
+  prepare: (data) => {
+    const lbs = prepareCell(data.lbs);
+    return { ...data, lbs, lbsLength: lbs.mcc & MNC_TWO_BYTES ? 17 : 16 };
+  },
+  finish: (result) => ({ ...result, lbs: finishCell(result.lbs) }),
+});
+
+export function parseLTELocation(packet) {
+  return parseWithSchema(LTE_LOCATION_SCHEMA, packet);
+}
+
+export function parseLTELBSExtension(packet) {
+  return parseWithSchema(LTE_LBS_EXTENSION_SCHEMA, packet);
+}
+
+export function parseLTEAlarm(packet) {
+  return parseWithSchema(LTE_ALARM_SCHEMA, packet);
+}
+
+/**
+ * Create LTE alarm acknowledgment (0xA4, no content)
+ * @param {number} serialNumber - Serial number from device
+ * @returns {Buffer} Acknowledgment packet
+ */
+export function createLTEAlarmAck(serialNumber) {
+  return buildPacket(0xa4, Buffer.alloc(0), serialNumber);
+}
+
+/**
+ * Create an LTE location packet as a device sends it
+ * @param {Object} data - parseLTELocation() fields (see createGPSLocationPacket); lbs is
+ *   { mcc, mnc, lac, cellId, mncTwoBytes }
+ * @returns {Buffer} Location packet
+ */
+export function createLTELocationPacket(data) {
+  return encodeWithSchema(LTE_LOCATION_SCHEMA, data);
+}
+
+/**
+ * Create an LTE LBS extension packet as a device sends it; missing neighbours are zero-filled
+ * @param {Object} data - parseLTELBSExtension() fields: { datetimeRaw | datetime, mainBase, neighbors,
+ *   timingAdvance, language, serialNumber }
+ * @returns {Buffer} LBS extension packet
+ */
+export function createLTELBSExtensionPacket(data) {
+  return encodeWithSchema(LTE_LBS_EXTENSION_SCHEMA, data);
+}
+
+/**
+ * Create an LTE alarm packet as a device sends it
+ * @param {Object} data - parseLTEAlarm() fields: { datetime, gpsData, lbs, terminalInfo, voltageLevel,
+ *   gsmSignal, alarmByte | alarmType, serialNumber }
+ * @returns {Buffer} Alarm packet
+ */
+export function createLTEAlarmPacket(data) {
+  return encodeWithSchema(LTE_ALARM_SCHEMA, data);
+}
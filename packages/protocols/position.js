@@ -0,0 +1,168 @@
+/**
+ * Normalized positions
+ * Parsers return location in different shapes (GPS fields flattened or in gpsData,
+ * date/time as an object or text, cell IDs as numbers or hex). The functions here turn
+ * any location-bearing packet into one Position:
+ *
+ *   deviceTime    - ISO 8601 UTC, null when the packet carries no time (0x19)
+ *   source        - 'gps' when the packet has GPS coordinates, otherwise 'wifi' when it lists
+ *                   access points, otherwise 'lbs'
+ *   latitude      - Signed decimal degrees (north positive), null without GPS
+ *   longitude     - Signed decimal degrees (east positive), null without GPS
+ *   gpsPositioned - Whether the GPS had a fix, null without GPS
+ *   satellites    - Satellites in use, null without GPS
+ *   speed         - km/h, null without GPS
+ *   course        - Degrees from north, null without GPS
+ *   accuracy      - Estimated error radius in meters, null when unknown
+ *   cells         - [{ mcc, mnc, lac, cellId, rssi }], serving cell first; rssi is null when not sent
+ *   accessPoints  - [{ mac, signal, ssid }], signal in dBm
+ *   acc           - Ignition on/off, null when not reported
+ *   mileage       - Odometer (meters), null when not reported
+ *   uploadMode    - Why the fix was uploaded (0x22 upload mode code), null when not reported
+ *   serialNumber  - Information serial number of the packet
+ *
+ * The packets themselves never set accuracy: V5 packets carry no HDOP or error estimate, and
+ * cells and access points only get coordinates (and an accuracy) from an external geolocation
+ * service, which can fill in latitude, longitude and accuracy on the Position.
+ */
+
+import { datetimeToISO } from '../shared/datetime.js';
+
+export const POSITION_SOURCES = ['gps', 'lbs', 'wifi'];
+
+/**
+ * Cell IDs of 2G cells in LBS, WiFi and LBS alarm packets are parsed as 3-byte hex text;
+ * every other cell ID is a number (or decimal text for LTE IDs above 2^53)
+ */
+function cellIdValue(cellId) {
+  return typeof cellId === 'string' && /^[0-9A-F]{6}$/.test(cellId) ? parseInt(cellId, 16) : cellId;
+}
+
+/**
+ * Serving or neighbour cell; neighbours share the serving cell's MCC and MNC
+ */
+function toCell(cell, serving = cell) {
+  return {
+    mcc: serving.mcc ?? null,
+    mnc: serving.mnc ?? null,
+    lac: cell.lac ?? null,
+    cellId: cellIdValue(cell.cellId ?? cell.ci ?? null),
+    rssi: cell.rssi ?? null,
+  };
+}
+
+/**
+ * Serving cell plus the neighbours the device actually reported (unused slots are zero-filled)
+ */
+function toCells(mainBase, neighbors = []) {
+  if (!mainBase) return [];
+  const reported = neighbors.filter((cell) => cell.lac || cellIdValue(cell.cellId));
+  return [toCell(mainBase), ...reported.map((cell) => toCell(cell, mainBase))];
+}
+
+/**
+ * Date/time as parsed: a { year, ... } object, or text with the object in datetimeRaw
+ */
+function toISO(data) {
+  const datetime = typeof data.datetime === 'object' ? data.datetime : data.datetimeRaw;
+  return datetimeToISO(datetime);
+}
+
+/**
+ * Build a Position, filling everything not given with null
+ * @param {Object} fields - Position fields
+ * @returns {Object} Position
+ */
+export function createPosition(fields = {}) {
+  const gps = typeof fields.latitude === 'number' && typeof fields.longitude === 'number';
+  const accessPoints = fields.accessPoints || [];
+  return {
+    deviceTime: fields.deviceTime ?? null,
+    source: fields.source || (gps ? 'gps' : accessPoints.length > 0 ? 'wifi' : 'lbs'),
+    latitude: gps ? fields.latitude : null,
+    longitude: gps ? fields.longitude : null,
+    gpsPositioned: fields.gpsPositioned ?? null,
+    satellites: fields.satellites ?? null,
+    speed: fields.speed ?? null,
+    course: fields.course ?? null,
+    accuracy: fields.accuracy ?? null,
+    cells: fields.cells || [],
+    accessPoints,
+    acc: fields.acc ?? null,
+    mileage: fields.mileage ?? null,
+    uploadMode: fields.uploadMode ?? null,
+    serialNumber: fields.serialNumber ?? null,
+  };
+}
+
+/**
+ * Position from a packet with flattened GPS fields: location (0x22, 0x12, 0xA0)
+ * and GPS / LBS address requests (0x1A, 0x17)
+ * @param {Object} data - Parser result
+ * @returns {Object} Position
+ */
+export function gpsPosition(data) {
+  return createPosition({
+    deviceTime: toISO(data),
+    latitude: data.latitude,
+    longitude: data.longitude,
+    gpsPositioned: data.gpsPositioned,
+    satellites: data.satellites,
+    speed: data.speed,
+    course: data.course,
+    cells: toCells(data.lbs),
+    acc: data.acc === null || data.acc === undefined ? null : data.acc === 0x01,
+    mileage: data.mileage,
+    uploadMode: data.dataUploadMode,
+    serialNumber: data.serialNumber,
+  });
+}
+
+/**
+ * Position from an alarm: the GPS block is in gpsData (null or missing without
+ * a fix) and 0x19 has only the serving cell
+ * @param {Object} data - Parser result of 0x26, 0x16, 0x27, 0xA4 or 0x19
+ * @returns {Object} Position
+ */
+export function alarmPosition(data) {
+  const gps = data.gpsData || {};
+  return createPosition({
+    deviceTime: toISO(data),
+    latitude: gps.latitude,
+    longitude: gps.longitude,
+    // parseAlarmHVT001() names the fix flag `positioned`
+    gpsPositioned: gps.gpsPositioned ?? gps.positioned,
+    satellites: gps.satellites,
+    speed: gps.speed,
+    course: gps.course,
+    cells: toCells(data.lbs),
+    serialNumber: data.serialNumber,
+  });
+}
+
+/**
+ * Position from an LBS multiple bases packet (0x28, 0x18, 0xA1)
+ * @param {Object} data - Parser result
+ * @returns {Object} Position
+ */
+export function lbsPosition(data) {
+  return createPosition({
+    deviceTime: toISO(data),
+    cells: toCells(data.mainBase, data.neighbors),
+    serialNumber: data.serialNumber,
+  });
+}
+
+/**
+ * Position from a WiFi packet (0x2C): cells and access points
+ * @param {Object} data - Parser result
+ * @returns {Object} Position
+ */
+export function wifiPosition(data) {
+  return createPosition({
+    deviceTime: toISO(data),
+    cells: toCells(data.lbs?.mainBase, data.lbs?.neighbors),
+    accessPoints: (data.accessPoints || []).map(({ mac, signal, ssid }) => ({ mac, signal, ssid })),
+    serialNumber: data.serialNumber,
+  });
+}
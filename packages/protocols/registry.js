@@ -0,0 +1,346 @@
+/**
+ * Protocol handler registry
+ *
+ * A handler describes how the server treats one protocol number:
+ *   protocolNumber - Protocol number (0x00-0xFF)
+ *   name           - Display name used in logs
+ *   parse          - (packet) => data; decode a complete packet
+ *   ack            - (data, context) => Buffer | null; reply written to the device (optional)
+ *   normalize      - (data, context) => { event, payload } | null; what the server does with the
+ *                    data: built-in events (location, alarm, information, ...) are stored and
+ *                    processed like the built-in packets, any other event is only emitted (optional)
+ *   position       - (data, context) => Position | null; the packet's location in the normalized
+ *                    shape of position.js, for packets that carry one (optional)
+ *
+ * context is { imei, model, clientInfo, packet } for the connection the packet arrived on.
+ * Handlers registered for a device model take precedence over the default handler
+ * for the same protocol number, for devices of that model.
+ */
+
+import { getProtocolName } from '../shared/protocols.js';
+import { parseLogin, createLoginAck } from './login.js';
+import { parseHeartbeat, createHeartbeatAck } from './heartbeat.js';
+import { parseGPSLocation } from './gps.js';
+import { parseAlarm, createAlarmAck } from './alarm.js';
+import { parseLBSAlarm, createLBSAlarmAck } from './lbs-alarm.js';
+import { parseLBSExtension } from './lbs-extension.js';
+import { parseWiFi, createWiFiResponse } from './wifi.js';
+import { parseCommandResponse } from './command-response.js';
+import { parseCommandResponseJM01 } from './command-response-jm01.js';
+import { parseAlarmHVT001, createAlarmHVT001Ack } from './alarm-hvt001.js';
+import { parseExternalDeviceTransfer, createExternalDeviceResponse } from './external-device.js';
+import { parseExternalModuleTransmission, createExternalModuleResponse } from './external-module.js';
+import { parseFileTransfer } from './file-transfer.js';
+import { parseTimeCalibration, createTimeCalibrationResponse } from './time-calibration.js';
+import { parseInformationTransmission } from './information-transmission.js';
+import { parseGT06Location, parseGT06Alarm, parseGT06LBSExtension, createGT06AlarmAck } from './gt06.js';
+import { parseGPSAddressRequest, parseLBSAddressRequest } from './address-request.js';
+import { parseLTELocation, parseLTELBSExtension, parseLTEAlarm, createLTEAlarmAck } from './lte.js';
+import { gpsPosition, alarmPosition, lbsPosition, wifiPosition } from './position.js';
+
+/**
+ * normalize() for handlers whose parsed data is the event payload as is
+ */
+function emitAs(event) {
+  return (data) => ({ event, payload: data });
+}
+
+/**
+ * Alarm parser (0x26, GT06 0x16) whose result is enriched with the
+ * HVT001-style fields (gpsData, lbs, terminalInfo) when present
+ */
+function enrichedAlarm(parse) {
+  return (packet) => {
+    const data = parse(packet);
+    try {
+      const hvt = parseAlarmHVT001(packet);
+      if (hvt.gpsData) data.gpsData = hvt.gpsData;
+      if (hvt.lbs) data.lbs = hvt.lbs;
+      if (hvt.terminalInfo) data.terminalInfo = hvt.terminalInfo;
+    } catch (error) {
+      // HVT001 layout not applicable to this packet
+    }
+    return data;
+  };
+}
+
+export const BUILT_IN_PROTOCOL_HANDLERS = [
+  {
+    protocolNumber: 0x01,
+    name: 'Login',
+    parse: parseLogin,
+    ack: (data) => createLoginAck(data.serialNumber),
+    normalize: emitAs('login'),
+  },
+  {
+    protocolNumber: 0x12,
+    name: 'GT06 Location',
+    parse: parseGT06Location,
+    normalize: emitAs('location'),
+    position: gpsPosition,
+  },
+  {
+    protocolNumber: 0x13,
+    name: 'Heartbeat',
+    parse: parseHeartbeat,
+    ack: (data) => createHeartbeatAck(data.serialNumber),
+    normalize: emitAs('heartbeat'),
+  },
+  {
+    protocolNumber: 0x15,
+    name: 'Command Response JM01',
+    parse: parseCommandResponseJM01,
+    normalize: emitAs('commandResponse'),
+  },
+  {
+    protocolNumber: 0x16,
+    name: 'GT06 Alarm',
+    parse: enrichedAlarm(parseGT06Alarm),
+    ack: (data) => createGT06AlarmAck(data.serialNumber),
+    normalize: emitAs('alarm'),
+    position: alarmPosition,
+  },
+  {
+    protocolNumber: 0x17,
+    name: 'LBS Address Request',
+    parse: parseLBSAddressRequest,
+    normalize: emitAs('addressRequest'),
+    position: gpsPosition,
+  },
+  {
+    protocolNumber: 0x18,
+    name: 'GT06 LBS Extension',
+    parse: parseGT06LBSExtension,
+    normalize: emitAs('lbs'),
+    position: lbsPosition,
+  },
+  {
+    protocolNumber: 0x19,
+    name: 'LBS Alarm',
+    parse: parseLBSAlarm,
+    ack: (data) => createLBSAlarmAck(data.serialNumber),
+    normalize: emitAs('alarm'),
+    position: alarmPosition,
+  },
+  {
+    protocolNumber: 0x1a,
+    name: 'GPS Address Request',
+    parse: parseGPSAddressRequest,
+    normalize: emitAs('addressRequest'),
+    position: gpsPosition,
+  },
+  {
+    protocolNumber: 0x21,
+    name: 'Command Response',
+    parse: parseCommandResponse,
+    normalize: emitAs('commandResponse'),
+  },
+  {
+    protocolNumber: 0x22,
+    name: 'GPS Location',
+    parse: parseGPSLocation,
+    normalize: emitAs('location'),
+    position: gpsPosition,
+  },
+  {
+    protocolNumber: 0x26,
+    name: 'Alarm',
+    parse: enrichedAlarm(parseAlarm),
+    ack: (data) => createAlarmAck(data.serialNumber),
+    normalize: emitAs('alarm'),
+    position: alarmPosition,
+  },
+  {
+    protocolNumber: 0x27,
+    name: 'Alarm HVT001',
+    parse: parseAlarmHVT001,
+    ack: (data) => createAlarmHVT001Ack(data.serialNumber),
+    normalize: emitAs('alarm'),
+    position: alarmPosition,
+  },
+  {
+    protocolNumber: 0x28,
+    name: 'LBS Extension',
+    parse: parseLBSExtension,
+    normalize: emitAs('lbs'),
+    position: lbsPosition,
+  },
+  {
+    protocolNumber: 0x2c,
+    name: 'WiFi',
+    parse: parseWiFi,
+    ack: (data) => createWiFiResponse(data.serialNumber),
+    normalize: emitAs('wifi'),
+    position: wifiPosition,
+  },
+  {
+    protocolNumber: 0x8a,
+    name: 'Time Calibration',
+    parse: parseTimeCalibration,
+    ack: (data) => createTimeCalibrationResponse(data.serialNumber, new Date()),
+    normalize: emitAs('timeCalibration'),
+  },
+  {
+    protocolNumber: 0x8d,
+    name: 'File Transfer HVT001',
+    parse: parseFileTransfer,
+    // No ack here: the server acks each chunk once it is reassembled (NACK for a corrupt file)
+    normalize: emitAs('fileChunk'),
+  },
+  {
+    protocolNumber: 0x94,
+    name: 'Information Transmission',
+    parse: parseInformationTransmission,
+    normalize: emitAs('information'),
+  },
+  {
+    protocolNumber: 0x9b,
+    name: 'External Device Transfer (X3)',
+    parse: parseExternalDeviceTransfer,
+    ack: (data) => createExternalDeviceResponse(data.serialNumber),
+    normalize: emitAs('externalData'),
+  },
+  {
+    protocolNumber: 0x9c,
+    name: 'External Module Transmission (U20)',
+    parse: parseExternalModuleTransmission,
+    ack: (data) => createExternalModuleResponse(data.serialNumber, data.moduleId),
+    normalize: emitAs('externalData'),
+  },
+  {
+    protocolNumber: 0xa0,
+    name: 'LTE Location',
+    parse: parseLTELocation,
+    normalize: emitAs('location'),
+    position: gpsPosition,
+  },
+  {
+    protocolNumber: 0xa1,
+    name: 'LTE LBS Extension',
+    parse: parseLTELBSExtension,
+    normalize: emitAs('lbs'),
+    position: lbsPosition,
+  },
+  {
+    protocolNumber: 0xa4,
+    name: 'LTE Alarm',
+    parse: parseLTEAlarm,
+    ack: (data) => createLTEAlarmAck(data.serialNumber),
+    normalize: emitAs('alarm'),
+    position: alarmPosition,
+  },
+];
+
+export class ProtocolRegistry {
+  constructor() {
+    this.handlers = new Map(); // protocol number -> handler
+    this.modelHandlers = new Map(); // device model -> Map(protocol number -> handler)
+  }
+
+  /**
+   * Register a handler, replacing any handler for the same protocol number (and model)
+   * @param {Object} handler - { protocolNumber, name, parse, ack, normalize, position }
+   * @param {Object} options - Registration options
+   * @param {string} options.model - Only use the handler for devices of this model
+   * @returns {ProtocolRegistry} this, for chaining
+   */
+  register(handler, options = {}) {
+    const { protocolNumber, name, parse, ack, normalize, position } = handler || {};
+    if (!Number.isInteger(protocolNumber) || protocolNumber < 0 || protocolNumber > 0xff) {
+      throw new Error(`Protocol handler needs a protocolNumber between 0x00 and 0xFF, got ${protocolNumber}`);
+    }
+    if (typeof name !== 'string' || !name) {
+      throw new Error(`Protocol handler 0x${protocolNumber.toString(16)} needs a name`);
+    }
+    if (typeof parse !== 'function') {
+      throw new Error(`Protocol handler "${name}" needs a parse function`);
+    }
+    for (const [key, value] of Object.entries({ ack, normalize, position })) {
+      if (value !== undefined && typeof value !== 'function') {
+        throw new Error(`Protocol handler "${name}": ${key} must be a function`);
+      }
+    }
+
+    const entry = {
+      protocolNumber,
+      name,
+      parse,
+      ack: ack || null,
+      normalize: normalize || null,
+      position: position || null,
+    };
+    if (options.model) {
+      if (!this.modelHandlers.has(options.model)) {
+        this.modelHandlers.set(options.model, new Map());
+      }
+      this.modelHandlers.get(options.model).set(protocolNumber, { ...entry, model: options.model });
+    } else {
+      this.handlers.set(protocolNumber, { ...entry, model: null });
+    }
+    return this;
+  }
+
+  /**
+   * Remove a handler
+   * @param {number} protocolNumber - Protocol number
+   * @param {Object} options - { model }: remove the override for this model instead of the default handler
+   * @returns {boolean} Whether a handler was removed
+   */
+  unregister(protocolNumber, options = {}) {
+    if (options.model) {
+      const handlers = this.modelHandlers.get(options.model);
+      return handlers ? handlers.delete(protocolNumber) : false;
+    }
+    return this.handlers.delete(protocolNumber);
+  }
+
+  /**
+   * Handler for a packet: the model's override if there is one, else the default handler
+   * @param {number} protocolNumber - Protocol number
+   * @param {string|null} model - Device model (null before login or when unknown)
+   * @returns {Object|null} Handler
+   */
+  resolve(protocolNumber, model = null) {
+    const override = model ? this.modelHandlers.get(model)?.get(protocolNumber) : null;
+    return override || this.handlers.get(protocolNumber) || null;
+  }
+
+  /**
+   * Display name of a protocol number
+   * @param {number} protocolNumber - Protocol number
+   * @param {string|null} model - Device model
+   * @returns {string} Protocol name
+   */
+  getName(protocolNumber, model = null) {
+    return this.resolve(protocolNumber, model)?.name || getProtocolName(protocolNumber);
+  }
+
+  /**
+   * Every registered handler, defaults first, in protocol number order
+   * @returns {Object[]} [{ protocolNumber, name, model }]
+   */
+  list() {
+    const describe = ({ protocolNumber, name, model }) => ({ protocolNumber, name, model });
+    const byNumber = (a, b) => a.protocolNumber - b.protocolNumber;
+    return [
+      ...[...this.handlers.values()].sort(byNumber).map(describe),
+      ...[...this.modelHandlers.values()].flatMap((handlers) =>
+        [...handlers.values()].sort(byNumber).map(describe),
+      ),
+    ];
+  }
+}
+
+/**
+ * Registry with the built-in handlers registered
+ * @param {Object[]} handlers - Extra handlers to register on top, e.g. from a plugin;
+ *   a handler with a `model` property is registered for that model only
+ * @returns {ProtocolRegistry}
+ */
+export function createProtocolRegistry(handlers = []) {
+  const registry = new ProtocolRegistry();
+  for (const handler of [...BUILT_IN_PROTOCOL_HANDLERS, ...handlers]) {
+    registry.register(handler, { model: handler.model });
+  }
+  return registry;
+}
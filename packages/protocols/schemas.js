@@ -0,0 +1,59 @@
+/**
+ * Schemas of every packet a device sends, in protocol number order.
+ * The packet documentation (scripts/generate-packet-docs.js) is generated
+ * from this list, so a new protocol handler's schema belongs here too.
+ */
+
+import { LOGIN_SCHEMA } from './login.js';
+import { HEARTBEAT_SCHEMA } from './heartbeat.js';
+import { COMMAND_RESPONSE_JM01_SCHEMA } from './command-response-jm01.js';
+import { LBS_ALARM_SCHEMA } from './lbs-alarm.js';
+import { COMMAND_RESPONSE_SCHEMA } from './command-response.js';
+import { GPS_LOCATION_SCHEMA } from './gps.js';
+import { ALARM_SCHEMA } from './alarm.js';
+import { ALARM_HVT001_SCHEMA } from './alarm-hvt001.js';
+import { LBS_EXTENSION_SCHEMA } from './lbs-extension.js';
+import { WIFI_SCHEMA } from './wifi.js';
+import { TIME_CALIBRATION_SCHEMA } from './time-calibration.js';
+import { FILE_TRANSFER_SCHEMA } from './file-transfer.js';
+import { INFORMATION_TRANSMISSION_SCHEMA } from './information-transmission.js';
+import { EXTERNAL_DEVICE_SCHEMA } from './external-device.js';
+import { EXTERNAL_MODULE_SCHEMA } from './external-module.js';
+import { GT06_ALARM_SCHEMA, GT06_LBS_EXTENSION_SCHEMA, GT06_LOCATION_SCHEMA } from './gt06.js';
+import { GPS_ADDRESS_REQUEST_SCHEMA, LBS_ADDRESS_REQUEST_SCHEMA } from './address-request.js';
+import { LTE_ALARM_SCHEMA, LTE_LBS_EXTENSION_SCHEMA, LTE_LOCATION_SCHEMA } from './lte.js';
+
+export const PACKET_SCHEMAS = [
+  LOGIN_SCHEMA,
+  GT06_LOCATION_SCHEMA,
+  HEARTBEAT_SCHEMA,
+  COMMAND_RESPONSE_JM01_SCHEMA,
+  GT06_ALARM_SCHEMA,
+  LBS_ADDRESS_REQUEST_SCHEMA,
+  GT06_LBS_EXTENSION_SCHEMA,
+  LBS_ALARM_SCHEMA,
+  GPS_ADDRESS_REQUEST_SCHEMA,
+  COMMAND_RESPONSE_SCHEMA,
+  GPS_LOCATION_SCHEMA,
+  ALARM_SCHEMA,
+  ALARM_HVT001_SCHEMA,
+  LBS_EXTENSION_SCHEMA,
+  WIFI_SCHEMA,
+  TIME_CALIBRATION_SCHEMA,
+  FILE_TRANSFER_SCHEMA,
+  INFORMATION_TRANSMISSION_SCHEMA,
+  EXTERNAL_DEVICE_SCHEMA,
+  EXTERNAL_MODULE_SCHEMA,
+  LTE_LOCATION_SCHEMA,
+  LTE_LBS_EXTENSION_SCHEMA,
+  LTE_ALARM_SCHEMA,
+];
+
+/**
+ * Schema for a protocol number
+ * @param {number} protocolNumber - Protocol number
+ * @returns {Object|undefined} Packet schema
+ */
+export function getPacketSchema(protocolNumber) {
+  return PACKET_SCHEMAS.find((schema) => schema.protocolNumber === protocolNumber);
+}
@@ -3,10 +3,21 @@
  */
 
 import { calculateCRCITU } from '../shared/crc.js';
+import { defineSchema, encodeWithSchema, parseWithSchema } from '../shared/schema.js';
+
+/**
+ * Time Calibration request: no content, the device only asks for the time
+ */
+export const TIME_CALIBRATION_SCHEMA = defineSchema({
+  protocolNumber: 0x8a,
+  name: 'Time Calibration Request',
+  parser: 'parseTimeCalibration',
+  description: 'Serial number only (device requests time)',
+  fields: [],
+});
 
 export function parseTimeCalibration(packet) {
-  const serialNumber = packet.readUInt16BE(packet.length - 6);
-  return { serialNumber };
+  return parseWithSchema(TIME_CALIBRATION_SCHEMA, packet);
 }
 
 export function createTimeCalibrationResponse(serialNumber, date) {
@@ -31,3 +42,11 @@ export function createTimeCalibrationResponse(serialNumber, date) {
   ]);
 }
 
+/**
+ * Create a Time Check request as a device sends it (no content)
+ * @param {Object} data - { serialNumber }
+ * @returns {Buffer} Time check packet
+ */
+export function createTimeCalibrationPacket(data = {}) {
+  return encodeWithSchema(TIME_CALIBRATION_SCHEMA, data);
+}
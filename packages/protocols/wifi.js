@@ -3,96 +3,64 @@
  * Based on Concox V5 Protocol Manual - Section 5 (pages 13-14)
  */
 
-import { getHeaderSize } from '../shared/parser.js';
-import { calculateCRCITU } from '../shared/crc.js';
+import { calculateCRCITU } from "../shared/crc.js";
+import { defineSchema, encodeWithSchema, parseWithSchema } from "../shared/schema.js";
+import { DATETIME_TEXT, MAIN_BASE_FIELDS, NEIGHBOR_FIELDS } from "./lbs-extension.js";
+
+/**
+ * WiFi packet. Per PDF: Date(6) + LBS block (main base 9 + 6 neighbors 36) +
+ * Time leads(1) + WiFi quantity(1) + per AP: MAC(6) + strength(1) + SSID length(1) + SSID(0-32)
+ */
+export const WIFI_SCHEMA = defineSchema({
+  protocolNumber: 0x2c,
+  name: "WiFi",
+  parser: "parseWiFi",
+  description: "Date + LBS block + time leads + WiFi APs (MAC strength SSID)",
+  fields: [
+    { name: "datetimeRaw", type: "datetime", description: "UTC date/time" },
+    {
+      name: "lbs",
+      type: "struct",
+      description: "Cell towers",
+      fields: [
+        { name: "mainBase", type: "struct", fields: MAIN_BASE_FIELDS, description: "Serving cell" },
+        { name: "neighbors", type: "array", count: 6, index: true, fields: NEIGHBOR_FIELDS, description: "Neighbour cells" },
+      ],
+    },
+    { name: "timeLeads", type: "uint8", default: 0xff, description: "Time leads" },
+    { name: "wifiCount", type: "uint8", lengthOf: "accessPoints", description: "Number of access points" },
+    {
+      name: "accessPoints",
+      type: "array",
+      count: "wifiCount",
+      index: true,
+      description: "Access points",
+      fields: [
+        { name: "mac", type: "mac", description: "Access point MAC" },
+        { name: "signal", type: "int8", description: "Signal strength (dBm, signed)" },
+        { name: "ssidLength", type: "uint8", lengthOf: "ssid", description: "SSID length (0-32)" },
+        { name: "ssid", type: "utf8", size: "ssidLength", description: "Network name" },
+      ],
+    },
+  ],
+  finish: (result) => ({
+    ...DATETIME_TEXT.finish(result),
+    accessPoints: result.accessPoints.map((ap) => ({ ...ap, signalStrength: Math.abs(ap.signal) })),
+  }),
+  prepare: DATETIME_TEXT.prepare,
+  derived: [
+    ...DATETIME_TEXT.derived,
+    { path: "accessPoints[].signalStrength", type: "number", description: "Absolute signal strength" },
+  ],
+});
 
 /**
  * Parse WiFi packet
- * Per PDF: Date(6) + LBS block (main base 9 + 6 neighbors 36) + Time leads(1) + WiFi quantity(1) + per AP: MAC(6)+strength(1)+SSID length(1)+SSID(0-32).
  * @param {Buffer} packet - Packet buffer
  * @returns {Object} Parsed WiFi data
  */
 export function parseWiFi(packet) {
-  const headerSize = getHeaderSize(packet);
-  const dataStart = headerSize + 1;
-  const serialStart = packet.length - 6;
-
-  // WiFi packet structure (PDF pages 13-14):
-  // Start(2) + Length(1-2) + Protocol(1) + Date(6) + MCC(2)+MNC(1)+LAC(2)+CI(3)+RSSI(1) + 6×(NLAC(2)+NCI(3)+NRSSI(1)) + TimeLeads(1) + WiFiQty(1) + [MAC(6)+Strength(1)+SSIDLen(1)+SSID(N)]* + Serial(2) + CRC(2) + Stop(2)
-  const datetime = {
-    year: 2000 + packet[dataStart],
-    month: packet[dataStart + 1],
-    day: packet[dataStart + 2],
-    hour: packet[dataStart + 3],
-    minute: packet[dataStart + 4],
-    second: packet[dataStart + 5],
-  };
-
-  // LBS block: main base 9 bytes, 6 neighbors 6 bytes each
-  const mainBase = {
-    mcc: packet.readUInt16BE(dataStart + 6),
-    mnc: packet[dataStart + 8],
-    lac: packet.readUInt16BE(dataStart + 9),
-    cellId: packet.readUIntBE(dataStart + 11, 3).toString(16).toUpperCase().padStart(6, "0"),
-    rssi: packet[dataStart + 14],
-  };
-  const neighbors = [];
-  let neighborsParsed = 0;
-  for (let i = 0; i < 6; i++) {
-    const offset = dataStart + 15 + i * 6;
-    if (offset + 6 > serialStart) break;
-    neighbors.push({
-      index: i + 1,
-      lac: packet.readUInt16BE(offset),
-      cellId: packet.readUIntBE(offset + 2, 3).toString(16).toUpperCase().padStart(6, "0"),
-      rssi: packet[offset + 5],
-    });
-    neighborsParsed++;
-  }
-
-  // timeLeads and wifiCount come after main base + neighbors block.
-  const afterNeighborsOffset = dataStart + 15 + neighborsParsed * 6;
-  const timeLeads = packet[afterNeighborsOffset] ?? 0;
-  const wifiCount = packet[afterNeighborsOffset + 1] ?? 0;
-
-  // Per AP: MAC(6) + strength(1) + SSID length(1) + SSID(0-32 bytes)
-  const accessPoints = [];
-  let offset = afterNeighborsOffset + 2;
-  for (let i = 0; i < wifiCount && offset + 8 <= serialStart; i++) {
-    const macBytes = packet.slice(offset, offset + 6);
-    const mac = Array.from(macBytes)
-      .map((b) => b.toString(16).padStart(2, "0"))
-      .join(":")
-      .toUpperCase();
-    const strength = packet[offset + 6];
-    const ssidLength = Math.min(packet[offset + 7], 32);
-    offset += 8;
-    const ssid = ssidLength > 0 && offset + ssidLength <= serialStart
-      ? packet.slice(offset, offset + ssidLength).toString("utf8")
-      : "";
-    offset += ssidLength;
-
-    accessPoints.push({
-      index: i + 1,
-      mac,
-      signal: strength > 128 ? strength - 256 : strength,
-      signalStrength: Math.abs(strength > 128 ? strength - 256 : strength),
-      ssidLength,
-      ssid,
-    });
-  }
-
-  const serialNumber = packet.readUInt16BE(serialStart);
-
-  return {
-    datetime: `${datetime.year}-${String(datetime.month).padStart(2, "0")}-${String(datetime.day).padStart(2, "0")} ${String(datetime.hour).padStart(2, "0")}:${String(datetime.minute).padStart(2, "0")}:${String(datetime.second).padStart(2, "0")}`,
-    datetimeRaw: datetime,
-    lbs: { mainBase, neighbors },
-    timeLeads,
-    wifiCount,
-    accessPoints,
-    serialNumber,
-  };
+  return parseWithSchema(WIFI_SCHEMA, packet);
 }
 
 /**
@@ -119,3 +87,12 @@ export function createWiFiResponse(serialNumber) {
   ]);
 }
 
+/**
+ * Create a WiFi packet as a device sends it
+ * @param {Object} data - parseWiFi() fields: { datetimeRaw | datetime, lbs: { mainBase, neighbors }, timeLeads,
+ *   accessPoints: [{ mac, signal, ssid }], serialNumber }
+ * @returns {Buffer} WiFi packet
+ */
+export function createWiFiPacket(data) {
+  return encodeWithSchema(WIFI_SCHEMA, data);
+}
@@ -5,31 +5,354 @@
 
 import express from "express";
 import { log } from "./logger.js";
+import { queryTrack, decodeCursor, MAX_TRACK_LIMIT } from "./track.js";
+import { exportTrack, EXPORT_FORMATS } from "./export.js";
+import { publicSubscription, WEBHOOK_EVENTS } from "./webhooks.js";
+import { LiveHub, LIVE_WS_PATH } from "./live.js";
+import { ApiAuth, hasRole } from "./auth.js";
+
+const COMMAND_ERROR_STATUS = {
+  DEVICE_NOT_CONNECTED: 404,
+  DEVICE_DISCONNECTED: 502,
+  COMMAND_TIMEOUT: 504,
+};
+
+/**
+ * Read a boolean flag from the query string or JSON body (?name=true or body.name)
+ * @param {express.Request} req - Request
+ * @param {string} name - Flag name
+ * @returns {boolean}
+ */
+function requestFlag(req, name) {
+  const value = req.query[name] ?? (req.body && req.body[name]);
+  return value === true || String(value).toLowerCase() === "true";
+}
+
+/**
+ * Whether the caller asked to wait for the device's reply (?wait=true or body.wait)
+ * @param {express.Request} req - Request
+ * @returns {boolean}
+ */
+function wantsReply(req) {
+  return requestFlag(req, "wait");
+}
+
+/**
+ * Queue a command for an offline device and answer 202 with the queue entry
+ * @param {ConcoxV5Server} server - Concox server instance
+ * @param {express.Request} req - Request (ttlMs read from query or body)
+ * @param {express.Response} res - Response
+ * @param {string} imei - Device IMEI
+ * @param {string} command - Command text
+ */
+function respondWithQueuedCommand(server, req, res, imei, command) {
+  if (rejectWithoutQueue(server, res)) return;
+  const ttlMs = Number.parseInt(req.query.ttlMs ?? (req.body && req.body.ttlMs), 10);
+  const entry = server.queueCommand(
+    imei,
+    command,
+    Number.isNaN(ttlMs) ? {} : { ttlMs },
+  );
+  log(`🌐 API: Command queued for offline device ${imei}: ${command}`);
+  res.status(202).json({
+    success: true,
+    queued: true,
+    message: server.clients.has(imei)
+      ? "Command queued, delivering now"
+      : "Device not connected, command queued for delivery on next login",
+    imei,
+    command,
+    entry,
+  });
+}
+
+/**
+ * sendCommand options from ?timeoutMs= or body.timeoutMs
+ * @param {express.Request} req - Request
+ * @returns {Object} Options for server.sendCommand
+ */
+function commandOptions(req) {
+  const timeoutMs = Number.parseInt(
+    req.query.timeoutMs ?? (req.body && req.body.timeoutMs),
+    10,
+  );
+  return Number.isNaN(timeoutMs) ? {} : { timeoutMs };
+}
+
+/**
+ * Respond to a command route. Without `wait` the route answers as soon as the
+ * command is written; with it the device's reply is returned as `reply`.
+ * @param {express.Request} req - Request
+ * @param {express.Response} res - Response
+ * @param {Promise<Object>} pending - Promise returned by server.sendCommand
+ * @param {Object} body - Response fields on success
+ */
+async function respondWithCommand(req, res, pending, body) {
+  if (!wantsReply(req)) {
+    return res.json({ success: true, ...body });
+  }
+
+  const { note, ...fields } = body;
+  try {
+    const reply = await pending;
+    res.json({ success: true, ...fields, reply });
+  } catch (error) {
+    res.status(COMMAND_ERROR_STATUS[error.code] || 500).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      imei: fields.imei,
+    });
+  }
+}
+
+/**
+ * Parse and validate the track query string shared by the history and export routes
+ * (?from=&to=&limit=&cursor=&tolerance=&gpsPositionedOnly=&includeAlarms=)
+ * @param {express.Request} req - Request
+ * @returns {Object} Options for queryTrack, or { error } with a message for a 400
+ */
+function trackQueryOptions(req) {
+  const { from, to, cursor } = req.query;
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value !== undefined && Number.isNaN(Date.parse(value))) {
+      return { error: `Invalid ${name}: expected an ISO 8601 timestamp` };
+    }
+  }
+
+  const limit = req.query.limit !== undefined ? Number.parseInt(req.query.limit, 10) : undefined;
+  if (limit !== undefined && !(limit > 0 && limit <= MAX_TRACK_LIMIT)) {
+    return { error: `Invalid limit: expected 1-${MAX_TRACK_LIMIT}` };
+  }
+
+  const tolerance = req.query.tolerance !== undefined ? Number(req.query.tolerance) : 0;
+  if (!(tolerance >= 0)) {
+    return { error: "Invalid tolerance: expected meters >= 0" };
+  }
+
+  if (cursor !== undefined) {
+    try {
+      decodeCursor(cursor);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  return {
+    from: from && new Date(from).toISOString(),
+    to: to && new Date(to).toISOString(),
+    limit,
+    cursor,
+    tolerance,
+    gpsPositionedOnly: requestFlag(req, "gpsPositionedOnly"),
+    includeAlarms: requestFlag(req, "includeAlarms"),
+  };
+}
+
+/**
+ * Wait until a response can take more data
+ * @param {express.Response} res - Response whose write() returned false
+ * @returns {Promise<boolean>} true on drain, false if the connection closed first
+ */
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const onDrain = () => {
+      res.off("close", onClose);
+      resolve(true);
+    };
+    const onClose = () => {
+      res.off("drain", onDrain);
+      resolve(false);
+    };
+    res.once("drain", onDrain);
+    res.once("close", onClose);
+  });
+}
+
+/**
+ * Liveness of a device: status (online, stale, offline, ...), lastSeenAt and offlineSince
+ * @param {ConcoxV5Server} server - Concox server instance
+ * @param {string} imei - Device IMEI
+ * @returns {Object} Liveness fields (empty for a device never seen)
+ */
+function livenessFields(server, imei) {
+  const record = server.liveness.get(imei);
+  if (!record) return {};
+  return {
+    status: record.status,
+    statusSince: record.since,
+    lastSeenAt: record.lastSeenAt,
+    offlineSince: record.offlineSince,
+    heartbeatIntervalMs: record.heartbeatIntervalMs,
+  };
+}
+
+/**
+ * Device registry metadata of a device: registered, name, plateNumber, model, ...
+ * @param {ConcoxV5Server} server - Concox server instance
+ * @param {string} imei - Device IMEI
+ * @returns {Object} Registration fields (empty when the registry is disabled)
+ */
+function registrationFields(server, imei) {
+  if (!server.registry) return {};
+  const registration = server.registry.get(imei);
+  if (!registration) return { registered: false };
+  const { name, plateNumber, model, simNumber, iccid, timezone, group, enabled } = registration;
+  return { registered: true, name, plateNumber, model, simNumber, iccid, timezone, group, enabled };
+}
+
+/**
+ * Answer 501 when server-side geofencing is disabled
+ * @param {ConcoxV5Server} server - Concox server instance
+ * @param {express.Response} res - Response
+ * @returns {boolean} true if a response was sent
+ */
+function rejectWithoutGeofences(server, res) {
+  if (server.geofences) return false;
+  res.status(501).json({
+    success: false,
+    error: "Geofencing is disabled",
+  });
+  return true;
+}
+
+const VALIDATION_ERROR_CODES = new Set(["INVALID_ZONE", "INVALID_WEBHOOK", "INVALID_DEVICE"]);
+
+/**
+ * Answer 501 when webhooks are disabled
+ * @param {ConcoxV5Server} server - Concox server instance
+ * @param {express.Response} res - Response
+ * @returns {boolean} true if a response was sent
+ */
+function rejectWithoutWebhooks(server, res) {
+  if (server.webhooks) return false;
+  res.status(501).json({
+    success: false,
+    error: "Webhooks are disabled",
+  });
+  return true;
+}
+
+/**
+ * Answer 501 when the offline command queue is disabled
+ * @param {ConcoxV5Server} server - Concox server instance
+ * @param {express.Response} res - Response
+ * @returns {boolean} true if a response was sent
+ */
+function rejectWithoutQueue(server, res) {
+  if (server.commandQueue) return false;
+  res.status(501).json({
+    success: false,
+    error: "Offline command queue is disabled",
+  });
+  return true;
+}
+
+/**
+ * Answer 501 when the device registry is disabled
+ * @param {ConcoxV5Server} server - Concox server instance
+ * @param {express.Response} res - Response
+ * @returns {boolean} true if a response was sent
+ */
+function rejectWithoutRegistry(server, res) {
+  if (server.registry) return false;
+  res.status(501).json({
+    success: false,
+    error: "Device registry is disabled",
+  });
+  return true;
+}
+
+/**
+ * Route guard: answer 403 unless the caller has the role (or a higher one).
+ * req.auth is set for every /api request by the authentication middleware.
+ * @param {string} role - viewer, operator or admin
+ * @returns {Function} Express middleware
+ */
+function allow(role) {
+  return (req, res, next) => {
+    if (hasRole(req.auth.role, role)) return next();
+    log(`🔒 API: ${req.method} ${req.originalUrl} refused for ${req.auth.subject || req.auth.method}`, {
+      role: req.auth.role,
+      required: role,
+    });
+    res.status(403).json({
+      success: false,
+      error: `Requires the ${role} role`,
+      role: req.auth.role,
+    });
+  };
+}
+
+/**
+ * Answer a route's error: 400 for invalid input rejected by a store, 500 otherwise
+ * @param {express.Response} res - Response
+ * @param {Error} error - Error thrown by the geofence engine, webhook manager or device registry
+ */
+function respondWithError(res, error) {
+  res.status(VALIDATION_ERROR_CODES.has(error.code) ? 400 : 500).json({
+    success: false,
+    error: error.message,
+  });
+}
 
 /**
  * Setup HTTP API for Concox server
  * @param {ConcoxV5Server} server - Concox server instance
  * @param {number} port - API server port (default: 3000)
- * @returns {express.Application} Express app instance
+ * @param {Object} options - API options
+ * @param {ApiAuth} options.auth - API keys, JWT settings and CORS origins (default: new ApiAuth(), from the environment)
+ * @returns {express.Application} Express app instance, with the listening http.Server as app.httpServer
  */
-export function setupAPI(server, port = 3000) {
+export function setupAPI(server, port = 3000, options = {}) {
+  const auth = options.auth || new ApiAuth();
   const app = express();
   app.use(express.json());
 
-  // Enable CORS
+  // CORS, for the configured origins only (none by default)
   app.use((req, res, next) => {
-    res.header("Access-Control-Allow-Origin", "*");
+    const origin = req.headers.origin;
+    if (auth.corsOrigins.includes("*")) {
+      res.header("Access-Control-Allow-Origin", "*");
+    } else if (origin && auth.isOriginAllowed(origin)) {
+      res.header("Access-Control-Allow-Origin", origin);
+    }
+    res.header("Vary", "Origin");
     res.header(
       "Access-Control-Allow-Methods",
       "GET, POST, PUT, DELETE, OPTIONS",
     );
-    res.header("Access-Control-Allow-Headers", "Content-Type, Authorization");
+    res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, X-API-Key");
     if (req.method === "OPTIONS") {
-      return res.sendStatus(200);
+      return res.sendStatus(origin && !auth.isOriginAllowed(origin) ? 403 : 200);
     }
     next();
   });
 
+  // Every /api request needs an API key or JWT unless authentication is disabled; routes
+  // then check the caller's role. The SSE stream also takes ?access_token= (EventSource can't set headers).
+  app.use("/api", (req, res, next) => {
+    try {
+      req.auth = auth.authenticate(req, {
+        allowQuery: req.baseUrl + req.path === `${LIVE_WS_PATH}/events`,
+      });
+      next();
+    } catch (error) {
+      res.status(401).set("WWW-Authenticate", 'Bearer realm="concox"').json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Live stream of decoded events; WebSocket clients connect to LIVE_WS_PATH
+  const live = new LiveHub(server);
+
+  // Server-Sent Events fallback (?imei=a,b&events=location,alarm)
+  app.get(`${LIVE_WS_PATH}/events`, allow("viewer"), (req, res) => {
+    live.handleSSE(req, res);
+  });
+
   // Health check
   app.get("/health", (req, res) => {
     res.json({
@@ -40,17 +363,21 @@ export function setupAPI(server, port = 3000) {
     });
   });
 
-  // Get all connected devices
-  app.get("/api/devices", (req, res) => {
+  // Connected devices, then devices seen earlier that are now offline, then registered
+  // devices never seen (?status=, ?group=, ?registered=true|false to filter)
+  app.get("/api/devices", allow("viewer"), (req, res) => {
     try {
-      const devices = Array.from(server.clients.entries()).map(
+      const connected = Array.from(server.clients.entries()).map(
         ([imei, client]) => {
           const device = {
             imei,
+            ...registrationFields(server, imei),
+            ...livenessFields(server, imei),
             connectedAt: client.connectedAt,
             address: client.clientInfo.address,
             port: client.clientInfo.port,
             connectionId: client.clientInfo.id,
+            frames: client.socket.frameStats,
           };
           // Include battery voltage if available
           if (client.lastBatteryVoltage !== null) {
@@ -77,159 +404,868 @@ export function setupAPI(server, port = 3000) {
               lastUpdated: client.lastMileageAt,
             };
           }
+          // Include the latest 0x94 sensor reports (fuel, temperature, ...)
+          if (Object.keys(client.information).length > 0) {
+            device.information = client.information;
+          }
           return device;
         },
       );
+      const offline = server.liveness
+        .list()
+        .filter((record) => !server.clients.has(record.imei))
+        .map((record) => ({
+          imei: record.imei,
+          ...registrationFields(server, record.imei),
+          ...livenessFields(server, record.imei),
+        }));
+      const neverSeen = (server.registry ? server.registry.list() : [])
+        .filter(({ imei }) => !server.clients.has(imei) && !server.liveness.get(imei))
+        .map(({ imei }) => ({
+          imei,
+          ...registrationFields(server, imei),
+          status: "offline",
+          statusSince: null,
+          lastSeenAt: null,
+          offlineSince: null,
+          heartbeatIntervalMs: null,
+        }));
+      const { status, group, registered } = req.query;
+      const devices = [...connected, ...offline, ...neverSeen].filter(
+        (device) =>
+          (!status || device.status === status) &&
+          (!group || device.group === group) &&
+          (registered === undefined || device.registered === requestFlag(req, "registered")),
+      );
+
+      res.json({
+        success: true,
+        count: devices.length,
+        devices,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get specific device info
+  app.get("/api/devices/:imei", allow("viewer"), (req, res) => {
+    try {
+      const { imei } = req.params;
+      const client = server.clients.get(imei);
+
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          error: "Device not connected",
+          imei,
+          ...registrationFields(server, imei),
+          ...livenessFields(server, imei),
+        });
+      }
+
+      const device = {
+        imei,
+        ...registrationFields(server, imei),
+        ...livenessFields(server, imei),
+        connectedAt: client.connectedAt,
+        address: client.clientInfo.address,
+        port: client.clientInfo.port,
+        connectionId: client.clientInfo.id,
+        frames: client.socket.frameStats,
+      };
+      // Include battery voltage if available
+      if (client.lastBatteryVoltage !== null) {
+        device.batteryVoltage = {
+          voltage: client.lastBatteryVoltage,
+          voltageFormatted: `${client.lastBatteryVoltage.toFixed(2)}V`,
+          status:
+            client.lastBatteryVoltage >= 12.0
+              ? "Good"
+              : client.lastBatteryVoltage >= 11.5
+                ? "Low"
+                : client.lastBatteryVoltage >= 10.5
+                  ? "Critical"
+                  : "Very Low",
+          lastUpdated: client.lastBatteryVoltageAt,
+        };
+      }
+      // Include odometer reading if available
+      if (client.lastMileage !== null) {
+        device.odometer = {
+          mileage_meters: client.lastMileage,
+          mileage_km: (client.lastMileage / 1000).toFixed(2),
+          mileage_miles: (client.lastMileage / 1609.34).toFixed(2),
+          lastUpdated: client.lastMileageAt,
+        };
+      }
+      // Include the latest 0x94 sensor reports (fuel, temperature, ...)
+      if (Object.keys(client.information).length > 0) {
+        device.information = client.information;
+      }
+
+      res.json({
+        success: true,
+        device,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Get a device's last stored state (works while the device is offline)
+  app.get("/api/devices/:imei/state", allow("viewer"), async (req, res) => {
+    try {
+      const { imei } = req.params;
+
+      if (!server.storage) {
+        return res.status(501).json({
+          success: false,
+          error: "Storage is disabled",
+        });
+      }
+
+      const state = await server.storage.getDeviceState(imei);
+      if (!state) {
+        return res.status(404).json({
+          success: false,
+          error: "No stored state for device",
+          imei,
+        });
+      }
+
+      res.json({
+        success: true,
+        imei,
+        online: server.clients.has(imei),
+        ...livenessFields(server, imei),
+        state,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Track history (?from=&to=&limit=&cursor=&tolerance=&gpsPositionedOnly=&includeAlarms=)
+  app.get("/api/devices/:imei/positions", allow("viewer"), async (req, res) => {
+    try {
+      const { imei } = req.params;
+
+      if (!server.storage) {
+        return res.status(501).json({
+          success: false,
+          error: "Storage is disabled",
+        });
+      }
+
+      const options = trackQueryOptions(req);
+      if (options.error) {
+        return res.status(400).json({
+          success: false,
+          error: options.error,
+        });
+      }
+
+      const track = await queryTrack(server.storage, imei, options);
+
+      res.json({
+        success: true,
+        imei,
+        ...track,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Export a device's track (:format = gpx | kml | geojson | geojson-points | csv)
+  app.get("/api/devices/:imei/export/:format", allow("viewer"), async (req, res) => {
+    try {
+      const { imei, format } = req.params;
+
+      if (!server.storage) {
+        return res.status(501).json({
+          success: false,
+          error: "Storage is disabled",
+        });
+      }
+
+      const definition = EXPORT_FORMATS[format];
+      if (!definition) {
+        return res.status(400).json({
+          success: false,
+          error: `Unsupported format: ${format}`,
+          formats: Object.keys(EXPORT_FORMATS),
+        });
+      }
+
+      const { limit, cursor, ...options } = trackQueryOptions(req);
+      if (options.error) {
+        return res.status(400).json({
+          success: false,
+          error: options.error,
+        });
+      }
+
+      const day = (options.from || new Date().toISOString()).slice(0, 10);
+      res.setHeader("Content-Type", definition.contentType);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${imei}-${day}.${definition.extension}"`,
+      );
+
+      log(`🌐 API: Exporting ${format} track for ${imei}`);
+      for await (const chunk of exportTrack(server.storage, imei, format, options)) {
+        if (res.destroyed) {
+          return;
+        }
+        // Wait for the client to catch up, or stop if it goes away
+        if (chunk && !res.write(chunk) && !(await waitForDrain(res))) {
+          return;
+        }
+      }
+      res.end();
+    } catch (error) {
+      if (res.headersSent) {
+        // Part of the file is already out, so the only signal left is a broken response
+        log(`❌ Track export failed: ${error.message}`);
+        return res.destroy(error);
+      }
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Completed trips (?from=&to=&limit=&includeStops=true), by trip start time
+  app.get("/api/devices/:imei/trips", allow("viewer"), async (req, res) => {
+    try {
+      const { imei } = req.params;
+
+      if (!server.storage) {
+        return res.status(501).json({
+          success: false,
+          error: "Storage is disabled",
+        });
+      }
+
+      const { from, to, limit, error } = trackQueryOptions(req);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error,
+        });
+      }
+
+      const range = { from, to, limit: limit || 1000 };
+      const trips = await server.storage.query("trips", imei, range);
+      const stops = requestFlag(req, "includeStops")
+        ? await server.storage.query("stops", imei, range)
+        : undefined;
+
+      res.json({
+        success: true,
+        imei,
+        count: trips.length,
+        totalDistanceMeters: trips.reduce((sum, trip) => sum + trip.distanceMeters, 0),
+        trips,
+        ...(stops ? { stops } : {}),
+        currentTrip: server.trips ? server.trips.currentTrip(imei) : null,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Reassembled HVT001 voice files (?kind=monitoring|sos|intercom) and transfers still in progress
+  app.get("/api/devices/:imei/files", allow("viewer"), (req, res) => {
+    try {
+      const { imei } = req.params;
+
+      if (!server.files) {
+        return res.status(501).json({
+          success: false,
+          error: "File reassembly is disabled",
+        });
+      }
+
+      const files = server.files.list(imei, { kind: req.query.kind });
+      res.json({
+        success: true,
+        imei,
+        count: files.length,
+        files,
+        inProgress: server.files.pending(imei),
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Download a reassembled file
+  app.get("/api/devices/:imei/files/:id/download", allow("viewer"), (req, res) => {
+    try {
+      const { imei, id } = req.params;
+
+      if (!server.files) {
+        return res.status(501).json({
+          success: false,
+          error: "File reassembly is disabled",
+        });
+      }
+
+      const file = server.files.get(imei, id);
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          error: "File not found",
+        });
+      }
+
+      log(`🌐 API: Downloading file ${id} for ${imei}`);
+      res.setHeader("Content-Type", file.contentType);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${imei}-${file.kind}-${file.fileName}"`,
+      );
+      res.sendFile(server.files.contentPath(file), (error) => {
+        if (error && !res.headersSent) {
+          res.status(500).json({
+            success: false,
+            error: error.message,
+          });
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Immobilize vehicle (cut fuel/electricity)
+  app.post("/api/devices/:imei/immobilize", allow("operator"), async (req, res) => {
+    try {
+      const { imei } = req.params;
+
+      if (!server.clients.has(imei)) {
+        if (requestFlag(req, "queueIfOffline")) {
+          return respondWithQueuedCommand(server, req, res, imei, "RELAY,1#");
+        }
+        return res.status(404).json({
+          success: false,
+          error: "Device not connected",
+          imei,
+        });
+      }
+
+      const reply = server.immobilizeVehicle(imei, commandOptions(req));
+      log(`🌐 API: Immobilize request for ${imei}`);
+      await respondWithCommand(req, res, reply, {
+        message: "Vehicle immobilized (fuel/electricity cut)",
+        imei,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Mobilize vehicle (restore fuel/electricity)
+  app.post("/api/devices/:imei/mobilize", allow("operator"), async (req, res) => {
+    try {
+      const { imei } = req.params;
+
+      if (!server.clients.has(imei)) {
+        if (requestFlag(req, "queueIfOffline")) {
+          return respondWithQueuedCommand(server, req, res, imei, "RELAY,0#");
+        }
+        return res.status(404).json({
+          success: false,
+          error: "Device not connected",
+          imei,
+        });
+      }
+
+      const reply = server.mobilizeVehicle(imei, commandOptions(req));
+      log(`🌐 API: Mobilize request for ${imei}`);
+      await respondWithCommand(req, res, reply, {
+        message: "Vehicle mobilized (fuel/electricity restored)",
+        imei,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Request device status
+  app.post("/api/devices/:imei/status", allow("operator"), async (req, res) => {
+    try {
+      const { imei } = req.params;
+
+      if (!server.clients.has(imei)) {
+        return res.status(404).json({
+          success: false,
+          error: "Device not connected",
+          imei,
+        });
+      }
+
+      const reply = server.requestDeviceStatus(imei, commandOptions(req));
+      log(`🌐 API: Status request for ${imei}`);
+      await respondWithCommand(req, res, reply, {
+        message: "Status request sent to device",
+        imei,
+        note: "Check logs for device response, or pass wait=true",
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Send custom command
+  app.post("/api/devices/:imei/command", allow("operator"), async (req, res) => {
+    try {
+      const { imei } = req.params;
+      const { command } = req.body;
+
+      if (!command) {
+        return res.status(400).json({
+          success: false,
+          error: "Command is required",
+        });
+      }
+
+      if (!server.clients.has(imei)) {
+        if (requestFlag(req, "queueIfOffline")) {
+          return respondWithQueuedCommand(server, req, res, imei, command);
+        }
+        return res.status(404).json({
+          success: false,
+          error: "Device not connected",
+          imei,
+        });
+      }
+
+      const reply = server.sendCommand(imei, command, commandOptions(req));
+      log(`🌐 API: Command sent to ${imei}: ${command}`);
+      await respondWithCommand(req, res, reply, {
+        message: "Command sent to device",
+        imei,
+        command,
+        note: "Check logs for device response, or pass wait=true",
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // List a device's queued commands (optionally ?state=queued|sent|answered|failed|expired|cancelled)
+  app.get("/api/devices/:imei/queue", allow("viewer"), (req, res) => {
+    try {
+      if (rejectWithoutQueue(server, res)) return;
+      const { imei } = req.params;
+      const commands = server.commandQueue.list(imei, {
+        state: req.query.state,
+      });
+
+      res.json({
+        success: true,
+        imei,
+        count: commands.length,
+        commands,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Queue a command; delivered now if the device is online, otherwise on next login
+  app.post("/api/devices/:imei/queue", allow("operator"), (req, res) => {
+    try {
+      const { imei } = req.params;
+      const { command } = req.body;
+
+      if (!command) {
+        return res.status(400).json({
+          success: false,
+          error: "Command is required",
+        });
+      }
+
+      respondWithQueuedCommand(server, req, res, imei, command);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Cancel a queued command that has not been delivered yet
+  app.delete("/api/devices/:imei/queue/:id", allow("operator"), (req, res) => {
+    try {
+      if (rejectWithoutQueue(server, res)) return;
+      const { imei, id } = req.params;
+      const entry = server.commandQueue.get(id);
+
+      if (!entry || entry.imei !== imei) {
+        return res.status(404).json({
+          success: false,
+          error: "Queued command not found",
+          imei,
+          id,
+        });
+      }
+
+      const cancelled = server.commandQueue.cancel(id);
+      if (!cancelled) {
+        return res.status(409).json({
+          success: false,
+          error: `Command already ${entry.state}`,
+          imei,
+          entry,
+        });
+      }
+
+      log(`🌐 API: Queued command cancelled for ${imei}`, { id });
+      res.json({
+        success: true,
+        imei,
+        entry: cancelled,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  // Device registry: allowed IMEIs and their metadata (?group= to filter)
+  app.get("/api/registry", allow("viewer"), (req, res) => {
+    try {
+      if (rejectWithoutRegistry(server, res)) return;
+      const devices = server.registry.list({ group: req.query.group });
+      res.json({
+        success: true,
+        unknownDevices: server.registry.options.unknownDevices,
+        count: devices.length,
+        devices,
+      });
+    } catch (error) {
+      respondWithError(res, error);
+    }
+  });
+
+  // Register a device
+  // Body: { imei, name, plateNumber, model, simNumber, iccid, timezone, group, enabled }
+  app.post("/api/registry", allow("admin"), (req, res) => {
+    try {
+      if (rejectWithoutRegistry(server, res)) return;
+      const device = server.registry.create(req.body || {});
+      log(`🌐 API: Device registered: ${device.imei}`, { name: device.name });
+      res.status(201).json({
+        success: true,
+        device,
+      });
+    } catch (error) {
+      respondWithError(res, error);
+    }
+  });
+
+  app.get("/api/registry/:imei", allow("viewer"), (req, res) => {
+    try {
+      if (rejectWithoutRegistry(server, res)) return;
+      const device = server.registry.get(req.params.imei);
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          error: "Device not registered",
+          imei: req.params.imei,
+        });
+      }
+      res.json({
+        success: true,
+        device,
+      });
+    } catch (error) {
+      respondWithError(res, error);
+    }
+  });
+
+  // Update a registration; omitted fields are left unchanged. Disabling a
+  // connected device closes its connection.
+  app.put("/api/registry/:imei", allow("admin"), (req, res) => {
+    try {
+      if (rejectWithoutRegistry(server, res)) return;
+      const device = server.registry.update(req.params.imei, req.body || {});
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          error: "Device not registered",
+          imei: req.params.imei,
+        });
+      }
+      log(`🌐 API: Device registration updated: ${device.imei}`, { name: device.name });
+      res.json({
+        success: true,
+        device,
+        disconnected: server.disconnectDisallowed(device.imei),
+      });
+    } catch (error) {
+      respondWithError(res, error);
+    }
+  });
 
+  // Remove a registration; under the reject policy a connected device is disconnected
+  app.delete("/api/registry/:imei", allow("admin"), (req, res) => {
+    try {
+      if (rejectWithoutRegistry(server, res)) return;
+      const device = server.registry.delete(req.params.imei);
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          error: "Device not registered",
+          imei: req.params.imei,
+        });
+      }
+      log(`🌐 API: Device registration removed: ${device.imei}`);
       res.json({
         success: true,
-        count: devices.length,
-        devices,
+        device,
+        disconnected: server.disconnectDisallowed(device.imei),
       });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: error.message,
+      respondWithError(res, error);
+    }
+  });
+
+  // List server-side geofence zones (?imei= for zones applying to one device)
+  app.get("/api/geofences", allow("viewer"), (req, res) => {
+    try {
+      if (rejectWithoutGeofences(server, res)) return;
+      const zones = server.geofences.listZones({ imei: req.query.imei });
+      res.json({
+        success: true,
+        count: zones.length,
+        zones,
       });
+    } catch (error) {
+      respondWithError(res, error);
     }
   });
 
-  // Get specific device info
-  app.get("/api/devices/:imei", (req, res) => {
+  // Create a zone
+  // Body: { name, type: "circle", center: { latitude, longitude }, radius }
+  //    or { name, type: "polygon", points: [{ latitude, longitude }, ...] }
+  //    plus optional devices: [imei], groups: [name], dwellSeconds, enabled
+  app.post("/api/geofences", allow("operator"), (req, res) => {
     try {
-      const { imei } = req.params;
-      const client = server.clients.get(imei);
+      if (rejectWithoutGeofences(server, res)) return;
+      const zone = server.geofences.createZone(req.body || {});
+      log(`🌐 API: Geofence zone created: ${zone.name}`, { id: zone.id });
+      res.status(201).json({
+        success: true,
+        zone,
+      });
+    } catch (error) {
+      respondWithError(res, error);
+    }
+  });
 
-      if (!client) {
+  app.get("/api/geofences/:id", allow("viewer"), (req, res) => {
+    try {
+      if (rejectWithoutGeofences(server, res)) return;
+      const zone = server.geofences.getZone(req.params.id);
+      if (!zone) {
         return res.status(404).json({
           success: false,
-          error: "Device not connected",
-          imei,
+          error: "Zone not found",
+          id: req.params.id,
         });
       }
+      res.json({
+        success: true,
+        zone,
+      });
+    } catch (error) {
+      respondWithError(res, error);
+    }
+  });
 
-      const device = {
-        imei,
-        connectedAt: client.connectedAt,
-        address: client.clientInfo.address,
-        port: client.clientInfo.port,
-        connectionId: client.clientInfo.id,
-      };
-      // Include battery voltage if available
-      if (client.lastBatteryVoltage !== null) {
-        device.batteryVoltage = {
-          voltage: client.lastBatteryVoltage,
-          voltageFormatted: `${client.lastBatteryVoltage.toFixed(2)}V`,
-          status:
-            client.lastBatteryVoltage >= 12.0
-              ? "Good"
-              : client.lastBatteryVoltage >= 11.5
-                ? "Low"
-                : client.lastBatteryVoltage >= 10.5
-                  ? "Critical"
-                  : "Very Low",
-          lastUpdated: client.lastBatteryVoltageAt,
-        };
-      }
-      // Include odometer reading if available
-      if (client.lastMileage !== null) {
-        device.odometer = {
-          mileage_meters: client.lastMileage,
-          mileage_km: (client.lastMileage / 1000).toFixed(2),
-          mileage_miles: (client.lastMileage / 1609.34).toFixed(2),
-          lastUpdated: client.lastMileageAt,
-        };
+  // Update a zone; omitted fields are left unchanged
+  app.put("/api/geofences/:id", allow("operator"), (req, res) => {
+    try {
+      if (rejectWithoutGeofences(server, res)) return;
+      const zone = server.geofences.updateZone(req.params.id, req.body || {});
+      if (!zone) {
+        return res.status(404).json({
+          success: false,
+          error: "Zone not found",
+          id: req.params.id,
+        });
       }
-
+      log(`🌐 API: Geofence zone updated: ${zone.name}`, { id: zone.id });
       res.json({
         success: true,
-        device,
+        zone,
       });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: error.message,
-      });
+      respondWithError(res, error);
     }
   });
 
-  // Immobilize vehicle (cut fuel/electricity)
-  app.post("/api/devices/:imei/immobilize", (req, res) => {
+  app.delete("/api/geofences/:id", allow("operator"), (req, res) => {
     try {
-      const { imei } = req.params;
-      const success = server.immobilizeVehicle(imei);
-
-      if (success) {
-        log(`🌐 API: Immobilize request for ${imei}`);
-        res.json({
-          success: true,
-          message: "Vehicle immobilized (fuel/electricity cut)",
-          imei,
-        });
-      } else {
-        res.status(404).json({
+      if (rejectWithoutGeofences(server, res)) return;
+      const zone = server.geofences.deleteZone(req.params.id);
+      if (!zone) {
+        return res.status(404).json({
           success: false,
-          error: "Device not connected",
-          imei,
+          error: "Zone not found",
+          id: req.params.id,
         });
       }
+      log(`🌐 API: Geofence zone deleted: ${zone.name}`, { id: zone.id });
+      res.json({
+        success: true,
+        zone,
+      });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: error.message,
+      respondWithError(res, error);
+    }
+  });
+
+  // Device groups that zones can be assigned to
+  app.get("/api/geofence-groups", allow("viewer"), (req, res) => {
+    try {
+      if (rejectWithoutGeofences(server, res)) return;
+      res.json({
+        success: true,
+        groups: server.geofences.listGroups(),
       });
+    } catch (error) {
+      respondWithError(res, error);
     }
   });
 
-  // Mobilize vehicle (restore fuel/electricity)
-  app.post("/api/devices/:imei/mobilize", (req, res) => {
+  // Create or replace a group. Body: { imeis: [imei, ...] }
+  app.put("/api/geofence-groups/:name", allow("operator"), (req, res) => {
     try {
-      const { imei } = req.params;
-      const success = server.mobilizeVehicle(imei);
+      if (rejectWithoutGeofences(server, res)) return;
+      const group = server.geofences.setGroup(
+        req.params.name,
+        req.body && req.body.imeis,
+      );
+      res.json({
+        success: true,
+        group,
+      });
+    } catch (error) {
+      respondWithError(res, error);
+    }
+  });
 
-      if (success) {
-        log(`🌐 API: Mobilize request for ${imei}`);
-        res.json({
-          success: true,
-          message: "Vehicle mobilized (fuel/electricity restored)",
-          imei,
-        });
-      } else {
-        res.status(404).json({
+  app.delete("/api/geofence-groups/:name", allow("operator"), (req, res) => {
+    try {
+      if (rejectWithoutGeofences(server, res)) return;
+      if (!server.geofences.deleteGroup(req.params.name)) {
+        return res.status(404).json({
           success: false,
-          error: "Device not connected",
-          imei,
+          error: "Group not found",
+          name: req.params.name,
         });
       }
+      res.json({
+        success: true,
+        name: req.params.name,
+      });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: error.message,
+      respondWithError(res, error);
+    }
+  });
+
+  // Zones applying to a device and whether it is currently inside each
+  app.get("/api/devices/:imei/geofences", allow("viewer"), (req, res) => {
+    try {
+      if (rejectWithoutGeofences(server, res)) return;
+      const { imei } = req.params;
+      res.json({
+        success: true,
+        imei,
+        zones: server.geofences.deviceStatus(imei),
       });
+    } catch (error) {
+      respondWithError(res, error);
     }
   });
 
-  // Request device status
-  app.post("/api/devices/:imei/status", (req, res) => {
+  // Stored enter/exit/dwell events (?from=&to=&limit=)
+  app.get("/api/devices/:imei/geofence-events", allow("viewer"), async (req, res) => {
     try {
       const { imei } = req.params;
-      const success = server.requestDeviceStatus(imei);
 
-      if (success) {
-        log(`🌐 API: Status request for ${imei}`);
-        res.json({
-          success: true,
-          message: "Status request sent to device",
-          imei,
-          note: "Check logs for device response",
+      if (!server.storage) {
+        return res.status(501).json({
+          success: false,
+          error: "Storage is disabled",
         });
-      } else {
-        res.status(404).json({
+      }
+
+      const { from, to, limit, error } = trackQueryOptions(req);
+      if (error) {
+        return res.status(400).json({
           success: false,
-          error: "Device not connected",
-          imei,
+          error,
         });
       }
+
+      const events = await server.storage.query("geofenceEvents", imei, {
+        from,
+        to,
+        limit: limit || 1000,
+      });
+      res.json({
+        success: true,
+        imei,
+        count: events.length,
+        events,
+      });
     } catch (error) {
       res.status(500).json({
         success: false,
@@ -238,42 +1274,153 @@ export function setupAPI(server, port = 3000) {
     }
   });
 
-  // Send custom command
-  app.post("/api/devices/:imei/command", (req, res) => {
+  // List webhook subscriptions (secrets are never returned after creation)
+  app.get("/api/webhooks", allow("admin"), (req, res) => {
     try {
-      const { imei } = req.params;
-      const { command } = req.body;
+      if (rejectWithoutWebhooks(server, res)) return;
+      const subscriptions = server.webhooks.listSubscriptions().map(publicSubscription);
+      res.json({
+        success: true,
+        count: subscriptions.length,
+        events: WEBHOOK_EVENTS,
+        subscriptions,
+      });
+    } catch (error) {
+      respondWithError(res, error);
+    }
+  });
 
-      if (!command) {
-        return res.status(400).json({
+  // Create a subscription
+  // Body: { url, events: ["alarm", "location", ...] | ["*"], alarmTypes?, imeis?, secret?, description?, enabled? }
+  app.post("/api/webhooks", allow("admin"), (req, res) => {
+    try {
+      if (rejectWithoutWebhooks(server, res)) return;
+      const subscription = server.webhooks.createSubscription(req.body || {});
+      log(`🌐 API: Webhook subscription created: ${subscription.url}`, {
+        id: subscription.id,
+        events: subscription.events,
+      });
+      // The only response that includes the signing secret
+      res.status(201).json({
+        success: true,
+        subscription,
+      });
+    } catch (error) {
+      respondWithError(res, error);
+    }
+  });
+
+  app.get("/api/webhooks/:id", allow("admin"), (req, res) => {
+    try {
+      if (rejectWithoutWebhooks(server, res)) return;
+      const subscription = server.webhooks.getSubscription(req.params.id);
+      if (!subscription) {
+        return res.status(404).json({
           success: false,
-          error: "Command is required",
+          error: "Subscription not found",
+          id: req.params.id,
         });
       }
+      res.json({
+        success: true,
+        subscription: publicSubscription(subscription),
+      });
+    } catch (error) {
+      respondWithError(res, error);
+    }
+  });
 
-      const success = server.sendCommand(imei, command);
+  // Update a subscription; omitted fields are left unchanged, a new secret rotates the key
+  app.put("/api/webhooks/:id", allow("admin"), (req, res) => {
+    try {
+      if (rejectWithoutWebhooks(server, res)) return;
+      const subscription = server.webhooks.updateSubscription(req.params.id, req.body || {});
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          error: "Subscription not found",
+          id: req.params.id,
+        });
+      }
+      log(`🌐 API: Webhook subscription updated: ${subscription.url}`, {
+        id: subscription.id,
+      });
+      res.json({
+        success: true,
+        subscription: publicSubscription(subscription),
+      });
+    } catch (error) {
+      respondWithError(res, error);
+    }
+  });
 
-      if (success) {
-        log(`🌐 API: Command sent to ${imei}: ${command}`);
-        res.json({
-          success: true,
-          message: "Command sent to device",
-          imei,
-          command,
-          note: "Check logs for device response",
+  app.delete("/api/webhooks/:id", allow("admin"), (req, res) => {
+    try {
+      if (rejectWithoutWebhooks(server, res)) return;
+      const subscription = server.webhooks.deleteSubscription(req.params.id);
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          error: "Subscription not found",
+          id: req.params.id,
         });
-      } else {
-        res.status(404).json({
+      }
+      log(`🌐 API: Webhook subscription deleted: ${subscription.url}`, {
+        id: subscription.id,
+      });
+      res.json({
+        success: true,
+        subscription: publicSubscription(subscription),
+      });
+    } catch (error) {
+      respondWithError(res, error);
+    }
+  });
+
+  // Send a "ping" event to check the receiver and its signature verification
+  app.post("/api/webhooks/:id/ping", allow("admin"), (req, res) => {
+    try {
+      if (rejectWithoutWebhooks(server, res)) return;
+      const delivery = server.webhooks.ping(req.params.id);
+      if (!delivery) {
+        return res.status(404).json({
           success: false,
-          error: "Device not connected",
-          imei,
+          error: "Subscription not found",
+          id: req.params.id,
         });
       }
+      res.status(202).json({
+        success: true,
+        deliveryId: delivery.id,
+      });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: error.message,
+      respondWithError(res, error);
+    }
+  });
+
+  // Delivery log, newest first (?state=pending|delivered|failed&limit=)
+  app.get("/api/webhooks/:id/deliveries", allow("admin"), (req, res) => {
+    try {
+      if (rejectWithoutWebhooks(server, res)) return;
+      if (!server.webhooks.getSubscription(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          error: "Subscription not found",
+          id: req.params.id,
+        });
+      }
+      const deliveries = server.webhooks.listDeliveries({
+        subscriptionId: req.params.id,
+        state: req.query.state,
+        limit: Number.parseInt(req.query.limit, 10) || undefined,
+      });
+      res.json({
+        success: true,
+        count: deliveries.length,
+        deliveries,
       });
+    } catch (error) {
+      respondWithError(res, error);
     }
   });
 
@@ -282,7 +1429,7 @@ export function setupAPI(server, port = 3000) {
   // - rawCommand: string (if provided, sent as-is)
   // - or build command using fields: action="add"|"remove"|"enable"|"disable", fenceNo (number), lat, lon, radiusMeters, insideOutside ("IN"|"OUT")
   // Example add command built: "FENCE,ON,0,17.324268,78.421257,200,IN,1#"
-  app.post("/api/devices/:imei/geofence/send", (req, res) => {
+  app.post("/api/devices/:imei/geofence/send", allow("operator"), async (req, res) => {
     try {
       const { imei } = req.params;
       const {
@@ -320,39 +1467,34 @@ export function setupAPI(server, port = 3000) {
         }
       }
 
-      const sent = server.sendCommand(imei, commandToSend);
-      if (!sent) {
-        return res.status(500).json({ success: false, error: "Failed to send command (device may be disconnected)" });
-      }
-
+      const reply = server.sendCommand(imei, commandToSend, commandOptions(req));
       log(`🌐 API: Sent geofence command to ${imei}`, { command: commandToSend });
-      res.json({ success: true, imei, command: commandToSend });
+      await respondWithCommand(req, res, reply, { imei, command: commandToSend });
     } catch (error) {
       res.status(500).json({ success: false, error: error.message });
     }
   });
 
   // Request location (WHERE command)
-  app.post("/api/devices/:imei/location", (req, res) => {
+  app.post("/api/devices/:imei/location", allow("operator"), async (req, res) => {
     try {
       const { imei } = req.params;
-      const success = server.sendCommand(imei, "WHERE#");
 
-      if (success) {
-        log(`🌐 API: Location request for ${imei}`);
-        res.json({
-          success: true,
-          message: "Location request sent to device",
-          imei,
-          note: "Check logs for GPS location response",
-        });
-      } else {
-        res.status(404).json({
+      if (!server.clients.has(imei)) {
+        return res.status(404).json({
           success: false,
           error: "Device not connected",
           imei,
         });
       }
+
+      const reply = server.sendCommand(imei, "WHERE#", commandOptions(req));
+      log(`🌐 API: Location request for ${imei}`);
+      await respondWithCommand(req, res, reply, {
+        message: "Location request sent to device",
+        imei,
+        note: "Check logs for GPS location response",
+      });
     } catch (error) {
       res.status(500).json({
         success: false,
@@ -362,7 +1504,7 @@ export function setupAPI(server, port = 3000) {
   });
 
   // Get vehicle battery voltage
-  app.get("/api/devices/:imei/battery", (req, res) => {
+  app.get("/api/devices/:imei/battery", allow("viewer"), (req, res) => {
     try {
       const { imei } = req.params;
       const batteryData = server.getBatteryVoltage(imei);
@@ -390,26 +1532,25 @@ export function setupAPI(server, port = 3000) {
   });
 
   // Request vehicle battery voltage
-  app.post("/api/devices/:imei/battery/request", (req, res) => {
+  app.post("/api/devices/:imei/battery/request", allow("operator"), async (req, res) => {
     try {
       const { imei } = req.params;
-      const success = server.requestBatteryVoltage(imei);
 
-      if (success) {
-        log(`🌐 API: Battery voltage request for ${imei}`);
-        res.json({
-          success: true,
-          message: "Battery voltage request sent to device",
-          imei,
-          note: "Using PARAM# command to request device parameters. Check logs for response (protocol 0x94, sub-protocol 0x00 for battery voltage). If device returns 'invalid command', battery voltage reporting may not be supported by this device model.",
-        });
-      } else {
-        res.status(404).json({
+      if (!server.clients.has(imei)) {
+        return res.status(404).json({
           success: false,
           error: "Device not connected",
           imei,
         });
       }
+
+      const reply = server.requestBatteryVoltage(imei, commandOptions(req));
+      log(`🌐 API: Battery voltage request for ${imei}`);
+      await respondWithCommand(req, res, reply, {
+        message: "Battery voltage request sent to device",
+        imei,
+        note: "Using PARAM# command to request device parameters. Check logs for response (protocol 0x94, sub-protocol 0x00 for battery voltage). If device returns 'invalid command', battery voltage reporting may not be supported by this device model.",
+      });
     } catch (error) {
       res.status(500).json({
         success: false,
@@ -419,29 +1560,32 @@ export function setupAPI(server, port = 3000) {
   });
 
   // Configure battery reporting interval
-  app.post("/api/devices/:imei/battery/configure", (req, res) => {
+  app.post("/api/devices/:imei/battery/configure", allow("operator"), async (req, res) => {
     try {
       const { imei } = req.params;
       const { intervalMinutes = 30 } = req.body;
-      const success = server.configureBatteryReporting(imei, intervalMinutes);
-
-      if (success) {
-        log(
-          `🌐 API: Battery reporting configuration for ${imei} (${intervalMinutes} minutes)`,
-        );
-        res.json({
-          success: true,
-          message: `Battery reporting configured for ${intervalMinutes} minutes`,
-          imei,
-          intervalMinutes,
-        });
-      } else {
-        res.status(404).json({
+
+      if (!server.clients.has(imei)) {
+        return res.status(404).json({
           success: false,
           error: "Device not connected",
           imei,
         });
       }
+
+      const reply = server.configureBatteryReporting(
+        imei,
+        intervalMinutes,
+        commandOptions(req),
+      );
+      log(
+        `🌐 API: Battery reporting configuration for ${imei} (${intervalMinutes} minutes)`,
+      );
+      await respondWithCommand(req, res, reply, {
+        message: `Battery reporting configured for ${intervalMinutes} minutes`,
+        imei,
+        intervalMinutes,
+      });
     } catch (error) {
       res.status(500).json({
         success: false,
@@ -451,7 +1595,7 @@ export function setupAPI(server, port = 3000) {
   });
 
   // Get odometer reading
-  app.get("/api/devices/:imei/odometer", (req, res) => {
+  app.get("/api/devices/:imei/odometer", allow("viewer"), (req, res) => {
     try {
       const { imei } = req.params;
       const odometerData = server.getOdometer(imei);
@@ -479,12 +1623,13 @@ export function setupAPI(server, port = 3000) {
   });
 
   // Get server statistics
-  app.get("/api/stats", (req, res) => {
+  app.get("/api/stats", allow("viewer"), (req, res) => {
     try {
       res.json({
         success: true,
         stats: {
           connectedDevices: server.clients.size,
+          liveClients: live.stats(),
           tcpPort: process.env.CONCOX_PORT || 5027,
           apiPort: port,
           uptime: process.uptime(),
@@ -500,10 +1645,31 @@ export function setupAPI(server, port = 3000) {
   });
 
   // Start the API server
-  app.listen(port, () => {
+  const httpServer = app.listen(port, () => {
     log(`🌐 HTTP API server started on port ${port}`);
     log(`📡 API endpoints available at http://localhost:${port}/api`);
+    log(`📺 Live stream at ws://localhost:${port}${LIVE_WS_PATH} and http://localhost:${port}${LIVE_WS_PATH}/events`);
+    if (auth.disabled) {
+      log(`⚠️ HTTP API authentication is disabled (CONCOX_AUTH_DISABLED=true): every caller is admin`);
+    } else if (!auth.configured) {
+      log(`⚠️ HTTP API refuses every request: set CONCOX_API_KEYS or CONCOX_JWT_SECRET`);
+    }
+  });
+  live.attachWebSocket(httpServer, {
+    // Browsers send Origin on WebSocket upgrades but don't apply CORS to them
+    verifyClient: ({ origin, req }, done) => {
+      if (origin && !auth.isOriginAllowed(origin)) {
+        return done(false, 403, "Origin not allowed");
+      }
+      try {
+        auth.authenticate(req, { allowQuery: true });
+        done(true);
+      } catch (error) {
+        done(false, 401, error.message);
+      }
+    },
   });
+  app.httpServer = httpServer;
 
   return app;
 }
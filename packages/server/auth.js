@@ -0,0 +1,232 @@
+/**
+ * HTTP API access control
+ * Callers authenticate with an API key or an HS256/384/512 JWT and get one of
+ * three roles, each allowed everything the previous one is:
+ *   viewer   - read devices, tracks, files, geofences and the live stream
+ *   operator - send commands (immobilize, mobilize, raw commands, ...) and manage geofences
+ *   admin    - manage webhooks and the device registry
+ * Without an API key or JWT secret every request is refused, unless authentication
+ * is turned off explicitly. Browsers may call the API only from the configured CORS origins.
+ */
+
+import crypto from "crypto";
+
+export const ROLES = ["viewer", "operator", "admin"];
+
+const JWT_ALGORITHMS = {
+  HS256: "sha256",
+  HS384: "sha384",
+  HS512: "sha512",
+};
+
+/**
+ * Parse a comma-separated list; empty means not set
+ */
+function parseList(value) {
+  return value
+    ? value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : [];
+}
+
+/**
+ * API keys from CONCOX_API_KEYS: comma-separated "<role>:<key>" entries
+ * @param {string} value - Environment value
+ * @returns {Object[]} [{ key, role, name }]
+ */
+function parseApiKeys(value) {
+  return parseList(value).map((entry, index) => {
+    const separator = entry.indexOf(":");
+    return {
+      role: separator > 0 ? entry.slice(0, separator) : "",
+      key: entry.slice(separator + 1),
+      name: `key-${index + 1}`,
+    };
+  });
+}
+
+function authError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Whether a role grants the required one (admin > operator > viewer)
+ * @param {string} role - Caller's role
+ * @param {string} required - Role a route needs
+ * @returns {boolean}
+ */
+export function hasRole(role, required) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+function digest(value) {
+  return crypto.createHash("sha256").update(value).digest();
+}
+
+function decodeBase64Url(part) {
+  return Buffer.from(part, "base64url");
+}
+
+export class ApiAuth {
+  /**
+   * @param {Object} options - Access control options
+   * @param {Object[]} options.apiKeys - [{ key, role, name }] (default: env CONCOX_API_KEYS, "<role>:<key>,...")
+   * @param {string} options.jwtSecret - Shared secret for HS256/384/512 JWTs (default: env CONCOX_JWT_SECRET)
+   * @param {string} options.jwtIssuer - Required iss claim (default: env CONCOX_JWT_ISSUER, not checked when unset)
+   * @param {string} options.jwtAudience - Required aud claim (default: env CONCOX_JWT_AUDIENCE, not checked when unset)
+   * @param {string[]} options.corsOrigins - Origins browsers may call the API from; "*" allows any
+   *   (default: env CONCOX_CORS_ORIGINS, comma-separated, or none)
+   * @param {boolean} options.disabled - Treat every caller as admin without a credential
+   *   (default: env CONCOX_AUTH_DISABLED=true)
+   */
+  constructor(options = {}) {
+    this.apiKeys = (options.apiKeys || parseApiKeys(process.env.CONCOX_API_KEYS)).map((apiKey) => {
+      if (!ROLES.includes(apiKey.role)) {
+        throw new Error(`API key "${apiKey.name}" has role "${apiKey.role}", expected one of: ${ROLES.join(", ")}`);
+      }
+      if (!apiKey.key) {
+        throw new Error(`API key "${apiKey.name}" is empty`);
+      }
+      // Keys are compared by digest so the comparison takes the same time whatever the input
+      return { name: apiKey.name || null, role: apiKey.role, digest: digest(apiKey.key) };
+    });
+    this.jwtSecret = options.jwtSecret ?? process.env.CONCOX_JWT_SECRET ?? null;
+    this.jwtIssuer = options.jwtIssuer ?? process.env.CONCOX_JWT_ISSUER ?? null;
+    this.jwtAudience = options.jwtAudience ?? process.env.CONCOX_JWT_AUDIENCE ?? null;
+    this.clockToleranceSeconds = options.clockToleranceSeconds ?? 30;
+    this.corsOrigins = options.corsOrigins || parseList(process.env.CONCOX_CORS_ORIGINS);
+    this.disabled = options.disabled ?? process.env.CONCOX_AUTH_DISABLED === "true";
+  }
+
+  /**
+   * Whether an API key or a JWT secret is configured; without either no credential is accepted
+   */
+  get configured() {
+    return this.apiKeys.length > 0 || Boolean(this.jwtSecret);
+  }
+
+  isOriginAllowed(origin) {
+    return this.corsOrigins.includes("*") || this.corsOrigins.includes(origin);
+  }
+
+  /**
+   * Credential sent with a request: X-API-Key, or Authorization: Bearer (an API key or a JWT).
+   * ?access_token= is read only where headers can't be set (EventSource, browser WebSockets).
+   * @param {http.IncomingMessage} req - Request
+   * @param {Object} options - { allowQuery: accept ?access_token= }
+   * @returns {string|null} Credential
+   */
+  credentialFrom(req, options = {}) {
+    const apiKey = req.headers["x-api-key"];
+    if (apiKey) return String(apiKey);
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "");
+    if (match) return match[1];
+    if (options.allowQuery) {
+      return new URL(req.url, "http://localhost").searchParams.get("access_token");
+    }
+    return null;
+  }
+
+  /**
+   * Identify the caller of a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {Object} options - { allowQuery } (see credentialFrom)
+   * @returns {{role: string, subject: string|null, method: string}} method is "api-key", "jwt",
+   *   or "none" when authentication is disabled (every caller is admin)
+   * @throws {Error} code UNAUTHENTICATED when the credential is missing or invalid, or when
+   *   no credentials are configured
+   */
+  authenticate(req, options = {}) {
+    if (this.disabled) {
+      return { role: "admin", subject: null, method: "none" };
+    }
+    if (!this.configured) {
+      throw authError(
+        "UNAUTHENTICATED",
+        "No API keys or JWT secret configured: set CONCOX_API_KEYS or CONCOX_JWT_SECRET (or CONCOX_AUTH_DISABLED=true)",
+      );
+    }
+    const credential = this.credentialFrom(req, options);
+    if (!credential) {
+      throw authError("UNAUTHENTICATED", "Authentication required: send an X-API-Key header or a Bearer token");
+    }
+
+    const presented = digest(credential);
+    const apiKey = this.apiKeys.find((candidate) => crypto.timingSafeEqual(candidate.digest, presented));
+    if (apiKey) {
+      return { role: apiKey.role, subject: apiKey.name, method: "api-key" };
+    }
+    if (this.jwtSecret && credential.split(".").length === 3) {
+      const claims = this.verifyJWT(credential);
+      return { role: this.roleFromClaims(claims), subject: claims.sub ?? null, method: "jwt" };
+    }
+    throw authError("UNAUTHENTICATED", "Invalid API key or token");
+  }
+
+  /**
+   * Verify a JWT's signature and time claims
+   * @param {string} token - Compact JWT
+   * @returns {Object} Claims
+   * @throws {Error} code UNAUTHENTICATED when the token is malformed, forged, has no exp, is expired or
+   *   is not for this API
+   */
+  verifyJWT(token) {
+    const [header, payload, signature] = token.split(".");
+    let algorithm;
+    let claims;
+    try {
+      algorithm = JWT_ALGORITHMS[JSON.parse(decodeBase64Url(header).toString("utf8")).alg];
+      claims = JSON.parse(decodeBase64Url(payload).toString("utf8"));
+    } catch (error) {
+      throw authError("UNAUTHENTICATED", "Malformed token");
+    }
+    // Only HMAC algorithms: "none" and public-key algorithms are refused
+    if (!algorithm || !claims || typeof claims !== "object") {
+      throw authError("UNAUTHENTICATED", "Unsupported token algorithm");
+    }
+
+    const expected = crypto.createHmac(algorithm, this.jwtSecret).update(`${header}.${payload}`).digest();
+    const actual = decodeBase64Url(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      throw authError("UNAUTHENTICATED", "Invalid token signature");
+    }
+
+    const now = Date.now() / 1000;
+    // A token without an expiry would be valid for as long as the secret is
+    if (typeof claims.exp !== "number") {
+      throw authError("UNAUTHENTICATED", "Token has no expiry");
+    }
+    if (now > claims.exp + this.clockToleranceSeconds) {
+      throw authError("UNAUTHENTICATED", "Token expired");
+    }
+    if (typeof claims.nbf === "number" && now < claims.nbf - this.clockToleranceSeconds) {
+      throw authError("UNAUTHENTICATED", "Token not valid yet");
+    }
+    if (this.jwtIssuer && claims.iss !== this.jwtIssuer) {
+      throw authError("UNAUTHENTICATED", "Token issuer not accepted");
+    }
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (this.jwtAudience && !audiences.includes(this.jwtAudience)) {
+      throw authError("UNAUTHENTICATED", "Token audience not accepted");
+    }
+    return claims;
+  }
+
+  /**
+   * Role of a JWT: its role claim, or the highest of its roles claim
+   * @throws {Error} code UNAUTHENTICATED when the token names no known role
+   */
+  roleFromClaims(claims) {
+    const roles = [claims.role, ...(Array.isArray(claims.roles) ? claims.roles : [])].filter((role) =>
+      ROLES.includes(role),
+    );
+    if (roles.length === 0) {
+      throw authError("UNAUTHENTICATED", `Token has no role (expected one of: ${ROLES.join(", ")})`);
+    }
+    return roles.reduce((highest, role) => (hasRole(role, highest) ? role : highest));
+  }
+}
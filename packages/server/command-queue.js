@@ -0,0 +1,245 @@
+/**
+ * Persistent per-IMEI command queue
+ * Commands for devices that are offline are kept on disk and delivered
+ * after the device's next login. Finished commands are kept for a while as
+ * history, then pruned so the file doesn't grow without bound.
+ */
+
+import crypto from "crypto";
+import { dataPath, readJSONFile, writeJSONFile } from "./data-dir.js";
+
+export const COMMAND_STATES = {
+  QUEUED: "queued",
+  SENT: "sent",
+  ANSWERED: "answered",
+  FAILED: "failed",
+  EXPIRED: "expired",
+  CANCELLED: "cancelled",
+};
+
+const DEFAULT_TTL_MS = Number.parseInt(
+  process.env.CONCOX_COMMAND_TTL_MS || String(24 * 60 * 60 * 1000),
+  10,
+);
+
+const DEFAULT_RETENTION_MS = Number.parseInt(
+  process.env.CONCOX_COMMAND_RETENTION_MS || String(7 * 24 * 60 * 60 * 1000),
+  10,
+);
+
+const FINISHED_STATES = new Set([
+  COMMAND_STATES.ANSWERED,
+  COMMAND_STATES.FAILED,
+  COMMAND_STATES.EXPIRED,
+  COMMAND_STATES.CANCELLED,
+]);
+
+export class CommandQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {string|null} options.filePath - JSON file backing the queue; null keeps it in memory
+   *   (default: <data>/command-queue.json)
+   * @param {number} options.defaultTtlMs - Expiry for commands enqueued without ttlMs (default: 24h, env CONCOX_COMMAND_TTL_MS)
+   * @param {number} options.retentionMs - How long finished commands are kept (default: 7 days, env CONCOX_COMMAND_RETENTION_MS)
+   * @param {number} options.maxFinishedPerDevice - Finished commands kept per device, newest first (default: 100)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath !== undefined ? options.filePath : dataPath("command-queue.json");
+    this.defaultTtlMs = options.defaultTtlMs ?? DEFAULT_TTL_MS;
+    this.retentionMs = options.retentionMs ?? DEFAULT_RETENTION_MS;
+    this.maxFinishedPerDevice = options.maxFinishedPerDevice ?? 100;
+    this.entries = new Map(
+      readJSONFile(this.filePath, []).map((entry) => [entry.id, entry]),
+    );
+    this.recoverInterrupted();
+    this.expireStale();
+  }
+
+  /**
+   * Commands left "sent" by an earlier run never get their reply: the
+   * connection they went out on is gone. Queue them again to be re-sent
+   * on the device's next login (or expire them, if they are past their expiry).
+   */
+  recoverInterrupted() {
+    let recovered = false;
+    for (const entry of this.entries.values()) {
+      if (entry.state === COMMAND_STATES.SENT) {
+        entry.state = COMMAND_STATES.QUEUED;
+        entry.error = "Server restarted before the device replied";
+        recovered = true;
+      }
+    }
+    if (recovered) {
+      this.save();
+    }
+  }
+
+  save() {
+    writeJSONFile(this.filePath, Array.from(this.entries.values()));
+  }
+
+  /**
+   * Add a command for a device
+   * @param {string} imei - Device IMEI
+   * @param {string} command - Command text, e.g. "RELAY,1#"
+   * @param {Object} options - Enqueue options
+   * @param {number} options.ttlMs - Drop the command if not delivered within this time
+   * @returns {Object} Queue entry
+   */
+  enqueue(imei, command, options = {}) {
+    const now = Date.now();
+    const ttlMs = options.ttlMs ?? this.defaultTtlMs;
+    const entry = {
+      id: crypto.randomUUID(),
+      imei,
+      command,
+      state: COMMAND_STATES.QUEUED,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlMs).toISOString(),
+      attempts: 0,
+      sentAt: null,
+      answeredAt: null,
+      finishedAt: null,
+      response: null,
+      error: null,
+    };
+    this.entries.set(entry.id, entry);
+    this.save();
+    return entry;
+  }
+
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * List entries for a device, oldest first
+   * @param {string} imei - Device IMEI
+   * @param {Object} filter - Optional filter
+   * @param {string} filter.state - Only entries in this state
+   * @returns {Object[]} Queue entries
+   */
+  list(imei, filter = {}) {
+    this.expireStale();
+    return Array.from(this.entries.values())
+      .filter((entry) => entry.imei === imei)
+      .filter((entry) => !filter.state || entry.state === filter.state)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Commands waiting to be delivered to a device
+   * @param {string} imei - Device IMEI
+   * @returns {Object[]} Queued, unexpired entries, oldest first
+   */
+  due(imei) {
+    return this.list(imei, { state: COMMAND_STATES.QUEUED });
+  }
+
+  /**
+   * Cancel a command that has not been delivered yet
+   * @param {string} id - Entry id
+   * @returns {Object|null} The cancelled entry, or null if not found or already sent
+   */
+  cancel(id) {
+    const entry = this.entries.get(id);
+    if (!entry || entry.state !== COMMAND_STATES.QUEUED) {
+      return null;
+    }
+    entry.state = COMMAND_STATES.CANCELLED;
+    entry.finishedAt = new Date().toISOString();
+    this.save();
+    return entry;
+  }
+
+  markSent(id) {
+    return this.update(id, {
+      state: COMMAND_STATES.SENT,
+      sentAt: new Date().toISOString(),
+      attempts: this.entries.get(id).attempts + 1,
+    });
+  }
+
+  markAnswered(id, reply) {
+    const now = new Date().toISOString();
+    return this.update(id, {
+      state: COMMAND_STATES.ANSWERED,
+      answeredAt: now,
+      finishedAt: now,
+      response: reply.response,
+      error: null,
+    });
+  }
+
+  markFailed(id, error) {
+    return this.update(id, {
+      state: COMMAND_STATES.FAILED,
+      finishedAt: new Date().toISOString(),
+      error: error.message,
+    });
+  }
+
+  /**
+   * Put a sent command back in the queue, e.g. when the device dropped the
+   * connection before replying
+   */
+  requeue(id, error) {
+    return this.update(id, {
+      state: COMMAND_STATES.QUEUED,
+      error: error ? error.message : null,
+    });
+  }
+
+  update(id, fields) {
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+    Object.assign(entry, fields);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Mark queued commands past their expiry as expired and prune finished ones
+   * @returns {Object[]} Entries that expired in this pass
+   */
+  expireStale() {
+    const now = new Date().toISOString();
+    const expired = [];
+    for (const entry of this.entries.values()) {
+      if (entry.state === COMMAND_STATES.QUEUED && entry.expiresAt <= now) {
+        entry.state = COMMAND_STATES.EXPIRED;
+        entry.finishedAt = now;
+        expired.push(entry);
+      }
+    }
+    if (this.prune(Date.parse(now)) || expired.length > 0) {
+      this.save();
+    }
+    return expired;
+  }
+
+  /**
+   * Drop finished commands older than the retention time, and beyond the
+   * newest maxFinishedPerDevice of each device
+   * @param {number} now - Current time (ms)
+   * @returns {boolean} Whether anything was dropped
+   */
+  prune(now = Date.now()) {
+    const finishedAt = (entry) => entry.finishedAt || entry.answeredAt || entry.createdAt;
+    const kept = new Map(); // imei -> finished entries kept so far
+    let pruned = false;
+    const finished = Array.from(this.entries.values())
+      .filter((entry) => FINISHED_STATES.has(entry.state))
+      .sort((a, b) => finishedAt(b).localeCompare(finishedAt(a)));
+    for (const entry of finished) {
+      const count = kept.get(entry.imei) || 0;
+      if (now - Date.parse(finishedAt(entry)) > this.retentionMs || count >= this.maxFinishedPerDevice) {
+        this.entries.delete(entry.id);
+        pruned = true;
+      } else {
+        kept.set(entry.imei, count + 1);
+      }
+    }
+    return pruned;
+  }
+}
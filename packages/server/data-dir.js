@@ -0,0 +1,49 @@
+/**
+ * Data directory for persisted server state (command queue, storage, ...)
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DATA_DIR =
+  process.env.CONCOX_DATA_DIR || path.join(__dirname, "../../data");
+
+/**
+ * Resolve a path inside the data directory
+ * @param {...string} segments - Path segments relative to DATA_DIR
+ * @returns {string} Absolute path
+ */
+export function dataPath(...segments) {
+  return path.join(DATA_DIR, ...segments);
+}
+
+/**
+ * Write a JSON file atomically (write to a temp file, then rename) so a crash
+ * mid-write never leaves a truncated file behind.
+ * @param {string|null} filePath - Target file; null keeps the value in memory only (nothing is written)
+ * @param {*} value - JSON-serialisable value
+ */
+export function writeJSONFile(filePath, value) {
+  if (filePath === null) return;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(value, null, 2), "utf8");
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Read a JSON file, returning a fallback if it does not exist yet
+ * @param {string|null} filePath - Source file; null reads nothing
+ * @param {*} fallback - Value returned when the file is missing
+ * @returns {*} Parsed value
+ */
+export function readJSONFile(filePath, fallback) {
+  if (filePath === null || !fs.existsSync(filePath)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
@@ -0,0 +1,209 @@
+/**
+ * Device registry
+ * The IMEIs the server accepts, with metadata for each device (name, plate
+ * number, model, SIM, timezone, group). What happens to an IMEI that is not
+ * registered depends on the unknown-device policy:
+ *   reject   - the login is refused and the connection closed
+ *   flag     - the device is served as before but listed as unregistered
+ *   register - the device is added to the registry on its first login
+ * Disabled devices are refused whatever the policy.
+ */
+
+import { dataPath, readJSONFile, writeJSONFile } from "./data-dir.js";
+
+export const UNKNOWN_DEVICE_POLICIES = ["reject", "flag", "register"];
+
+const DEFAULT_OPTIONS = {
+  unknownDevices: (process.env.CONCOX_UNKNOWN_DEVICES || "flag").toLowerCase(),
+};
+
+/**
+ * Metadata fields a registration may set, besides imei and enabled
+ */
+const TEXT_FIELDS = ["name", "plateNumber", "model", "simNumber", "iccid", "timezone", "group"];
+
+function deviceError(message) {
+  const error = new Error(message);
+  error.code = "INVALID_DEVICE";
+  return error;
+}
+
+/**
+ * IMEI as the login packet reports it: decimal digits without leading zeros
+ */
+function normalizeImei(imei) {
+  const digits = typeof imei === "number" ? String(imei) : imei;
+  if (typeof digits !== "string" || !/^\d{1,16}$/.test(digits.trim())) {
+    throw deviceError("imei must be a string of up to 16 digits");
+  }
+  return digits.trim().replace(/^0+(?=\d)/, "");
+}
+
+function isTimezone(value) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate a registration, throwing an INVALID_DEVICE error on the first problem
+ * @param {Object} device - Registration fields
+ */
+function validateDevice(device) {
+  for (const field of TEXT_FIELDS) {
+    if (device[field] !== null && typeof device[field] !== "string") {
+      throw deviceError(`${field} must be a string or null`);
+    }
+  }
+  if (device.iccid !== null && !/^\d{18,22}F?$/i.test(device.iccid)) {
+    throw deviceError("iccid must be 18-22 digits");
+  }
+  if (device.timezone !== null && !isTimezone(device.timezone)) {
+    throw deviceError(`timezone must be an IANA time zone (e.g. "Europe/Berlin"), got "${device.timezone}"`);
+  }
+  if (typeof device.enabled !== "boolean") {
+    throw deviceError("enabled must be a boolean");
+  }
+}
+
+/**
+ * Keep only the fields a registration holds; blank text counts as not set
+ */
+function deviceFields(input) {
+  const device = {};
+  for (const field of TEXT_FIELDS) {
+    const value = input[field];
+    device[field] = typeof value === "string" ? value.trim() || null : value ?? null;
+  }
+  device.enabled = input.enabled ?? true;
+  return device;
+}
+
+export class DeviceRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {string|null} options.filePath - JSON file holding the registrations; null keeps them in memory
+   *   (default: <data>/device-registry.json)
+   * @param {string} options.unknownDevices - Policy for IMEIs not in the registry: "reject", "flag" or
+   *   "register" (default: "flag", env CONCOX_UNKNOWN_DEVICES)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    if (!UNKNOWN_DEVICE_POLICIES.includes(this.options.unknownDevices)) {
+      throw new Error(
+        `Unknown device policy must be one of: ${UNKNOWN_DEVICE_POLICIES.join(", ")}, got "${this.options.unknownDevices}"`,
+      );
+    }
+    this.filePath = options.filePath !== undefined ? options.filePath : dataPath("device-registry.json");
+    const data = readJSONFile(this.filePath, {});
+    this.devices = new Map((data.devices || []).map((device) => [device.imei, device]));
+  }
+
+  save() {
+    writeJSONFile(this.filePath, { devices: Array.from(this.devices.values()) });
+  }
+
+  /**
+   * List registrations
+   * @param {Object} filter - Optional filter
+   * @param {string} filter.group - Only devices of this group
+   * @returns {Object[]} Registrations, oldest first
+   */
+  list(filter = {}) {
+    const devices = Array.from(this.devices.values());
+    return filter.group ? devices.filter((device) => device.group === filter.group) : devices;
+  }
+
+  get(imei) {
+    return this.devices.get(imei) || null;
+  }
+
+  /**
+   * Register a device
+   * @param {Object} input - { imei, name, plateNumber, model, simNumber, iccid, timezone, group, enabled }
+   * @param {Object} options - { source: "api" (default) or "auto" for devices registered on login }
+   * @returns {Object} Registration
+   * @throws {Error} code INVALID_DEVICE if the input is invalid or the IMEI is already registered
+   */
+  create(input, options = {}) {
+    const imei = normalizeImei(input.imei);
+    if (this.devices.has(imei)) {
+      throw deviceError(`Device ${imei} is already registered`);
+    }
+    const fields = deviceFields(input);
+    validateDevice(fields);
+    const now = new Date().toISOString();
+    const device = { imei, ...fields, source: options.source || "api", createdAt: now, updatedAt: now };
+    this.devices.set(imei, device);
+    this.save();
+    return device;
+  }
+
+  /**
+   * Update a registration; omitted fields keep their current value
+   * @param {string} imei - Device IMEI
+   * @param {Object} input - Fields to change (imei itself cannot change)
+   * @returns {Object|null} Updated registration, or null if not registered
+   * @throws {Error} code INVALID_DEVICE if the result is invalid
+   */
+  update(imei, input) {
+    const existing = this.devices.get(imei);
+    if (!existing) {
+      return null;
+    }
+    const fields = deviceFields({ ...existing, ...input });
+    validateDevice(fields);
+    const device = {
+      imei,
+      ...fields,
+      source: existing.source,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString(),
+    };
+    this.devices.set(imei, device);
+    this.save();
+    return device;
+  }
+
+  delete(imei) {
+    const device = this.devices.get(imei);
+    if (!device) {
+      return null;
+    }
+    this.devices.delete(imei);
+    this.save();
+    return device;
+  }
+
+  /**
+   * Whether a device may be connected, without registering it
+   * @param {string} imei - Device IMEI
+   * @returns {boolean}
+   */
+  isAllowed(imei) {
+    const device = this.devices.get(imei);
+    return device ? device.enabled : this.options.unknownDevices !== "reject";
+  }
+
+  /**
+   * Decide on a login, registering the device first under the "register" policy
+   * @param {string} imei - IMEI from the login packet
+   * @param {Object} login - { model } as resolved from the login packet
+   * @returns {{allowed: boolean, device: Object|null, reason: string|null}} device is the
+   *   registration (null for a flagged device); reason says why a login is refused
+   */
+  admit(imei, login = {}) {
+    let device = this.devices.get(imei) || null;
+    if (!device && this.options.unknownDevices === "register") {
+      device = this.create({ imei, model: login.model ?? null }, { source: "auto" });
+    }
+    if (!device) {
+      const allowed = this.options.unknownDevices === "flag";
+      return { allowed, device: null, reason: allowed ? null : "not registered" };
+    }
+    return { allowed: device.enabled, device, reason: device.enabled ? null : "disabled" };
+  }
+}
@@ -0,0 +1,220 @@
+/**
+ * Track export (GPX, KML, GeoJSON, CSV)
+ * Exporters are fed track points one at a time and produce text chunks, so a
+ * whole time range can be written out page by page without building it in memory.
+ * The one exception is the GeoJSON LineString, whose per-vertex attribute arrays
+ * can only be written once the last coordinate is out.
+ */
+
+import { queryTrack, MAX_TRACK_LIMIT } from "./track.js";
+
+const XML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" };
+
+function escapeXML(value) {
+  return String(value).replace(/[&<>"']/g, (char) => XML_ESCAPES[char]);
+}
+
+function escapeCSV(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Extended attributes carried alongside the coordinates in every format
+ */
+const ATTRIBUTES = ["speed", "course", "acc", "mileage"];
+
+function gpxExporter({ imei, name }) {
+  return {
+    begin: () =>
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<gpx version="1.1" creator="concox-v5" xmlns="http://www.topografix.com/GPX/1/1" ' +
+      'xmlns:concox="urn:concox:gpx:1">\n' +
+      `  <trk>\n    <name>${escapeXML(name)}</name>\n    <src>${escapeXML(imei)}</src>\n    <trkseg>\n`,
+    point: (point) => {
+      const extensions = ATTRIBUTES.filter((key) => point[key] !== null && point[key] !== undefined)
+        .map((key) => `<concox:${key}>${escapeXML(point[key])}</concox:${key}>`)
+        .join("");
+      return (
+        `      <trkpt lat="${point.latitude}" lon="${point.longitude}">` +
+        `<time>${point.deviceTime}</time>` +
+        (point.satellites !== null ? `<sat>${point.satellites}</sat>` : "") +
+        (extensions ? `<extensions>${extensions}</extensions>` : "") +
+        "</trkpt>\n"
+      );
+    },
+    end: () => "    </trkseg>\n  </trk>\n</gpx>\n",
+  };
+}
+
+function kmlExporter({ name }) {
+  // gx:Track lists all <when>s, then all <gx:coord>s, then the attribute
+  // arrays, so each page of points becomes its own track within a gx:MultiTrack
+  let whens = [];
+  let coords = [];
+  let values = {};
+  const reset = () => {
+    whens = [];
+    coords = [];
+    values = Object.fromEntries(ATTRIBUTES.map((key) => [key, []]));
+  };
+  reset();
+
+  return {
+    begin: () =>
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">\n' +
+      "<Document>\n" +
+      `  <name>${escapeXML(name)}</name>\n` +
+      '  <Schema id="concox">\n' +
+      ATTRIBUTES.map((key) => `    <gx:SimpleArrayField name="${key}" type="string"/>\n`).join("") +
+      "  </Schema>\n" +
+      `  <Placemark>\n    <name>${escapeXML(name)}</name>\n    <gx:MultiTrack>\n` +
+      "      <gx:interpolate>1</gx:interpolate>\n",
+    point: (point) => {
+      whens.push(`        <when>${point.deviceTime}</when>\n`);
+      coords.push(`        <gx:coord>${point.longitude} ${point.latitude} 0</gx:coord>\n`);
+      for (const key of ATTRIBUTES) {
+        values[key].push(`<gx:value>${escapeXML(point[key] ?? "")}</gx:value>`);
+      }
+      return "";
+    },
+    endPage: () => {
+      if (whens.length === 0) return "";
+      const track =
+        "      <gx:Track>\n" +
+        whens.join("") +
+        coords.join("") +
+        '        <ExtendedData>\n          <SchemaData schemaUrl="#concox">\n' +
+        ATTRIBUTES.map(
+          (key) =>
+            `            <gx:SimpleArrayData name="${key}">${values[key].join("")}</gx:SimpleArrayData>\n`,
+        ).join("") +
+        "          </SchemaData>\n        </ExtendedData>\n" +
+        "      </gx:Track>\n";
+      reset();
+      return track;
+    },
+    end: () => "    </gx:MultiTrack>\n  </Placemark>\n</Document>\n</kml>\n",
+  };
+}
+
+function geojsonLineStringExporter({ imei, name }) {
+  // Per-vertex attributes follow the coordinateProperties convention,
+  // written after the coordinates once the track is complete
+  const coordinateProperties = { times: [], ...Object.fromEntries(ATTRIBUTES.map((key) => [key, []])) };
+  let first = true;
+
+  return {
+    begin: () => '{"type":"Feature","geometry":{"type":"LineString","coordinates":[',
+    point: (point) => {
+      coordinateProperties.times.push(point.deviceTime);
+      for (const key of ATTRIBUTES) {
+        coordinateProperties[key].push(point[key] ?? null);
+      }
+      const chunk = `${first ? "" : ","}[${point.longitude},${point.latitude}]`;
+      first = false;
+      return chunk;
+    },
+    end: () =>
+      `]},"properties":${JSON.stringify({ imei, name, coordinateProperties })}}\n`,
+  };
+}
+
+function geojsonFeatureCollectionExporter({ imei, name }) {
+  let first = true;
+
+  return {
+    begin: () =>
+      `{"type":"FeatureCollection","properties":${JSON.stringify({ imei, name })},"features":[\n`,
+    point: (point) => {
+      const { latitude, longitude, ...properties } = point;
+      const chunk =
+        (first ? "" : ",\n") +
+        JSON.stringify({
+          type: "Feature",
+          geometry: { type: "Point", coordinates: [longitude, latitude] },
+          properties,
+        });
+      first = false;
+      return chunk;
+    },
+    end: () => "\n]}\n",
+  };
+}
+
+const CSV_COLUMNS = [
+  "deviceTime",
+  "receivedAt",
+  "latitude",
+  "longitude",
+  "speed",
+  "course",
+  "satellites",
+  "gpsPositioned",
+  "acc",
+  "mileage",
+  "source",
+  "alarmType",
+];
+
+function csvExporter() {
+  return {
+    begin: () => `${CSV_COLUMNS.join(",")}\r\n`,
+    point: (point) => `${CSV_COLUMNS.map((column) => escapeCSV(point[column])).join(",")}\r\n`,
+    end: () => "",
+  };
+}
+
+/**
+ * Supported export formats
+ */
+export const EXPORT_FORMATS = {
+  gpx: { contentType: "application/gpx+xml", extension: "gpx", create: gpxExporter },
+  kml: { contentType: "application/vnd.google-earth.kml+xml", extension: "kml", create: kmlExporter },
+  geojson: {
+    contentType: "application/geo+json",
+    extension: "geojson",
+    create: geojsonLineStringExporter,
+  },
+  "geojson-points": {
+    contentType: "application/geo+json",
+    extension: "geojson",
+    create: geojsonFeatureCollectionExporter,
+  },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv", create: csvExporter },
+};
+
+/**
+ * Export a device's stored track as text chunks
+ * @param {Storage} storage - Storage backend
+ * @param {string} imei - Device IMEI
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} options - Track query options (from, to, gpsPositionedOnly, includeAlarms, tolerance)
+ * @param {string} options.name - Track name written into the file (default: IMEI)
+ * @returns {AsyncGenerator<string>} Chunks of the exported document
+ */
+export async function* exportTrack(storage, imei, format, options = {}) {
+  const definition = EXPORT_FORMATS[format];
+  if (!definition) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  const exporter = definition.create({ imei, name: options.name || imei });
+  yield exporter.begin();
+
+  let cursor;
+  do {
+    const page = await queryTrack(storage, imei, {
+      ...options,
+      limit: MAX_TRACK_LIMIT,
+      cursor,
+    });
+    yield page.points.map((point) => exporter.point(point)).join("") +
+      (exporter.endPage ? exporter.endPage() : "");
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  yield exporter.end();
+}
@@ -0,0 +1,278 @@
+/**
+ * HVT001 file reassembly
+ * Voice recordings arrive as 0x8D chunks, each carrying its byte offset in the
+ * file. Chunks are buffered per device, file type and flag (recording time, or
+ * the SOS alarm serial) until the whole file is covered, then the file is checked
+ * against its CRC or MD5 and kept on disk:
+ *   <dir>/<imei>/<id>.<ext>, with the metadata of the device's files in <dir>/<imei>/files.json
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { datetimeToISO } from "../shared/index.js";
+import { verifyFileChecksum } from "../protocols/file-transfer.js";
+import { dataPath, readJSONFile, writeJSONFile } from "./data-dir.js";
+import { assertImei } from "./storage.js";
+
+export const CHUNK_RESULTS = {
+  PARTIAL: "partial",
+  DUPLICATE: "duplicate",
+  COMPLETE: "complete",
+  CORRUPT: "corrupt",
+  INVALID: "invalid",
+};
+
+export const FILE_KINDS = {
+  0x00: "monitoring",
+  0x01: "sos",
+  0x02: "intercom",
+};
+
+const DEFAULT_OPTIONS = {
+  maxFileBytes: 5 * 1024 * 1024, // larger announced files are refused
+  transferTimeoutMs: 10 * 60 * 1000, // unfinished transfers idle this long are dropped
+};
+
+/**
+ * Content type and extension from the file's magic bytes
+ */
+const CONTENT_TYPES = [
+  { magic: "#!AMR-WB\n", contentType: "audio/amr-wb", extension: "awb" },
+  { magic: "#!AMR\n", contentType: "audio/amr", extension: "amr" },
+  { magic: "RIFF", contentType: "audio/wav", extension: "wav" },
+];
+
+function detectContentType(content) {
+  const match = CONTENT_TYPES.find(({ magic }) =>
+    content.subarray(0, magic.length).equals(Buffer.from(magic, "ascii")),
+  );
+  return match || { contentType: "application/octet-stream", extension: "bin" };
+}
+
+/**
+ * Chunks of one file are told apart from other files of the same type by the flag
+ */
+function flagKey(flagBit) {
+  return flagBit ? `${flagBit.type}:${flagBit.value}` : "none";
+}
+
+/**
+ * Bytes of the file covered by the chunks received so far (chunks may overlap)
+ * @param {Map<number, Buffer>} chunks - Start position -> content
+ * @returns {number} Covered bytes
+ */
+function coveredBytes(chunks) {
+  let covered = 0;
+  let end = 0;
+  for (const start of [...chunks.keys()].sort((a, b) => a - b)) {
+    const chunkEnd = start + chunks.get(start).length;
+    if (chunkEnd > end) {
+      covered += chunkEnd - Math.max(start, end);
+      end = chunkEnd;
+    }
+  }
+  return covered;
+}
+
+export class FileAssembler {
+  /**
+   * @param {Object} options - Assembler options (see DEFAULT_OPTIONS for limits)
+   * @param {string} options.dir - Directory holding completed files (default: <data>/files)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.dir = options.dir || dataPath("files");
+    this.transfers = new Map(); // imei:fileType:flag -> transfer in progress
+  }
+
+  indexFile(imei) {
+    assertImei(imei);
+    return path.join(this.dir, imei, "files.json");
+  }
+
+  /**
+   * Drop transfers the device stopped sending
+   * @param {number} now - Current time (ms)
+   */
+  expire(now = Date.now()) {
+    for (const [key, transfer] of this.transfers) {
+      if (now - transfer.updatedAt > this.options.transferTimeoutMs) {
+        this.transfers.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Add a parsed 0x8D chunk. Chunks may arrive out of order or more than once;
+   * once every byte is in, the file is verified and handed back to be saved.
+   * @param {string} imei - Device IMEI
+   * @param {Object} chunk - parseFileTransfer() result
+   * @returns {{status: string, transfer: Object, content?: Buffer, error?: string}} status is one of
+   *   CHUNK_RESULTS; content is the whole file when status is complete
+   */
+  addChunk(imei, chunk) {
+    const { fileTypeRaw, fileLength, errorCheckType, errorCheck, startPosition, flagBit } = chunk;
+    const content = Buffer.from(chunk.content);
+    const now = Date.now();
+    this.expire(now);
+
+    const key = `${imei}:${fileTypeRaw}:${flagKey(flagBit)}`;
+    let transfer = this.transfers.get(key);
+    if (transfer && (transfer.fileLength !== fileLength || transfer.errorCheck !== errorCheck)) {
+      // A different file under the same flag: the device started over
+      this.transfers.delete(key);
+      transfer = null;
+    }
+    if (!transfer) {
+      transfer = {
+        key,
+        imei,
+        fileTypeRaw,
+        fileType: chunk.fileType,
+        fileLength,
+        errorCheckType,
+        errorCheck,
+        flagBit: flagBit || null,
+        chunks: new Map(),
+        receivedBytes: 0,
+        startedAt: now,
+        updatedAt: now,
+      };
+    }
+
+    if (!(fileLength > 0) || fileLength > this.options.maxFileBytes) {
+      return {
+        status: CHUNK_RESULTS.INVALID,
+        transfer: this.summarize(transfer),
+        error: `File length ${fileLength} is outside 1-${this.options.maxFileBytes} bytes`,
+      };
+    }
+    if (startPosition + content.length > fileLength) {
+      return {
+        status: CHUNK_RESULTS.INVALID,
+        transfer: this.summarize(transfer),
+        error: `Chunk at ${startPosition} (${content.length} bytes) runs past the ${fileLength}-byte file`,
+      };
+    }
+
+    this.transfers.set(key, transfer);
+    transfer.updatedAt = now;
+    const previous = transfer.chunks.get(startPosition);
+    if (previous && previous.equals(content)) {
+      return { status: CHUNK_RESULTS.DUPLICATE, transfer: this.summarize(transfer) };
+    }
+
+    transfer.chunks.set(startPosition, content);
+    transfer.receivedBytes = coveredBytes(transfer.chunks);
+    if (transfer.receivedBytes < fileLength) {
+      return { status: CHUNK_RESULTS.PARTIAL, transfer: this.summarize(transfer) };
+    }
+
+    this.transfers.delete(key);
+    const file = Buffer.alloc(fileLength);
+    for (const [start, data] of transfer.chunks) {
+      data.copy(file, start);
+    }
+    if (!verifyFileChecksum(file, errorCheck, errorCheckType)) {
+      return {
+        status: CHUNK_RESULTS.CORRUPT,
+        transfer: this.summarize(transfer),
+        error: `${errorCheckType} mismatch over the assembled file`,
+      };
+    }
+    return { status: CHUNK_RESULTS.COMPLETE, transfer: this.summarize(transfer), content: file };
+  }
+
+  /**
+   * Transfer as reported in events and the API (without the buffered chunks)
+   */
+  summarize(transfer) {
+    const { chunks, key, startedAt, updatedAt, ...fields } = transfer;
+    return {
+      ...fields,
+      chunkCount: chunks.size,
+      startedAt: new Date(startedAt).toISOString(),
+      updatedAt: new Date(updatedAt).toISOString(),
+    };
+  }
+
+  /**
+   * Transfers still being received for a device
+   * @param {string} imei - Device IMEI
+   * @returns {Object[]} Transfers
+   */
+  pending(imei) {
+    this.expire();
+    return [...this.transfers.values()]
+      .filter((transfer) => transfer.imei === imei)
+      .map((transfer) => this.summarize(transfer));
+  }
+
+  /**
+   * Write a verified file and add it to the device's index
+   * @param {Object} transfer - Transfer from addChunk()
+   * @param {Buffer} content - Whole file
+   * @param {Object} fields - Extra metadata (alarmId for SOS recordings)
+   * @returns {Object} File metadata
+   */
+  save(transfer, content, fields = {}) {
+    const { imei, flagBit } = transfer;
+    const indexFile = this.indexFile(imei);
+    const { contentType, extension } = detectContentType(content);
+    const id = crypto.randomUUID();
+    const file = {
+      id,
+      imei,
+      kind: FILE_KINDS[transfer.fileTypeRaw] || "unknown",
+      fileType: transfer.fileType,
+      fileTypeRaw: transfer.fileTypeRaw,
+      fileLength: transfer.fileLength,
+      errorCheckType: transfer.errorCheckType,
+      errorCheck: transfer.errorCheck,
+      // Monitoring and intercom files are flagged with the recording time, SOS files with the alarm serial
+      recordedAt: flagBit && flagBit.type === "datetime" ? datetimeToISO(flagBit.raw) : null,
+      alarmSerialNumber: flagBit && flagBit.type === "serial" ? flagBit.value : null,
+      alarmId: null,
+      contentType,
+      fileName: `${id}.${extension}`,
+      createdAt: new Date().toISOString(),
+      ...fields,
+    };
+
+    fs.mkdirSync(path.dirname(indexFile), { recursive: true });
+    fs.writeFileSync(path.join(path.dirname(indexFile), file.fileName), content);
+    writeJSONFile(indexFile, [...readJSONFile(indexFile, []), file]);
+    return file;
+  }
+
+  /**
+   * Saved files of a device, oldest first
+   * @param {string} imei - Device IMEI
+   * @param {Object} filter - Optional filter
+   * @param {string} filter.kind - Only files of this kind (monitoring, sos, intercom)
+   * @returns {Object[]} File metadata
+   */
+  list(imei, filter = {}) {
+    const files = readJSONFile(this.indexFile(imei), []);
+    return filter.kind ? files.filter((file) => file.kind === filter.kind) : files;
+  }
+
+  /**
+   * @param {string} imei - Device IMEI
+   * @param {string} id - File id
+   * @returns {Object|null} File metadata
+   */
+  get(imei, id) {
+    return this.list(imei).find((file) => file.id === id) || null;
+  }
+
+  /**
+   * Path of a saved file's content
+   * @param {Object} file - File metadata
+   * @returns {string} Absolute path
+   */
+  contentPath(file) {
+    return path.join(path.dirname(this.indexFile(file.imei)), file.fileName);
+  }
+}
@@ -0,0 +1,324 @@
+/**
+ * Server-side geofencing
+ * Named circle and polygon zones, assigned to devices or groups of devices,
+ * evaluated against every decoded location. Unlike the firmware fence
+ * (FENCE,ON,...#) there is no limit on the number or shape of zones.
+ */
+
+import crypto from "crypto";
+import { haversineDistance, pointInPolygon } from "../shared/index.js";
+import { dataPath, readJSONFile, writeJSONFile } from "./data-dir.js";
+
+export const GEOFENCE_EVENTS = {
+  ENTER: "enter",
+  EXIT: "exit",
+  DWELL: "dwell",
+};
+
+export const ZONE_TYPES = ["circle", "polygon"];
+
+function zoneError(message) {
+  const error = new Error(message);
+  error.code = "INVALID_ZONE";
+  return error;
+}
+
+function isCoordinate(point) {
+  return (
+    point &&
+    typeof point.latitude === "number" &&
+    typeof point.longitude === "number" &&
+    Math.abs(point.latitude) <= 90 &&
+    Math.abs(point.longitude) <= 180
+  );
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === "string" && item);
+}
+
+/**
+ * Validate a zone definition, throwing an INVALID_ZONE error on the first problem
+ * @param {Object} zone - Zone fields
+ */
+function validateZone(zone) {
+  if (typeof zone.name !== "string" || !zone.name.trim()) {
+    throw zoneError("name is required");
+  }
+  if (!ZONE_TYPES.includes(zone.type)) {
+    throw zoneError(`type must be one of: ${ZONE_TYPES.join(", ")}`);
+  }
+  if (zone.type === "circle") {
+    if (!isCoordinate(zone.center)) {
+      throw zoneError("center must be { latitude, longitude }");
+    }
+    if (!(typeof zone.radius === "number" && zone.radius > 0)) {
+      throw zoneError("radius must be a positive number of meters");
+    }
+  } else if (
+    !Array.isArray(zone.points) ||
+    zone.points.length < 3 ||
+    !zone.points.every(isCoordinate)
+  ) {
+    throw zoneError("points must be at least 3 { latitude, longitude } vertices");
+  }
+  if (!isStringList(zone.devices) || !isStringList(zone.groups)) {
+    throw zoneError("devices and groups must be arrays of strings");
+  }
+  if (zone.dwellSeconds !== null && !(typeof zone.dwellSeconds === "number" && zone.dwellSeconds > 0)) {
+    throw zoneError("dwellSeconds must be a positive number or null");
+  }
+  if (typeof zone.enabled !== "boolean") {
+    throw zoneError("enabled must be a boolean");
+  }
+}
+
+/**
+ * Keep only the fields a zone of the given type uses
+ */
+function zoneFields(input) {
+  const zone = {
+    name: input.name,
+    type: input.type,
+    devices: input.devices ?? [],
+    groups: input.groups ?? [],
+    dwellSeconds: input.dwellSeconds ?? null,
+    enabled: input.enabled ?? true,
+  };
+  if (input.type === "circle") {
+    zone.center = input.center;
+    zone.radius = input.radius;
+  } else {
+    zone.points = input.points;
+  }
+  return zone;
+}
+
+/**
+ * Whether a position lies inside a zone
+ * @param {Object} zone - Zone
+ * @param {{latitude: number, longitude: number}} position - Position
+ * @returns {boolean}
+ */
+export function zoneContains(zone, position) {
+  if (zone.type === "circle") {
+    return (
+      haversineDistance(
+        zone.center.latitude,
+        zone.center.longitude,
+        position.latitude,
+        position.longitude,
+      ) <= zone.radius
+    );
+  }
+  return pointInPolygon(position.latitude, position.longitude, zone.points);
+}
+
+export class GeofenceEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {string|null} options.filePath - JSON file holding zones, groups and per-device state; null keeps
+   *   them in memory (default: <data>/geofences.json)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath !== undefined ? options.filePath : dataPath("geofences.json");
+    const data = readJSONFile(this.filePath, {});
+    this.zones = new Map((data.zones || []).map((zone) => [zone.id, zone]));
+    this.groups = new Map(Object.entries(data.groups || {}));
+    // "<imei>:<zoneId>" -> { inside, since, dwellReported }
+    this.states = new Map(Object.entries(data.states || {}));
+  }
+
+  save() {
+    writeJSONFile(this.filePath, {
+      zones: Array.from(this.zones.values()),
+      groups: Object.fromEntries(this.groups),
+      states: Object.fromEntries(this.states),
+    });
+  }
+
+  /**
+   * List zones, optionally only those applying to a device
+   * @param {Object} filter - Optional filter
+   * @param {string} filter.imei - Only zones assigned to this device directly or via a group
+   * @returns {Object[]} Zones, oldest first
+   */
+  listZones(filter = {}) {
+    const zones = Array.from(this.zones.values());
+    return filter.imei ? zones.filter((zone) => this.appliesTo(zone, filter.imei)) : zones;
+  }
+
+  getZone(id) {
+    return this.zones.get(id) || null;
+  }
+
+  /**
+   * Create a zone
+   * @param {Object} input - { name, type: "circle"|"polygon", center, radius | points, devices, groups, dwellSeconds, enabled }
+   * @returns {Object} Created zone
+   * @throws {Error} code INVALID_ZONE if the definition is invalid
+   */
+  createZone(input) {
+    const fields = zoneFields(input);
+    validateZone(fields);
+    const now = new Date().toISOString();
+    const zone = { id: crypto.randomUUID(), ...fields, createdAt: now, updatedAt: now };
+    this.zones.set(zone.id, zone);
+    this.save();
+    return zone;
+  }
+
+  /**
+   * Update a zone; omitted fields keep their current value
+   * @param {string} id - Zone id
+   * @param {Object} input - Fields to change
+   * @returns {Object|null} Updated zone, or null if not found
+   * @throws {Error} code INVALID_ZONE if the result is invalid
+   */
+  updateZone(id, input) {
+    const existing = this.zones.get(id);
+    if (!existing) {
+      return null;
+    }
+    const fields = zoneFields({ ...existing, ...input });
+    validateZone(fields);
+    const zone = {
+      id,
+      ...fields,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString(),
+    };
+    this.zones.set(id, zone);
+    // The shape may have moved under devices; re-evaluate from scratch
+    this.clearStates((key) => key.endsWith(`:${id}`));
+    this.save();
+    return zone;
+  }
+
+  deleteZone(id) {
+    const zone = this.zones.get(id);
+    if (!zone) {
+      return null;
+    }
+    this.zones.delete(id);
+    this.clearStates((key) => key.endsWith(`:${id}`));
+    this.save();
+    return zone;
+  }
+
+  listGroups() {
+    return Array.from(this.groups, ([name, imeis]) => ({ name, imeis }));
+  }
+
+  /**
+   * Create or replace a device group
+   * @param {string} name - Group name
+   * @param {string[]} imeis - Member IMEIs
+   * @returns {{name: string, imeis: string[]}}
+   * @throws {Error} code INVALID_ZONE if imeis is not an array of strings
+   */
+  setGroup(name, imeis) {
+    if (!isStringList(imeis)) {
+      throw zoneError("imeis must be an array of strings");
+    }
+    this.groups.set(name, Array.from(new Set(imeis)));
+    this.save();
+    return { name, imeis: this.groups.get(name) };
+  }
+
+  deleteGroup(name) {
+    const existed = this.groups.delete(name);
+    if (existed) {
+      this.save();
+    }
+    return existed;
+  }
+
+  appliesTo(zone, imei) {
+    return (
+      zone.devices.includes(imei) ||
+      zone.groups.some((group) => (this.groups.get(group) || []).includes(imei))
+    );
+  }
+
+  clearStates(predicate) {
+    for (const key of this.states.keys()) {
+      if (predicate(key)) {
+        this.states.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Current inside/outside state of a device for each zone applying to it
+   * @param {string} imei - Device IMEI
+   * @returns {Object[]} { zone, inside, since } per zone (inside is null before the first fix)
+   */
+  deviceStatus(imei) {
+    return this.listZones({ imei }).map((zone) => {
+      const state = this.states.get(`${imei}:${zone.id}`);
+      return { zone, inside: state ? state.inside : null, since: state ? state.since : null };
+    });
+  }
+
+  /**
+   * Evaluate a position against the device's zones and update their state.
+   * The first fix inside a zone counts as an enter; dwell fires once per visit
+   * when the device has stayed inside for the zone's dwellSeconds.
+   * @param {string} imei - Device IMEI
+   * @param {Object} position - { latitude, longitude, deviceTime, gpsPositioned }
+   * @returns {Object[]} Events: { type, zoneId, zoneName, deviceTime, latitude, longitude, durationSeconds }
+   */
+  evaluate(imei, position) {
+    if (!isCoordinate(position) || position.gpsPositioned === false) {
+      return [];
+    }
+
+    const time = position.deviceTime || new Date().toISOString();
+    const events = [];
+    const event = (type, zone, since) => ({
+      type,
+      zoneId: zone.id,
+      zoneName: zone.name,
+      deviceTime: time,
+      latitude: position.latitude,
+      longitude: position.longitude,
+      durationSeconds: since ? Math.max(0, Math.round((Date.parse(time) - Date.parse(since)) / 1000)) : 0,
+    });
+
+    let changed = false;
+    for (const zone of this.listZones({ imei })) {
+      if (!zone.enabled) continue;
+
+      const key = `${imei}:${zone.id}`;
+      const state = this.states.get(key);
+      const inside = zoneContains(zone, position);
+
+      if (inside && !(state && state.inside)) {
+        events.push(event(GEOFENCE_EVENTS.ENTER, zone, null));
+        this.states.set(key, { inside: true, since: time, dwellReported: false });
+        changed = true;
+      } else if (!inside && (!state || state.inside)) {
+        if (state) {
+          events.push(event(GEOFENCE_EVENTS.EXIT, zone, state.since));
+        }
+        this.states.set(key, { inside: false, since: time, dwellReported: false });
+        changed = true;
+      } else if (
+        inside &&
+        zone.dwellSeconds &&
+        !state.dwellReported &&
+        Date.parse(time) - Date.parse(state.since) >= zone.dwellSeconds * 1000
+      ) {
+        events.push(event(GEOFENCE_EVENTS.DWELL, zone, state.since));
+        state.dwellReported = true;
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      this.save();
+    }
+    return events;
+  }
+}
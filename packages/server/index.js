@@ -4,46 +4,23 @@
  */
 
 import net from "net";
+import path from "path";
+import { EventEmitter } from "events";
 import dotenv from "dotenv";
-import {
-  parsePacket,
-  getProtocolName,
-  PROTOCOL_NUMBERS,
-} from "../shared/index.js";
-
-// Protocol handlers
-import { parseLogin, createLoginAck } from "../protocols/login.js";
-import { parseHeartbeat, createHeartbeatAck } from "../protocols/heartbeat.js";
-import { parseGPSLocation } from "../protocols/gps.js";
-import { parseAlarm, createAlarmAck } from "../protocols/alarm.js";
-import { parseLBSAlarm, createLBSAlarmAck } from "../protocols/lbs-alarm.js";
-import { parseLBSExtension } from "../protocols/lbs-extension.js";
-import { parseWiFi, createWiFiResponse } from "../protocols/wifi.js";
-import { parseCommandResponse } from "../protocols/command-response.js";
-import { parseCommandResponseJM01 } from "../protocols/command-response-jm01.js";
-import {
-  parseAlarmHVT001,
-  createAlarmHVT001Ack,
-} from "../protocols/alarm-hvt001.js";
-import {
-  parseExternalDeviceTransfer,
-  createExternalDeviceResponse,
-} from "../protocols/external-device.js";
-import {
-  parseExternalModuleTransmission,
-  createExternalModuleResponse,
-} from "../protocols/external-module.js";
-import {
-  parseFileTransfer,
-  createFileTransferAck,
-} from "../protocols/file-transfer.js";
-import {
-  parseTimeCalibration,
-  createTimeCalibrationResponse,
-} from "../protocols/time-calibration.js";
-import { parseInformationTransmission } from "../protocols/information-transmission.js";
-import { calculateCRCITU } from "../shared/index.js";
+import { parsePacket } from "../shared/index.js";
+import { createProtocolRegistry } from "../protocols/registry.js";
+import { createAddressResponse } from "../protocols/address-request.js";
+import { createFileTransferAck } from "../protocols/file-transfer.js";
+import { calculateCRCITU, datetimeToISO } from "../shared/index.js";
 import { log } from "./logger.js";
+import { CommandQueue } from "./command-queue.js";
+import { MemoryStorage, createStorage } from "./storage.js";
+import { GeofenceEngine } from "./geofences.js";
+import { TripDetector } from "./trips.js";
+import { FileAssembler, CHUNK_RESULTS } from "./files.js";
+import { LivenessTracker, DEVICE_STATUS } from "./liveness.js";
+import { DeviceRegistry } from "./device-registry.js";
+import { WebhookManager } from "./webhooks.js";
 
 dotenv.config();
 
@@ -61,10 +38,205 @@ function serverFlagHexKeyFromSerial(serialNumber) {
     .toUpperCase();
 }
 
-class ConcoxV5Server {
-  constructor() {
+const DEFAULT_COMMAND_TIMEOUT_MS = 60000;
+
+/**
+ * Typed event for each decoded 0x94 sub-protocol (by parsed `type`); the latest
+ * report of each is also kept in the device state under the event name
+ */
+const INFORMATION_EVENTS = {
+  voltage: "voltage",
+  voltage_mileage: "voltage",
+  status: "terminalStatus",
+  door: "door",
+  self_check: "selfCheck",
+  gps_status: "gpsStatus",
+  iccid: "iccid",
+  fuel_sensor: "fuel",
+  temperature: "temperature",
+  rfid: "rfid",
+};
+
+/**
+ * Server method that stores and processes each built-in normalized event
+ */
+const EVENT_HANDLERS = {
+  login: "handleLogin",
+  heartbeat: "handleHeartbeat",
+  location: "handleGPSLocation",
+  alarm: "handleAlarm",
+  lbs: "handleLBSExtension",
+  wifi: "handleWiFi",
+  commandResponse: "handleCommandResponse",
+  information: "handleInformationTransmission",
+  fileChunk: "handleFileTransfer",
+  timeCalibration: "handleTimeCalibration",
+  externalData: "handleExternalData",
+  addressRequest: "handleAddressRequest",
+};
+
+/**
+ * Classify a device's command reply text by keyword
+ * @param {string} response - Reply text from 0x21 / 0x15
+ * @returns {string} "success", "failure" or "unknown"
+ */
+function classifyCommandResponse(response) {
+  const responseUpper = String(response).toUpperCase();
+  if (
+    responseUpper.includes("OK") ||
+    responseUpper.includes("SUCCESS") ||
+    responseUpper.includes("RELAY")
+  ) {
+    return "success";
+  }
+  if (
+    responseUpper.includes("ERROR") ||
+    responseUpper.includes("FAIL") ||
+    responseUpper.includes("INVALID")
+  ) {
+    return "failure";
+  }
+  return "unknown";
+}
+
+/**
+ * Device model from the login packet: the type identifier as 4 hex digits
+ * @param {Object} login - Parsed login packet
+ * @returns {string|null} Model
+ */
+function defaultDeviceModel(login) {
+  return login.typeId === undefined
+    ? null
+    : login.typeId.toString(16).padStart(4, "0").toUpperCase();
+}
+
+/**
+ * Address text used when no resolver is configured or it finds nothing
+ * @param {Object} request - Parsed 0x1A / 0x17 address request
+ * @returns {string} "lat,lon" or the serving cell
+ */
+function describeRequestLocation(request) {
+  if (request.lbs) {
+    const { mcc, mnc, lac, cellId } = request.lbs;
+    return `MCC:${mcc} MNC:${mnc} LAC:${lac} CI:${cellId}`;
+  }
+  return `${request.latitude.toFixed(6)},${request.longitude.toFixed(6)}`;
+}
+
+function commandError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Mark a promise as handled so fire-and-forget callers don't trigger
+ * unhandled rejections; awaiting it still rejects as usual.
+ */
+function settleQuietly(promise) {
+  promise.catch(() => {});
+  return promise;
+}
+
+/**
+ * Emits one event per decoded packet, each payload carrying the device `imei`
+ * (null before login) alongside the parsed fields:
+ * login, heartbeat, location, alarm, lbs, wifi, commandResponse, information,
+ * fileChunk, file, externalData, addressRequest, geofence, trip, stop, deviceStatus, disconnect,
+ * loginRejected, unknownPacket. Packets of
+ * registered protocol handlers are emitted under the event their normalize() names.
+ */
+class ConcoxV5Server extends EventEmitter {
+  /**
+   * @param {Object} options - Server options
+   * @param {boolean} options.verifyCRC - Drop frames with a bad CRC-ITU (default: true, env CONCOX_VERIFY_CRC)
+   * @param {string} options.dataDir - Directory the defaults below persist to; without it the server writes
+   *   nothing to disk, keeps queue, storage, geofences, trips, registry and webhooks in memory, and keeps no
+   *   voice files
+   * @param {CommandQueue|null} options.commandQueue - Offline command queue (default: command-queue.json in
+   *   dataDir; null disables)
+   * @param {Storage|null} options.storage - Storage for decoded data (default: createStorage() under
+   *   dataDir/storage, env CONCOX_STORAGE, or MemoryStorage without dataDir; null disables)
+   * @param {GeofenceEngine|null} options.geofences - Server-side geofences (default: geofences.json in dataDir;
+   *   null disables)
+   * @param {TripDetector|null} options.trips - Trip and stop detection (default: state kept in trips-state.json
+   *   in dataDir; null disables)
+   * @param {LivenessTracker} options.liveness - Online/stale/offline tracking and idle timeouts (default: new LivenessTracker())
+   * @param {FileAssembler|null} options.files - HVT001 voice file reassembly (default: files kept under dataDir/files;
+   *   null acks every chunk without keeping it)
+   * @param {DeviceRegistry|null} options.registry - Allowed IMEIs with their metadata and the policy for unknown
+   *   IMEIs (default: device-registry.json in dataDir, env CONCOX_UNKNOWN_DEVICES; null accepts every device)
+   * @param {WebhookManager|null} options.webhooks - Webhook delivery of events (default: subscriptions and delivery
+   *   log kept in dataDir; null disables)
+   * @param {ProtocolRegistry} options.protocols - Protocol handlers packets are dispatched to (default: createProtocolRegistry())
+   * @param {Function} options.resolveDeviceModel - (login) => model used to pick per-model protocol handlers
+   *   (default: the login type identifier as 4 hex digits, e.g. "3608")
+   * @param {Function} options.resolveAddress - async (request) => address text for GT06 address requests
+   *   (0x1A / 0x17); request has imei, phoneNumber, language and latitude/longitude or lbs
+   *   (default: the coordinates, or the serving cell when there is no fix)
+   */
+  constructor(options = {}) {
+    super();
     this.server = null;
     this.clients = new Map(); // Map of device IMEI to socket info
+    this.protocols = options.protocols || createProtocolRegistry();
+    this.resolveDeviceModel =
+      options.resolveDeviceModel || defaultDeviceModel;
+    this.resolveAddress = options.resolveAddress || null;
+    this.verifyCRC =
+      options.verifyCRC ??
+      String(process.env.CONCOX_VERIFY_CRC || "true").toLowerCase() !== "false";
+    const { dataDir } = options;
+    // Without a data directory the defaults live in memory (a null file path writes nothing)
+    const dataFile = (name) => (dataDir ? path.join(dataDir, name) : null);
+    // Defaults that lose their state on restart, reported when the server starts
+    this.memoryOnly = dataDir
+      ? []
+      : ["commandQueue", "storage", "geofences", "trips", "registry", "webhooks", "files"].filter(
+          (name) => options[name] === undefined,
+        );
+    this.commandQueue =
+      options.commandQueue !== undefined
+        ? options.commandQueue
+        : new CommandQueue({ filePath: dataFile("command-queue.json") });
+    this.flushingQueues = new Set(); // IMEIs whose queue is being delivered
+    this.storage =
+      options.storage !== undefined
+        ? options.storage
+        : dataDir
+          ? createStorage(undefined, { dir: path.join(dataDir, "storage") })
+          : new MemoryStorage();
+    this.geofences =
+      options.geofences !== undefined
+        ? options.geofences
+        : new GeofenceEngine({ filePath: dataFile("geofences.json") });
+    this.trips =
+      options.trips !== undefined
+        ? options.trips
+        : new TripDetector({ filePath: dataFile("trips-state.json") });
+    // Reassembled files are too big to hold in memory, so they need a data directory
+    this.files =
+      options.files !== undefined
+        ? options.files
+        : dataDir
+          ? new FileAssembler({ dir: path.join(dataDir, "files") })
+          : null;
+    this.liveness = options.liveness || new LivenessTracker();
+    this.registry =
+      options.registry !== undefined
+        ? options.registry
+        : new DeviceRegistry({ filePath: dataFile("device-registry.json") });
+    this.webhooks =
+      options.webhooks !== undefined
+        ? options.webhooks
+        : new WebhookManager({
+            filePath: dataFile("webhooks.json"),
+            logPath: dataFile("webhook-deliveries.json"),
+            payloadPath: dataFile("webhook-payloads.json"),
+          });
+    if (this.webhooks) {
+      this.webhooks.attach(this);
+    }
   }
 
   start() {
@@ -80,11 +252,36 @@ class ConcoxV5Server {
 
       this.server.listen(PORT, () => {
         log(`📡 Concox V5 Server started on port ${PORT}`);
+        const inMemory = this.memoryOnly.filter((name) => name !== "files");
+        if (inMemory.length > 0) {
+          log(`⚠️ No dataDir: ${inMemory.join(", ")} kept in memory and lost on restart`);
+        }
+        if (this.memoryOnly.includes("files")) {
+          log(`⚠️ No dataDir: HVT001 voice files are acked but not kept`);
+        }
         resolve();
       });
+      this.restoreLiveness();
     });
   }
 
+  /**
+   * Load devices seen by an earlier run as offline, so offlineSince survives restarts
+   */
+  restoreLiveness() {
+    if (!this.storage) return;
+    this.storage
+      .listDeviceStates()
+      .then((states) => {
+        for (const state of states) {
+          this.liveness.restore(state.imei, state);
+        }
+      })
+      .catch((error) => {
+        log(`❌ Storage error (device states): ${error.message}`);
+      });
+  }
+
   handleConnection(socket) {
     const clientInfo = {
       address: socket.remoteAddress,
@@ -95,13 +292,26 @@ class ConcoxV5Server {
     log(`🔌 New connection from ${clientInfo.id}`);
 
     socket.deviceImei = null;
+    socket.deviceModel = null;
+    socket.frameStats = {
+      accepted: 0,
+      rejected: 0,
+      crcErrors: 0,
+      stopByteErrors: 0,
+      lengthErrors: 0,
+      discardedBytes: 0,
+    };
     let buffer = Buffer.alloc(0);
 
+    // Idle timeout: the login deadline now, the device's stale / offline times after login
+    socket.setTimeout(this.liveness.options.loginTimeoutMs);
+    socket.on("timeout", () => this.handleIdle(socket, clientInfo));
+
     socket.on("data", (data) => {
       buffer = Buffer.concat([buffer, data]);
 
       while (buffer.length > 0) {
-        const result = parsePacket(buffer);
+        const result = parsePacket(buffer, { verifyCRC: this.verifyCRC });
 
         if (!result) {
           break;
@@ -110,6 +320,17 @@ class ConcoxV5Server {
         const { packet, protocolNumber, remaining } = result;
         buffer = remaining;
 
+        if (result.discardedBytes) {
+          socket.frameStats.discardedBytes += result.discardedBytes;
+        }
+        if (result.rejected) {
+          this.handleRejectedFrame(socket, result.rejected, clientInfo);
+          continue;
+        }
+        if (packet) {
+          socket.frameStats.accepted++;
+        }
+
         this.handlePacket(socket, packet, protocolNumber, clientInfo);
       }
     });
@@ -123,25 +344,299 @@ class ConcoxV5Server {
         `🔌 Connection closed: ${clientInfo.id}${
           socket.deviceImei ? ` (IMEI: ${socket.deviceImei})` : ""
         }`,
+        socket.frameStats.rejected > 0 ? { frames: socket.frameStats } : null,
       );
-      if (socket.deviceImei) {
+      // A socket superseded by a newer login no longer owns the device's entry
+      if (this.isSessionOwner(socket)) {
         this.clients.delete(socket.deviceImei);
+        this.recordStatus(
+          socket,
+          this.liveness.transition(socket.deviceImei, DEVICE_STATUS.OFFLINE),
+        );
       }
+      this.rejectPendingCommands(socket);
+      this.emitDeviceEvent("disconnect", socket, {
+        connectionId: clientInfo.id,
+        frames: socket.frameStats,
+        superseded: Boolean(socket.superseded),
+      });
     });
   }
 
+  /**
+   * Whether a socket holds the device's current session in `clients`
+   * @param {net.Socket} socket - Device socket
+   * @returns {boolean}
+   */
+  isSessionOwner(socket) {
+    const client = socket.deviceImei ? this.clients.get(socket.deviceImei) : null;
+    return Boolean(client && client.socket === socket);
+  }
+
+  /**
+   * Close a device's previous connection when it logs in on a new one. Its
+   * pending commands move to the new socket (see migratePendingCommands).
+   * @param {Object} previous - The device's current client entry
+   * @param {net.Socket} socket - Socket the new login arrived on
+   * @param {Object} clientInfo - Connection info of the new socket
+   */
+  supersedeSession(previous, socket, clientInfo) {
+    const oldSocket = previous.socket;
+    oldSocket.superseded = true;
+    const commands = this.migratePendingCommands(oldSocket, socket);
+    log(`♻️ ${socket.deviceImei} logged in again from ${clientInfo.id}, closing ${previous.clientInfo.id}`, {
+      migratedCommands: commands.migrated,
+      failedCommands: commands.failed,
+    });
+    oldSocket.destroy();
+  }
+
+  /**
+   * Socket idle timeout: close connections that never logged in, mark silent
+   * devices stale, and close the connection of devices that stay silent
+   */
+  handleIdle(socket, clientInfo) {
+    const imei = socket.deviceImei;
+    if (imei && !this.isSessionOwner(socket)) {
+      socket.destroy();
+      return;
+    }
+    if (!imei) {
+      log(`⏱️ No login from ${clientInfo.id} within ${this.liveness.options.loginTimeoutMs}ms, closing connection`);
+      socket.destroy();
+      return;
+    }
+
+    const record = this.liveness.get(imei);
+    if (record.status === DEVICE_STATUS.STALE) {
+      log(`⏱️ No data from ${imei} since ${record.lastSeenAt}, closing connection`);
+      socket.destroy();
+      return;
+    }
+
+    this.recordStatus(socket, this.liveness.transition(imei, DEVICE_STATUS.STALE));
+    socket.setTimeout(
+      this.liveness.offlineAfterMs(imei) - this.liveness.staleAfterMs(imei),
+    );
+  }
+
+  /**
+   * Note a packet from a logged-in device: it is online again if it was stale,
+   * and its idle timeout follows its heartbeat cadence
+   * @param {net.Socket} socket - Device socket
+   * @param {boolean} heartbeat - Whether the packet is a heartbeat
+   */
+  markSeen(socket, heartbeat) {
+    const imei = socket.deviceImei;
+    const staleAfterMs = this.liveness.staleAfterMs(imei);
+    const change = this.liveness.seen(imei, { heartbeat });
+    if (change || this.liveness.staleAfterMs(imei) !== staleAfterMs) {
+      socket.setTimeout(this.liveness.staleAfterMs(imei));
+    }
+    this.recordStatus(socket, change);
+  }
+
+  /**
+   * Log, store and emit a liveness transition as `deviceStatus`
+   * @param {net.Socket} socket - Device socket
+   * @param {Object|null} change - Transition from the LivenessTracker (null: nothing changed)
+   */
+  recordStatus(socket, change) {
+    if (!change) return;
+    log(`🔄 ${change.imei}: ${change.previousStatus} → ${change.status}`, {
+      lastSeenAt: change.lastSeenAt,
+    });
+    const { heartbeatIntervalMs } = this.liveness.get(change.imei);
+    this.persistDeviceState(change.imei, {
+      status: change.status,
+      statusSince: change.since,
+      lastSeenAt: change.lastSeenAt,
+      offlineSince: change.offlineSince,
+      heartbeatIntervalMs,
+    });
+    this.emitDeviceEvent("deviceStatus", socket, change);
+  }
+
+  /**
+   * Quarantine a frame that failed stop byte, CRC or length validation.
+   * The frame is logged with its raw hex for inspection but never decoded.
+   */
+  handleRejectedFrame(socket, rejected, clientInfo) {
+    const stats = socket.frameStats;
+    stats.rejected++;
+    if (rejected.reason === "crc") stats.crcErrors++;
+    if (rejected.reason === "stop") stats.stopByteErrors++;
+    if (rejected.reason === "length") stats.lengthErrors++;
+
+    const hex = (value) =>
+      value === null
+        ? null
+        : `0x${value.toString(16).padStart(4, "0").toUpperCase()}`;
+
+    log(`⚠️ Rejected corrupted frame from ${socket.deviceImei || clientInfo.id}`, {
+      reason: rejected.reason,
+      protocol: `0x${rejected.protocolNumber
+        .toString(16)
+        .padStart(2, "0")
+        .toUpperCase()}`,
+      expectedCRC: hex(rejected.expectedCRC),
+      actualCRC: hex(rejected.actualCRC),
+      rawHex: rejected.frame.toString("hex").toUpperCase(),
+      rejectedOnConnection: stats.rejected,
+    });
+  }
+
+  /**
+   * Emit a decoded packet event with the device IMEI attached
+   * @param {string} event - Event name
+   * @param {net.Socket} socket - Device socket
+   * @param {Object} data - Parsed packet data
+   */
+  emitDeviceEvent(event, socket, data) {
+    this.emit(event, { imei: socket.deviceImei || null, ...data });
+  }
+
+  /**
+   * Persist a record for a device without blocking packet handling.
+   * Storage failures are logged, never thrown.
+   * @param {string} collection - Storage collection
+   * @param {string|null} imei - Device IMEI (records before login are skipped)
+   * @param {Object} record - Record fields (deviceTime defaults to receive time)
+   */
+  persist(collection, imei, record) {
+    if (!this.storage || !imei) return;
+    this.storage
+      .append(collection, { imei, ...record })
+      .catch((error) => {
+        log(`❌ Storage error (${collection}): ${error.message}`, { imei });
+      });
+  }
+
+  /**
+   * Merge fields into a device's stored state; failures are logged
+   * @param {string|null} imei - Device IMEI
+   * @param {Object} fields - State fields
+   */
+  persistDeviceState(imei, fields) {
+    if (!this.storage || !imei) return;
+    this.storage.updateDeviceState(imei, fields).catch((error) => {
+      log(`❌ Storage error (device state): ${error.message}`, { imei });
+    });
+  }
+
+  /**
+   * Run a decoded fix through the server-side geofences, then log, store and
+   * emit each enter/exit/dwell as a `geofence` event
+   * @param {net.Socket} socket - Device socket
+   * @param {Object} position - { latitude, longitude, deviceTime, gpsPositioned }
+   */
+  evaluateGeofences(socket, position) {
+    if (!this.geofences || !socket.deviceImei) return;
+
+    let events;
+    try {
+      events = this.geofences.evaluate(socket.deviceImei, position);
+    } catch (error) {
+      log(`❌ Geofence evaluation failed: ${error.message}`, {
+        imei: socket.deviceImei,
+      });
+      return;
+    }
+
+    for (const event of events) {
+      log(`🚧 Geofence ${event.type}: ${event.zoneName}`, {
+        imei: socket.deviceImei,
+        zoneId: event.zoneId,
+        durationSeconds: event.durationSeconds,
+      });
+      this.persist("geofenceEvents", socket.deviceImei, event);
+      this.emitDeviceEvent("geofence", socket, event);
+    }
+  }
+
+  /**
+   * Log, store and emit the trips and stops completed by a fix or ACC report
+   * @param {net.Socket} socket - Device socket
+   * @param {{trips: Object[], stops: Object[]}} result - TripDetector result
+   */
+  recordTrips(socket, result) {
+    for (const stop of result.stops) {
+      this.persist("stops", socket.deviceImei, stop);
+      this.emitDeviceEvent("stop", socket, stop);
+    }
+    for (const trip of result.trips) {
+      log(`🚗 Trip completed`, {
+        imei: socket.deviceImei,
+        startTime: trip.startTime,
+        endTime: trip.endTime,
+        distanceMeters: trip.distanceMeters,
+        endReason: trip.endReason,
+      });
+      this.persist("trips", socket.deviceImei, trip);
+      this.emitDeviceEvent("trip", socket, trip);
+    }
+  }
+
+  /**
+   * Feed a fix to the trip detector; failures are logged
+   * @param {net.Socket} socket - Device socket
+   * @param {Object} position - Stored position record
+   */
+  processTrips(socket, position) {
+    if (!this.trips || !socket.deviceImei) return;
+    try {
+      this.recordTrips(socket, this.trips.processPosition(socket.deviceImei, position));
+    } catch (error) {
+      log(`❌ Trip detection failed: ${error.message}`, {
+        imei: socket.deviceImei,
+      });
+    }
+  }
+
+  /**
+   * Store and emit a packet's normalized position, then run it through the
+   * geofences and, for stored fixes, the trip detector
+   * @param {net.Socket} socket - Device socket
+   * @param {Object} position - Position from the handler (see protocols/position.js)
+   * @param {Object} options - { store: false to leave it out of the positions collection }
+   */
+  recordPosition(socket, position, options = {}) {
+    const { store = true } = options;
+    if (store) {
+      this.persist("positions", socket.deviceImei, position);
+      this.persistDeviceState(socket.deviceImei, {
+        lastPosition: position,
+        ...(position.mileage !== null
+          ? { mileage: position.mileage, mileageAt: new Date().toISOString() }
+          : {}),
+      });
+    }
+
+    this.emitDeviceEvent("position", socket, position);
+    if (position.latitude === null) return;
+    this.evaluateGeofences(socket, position);
+    if (store) {
+      this.processTrips(socket, position);
+    }
+  }
+
+  /**
+   * Dispatch a packet to its protocol handler: parse, check logins against the
+   * device registry, ack, then process the normalized event (built-in events are
+   * stored and processed, others only emitted)
+   */
   handlePacket(socket, packet, protocolNumber, clientInfo) {
     if (!packet) return;
 
     const packetHex = packet.toString("hex").toUpperCase();
-    const protocolName = getProtocolName(protocolNumber);
+    const handler = this.protocols.resolve(protocolNumber, socket.deviceModel);
 
     const packetInfo = {
       protocol: `0x${protocolNumber
         .toString(16)
         .padStart(2, "0")
         .toUpperCase()}`,
-      protocolName: protocolName,
+      protocolName: this.protocols.getName(protocolNumber, socket.deviceModel),
       length: packet.length,
       rawHex: packetHex,
     };
@@ -151,80 +646,142 @@ class ConcoxV5Server {
       packetInfo,
     );
 
-    // Debug: Log all protocol numbers to catch any unhandled command responses
-    if (protocolNumber === 0x21 || protocolNumber === 0x15) {
-      log(
-        `🔍 DEBUG: Command response protocol detected: 0x${protocolNumber
-          .toString(16)
-          .padStart(2, "0")
-          .toUpperCase()}`,
-      );
+    if (!handler) {
+      log(`❓ Unknown protocol number: 0x${protocolNumber.toString(16)}`, {
+        imei: socket.deviceImei || "unknown",
+        ...packetInfo,
+      });
+      this.emitDeviceEvent("unknownPacket", socket, {
+        protocolNumber,
+        rawHex: packetHex,
+      });
+      return;
     }
 
-    try {
-      switch (protocolNumber) {
-        case PROTOCOL_NUMBERS.LOGIN:
-          this.handleLogin(socket, packet, clientInfo);
-          break;
-        case PROTOCOL_NUMBERS.HEARTBEAT:
-          this.handleHeartbeat(socket, packet, clientInfo);
-          break;
-        case PROTOCOL_NUMBERS.GPS_LOCATION:
-          this.handleGPSLocation(socket, packet, clientInfo);
-          break;
-        case PROTOCOL_NUMBERS.ALARM:
-          this.handleAlarm(socket, packet, clientInfo);
-          break;
-        case PROTOCOL_NUMBERS.LBS_ALARM:
-          this.handleLBSAlarm(socket, packet, clientInfo);
-          break;
-        case PROTOCOL_NUMBERS.LBS_EXTENSION:
-          this.handleLBSExtension(socket, packet, clientInfo);
-          break;
-        case PROTOCOL_NUMBERS.WIFI:
-          this.handleWiFi(socket, packet, clientInfo);
-          break;
-        case PROTOCOL_NUMBERS.COMMAND_RESPONSE:
-          this.handleCommandResponse(socket, packet, clientInfo);
-          break;
-        case PROTOCOL_NUMBERS.COMMAND_RESPONSE_JM01:
-          this.handleCommandResponseJM01(socket, packet, clientInfo);
-          break;
-        case PROTOCOL_NUMBERS.ALARM_HVT001:
-          this.handleAlarmHVT001(socket, packet, clientInfo);
-          break;
-        case PROTOCOL_NUMBERS.EXTERNAL_DEVICE_TRANSFER:
-          this.handleExternalDeviceTransfer(socket, packet, clientInfo);
-          break;
-        case PROTOCOL_NUMBERS.EXTERNAL_MODULE_TRANSMISSION:
-          this.handleExternalModuleTransmission(socket, packet, clientInfo);
-          break;
-        case PROTOCOL_NUMBERS.LARGE_FILE_TRANSFER:
-          this.handleFileTransfer(socket, packet, clientInfo);
-          break;
-        case PROTOCOL_NUMBERS.TIME_CALIBRATION:
-          this.handleTimeCalibration(socket, packet, clientInfo);
-          break;
-        case PROTOCOL_NUMBERS.INFORMATION_TRANSMISSION:
-          this.handleInformationTransmission(socket, packet, clientInfo);
-          break;
-        default:
-          log(`❓ Unknown protocol number: 0x${protocolNumber.toString(16)}`, {
-            imei: socket.deviceImei || "unknown",
-            ...packetInfo,
-          });
-      }
-    } catch (error) {
+    const context = {
+      imei: socket.deviceImei,
+      model: socket.deviceModel,
+      clientInfo,
+      packet,
+      handler,
+    };
+
+    const handleError = (error) => {
       log(`❌ Error handling packet: ${error.message}`, {
         imei: socket.deviceImei || "unknown",
         stack: error.stack,
         ...packetInfo,
       });
+    };
+
+    let data;
+    try {
+      data = handler.parse(packet);
+    } catch (error) {
+      log(`❌ Error parsing ${handler.name}: ${error.message}`, {
+        imei: socket.deviceImei || "unknown",
+        ...packetInfo,
+      });
+      return;
+    }
+
+    try {
+      const normalized = handler.normalize
+        ? handler.normalize(data, context)
+        : { event: "packet", payload: data };
+      // A refused login is never acked
+      if (normalized && normalized.event === "login" && !this.admitDevice(socket, normalized.payload, context)) {
+        return;
+      }
+
+      context.ack = handler.ack ? handler.ack(data, context) : null;
+      if (context.ack) {
+        socket.write(context.ack);
+      }
+      if (!normalized) return;
+
+      const { event, payload } = normalized;
+      if (socket.deviceImei && event !== "login") {
+        this.markSeen(socket, event === "heartbeat");
+      }
+      const position = handler.position ? handler.position(data, context) : null;
+      // Packets without a date/time (0x19) are placed at their receive time
+      context.position = position && {
+        protocolNumber,
+        ...position,
+        deviceTime: position.deviceTime ?? new Date().toISOString(),
+      };
+
+      const method = EVENT_HANDLERS[event];
+      if (method) {
+        // Processors that reply asynchronously (address requests) return a promise
+        const pending = this[method](socket, payload, context);
+        if (pending) pending.catch(handleError);
+      } else {
+        this.emitDeviceEvent(event, socket, {
+          protocolNumber,
+          protocolName: handler.name,
+          ...payload,
+        });
+      }
+      // Alarm fixes are kept with the alarm record rather than in the positions collection
+      if (context.position) {
+        this.recordPosition(socket, context.position, { store: event !== "alarm" });
+      }
+    } catch (error) {
+      handleError(error);
+    }
+  }
+
+  /**
+   * Check a login against the device registry. Refused devices are logged,
+   * reported as loginRejected and disconnected; for admitted ones the
+   * registration (null when unknown devices are flagged) is kept in context.registration.
+   * @returns {boolean} Whether the login may proceed
+   */
+  admitDevice(socket, login, context) {
+    if (!this.registry) return true;
+
+    const { allowed, device, reason } = this.registry.admit(login.imei, {
+      model: this.resolveDeviceModel(login),
+    });
+    if (allowed) {
+      context.registration = device;
+      if (!device) {
+        log(`⚠️ Unregistered device ${login.imei} logged in from ${context.clientInfo.id}`);
+      }
+      return true;
     }
+
+    log(`🚫 Login refused for ${login.imei} (${reason}), closing connection`, {
+      client: context.clientInfo.id,
+    });
+    this.emit("loginRejected", {
+      imei: login.imei,
+      reason,
+      connectionId: context.clientInfo.id,
+      address: context.clientInfo.address,
+    });
+    socket.destroy();
+    return false;
   }
 
-  handleLogin(socket, packet, clientInfo) {
-    const { imei, serialNumber } = parseLogin(packet);
+  /**
+   * Close the connection of a device the registry no longer allows (deleted or disabled)
+   * @param {string} imei - Device IMEI
+   * @returns {boolean} Whether a connection was closed
+   */
+  disconnectDisallowed(imei) {
+    const client = this.clients.get(imei);
+    if (!client || !this.registry || this.registry.isAllowed(imei)) return false;
+    log(`🚫 ${imei} is no longer allowed by the device registry, closing connection`);
+    client.socket.destroy();
+    return true;
+  }
+
+  handleLogin(socket, login, context) {
+    const { imei, serialNumber } = login;
+    const { clientInfo } = context;
 
     log(`🔐 Login packet`, {
       imei,
@@ -235,28 +792,59 @@ class ConcoxV5Server {
         .toUpperCase()}`,
     });
 
+    if (socket.deviceImei && socket.deviceImei !== imei && this.isSessionOwner(socket)) {
+      // Same connection, different IMEI: the earlier device's session ends here
+      this.clients.delete(socket.deviceImei);
+      this.recordStatus(
+        socket,
+        this.liveness.transition(socket.deviceImei, DEVICE_STATUS.OFFLINE),
+      );
+    }
     socket.deviceImei = imei;
+    // A model set in the registry picks the per-model handlers over the one the login reports
+    socket.deviceModel = context.registration?.model || this.resolveDeviceModel(login);
+    const previous = this.clients.get(imei);
+    if (previous && previous.socket !== socket) {
+      this.supersedeSession(previous, socket, clientInfo);
+    }
+    this.recordStatus(socket, this.liveness.transition(imei, DEVICE_STATUS.AUTHENTICATED));
+    socket.setTimeout(this.liveness.staleAfterMs(imei));
     this.clients.set(imei, {
       socket: socket,
       clientInfo: clientInfo,
+      model: socket.deviceModel,
       connectedAt: new Date().toISOString(),
       lastBatteryVoltage: null, // Vehicle battery voltage (from 0x94, sub-protocol 0x00)
       lastBatteryVoltageAt: null,
       lastMileage: null, // Odometer reading in meters (from 0x22 GPS Location)
       lastMileageAt: null,
+      information: {}, // Latest 0x94 report per typed event (fuel, temperature, rfid, ...)
     });
 
-    const ack = createLoginAck(serialNumber);
-    socket.write(ack);
-
     log(`✅ Login acknowledged`, {
       imei,
-      ackHex: ack.toString("hex").toUpperCase(),
+      model: socket.deviceModel,
+      ackHex: context.ack ? context.ack.toString("hex").toUpperCase() : null,
+    });
+
+    this.emitDeviceEvent("login", socket, {
+      serialNumber,
+      model: socket.deviceModel,
+      registered: this.registry ? Boolean(context.registration) : null,
+      connectionId: clientInfo.id,
+      address: clientInfo.address,
+    });
+
+    this.persistDeviceState(imei, {
+      lastLoginAt: new Date().toISOString(),
+      address: clientInfo.address,
+      model: socket.deviceModel,
     });
+
+    this.flushCommandQueue(imei);
   }
 
-  handleHeartbeat(socket, packet, clientInfo) {
-    const data = parseHeartbeat(packet);
+  handleHeartbeat(socket, data, context) {
     const batteryLevels = [
       "No Power",
       "Extremely Low",
@@ -285,441 +873,527 @@ class ConcoxV5Server {
         : "MOBILIZED (Connected)",
     });
 
-    const ack = createHeartbeatAck(data.serialNumber);
-    socket.write(ack);
+    const heartbeat = {
+      protocolNumber: context.handler.protocolNumber,
+      terminalInfo: data.terminalInfo,
+      batteryLevel: data.batteryLevel,
+      gsmSignal: data.gsmSignal,
+      ...data.info,
+      serialNumber: data.serialNumber,
+    };
+    this.persist("heartbeats", socket.deviceImei, heartbeat);
+    this.persistDeviceState(socket.deviceImei, {
+      lastHeartbeatAt: new Date().toISOString(),
+      lastHeartbeat: heartbeat,
+    });
+
+    this.emitDeviceEvent("heartbeat", socket, data);
+
+    if (this.trips && socket.deviceImei) {
+      this.recordTrips(
+        socket,
+        this.trips.processAcc(socket.deviceImei, data.info.accHigh),
+      );
+    }
   }
 
-  handleGPSLocation(socket, packet, clientInfo) {
-    try {
-      const data = parseGPSLocation(packet);
-      const uploadModes = {
-        0x00: "Time Interval",
-        0x01: "Distance Interval",
-        0x02: "Inflection Point",
-        0x03: "ACC Status",
-        0x04: "Re-upload Last GPS",
-        0x05: "Network Recovery",
-        0x06: "Update Ephemeris",
-        0x07: "Side Key Triggered",
-        0x08: "Power On",
-        0x0a: "Static Update",
-        0x0d: "Static Location",
-        0x0e: "GPS Dup Upload",
-      };
+  handleGPSLocation(socket, data, context) {
+    const uploadModes = {
+      0x00: "Time Interval",
+      0x01: "Distance Interval",
+      0x02: "Inflection Point",
+      0x03: "ACC Status",
+      0x04: "Re-upload Last GPS",
+      0x05: "Network Recovery",
+      0x06: "Update Ephemeris",
+      0x07: "Side Key Triggered",
+      0x08: "Power On",
+      0x0a: "Static Update",
+      0x0d: "Static Location",
+      0x0e: "GPS Dup Upload",
+    };
+    const { position } = context;
 
-      const locationData = {
-        imei: socket.deviceImei || "unknown",
-        timestamp: `${data.datetime.year}-${String(
-          data.datetime.month,
-        ).padStart(2, "0")}-${String(data.datetime.day).padStart(
-          2,
-          "0",
-        )} ${String(data.datetime.hour).padStart(2, "0")}:${String(
-          data.datetime.minute,
-        ).padStart(2, "0")}:${String(data.datetime.second).padStart(2, "0")}`,
-        latitude: data.latitude.toFixed(6),
-        longitude: data.longitude.toFixed(6),
-        speed: data.speed,
-        course: data.course,
-        satellites: data.satellites,
-        positioned: data.gpsPositioned,
-        lbs: data.lbs,
-      };
+    const locationData = {
+      imei: socket.deviceImei || "unknown",
+      deviceTime: position.deviceTime,
+      latitude: position.latitude,
+      longitude: position.longitude,
+      speed: position.speed,
+      course: position.course,
+      satellites: position.satellites,
+      positioned: position.gpsPositioned,
+      cells: position.cells,
+    };
 
-      if (data.mileage !== null) {
-        locationData.mileage_meters = data.mileage;
-        locationData.mileage_km = (data.mileage / 1000).toFixed(2);
-        locationData.mileage_miles = (data.mileage / 1609.34).toFixed(2);
+    if (position.mileage !== null) {
+      locationData.mileage_meters = position.mileage;
+      locationData.mileage_km = (position.mileage / 1000).toFixed(2);
+      locationData.mileage_miles = (position.mileage / 1609.34).toFixed(2);
 
-        // Store mileage in client data
-        const clientData = this.clients.get(socket.deviceImei);
-        if (clientData) {
-          clientData.lastMileage = data.mileage;
-          clientData.lastMileageAt = new Date().toISOString();
-        }
-      }
-      if (data.acc !== null) {
-        locationData.acc = data.acc === 0x01 ? "High (On)" : "Low (Off)";
-      }
-      if (data.dataUploadMode !== null) {
-        locationData.uploadMode =
-          uploadModes[data.dataUploadMode] ||
-          `Unknown (0x${data.dataUploadMode.toString(16)})`;
+      // Store mileage in client data
+      const clientData = this.clients.get(socket.deviceImei);
+      if (clientData) {
+        clientData.lastMileage = position.mileage;
+        clientData.lastMileageAt = new Date().toISOString();
       }
-
-      log(`📍 GPS Location`, locationData);
-    } catch (error) {
-      log(`❌ Error parsing GPS location: ${error.message}`, {
-        imei: socket.deviceImei || "unknown",
-        stack: error.stack,
-      });
     }
+    if (position.acc !== null) {
+      locationData.acc = position.acc ? "High (On)" : "Low (Off)";
+    }
+    if (position.uploadMode !== null) {
+      locationData.uploadMode =
+        uploadModes[position.uploadMode] ||
+        `Unknown (0x${position.uploadMode.toString(16)})`;
+    }
+
+    log(`📍 GPS Location`, locationData);
+
+    this.emitDeviceEvent("location", socket, data);
   }
 
-  handleAlarm(socket, packet, clientInfo) {
-    try {
-      const data = parseAlarm(packet);
+  /**
+   * Alarms from 0x26, 0x19 (LBS only) and 0x27 (HVT001)
+   */
+  handleAlarm(socket, alarm, context) {
+    const { protocolNumber, name } = context.handler;
+    const { position } = context;
+    // 0x27 carries the date/time as text plus the parsed fields; 0x19 has none
+    const deviceTime = position
+      ? position.deviceTime
+      : datetimeToISO(alarm.datetimeRaw || alarm.datetime);
+
+    log(`🚨 ${name}`, {
+      imei: socket.deviceImei || "unknown",
+      alarmType: alarm.alarmType,
+      deviceTime,
+      serialNumber: alarm.serialNumber,
+      gpsData: alarm.gpsData,
+      lbs: alarm.lbs,
+      terminalInfo: alarm.terminalInfo,
+      rawHex: context.packet.toString("hex").toUpperCase(),
+    });
 
-      // Try to enrich with HVT001-style fields (gpsData, lbs, terminalInfo) when present
-      let enriched = { ...data };
-      try {
-        const hvt = parseAlarmHVT001(packet);
-        // merge commonly useful fields if available
-        if (hvt.gpsData) enriched.gpsData = hvt.gpsData;
-        if (hvt.lbs) enriched.lbs = hvt.lbs;
-        if (hvt.terminalInfo) enriched.terminalInfo = hvt.terminalInfo;
-      } catch (e) {
-        // ignore if HVT001 parser not applicable
-      }
+    this.persist("alarms", socket.deviceImei, {
+      protocolNumber,
+      deviceTime,
+      alarmType: alarm.alarmType,
+      alarmByte: alarm.alarmByte,
+      serialNumber: alarm.serialNumber,
+      gpsData: alarm.gpsData || null,
+      lbs: alarm.lbs || null,
+      terminalInfo: alarm.terminalInfo ?? null,
+      position: position || null,
+    });
 
-      // Build timestamp string
-      const ts = `${data.datetime.year}-${String(data.datetime.month).padStart(2, "0")}-${String(
-        data.datetime.day,
-      ).padStart(
-        2,
-        "0",
-      )} ${String(data.datetime.hour).padStart(2, "0")}:${String(
-        data.datetime.minute,
-      ).padStart(2, "0")}:${String(data.datetime.second).padStart(2, "0")}`;
-
-      log(`🚨 Alarm`, {
-        imei: socket.deviceImei || "unknown",
-        alarmType: enriched.alarmType,
-        timestamp: ts,
-        serialNumber: enriched.serialNumber,
-        gpsData: enriched.gpsData,
-        lbs: enriched.lbs,
-        terminalInfo: enriched.terminalInfo,
-        rawHex: packet.toString("hex").toUpperCase(),
-      });
+    this.emitDeviceEvent("alarm", socket, {
+      protocolNumber,
+      ...alarm,
+      position: position || null,
+    });
+  }
 
-      const ack = createAlarmAck(data.serialNumber);
-      socket.write(ack);
-    } catch (error) {
-      log(`❌ Error parsing alarm: ${error.message}`, {
-        imei: socket.deviceImei || "unknown",
-      });
-    }
+  handleLBSExtension(socket, data, context) {
+    log(`📡 LBS Extension`, {
+      imei: socket.deviceImei || "unknown",
+      ...data,
+    });
+
+    this.emitDeviceEvent("lbs", socket, data);
   }
 
-  handleLBSAlarm(socket, packet, clientInfo) {
-    try {
-      const data = parseLBSAlarm(packet);
-      log(`📡 LBS Alarm`, {
-        imei: socket.deviceImei || "unknown",
-        ...data,
-      });
+  handleWiFi(socket, data, context) {
+    log(`📶 WiFi Packet`, {
+      imei: socket.deviceImei || "unknown",
+      ...data,
+    });
 
-      const ack = createLBSAlarmAck(data.serialNumber);
-      socket.write(ack);
-    } catch (error) {
-      log(`❌ Error parsing LBS alarm: ${error.message}`);
-    }
+    this.emitDeviceEvent("wifi", socket, data);
   }
 
-  handleLBSExtension(socket, packet, clientInfo) {
-    try {
-      const data = parseLBSExtension(packet);
-      log(`📡 LBS Extension`, {
-        imei: socket.deviceImei || "unknown",
-        ...data,
-      });
-    } catch (error) {
-      log(`❌ Error parsing LBS extension: ${error.message}`);
-    }
+  /**
+   * Settle the pending sendCommand() promise matching a device reply
+   * @param {net.Socket} socket - Device socket
+   * @param {string} key - serverFlag hex the command was stored under
+   * @param {Object} reply - Reply fields (protocolNumber, response, serverFlag, serialNumber)
+   * @returns {Object|null} The matched pending command, or null if none
+   */
+  settlePendingCommand(socket, key, reply) {
+    if (!socket.pendingCommands) return null;
+
+    const pending = socket.pendingCommands.get(key);
+    if (!pending) return null;
+
+    socket.pendingCommands.delete(key);
+    clearTimeout(pending.timer);
+
+    const status = classifyCommandResponse(reply.response);
+    pending.resolve({
+      imei: pending.imei,
+      command: pending.command,
+      ...reply,
+      status,
+      success: status === "success",
+      sentAt: new Date(pending.sentAt).toISOString(),
+      latencyMs: Date.now() - pending.sentAt,
+    });
+    return pending;
   }
 
-  handleWiFi(socket, packet, clientInfo) {
-    try {
-      const data = parseWiFi(packet);
-      log(`📶 WiFi Packet`, {
-        imei: socket.deviceImei || "unknown",
-        ...data,
+  /**
+   * Command replies from 0x21 and 0x15 (JM01)
+   */
+  handleCommandResponse(socket, data, context) {
+    const { protocolNumber, name } = context.handler;
+    const label = `${name} (0x${protocolNumber.toString(16).padStart(2, "0")})`;
+    const imei = socket.deviceImei || "unknown";
+    const responseTime = Date.now();
+
+    // JM01 replies have no serverFlag; the echoed serial maps onto it
+    const serverFlag =
+      data.serverFlag ?? serverFlagHexKeyFromSerial(data.serialNumber);
+    const matchedCommand = this.settlePendingCommand(socket, serverFlag, {
+      protocolNumber,
+      response: data.response,
+      serverFlag,
+      serialNumber: data.serialNumber,
+    });
+
+    if (matchedCommand) {
+      log(`📨 ${label} - Matched!`, {
+        imei: imei,
+        originalCommand: matchedCommand.command,
+        response: data.response,
+        serverFlag,
+        serialNumber: data.serialNumber,
+        responseDelayMs: responseTime - matchedCommand.sentAt,
+        rawResponse: data.response,
+      });
+    } else {
+      log(`📨 ${label}`, {
+        imei: imei,
+        response: data.response,
+        serverFlag,
+        serialNumber: data.serialNumber,
+        rawResponse: data.response,
+        note: "No matching pending command found",
       });
+    }
 
-      const response = createWiFiResponse(data.serialNumber);
-      socket.write(response);
-    } catch (error) {
-      log(`❌ Error parsing WiFi: ${error.message}`);
+    // Check if response indicates success or failure
+    const status = classifyCommandResponse(data.response);
+    if (status === "success") {
+      log(`✅ Command executed successfully: ${data.response}`);
+    } else if (status === "failure") {
+      const errorNote = matchedCommand
+        ? `Command "${matchedCommand.command}" not recognized. Try using PARAM# for device parameters, or check device manual for supported commands.`
+        : "Device returned error response";
+      log(`❌ Command failed: ${data.response}`, {
+        imei: imei,
+        note: errorNote,
+      });
+    } else {
+      log(`ℹ️ Command response received: ${data.response}`);
     }
-  }
 
-  handleCommandResponse(socket, packet, clientInfo) {
-    try {
-      const data = parseCommandResponse(packet);
-      const imei = socket.deviceImei || "unknown";
-      const responseTime = Date.now();
-
-      // Check if this matches a pending command
-      let matchedCommand = null;
-      if (socket.pendingCommands) {
-        matchedCommand = socket.pendingCommands.get(data.serverFlag);
-        if (matchedCommand) {
-          const responseDelay = responseTime - matchedCommand.sentAt;
-          socket.pendingCommands.delete(data.serverFlag);
-          log(`📨 Command Response (0x21) - Matched!`, {
-            imei: imei,
-            originalCommand: matchedCommand.command,
-            response: data.response,
-            serverFlag: data.serverFlag,
-            serialNumber: data.serialNumber,
-            responseDelayMs: responseDelay,
-            rawResponse: data.response,
-          });
-        }
-      }
+    this.emitDeviceEvent("commandResponse", socket, {
+      protocolNumber,
+      ...data,
+      status,
+      command: matchedCommand ? matchedCommand.command : null,
+      responseDelayMs: matchedCommand
+        ? responseTime - matchedCommand.sentAt
+        : null,
+    });
+  }
 
-      if (!matchedCommand) {
-        log(`📨 Command Response (0x21)`, {
-          imei: imei,
-          response: data.response,
-          serverFlag: data.serverFlag,
-          serialNumber: data.serialNumber,
-          rawResponse: data.response,
-          note: "No matching pending command found",
-        });
-      }
+  /**
+   * Transparent data from external devices (0x9B X3) and modules (0x9C U20)
+   */
+  handleExternalData(socket, data, context) {
+    log(`🔌 ${context.handler.name}`, {
+      imei: socket.deviceImei || "unknown",
+      ...(data.moduleId !== undefined ? { moduleId: data.moduleId } : {}),
+      dataLength: data.dataLength,
+      transparentData: data.transparentData,
+    });
 
-      // Check if response indicates success or failure
-      const responseUpper = data.response.toUpperCase();
-      if (
-        responseUpper.includes("OK") ||
-        responseUpper.includes("SUCCESS") ||
-        responseUpper.includes("RELAY")
-      ) {
-        log(`✅ Command executed successfully: ${data.response}`);
-      } else if (
-        responseUpper.includes("ERROR") ||
-        responseUpper.includes("FAIL") ||
-        responseUpper.includes("INVALID")
-      ) {
-        const errorNote = matchedCommand
-          ? `Command "${matchedCommand.command}" not recognized. Try using PARAM# for device parameters, or check device manual for supported commands.`
-          : "Device returned error response";
-        log(`❌ Command failed: ${data.response}`, {
-          imei: imei,
-          note: errorNote,
-        });
-      } else {
-        log(`ℹ️ Command response received: ${data.response}`);
-      }
-    } catch (error) {
-      log(`❌ Error parsing command response: ${error.message}`, {
-        imei: socket.deviceImei || "unknown",
-        hex: packet.toString("hex").toUpperCase(),
-      });
-    }
+    this.emitDeviceEvent("externalData", socket, {
+      protocolNumber: context.handler.protocolNumber,
+      ...data,
+    });
   }
 
-  handleCommandResponseJM01(socket, packet, clientInfo) {
-    try {
-      const data = parseCommandResponseJM01(packet);
-      const imei = socket.deviceImei || "unknown";
-      const responseTime = Date.now();
-
-      // Check if this matches a pending command
-      let matchedCommand = null;
-      if (socket.pendingCommands) {
-        const pendingKey = serverFlagHexKeyFromSerial(data.serialNumber);
-        matchedCommand = socket.pendingCommands.get(pendingKey);
-        if (matchedCommand) {
-          const responseDelay = responseTime - matchedCommand.sentAt;
-          socket.pendingCommands.delete(pendingKey);
-          log(`📨 Command Response (JM01 - 0x15) - Matched!`, {
-            imei: imei,
-            originalCommand: matchedCommand.command,
-            response: data.response,
-            serialNumber: data.serialNumber,
-            responseDelayMs: responseDelay,
-            rawResponse: data.response,
-          });
-        }
-      }
+  /**
+   * Answer a GT06 address request (0x1A with a GPS fix, 0x17 with the serving cell)
+   * with 0x17 / 0x97 once the address is resolved
+   */
+  async handleAddressRequest(socket, request, context) {
+    const imei = socket.deviceImei || "unknown";
+    log(`🏠 ${context.handler.name}`, {
+      imei,
+      phoneNumber: request.phoneNumber || null,
+      alarmType: request.alarmType,
+      language: request.language,
+      location: describeRequestLocation(request),
+    });
 
-      if (!matchedCommand) {
-        log(`📨 Command Response (JM01 - 0x15)`, {
-          imei: imei,
-          response: data.response,
-          serialNumber: data.serialNumber,
-          rawResponse: data.response,
-          note: "No matching pending command found",
-        });
-      }
+    this.emitDeviceEvent("addressRequest", socket, {
+      protocolNumber: context.handler.protocolNumber,
+      ...request,
+    });
 
-      // Check if response indicates success or failure
-      const responseUpper = data.response.toUpperCase();
-      if (
-        responseUpper.includes("OK") ||
-        responseUpper.includes("SUCCESS") ||
-        responseUpper.includes("RELAY")
-      ) {
-        log(`✅ Command executed successfully: ${data.response}`);
-      } else if (
-        responseUpper.includes("ERROR") ||
-        responseUpper.includes("FAIL") ||
-        responseUpper.includes("INVALID")
-      ) {
-        log(`❌ Command failed: ${data.response}`);
-      } else {
-        log(`ℹ️ Command response received: ${data.response}`);
+    let address = null;
+    if (this.resolveAddress) {
+      try {
+        address = await this.resolveAddress({ imei: socket.deviceImei, ...request });
+      } catch (error) {
+        log(`❌ Address lookup failed: ${error.message}`, { imei });
       }
-    } catch (error) {
-      log(`❌ Error parsing JM01 command response: ${error.message}`, {
-        imei: socket.deviceImei || "unknown",
-        hex: packet.toString("hex").toUpperCase(),
-      });
     }
+    address = address || describeRequestLocation(request);
+    if (socket.destroyed) return;
+
+    const reply = createAddressResponse({
+      address,
+      phoneNumber: request.phoneNumber,
+      language: request.languageByte,
+      serialNumber: request.serialNumber,
+    });
+    socket.write(reply);
+    log(`✅ Address sent`, {
+      imei,
+      address,
+      replyHex: reply.toString("hex").toUpperCase(),
+    });
   }
 
-  handleAlarmHVT001(socket, packet, clientInfo) {
-    try {
-      const data = parseAlarmHVT001(packet);
-      log(`🚨 Alarm (HVT001)`, {
-        imei: socket.deviceImei || "unknown",
-        ...data,
-      });
-
-      const ack = createAlarmHVT001Ack(data.serialNumber);
-      socket.write(ack);
-    } catch (error) {
-      log(`❌ Error parsing HVT001 alarm: ${error.message}`);
+  /**
+   * HVT001 file chunks (0x8D): reassemble, then ack the chunk, or NACK it when
+   * it doesn't fit the file or the finished file fails its CRC / MD5
+   */
+  handleFileTransfer(socket, data, context) {
+    const imei = socket.deviceImei || "unknown";
+    const result =
+      this.files && socket.deviceImei
+        ? this.files.addChunk(socket.deviceImei, data)
+        : { status: null, transfer: null }; // not kept: reassembly disabled or not logged in
+    const accepted =
+      result.status !== CHUNK_RESULTS.CORRUPT &&
+      result.status !== CHUNK_RESULTS.INVALID;
+    if (!context.ack) {
+      socket.write(createFileTransferAck(data.serialNumber, accepted));
     }
-  }
 
-  handleExternalDeviceTransfer(socket, packet, clientInfo) {
-    try {
-      const data = parseExternalDeviceTransfer(packet);
-      log(`🔌 External Device Transfer (X3)`, {
-        imei: socket.deviceImei || "unknown",
-        dataLength: data.dataLength,
-        transparentData: data.transparentData,
+    log(`📁 File Transfer (HVT001)`, {
+      imei,
+      fileType: data.fileType,
+      fileLength: data.fileLength,
+      startPosition: data.startPosition,
+      progress: data.progress,
+      status: result.status,
+      receivedBytes: result.transfer ? result.transfer.receivedBytes : null,
+    });
+    if (!accepted) {
+      log(`❌ File chunk rejected: ${result.error}`, {
+        imei,
+        fileType: data.fileType,
+        serialNumber: data.serialNumber,
       });
-
-      // Optionally send response data back
-      const response = createExternalDeviceResponse(data.serialNumber);
-      socket.write(response);
-    } catch (error) {
-      log(`❌ Error parsing external device transfer: ${error.message}`);
     }
-  }
 
-  handleExternalModuleTransmission(socket, packet, clientInfo) {
-    try {
-      const data = parseExternalModuleTransmission(packet);
-      log(`🔌 External Module Transmission (U20)`, {
-        imei: socket.deviceImei || "unknown",
-        moduleId: data.moduleId,
-        dataLength: data.dataLength,
-        transparentData: data.transparentData,
-      });
+    this.emitDeviceEvent("fileChunk", socket, {
+      ...data,
+      status: result.status,
+      transfer: result.transfer,
+    });
 
-      const response = createExternalModuleResponse(
-        data.serialNumber,
-        data.moduleId,
-      );
-      socket.write(response);
-    } catch (error) {
-      log(`❌ Error parsing external module transmission: ${error.message}`);
+    if (result.status === CHUNK_RESULTS.COMPLETE) {
+      return this.saveFile(socket, result.transfer, result.content);
     }
   }
 
-  handleFileTransfer(socket, packet, clientInfo) {
-    try {
-      const data = parseFileTransfer(packet);
-      log(`📁 File Transfer (HVT001)`, {
-        imei: socket.deviceImei || "unknown",
-        fileType: data.fileType,
-        fileLength: data.fileLength,
-        progress: data.progress,
-        isComplete: data.isComplete,
-      });
+  /**
+   * Alarm an SOS recording belongs to: the latest stored alarm with the serial
+   * number the recording is flagged with
+   * @param {string} imei - Device IMEI
+   * @param {number} serialNumber - Serial number of the SOS alarm packet
+   * @returns {Promise<Object|null>} Alarm record
+   */
+  async findAlarmBySerial(imei, serialNumber) {
+    if (!this.storage) return null;
+    const alarms = await this.storage.query("alarms", imei, {
+      from: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
+    });
+    return alarms.filter((alarm) => alarm.serialNumber === serialNumber).pop() || null;
+  }
 
-      // TODO: Store file chunks and reconstruct complete file
-      const ack = createFileTransferAck(data.serialNumber, true);
-      socket.write(ack);
-    } catch (error) {
-      log(`❌ Error parsing file transfer: ${error.message}`);
+  /**
+   * Keep a reassembled file, linking SOS recordings to their alarm, and emit it as `file`
+   */
+  async saveFile(socket, transfer, content) {
+    const imei = socket.deviceImei;
+    const { flagBit } = transfer;
+    let alarm = null;
+    if (flagBit && flagBit.type === "serial") {
+      try {
+        alarm = await this.findAlarmBySerial(imei, flagBit.value);
+      } catch (error) {
+        log(`❌ Alarm lookup for SOS file failed: ${error.message}`, { imei });
+      }
     }
+
+    const file = this.files.save(transfer, content, {
+      alarmId: alarm ? alarm.id : null,
+    });
+    log(`✅ File received`, {
+      imei,
+      id: file.id,
+      kind: file.kind,
+      fileLength: file.fileLength,
+      contentType: file.contentType,
+      alarmId: file.alarmId,
+    });
+
+    this.persistDeviceState(imei, { lastFile: file });
+    this.emitDeviceEvent("file", socket, file);
   }
 
-  handleTimeCalibration(socket, packet, clientInfo) {
-    const { serialNumber } = parseTimeCalibration(packet);
+  handleTimeCalibration(socket, data, context) {
     log(`🕐 Time Calibration Request`, {
       imei: socket.deviceImei || "unknown",
     });
 
-    const now = new Date();
-    const ack = createTimeCalibrationResponse(serialNumber, now);
-    socket.write(ack);
-
     log(`✅ Time response sent`, {
       imei: socket.deviceImei || "unknown",
-      time: now.toISOString(),
+      ackHex: context.ack ? context.ack.toString("hex").toUpperCase() : null,
     });
   }
 
-  handleInformationTransmission(socket, packet, clientInfo) {
-    try {
-      const data = parseInformationTransmission(packet);
-      const imei = socket.deviceImei || "unknown";
-
-      // Sub-protocol 0x00 = External Power Voltage (Vehicle Battery)
-      if (
-        data.subProtocol === 0x00 &&
-        data.data &&
-        data.data.type === "voltage"
-      ) {
-        const voltage = data.data.voltage;
-        const status =
-          voltage >= 12.0
-            ? "Good"
-            : voltage >= 11.5
-              ? "Low"
-              : voltage >= 10.5
-                ? "Critical"
-                : "Very Low";
-
-        // Store battery voltage in client data
-        const clientData = this.clients.get(imei);
-        if (clientData) {
-          clientData.lastBatteryVoltage = voltage;
-          clientData.lastBatteryVoltageAt = new Date().toISOString();
-        }
+  handleInformationTransmission(socket, data, context) {
+    const imei = socket.deviceImei || "unknown";
+    const { packet } = context;
+    const { type, ...fields } = data.data || {};
+    const clientData = this.clients.get(imei);
+    const receivedAt = new Date().toISOString();
+
+    this.persist("information", socket.deviceImei, {
+      protocolNumber: context.handler.protocolNumber,
+      subProtocol: data.subProtocol,
+      // Raw byte payloads are stored as hex
+      data: JSON.parse(
+        JSON.stringify(data.data, (key, value) =>
+          value && value.type === "Buffer" && Array.isArray(value.data)
+            ? Buffer.from(value.data).toString("hex").toUpperCase()
+            : value,
+        ),
+      ),
+    });
 
-        log(`🔋 Vehicle Battery Voltage`, {
-          imei,
-          voltage: `${voltage.toFixed(2)}V`,
-          status,
-          rawHex: packet
-            .slice(packet[0] === 0x79 ? 6 : 5, packet[0] === 0x79 ? 8 : 7)
-            .toString("hex")
-            .toUpperCase(),
-        });
+    // Sub-protocols 0x00 and 0x06 = External Power Voltage (Vehicle Battery)
+    if (type === "voltage" || type === "voltage_mileage") {
+      const { voltage } = fields;
+      const status =
+        voltage >= 12.0
+          ? "Good"
+          : voltage >= 11.5
+            ? "Low"
+            : voltage >= 10.5
+              ? "Critical"
+              : "Very Low";
 
-        return;
+      // Store battery voltage in client data
+      if (clientData) {
+        clientData.lastBatteryVoltage = voltage;
+        clientData.lastBatteryVoltageAt = receivedAt;
       }
+      this.persistDeviceState(socket.deviceImei, {
+        batteryVoltage: voltage,
+        batteryVoltageAt: receivedAt,
+      });
 
-      // Handle other sub-protocols
+      log(`🔋 Vehicle Battery Voltage`, {
+        imei,
+        voltage: `${voltage.toFixed(2)}V`,
+        status,
+        rawHex: packet
+          .slice(packet[0] === 0x79 ? 6 : 5, packet[0] === 0x79 ? 8 : 7)
+          .toString("hex")
+          .toUpperCase(),
+      });
+    } else {
       log(`📊 Information Transmission`, {
         imei,
         subProtocol: `0x${data.subProtocol.toString(16).padStart(2, "0")}`,
-        ...data.data,
+        type,
+        ...fields,
+      });
+    }
+
+    // Sub-protocol 0x06 also carries the odometer
+    if (type === "voltage_mileage" && fields.mileage !== null) {
+      if (clientData) {
+        clientData.lastMileage = fields.mileage;
+        clientData.lastMileageAt = receivedAt;
+      }
+      this.persistDeviceState(socket.deviceImei, {
+        mileage: fields.mileage,
+        mileageAt: receivedAt,
       });
-    } catch (error) {
-      log(`❌ Error parsing information transmission: ${error.message}`);
     }
+
+    const event = INFORMATION_EVENTS[type];
+    if (event) {
+      // Latest report of each kind, in the client data and the device state
+      const report = { ...fields, receivedAt };
+      if (clientData) {
+        clientData.information[event] = report;
+      }
+      this.persistDeviceState(socket.deviceImei, { [event]: report });
+      this.emitDeviceEvent(event, socket, {
+        subProtocol: data.subProtocol,
+        ...fields,
+        serialNumber: data.serialNumber,
+      });
+    }
+
+    this.emitDeviceEvent("information", socket, data);
   }
 
-  sendCommand(imei, command) {
+  /**
+   * Send an online command (0x80) and wait for the device's reply (0x21 / 0x15).
+   * The outcome is always logged, so callers that don't need the reply may
+   * ignore the returned promise.
+   * @param {string} imei - Device IMEI
+   * @param {string} command - Command text, e.g. "RELAY,1#"
+   * @param {Object} options - Send options
+   * @param {number} options.timeoutMs - How long to wait for the reply (default: 60000)
+   * @returns {Promise<Object>} Resolves with { imei, command, response, status, success, latencyMs, ... };
+   *   rejects with error.code DEVICE_NOT_CONNECTED, COMMAND_TIMEOUT or DEVICE_DISCONNECTED
+   */
+  sendCommand(imei, command, options = {}) {
+    const { timeoutMs = DEFAULT_COMMAND_TIMEOUT_MS } = options;
     const clientData = this.clients.get(imei);
     if (!clientData) {
       log(`❌ Device ${imei} not connected`);
-      return false;
+      return settleQuietly(
+        Promise.reject(
+          commandError("DEVICE_NOT_CONNECTED", `Device ${imei} not connected`),
+        ),
+      );
     }
 
     const socket = clientData.socket;
     const commandBytes = Buffer.from(command, "ascii");
-    const serialNumber = Math.floor(Math.random() * 65535);
+    // Pick a serial not already awaiting a reply on this socket, otherwise two
+    // commands would share a correlation key.
+    let serialNumber;
+    do {
+      serialNumber = Math.floor(Math.random() * 65535);
+    } while (
+      socket.pendingCommands &&
+      socket.pendingCommands.has(serverFlagHexKeyFromSerial(serialNumber))
+    );
     // Encode serialNumber into serverFlag so the device echoes it back in 0x21 response,
     // allowing reliable correlation between sent command and device response.
     const serverFlag = Buffer.from([
@@ -812,61 +1486,233 @@ class ConcoxV5Server {
     if (!socket.pendingCommands) {
       socket.pendingCommands = new Map();
     }
-    socket.pendingCommands.set(serverFlagHex, {
-      command: command,
-      sentAt: commandSentTime,
-      imei: imei,
+
+    const reply = new Promise((resolve, reject) => {
+      const pending = {
+        command: command,
+        sentAt: commandSentTime,
+        imei: imei,
+        serverFlag: serverFlagHex,
+        socket, // moves to the new socket if the device logs in again before replying
+        resolve,
+        reject,
+      };
+      // Clean up if device never responds
+      pending.timer = setTimeout(() => {
+        const owner = pending.socket;
+        if (owner.pendingCommands && owner.pendingCommands.get(serverFlagHex) === pending) {
+          log(`⏱️ Command timeout - no response received`, {
+            imei: imei,
+            command: command,
+            serverFlag: serverFlagHex,
+          });
+          owner.pendingCommands.delete(serverFlagHex);
+          reject(
+            commandError(
+              "COMMAND_TIMEOUT",
+              `No response to "${command}" from ${imei} within ${timeoutMs}ms`,
+            ),
+          );
+        }
+      }, timeoutMs);
+
+      socket.pendingCommands.set(serverFlagHex, pending);
     });
 
-    // Clean up if device never responds
-    setTimeout(() => {
-      if (socket.pendingCommands && socket.pendingCommands.has(serverFlagHex)) {
-        log(`⏱️ Command timeout - no response received`, {
-          imei: imei,
-          command: command,
+    reply.then(
+      (result) =>
+        this.persist("commands", imei, {
+          deviceTime: result.sentAt,
+          command,
+          serverFlag: serverFlagHex,
+          outcome: "answered",
+          response: result.response,
+          status: result.status,
+          latencyMs: result.latencyMs,
+        }),
+      (error) =>
+        this.persist("commands", imei, {
+          deviceTime: new Date(commandSentTime).toISOString(),
+          command,
           serverFlag: serverFlagHex,
+          outcome: error.code === "COMMAND_TIMEOUT" ? "timeout" : "disconnected",
+          response: null,
+          status: null,
+          latencyMs: null,
+        }),
+    );
+
+    return settleQuietly(reply);
+  }
+
+  /**
+   * Reject every command still waiting for a reply on a closed socket
+   * @param {net.Socket} socket - Device socket
+   */
+  rejectPendingCommands(socket) {
+    if (!socket.pendingCommands) return;
+
+    for (const [serverFlag, pending] of socket.pendingCommands) {
+      clearTimeout(pending.timer);
+      pending.reject(
+        commandError(
+          "DEVICE_DISCONNECTED",
+          `Device ${pending.imei} disconnected before replying to "${pending.command}"`,
+        ),
+      );
+      socket.pendingCommands.delete(serverFlag);
+    }
+  }
+
+  /**
+   * Move the commands still waiting for a reply from a superseded socket to the
+   * device's new socket, where its reply will arrive. A command whose serverFlag
+   * is already taken on the new socket is rejected as DEVICE_DISCONNECTED.
+   * @param {net.Socket} from - Superseded socket
+   * @param {net.Socket} to - New socket
+   * @returns {{migrated: number, failed: number}} Counts
+   */
+  migratePendingCommands(from, to) {
+    const counts = { migrated: 0, failed: 0 };
+    if (!from.pendingCommands) return counts;
+    if (!to.pendingCommands) {
+      to.pendingCommands = new Map();
+    }
+
+    for (const [serverFlag, pending] of from.pendingCommands) {
+      from.pendingCommands.delete(serverFlag);
+      if (to.pendingCommands.has(serverFlag)) {
+        clearTimeout(pending.timer);
+        pending.reject(
+          commandError(
+            "DEVICE_DISCONNECTED",
+            `Device ${pending.imei} logged in again before replying to "${pending.command}"`,
+          ),
+        );
+        counts.failed++;
+        continue;
+      }
+      pending.socket = to;
+      to.pendingCommands.set(serverFlag, pending);
+      counts.migrated++;
+    }
+    return counts;
+  }
+
+  /**
+   * Queue a command for delivery on the device's next login.
+   * If the device is online the queue is flushed straight away.
+   * @param {string} imei - Device IMEI
+   * @param {string} command - Command text
+   * @param {Object} options - Queue options
+   * @param {number} options.ttlMs - Expire the command if not delivered within this time
+   * @returns {Object} Queue entry
+   * @throws {Error} code QUEUE_DISABLED when the server has no command queue
+   */
+  queueCommand(imei, command, options = {}) {
+    if (!this.commandQueue) {
+      throw commandError("QUEUE_DISABLED", "Offline command queue is disabled");
+    }
+    const entry = this.commandQueue.enqueue(imei, command, options);
+    log(`📥 Command queued for ${imei}`, {
+      id: entry.id,
+      command,
+      expiresAt: entry.expiresAt,
+    });
+
+    if (this.clients.has(imei)) {
+      this.flushCommandQueue(imei);
+    }
+    return entry;
+  }
+
+  /**
+   * Deliver queued commands to a device one at a time, waiting for each reply.
+   * Runs at most once per device at a time.
+   * @param {string} imei - Device IMEI
+   * @returns {Promise<void>}
+   */
+  async flushCommandQueue(imei) {
+    if (!this.commandQueue || this.flushingQueues.has(imei)) return;
+    this.flushingQueues.add(imei);
+
+    try {
+      for (const expired of this.commandQueue.expireStale()) {
+        log(`⌛ Queued command expired`, {
+          imei: expired.imei,
+          id: expired.id,
+          command: expired.command,
         });
-        socket.pendingCommands.delete(serverFlagHex);
       }
-    }, 60000);
 
-    return serverFlagHex;
+      let entry;
+      while ((entry = this.commandQueue.due(imei)[0])) {
+        if (!this.clients.has(imei)) break;
+
+        this.commandQueue.markSent(entry.id);
+        log(`📤 Delivering queued command to ${imei}`, {
+          id: entry.id,
+          command: entry.command,
+        });
+
+        try {
+          const reply = await this.sendCommand(imei, entry.command);
+          this.commandQueue.markAnswered(entry.id, reply);
+        } catch (error) {
+          if (
+            error.code === "DEVICE_DISCONNECTED" ||
+            error.code === "DEVICE_NOT_CONNECTED"
+          ) {
+            // Not known to have reached the device: try again next login
+            this.commandQueue.requeue(entry.id, error);
+            break;
+          }
+          this.commandQueue.markFailed(entry.id, error);
+        }
+      }
+    } catch (error) {
+      log(`❌ Error flushing command queue: ${error.message}`, { imei });
+    } finally {
+      this.flushingQueues.delete(imei);
+    }
   }
 
-  mobilizeVehicle(imei) {
-    return this.sendCommand(imei, "RELAY,0#");
+  mobilizeVehicle(imei, options) {
+    return this.sendCommand(imei, "RELAY,0#", options);
   }
 
-  immobilizeVehicle(imei) {
-    return this.sendCommand(imei, "RELAY,1#");
+  immobilizeVehicle(imei, options) {
+    return this.sendCommand(imei, "RELAY,1#", options);
   }
 
-  requestDeviceStatus(imei) {
-    return this.sendCommand(imei, "STATUS#");
+  requestDeviceStatus(imei, options) {
+    return this.sendCommand(imei, "STATUS#", options);
   }
 
   /**
    * Request vehicle battery voltage from device
    * Tries multiple command formats as different device models support different commands
    * @param {string} imei - Device IMEI
-   * @returns {boolean} True if command sent successfully
+   * @param {Object} options - sendCommand options
+   * @returns {Promise<Object>} Device reply (see sendCommand)
    */
-  requestBatteryVoltage(imei) {
+  requestBatteryVoltage(imei, options) {
     log(`📤 Requesting vehicle battery voltage from ${imei}`);
     // Try PARAM# first (most common and widely supported)
     // This requests all device parameters, which may include battery voltage
-    return this.sendCommand(imei, "PARAM#");
+    return this.sendCommand(imei, "PARAM#", options);
   }
 
   /**
    * Request all device parameters (includes battery voltage)
    * Sends PARAM# command to request all device parameters
    * @param {string} imei - Device IMEI
-   * @returns {boolean} True if command sent successfully
+   * @param {Object} options - sendCommand options
+   * @returns {Promise<Object>} Device reply (see sendCommand)
    */
-  requestDeviceParameters(imei) {
+  requestDeviceParameters(imei, options) {
     log(`📤 Requesting all device parameters from ${imei}`);
-    return this.sendCommand(imei, "PARAM#");
+    return this.sendCommand(imei, "PARAM#", options);
   }
 
   /**
@@ -874,15 +1720,16 @@ class ConcoxV5Server {
    * Note: This command may not be supported by all device models
    * @param {string} imei - Device IMEI
    * @param {number} intervalMinutes - Reporting interval in minutes (default: 30)
-   * @returns {boolean} True if command sent successfully
+   * @param {Object} options - sendCommand options
+   * @returns {Promise<Object>} Device reply (see sendCommand)
    */
-  configureBatteryReporting(imei, intervalMinutes = 30) {
+  configureBatteryReporting(imei, intervalMinutes = 30, options) {
     log(
       `📤 Configuring battery reporting every ${intervalMinutes} minutes for ${imei}`,
     );
     // Note: This command may not be supported by all models
     // If device returns "invalid command", this feature is not available
-    return this.sendCommand(imei, `BATINTERVAL,${intervalMinutes}#`);
+    return this.sendCommand(imei, `BATINTERVAL,${intervalMinutes}#`, options);
   }
 
   /**
@@ -890,14 +1737,15 @@ class ConcoxV5Server {
    * Some device models may support different command formats
    * @param {string} imei - Device IMEI
    * @param {string} command - Command to try (e.g., "BATTERY#", "BAT#", "VOLTAGE#")
-   * @returns {boolean} True if command sent successfully
+   * @param {Object} options - sendCommand options
+   * @returns {Promise<Object>} Device reply (see sendCommand)
    */
-  tryBatteryCommand(imei, command) {
+  tryBatteryCommand(imei, command, options) {
     log(`📤 Trying alternative battery command: ${command} for ${imei}`);
     if (!command.endsWith("#")) {
       command = command + "#";
     }
-    return this.sendCommand(imei, command);
+    return this.sendCommand(imei, command, options);
   }
 
   /**
@@ -948,6 +1796,17 @@ class ConcoxV5Server {
       this.server.close();
       log("🛑 Concox V5 Server stopped");
     }
+    if (this.trips) {
+      this.trips.save();
+    }
+    if (this.storage) {
+      this.storage.close().catch((error) => {
+        log(`❌ Storage error (close): ${error.message}`);
+      });
+    }
+    if (this.webhooks) {
+      this.webhooks.close();
+    }
   }
 }
 
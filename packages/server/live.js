@@ -0,0 +1,284 @@
+/**
+ * Live event stream over WebSocket and Server-Sent Events
+ * Clients subscribe to IMEIs and/or event types and receive server events as
+ * soon as the TCP handlers decode them.
+ */
+
+import { WebSocketServer } from "ws";
+import { log } from "./logger.js";
+import { serializeEvent } from "./webhooks.js";
+
+/**
+ * Server events forwarded to live clients
+ */
+export const LIVE_EVENTS = [
+  "login",
+  "disconnect",
+  "deviceStatus",
+  "loginRejected",
+  "heartbeat",
+  "location",
+  "position",
+  "alarm",
+  "lbs",
+  "wifi",
+  "commandResponse",
+  "information",
+  "voltage",
+  "fuel",
+  "temperature",
+  "door",
+  "rfid",
+  "gpsStatus",
+  "terminalStatus",
+  "selfCheck",
+  "iccid",
+  "geofence",
+  "trip",
+  "stop",
+  "file",
+];
+
+export const LIVE_WS_PATH = "/api/live";
+
+const KEEPALIVE_INTERVAL_MS = 30000;
+// Messages are dropped for clients this far behind rather than buffered without bound
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+/**
+ * Parse a comma-separated list (or array) into a Set; empty means "everything"
+ */
+function toFilterSet(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const items = (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+  return items.length > 0 ? new Set(items) : null;
+}
+
+/**
+ * Add items to a filter. A filter that matched everything becomes just these items.
+ */
+function addTo(current, items) {
+  if (!items) return current;
+  return new Set([...(current || []), ...items]);
+}
+
+/**
+ * Remove items from a filter. A filter that matches everything is left as is.
+ */
+function removeFrom(current, items) {
+  if (!items || !current) return current;
+  return new Set([...current].filter((item) => !items.has(item)));
+}
+
+function describeFilter(filter) {
+  return {
+    imeis: filter.imeis ? Array.from(filter.imeis) : "*",
+    events: filter.events ? Array.from(filter.events) : "*",
+  };
+}
+
+/**
+ * Validate requested event types
+ * @returns {string|null} Error message, or null if valid
+ */
+function checkEvents(events) {
+  const unknown = events ? Array.from(events).filter((event) => !LIVE_EVENTS.includes(event)) : [];
+  return unknown.length > 0
+    ? `Unknown event type(s): ${unknown.join(", ")}. Expected: ${LIVE_EVENTS.join(", ")}`
+    : null;
+}
+
+export class LiveHub {
+  /**
+   * @param {ConcoxV5Server} server - Server whose events are streamed
+   */
+  constructor(server) {
+    this.clients = new Set(); // { filter, send, kind }
+    this.wss = null;
+    this.keepaliveTimer = null;
+    for (const event of LIVE_EVENTS) {
+      server.on(event, (payload) => this.broadcast(event, payload));
+    }
+  }
+
+  broadcast(event, payload) {
+    if (this.clients.size === 0) return;
+
+    const imei = payload.imei ?? null;
+    let message = null;
+    for (const client of this.clients) {
+      const { imeis, events } = client.filter;
+      if ((imeis && !imeis.has(imei)) || (events && !events.has(event))) continue;
+
+      // Serialise once, only if someone is listening
+      message =
+        message ||
+        serializeEvent({
+          type: "event",
+          event,
+          imei,
+          timestamp: new Date().toISOString(),
+          data: payload,
+        });
+      client.send(event, message);
+    }
+  }
+
+  /**
+   * Accept WebSocket upgrades on LIVE_WS_PATH of an HTTP server.
+   * Initial filters come from ?imei=&events=; clients change them by sending
+   * {"action": "subscribe"|"unsubscribe", "imeis": [...], "events": [...]}.
+   * @param {http.Server} httpServer - Server returned by app.listen()
+   * @param {Object} options - { verifyClient: ws verifyClient(info, done) deciding which upgrades are accepted }
+   */
+  attachWebSocket(httpServer, options = {}) {
+    this.wss = new WebSocketServer({
+      server: httpServer,
+      path: LIVE_WS_PATH,
+      verifyClient: options.verifyClient,
+    });
+    this.wss.on("connection", (socket, request) => this.handleWebSocket(socket, request));
+
+    // Terminate connections that stopped answering pings (e.g. a dropped mobile link)
+    this.keepaliveTimer = setInterval(() => {
+      for (const socket of this.wss.clients) {
+        if (socket.isAlive === false) {
+          socket.terminate();
+          continue;
+        }
+        socket.isAlive = false;
+        socket.ping();
+      }
+    }, KEEPALIVE_INTERVAL_MS);
+    this.keepaliveTimer.unref();
+  }
+
+  handleWebSocket(socket, request) {
+    const query = new URL(request.url, "http://localhost").searchParams;
+    const client = {
+      kind: "websocket",
+      filter: {
+        imeis: toFilterSet(query.get("imei")),
+        events: toFilterSet(query.get("events")),
+      },
+      send: (event, message) => {
+        if (socket.readyState === socket.OPEN && socket.bufferedAmount < MAX_BUFFERED_BYTES) {
+          socket.send(message);
+        }
+      },
+    };
+
+    // Protocol errors (e.g. an unmasked or oversized frame) are emitted here and
+    // would crash the process without a listener; ws closes the socket afterwards
+    socket.on("error", (error) => {
+      log(`❌ Live WebSocket error: ${error.message}`, { code: error.code });
+      this.clients.delete(client);
+    });
+
+    const reply = (body) => socket.send(JSON.stringify(body));
+    const invalid = checkEvents(client.filter.events);
+    if (invalid) {
+      reply({ type: "error", error: invalid });
+      socket.close(1008, "Unknown event type");
+      return;
+    }
+
+    socket.isAlive = true;
+    socket.on("pong", () => {
+      socket.isAlive = true;
+    });
+
+    socket.on("message", (data) => {
+      let request;
+      try {
+        request = JSON.parse(data.toString());
+      } catch (error) {
+        return reply({ type: "error", error: "Messages must be JSON" });
+      }
+
+      if (request.action !== "subscribe" && request.action !== "unsubscribe") {
+        return reply({ type: "error", error: 'action must be "subscribe" or "unsubscribe"' });
+      }
+      const imeis = toFilterSet(request.imeis);
+      const events = toFilterSet(request.events);
+      const error = checkEvents(events);
+      if (error) {
+        return reply({ type: "error", error });
+      }
+
+      const update = request.action === "subscribe" ? addTo : removeFrom;
+      client.filter = {
+        imeis: update(client.filter.imeis, imeis),
+        events: update(client.filter.events, events),
+      };
+      reply({ type: "subscribed", ...describeFilter(client.filter) });
+    });
+
+    socket.on("close", () => {
+      this.clients.delete(client);
+    });
+
+    this.clients.add(client);
+    reply({ type: "subscribed", ...describeFilter(client.filter) });
+  }
+
+  /**
+   * Express handler for the SSE stream (?imei=&events=; filters are fixed per connection)
+   * @param {express.Request} req - Request
+   * @param {express.Response} res - Response
+   */
+  handleSSE(req, res) {
+    const filter = {
+      imeis: toFilterSet(req.query.imei),
+      events: toFilterSet(req.query.events),
+    };
+    const invalid = checkEvents(filter.events);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+      });
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      // Keep reverse proxies (nginx) from buffering the stream
+      "X-Accel-Buffering": "no",
+    });
+    res.write(`event: subscribed\ndata: ${JSON.stringify(describeFilter(filter))}\n\n`);
+
+    const client = {
+      kind: "sse",
+      filter,
+      send: (event, message) => {
+        if (res.writableLength < MAX_BUFFERED_BYTES) {
+          res.write(`event: ${event}\ndata: ${message}\n\n`);
+        }
+      },
+    };
+    this.clients.add(client);
+
+    // Comment lines keep idle connections open through proxies
+    const keepalive = setInterval(() => res.write(": keepalive\n\n"), KEEPALIVE_INTERVAL_MS / 2);
+    req.on("close", () => {
+      clearInterval(keepalive);
+      this.clients.delete(client);
+    });
+  }
+
+  /**
+   * Connected live clients by transport
+   * @returns {{websocket: number, sse: number}}
+   */
+  stats() {
+    const counts = { websocket: 0, sse: 0 };
+    for (const client of this.clients) {
+      counts[client.kind] += 1;
+    }
+    return counts;
+  }
+}
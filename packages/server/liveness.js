@@ -0,0 +1,163 @@
+/**
+ * Device liveness
+ * Tracks each device through connecting -> authenticated -> online -> stale -> offline.
+ * A device is authenticated once its login is acked and online from its next
+ * packet. Silence makes it stale and then offline; how long depends on its
+ * heartbeat cadence, learned from the heartbeats it actually sends.
+ */
+
+export const DEVICE_STATUS = {
+  CONNECTING: "connecting",
+  AUTHENTICATED: "authenticated",
+  ONLINE: "online",
+  STALE: "stale",
+  OFFLINE: "offline",
+};
+
+const envMs = (name, fallback) =>
+  Number.parseInt(process.env[name] || String(fallback), 10);
+
+const DEFAULT_OPTIONS = {
+  loginTimeoutMs: envMs("CONCOX_LOGIN_TIMEOUT_MS", 30 * 1000), // connections that don't log in are closed
+  staleTimeoutMs: envMs("CONCOX_STALE_TIMEOUT_MS", 6 * 60 * 1000), // silence before stale while the cadence is unknown
+  offlineTimeoutMs: envMs("CONCOX_OFFLINE_TIMEOUT_MS", 15 * 60 * 1000), // silence before the connection is closed
+  missedHeartbeats: 2.5, // with a known cadence, stale after this many heartbeat intervals
+  minStaleTimeoutMs: 60 * 1000,
+};
+
+export class LivenessTracker {
+  /**
+   * @param {Object} options - Timeouts (see DEFAULT_OPTIONS; env CONCOX_LOGIN_TIMEOUT_MS,
+   *   CONCOX_STALE_TIMEOUT_MS, CONCOX_OFFLINE_TIMEOUT_MS)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.devices = new Map(); // imei -> liveness record
+  }
+
+  get(imei) {
+    return this.devices.get(imei) || null;
+  }
+
+  /**
+   * Every device seen since start (or restored from storage)
+   * @returns {Object[]} Liveness records
+   */
+  list() {
+    return Array.from(this.devices.values());
+  }
+
+  /**
+   * Add a device known from an earlier run; it is offline until it connects
+   * @param {string} imei - Device IMEI
+   * @param {Object} state - Stored device state ({ lastSeenAt, offlineSince, heartbeatIntervalMs })
+   */
+  restore(imei, state) {
+    if (this.devices.has(imei) || !state.lastSeenAt) return;
+    this.devices.set(imei, {
+      imei,
+      status: DEVICE_STATUS.OFFLINE,
+      since: state.offlineSince || state.lastSeenAt,
+      lastSeenAt: state.lastSeenAt,
+      offlineSince: state.offlineSince || state.lastSeenAt,
+      connectedAt: null,
+      heartbeatIntervalMs: state.heartbeatIntervalMs ?? null,
+      lastHeartbeatAt: null,
+    });
+  }
+
+  /**
+   * Move a device to a status
+   * @param {string} imei - Device IMEI
+   * @param {string} status - One of DEVICE_STATUS
+   * @param {string} at - ISO time of the transition (default: now)
+   * @returns {Object|null} { imei, status, previousStatus, since, lastSeenAt, offlineSince },
+   *   or null when the device already had that status
+   */
+  transition(imei, status, at = new Date().toISOString()) {
+    const record = this.devices.get(imei) || {
+      imei,
+      status: DEVICE_STATUS.CONNECTING,
+      since: at,
+      lastSeenAt: null,
+      offlineSince: null,
+      connectedAt: null,
+      heartbeatIntervalMs: null,
+      lastHeartbeatAt: null,
+    };
+    this.devices.set(imei, record);
+    if (record.status === status) return null;
+
+    const previousStatus = record.status;
+    record.status = status;
+    record.since = at;
+    if (status === DEVICE_STATUS.AUTHENTICATED) {
+      record.connectedAt = at;
+      record.lastSeenAt = at;
+      record.lastHeartbeatAt = null; // the cadence is measured within a connection
+      record.offlineSince = null;
+    }
+    if (status === DEVICE_STATUS.OFFLINE) {
+      record.offlineSince = at;
+      record.connectedAt = null;
+    }
+    const { lastSeenAt, offlineSince } = record;
+    return { imei, status, previousStatus, since: at, lastSeenAt, offlineSince };
+  }
+
+  /**
+   * Note a packet from a device
+   * @param {string} imei - Device IMEI
+   * @param {Object} options - { heartbeat: true for heartbeats, which set the cadence }
+   * @returns {Object|null} Transition to online (from authenticated or stale), if any
+   */
+  seen(imei, options = {}) {
+    const now = new Date();
+    const record = this.devices.get(imei);
+    if (!record) return null;
+    record.lastSeenAt = now.toISOString();
+
+    if (options.heartbeat) {
+      const last = record.lastHeartbeatAt ? Date.parse(record.lastHeartbeatAt) : null;
+      const interval = last === null ? null : now.getTime() - last;
+      // Gaps longer than the offline timeout are outages, not the cadence
+      if (interval !== null && interval > 0 && interval <= this.options.offlineTimeoutMs) {
+        record.heartbeatIntervalMs = record.heartbeatIntervalMs
+          ? Math.round(record.heartbeatIntervalMs * 0.7 + interval * 0.3)
+          : interval;
+      }
+      record.lastHeartbeatAt = record.lastSeenAt;
+    }
+
+    return record.status === DEVICE_STATUS.AUTHENTICATED || record.status === DEVICE_STATUS.STALE
+      ? this.transition(imei, DEVICE_STATUS.ONLINE, record.lastSeenAt)
+      : null;
+  }
+
+  /**
+   * Silence after which a device is stale: a few missed heartbeats once the
+   * cadence is known, otherwise staleTimeoutMs
+   * @param {string} imei - Device IMEI
+   * @returns {number} Milliseconds
+   */
+  staleAfterMs(imei) {
+    const record = this.devices.get(imei);
+    if (!record || !record.heartbeatIntervalMs) {
+      return this.options.staleTimeoutMs;
+    }
+    return Math.max(
+      this.options.minStaleTimeoutMs,
+      Math.round(record.heartbeatIntervalMs * this.options.missedHeartbeats),
+    );
+  }
+
+  /**
+   * Silence after which a device is offline and its connection closed:
+   * offlineTimeoutMs, or twice the stale time for devices with a slow cadence
+   * @param {string} imei - Device IMEI
+   * @returns {number} Milliseconds
+   */
+  offlineAfterMs(imei) {
+    return Math.max(this.options.offlineTimeoutMs, 2 * this.staleAfterMs(imei));
+  }
+}
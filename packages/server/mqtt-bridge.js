@@ -0,0 +1,217 @@
+/**
+ * MQTT bridge
+ * Publishes decoded events to <prefix>/<imei>/<event> (last-known state is
+ * retained) and accepts commands on <prefix>/<imei>/command, publishing the
+ * device's reply to <prefix>/<imei>/command/response.
+ */
+
+import mqtt from "mqtt";
+import { log } from "./logger.js";
+import { serializeEvent } from "./webhooks.js";
+
+/**
+ * Server event -> topic suffix and whether the message is retained as last-known state
+ */
+export const MQTT_TOPICS = {
+  login: { topic: "status", retain: true },
+  disconnect: { topic: "status", retain: true },
+  deviceStatus: { topic: "liveness", retain: true },
+  loginRejected: { topic: "loginRejected", retain: false },
+  heartbeat: { topic: "heartbeat", retain: true },
+  location: { topic: "location", retain: true },
+  position: { topic: "position", retain: true },
+  alarm: { topic: "alarm", retain: true },
+  lbs: { topic: "lbs", retain: true },
+  wifi: { topic: "wifi", retain: true },
+  information: { topic: "information", retain: true },
+  voltage: { topic: "voltage", retain: true },
+  fuel: { topic: "fuel", retain: true },
+  temperature: { topic: "temperature", retain: true },
+  door: { topic: "door", retain: true },
+  rfid: { topic: "rfid", retain: false },
+  gpsStatus: { topic: "gpsStatus", retain: true },
+  terminalStatus: { topic: "terminalStatus", retain: true },
+  selfCheck: { topic: "selfCheck", retain: true },
+  iccid: { topic: "iccid", retain: true },
+  commandResponse: { topic: "commandResponse", retain: false },
+  geofence: { topic: "geofence", retain: false },
+  trip: { topic: "trip", retain: false },
+  stop: { topic: "stop", retain: false },
+  file: { topic: "file", retain: false },
+};
+
+export class MqttBridge {
+  /**
+   * @param {ConcoxV5Server} server - Server to bridge
+   * @param {Object} options - Bridge options
+   * @param {string} options.url - Broker URL, e.g. mqtt://localhost:1883 (env CONCOX_MQTT_URL)
+   * @param {string} options.prefix - Topic prefix (default: "concox", env CONCOX_MQTT_PREFIX)
+   * @param {number} options.qos - QoS for publishes and the command subscription (default: 1)
+   * @param {Object} options.clientOptions - Extra mqtt.connect() options (username, password, ...)
+   */
+  constructor(server, options = {}) {
+    this.server = server;
+    this.url = options.url || process.env.CONCOX_MQTT_URL;
+    this.prefix = options.prefix || process.env.CONCOX_MQTT_PREFIX || "concox";
+    this.qos = options.qos ?? 1;
+    this.clientOptions = {
+      username: process.env.CONCOX_MQTT_USERNAME,
+      password: process.env.CONCOX_MQTT_PASSWORD,
+      ...options.clientOptions,
+    };
+    this.client = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Connect to the broker, subscribe to commands and start publishing events
+   * @returns {Promise<void>} Resolves once connected and subscribed
+   */
+  start() {
+    if (!this.url) {
+      return Promise.reject(new Error("MQTT broker URL is required (CONCOX_MQTT_URL)"));
+    }
+
+    const statusTopic = `${this.prefix}/bridge/status`;
+    this.client = mqtt.connect(this.url, {
+      ...this.clientOptions,
+      will: { topic: statusTopic, payload: "offline", qos: this.qos, retain: true },
+    });
+
+    this.client.on("message", (topic, payload) => {
+      this.handleMessage(topic, payload).catch((error) => {
+        log(`❌ MQTT command handling failed: ${error.message}`, { topic });
+      });
+    });
+    this.client.on("error", (error) => {
+      log(`❌ MQTT error: ${error.message}`);
+    });
+    this.client.on("reconnect", () => {
+      log(`🔁 MQTT reconnecting to ${this.url}`);
+    });
+
+    for (const [event, { topic, retain }] of Object.entries(MQTT_TOPICS)) {
+      const listener = (payload) => this.publishEvent(event, topic, retain, payload);
+      this.server.on(event, listener);
+      this.listeners.push([event, listener]);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.client.once("connect", () => {
+        // Only the first segment after the IMEI, so our own command/response isn't picked up
+        this.client.subscribe(`${this.prefix}/+/command`, { qos: this.qos }, (error) => {
+          if (error) {
+            reject(error);
+            return;
+          }
+          this.client.publish(statusTopic, "online", { qos: this.qos, retain: true });
+          log(`📨 MQTT bridge connected to ${this.url} (prefix "${this.prefix}")`);
+          resolve();
+        });
+      });
+      this.client.once("error", reject);
+    });
+  }
+
+  publishEvent(event, topic, retain, payload) {
+    if (!payload.imei || !this.client) return;
+    // The device is already back online on its new connection
+    if (event === "disconnect" && payload.superseded) return;
+
+    const body =
+      event === "login" || event === "disconnect"
+        ? { online: event === "login", ...payload }
+        : payload;
+    this.publish(`${this.prefix}/${payload.imei}/${topic}`, body, retain);
+  }
+
+  publish(topic, body, retain = false) {
+    this.client.publish(
+      topic,
+      serializeEvent({ timestamp: new Date().toISOString(), ...body }),
+      { qos: this.qos, retain },
+      (error) => {
+        if (error) {
+          log(`❌ MQTT publish failed: ${error.message}`, { topic });
+        }
+      },
+    );
+  }
+
+  /**
+   * Handle <prefix>/<imei>/command. The payload is either the command text
+   * ("RELAY,1#") or JSON { command, id, timeoutMs, queueIfOffline }.
+   */
+  async handleMessage(topic, payload) {
+    const match = topic.match(/^(.*)\/([^/]+)\/command$/);
+    if (!match || match[1] !== this.prefix) return;
+    const imei = match[2];
+    const responseTopic = `${this.prefix}/${imei}/command/response`;
+
+    let request;
+    const text = payload.toString("utf8").trim();
+    try {
+      request = text.startsWith("{") ? JSON.parse(text) : { command: text };
+    } catch (error) {
+      this.publish(responseTopic, { imei, success: false, error: "Invalid JSON payload" });
+      return;
+    }
+
+    const { command, id = null, timeoutMs, queueIfOffline = false } = request;
+    // Anyone who can publish to the broker can pick this segment; queue entries are kept per IMEI
+    if (!/^\d{1,16}$/.test(imei)) {
+      this.publish(responseTopic, { id, imei, success: false, error: "Invalid IMEI in topic" });
+      return;
+    }
+    if (!command || typeof command !== "string") {
+      this.publish(responseTopic, { id, imei, success: false, error: "command is required" });
+      return;
+    }
+
+    log(`📨 MQTT command for ${imei}: ${command}`);
+    try {
+      if (!this.server.clients.has(imei) && queueIfOffline) {
+        const entry = this.server.queueCommand(imei, command);
+        this.publish(responseTopic, { id, imei, command, success: true, queued: true, entry });
+        return;
+      }
+      const reply = await this.server.sendCommand(
+        imei,
+        command,
+        timeoutMs ? { timeoutMs } : {},
+      );
+      this.publish(responseTopic, { id, ...reply });
+    } catch (error) {
+      this.publish(responseTopic, {
+        id,
+        imei,
+        command,
+        success: false,
+        error: error.message,
+        code: error.code,
+      });
+    }
+  }
+
+  /**
+   * Stop publishing and disconnect (the broker keeps the retained messages)
+   * @returns {Promise<void>}
+   */
+  stop() {
+    for (const [event, listener] of this.listeners) {
+      this.server.off(event, listener);
+    }
+    this.listeners = [];
+    if (!this.client) {
+      return Promise.resolve();
+    }
+
+    const client = this.client;
+    this.client = null;
+    return new Promise((resolve) => {
+      client.publish(`${this.prefix}/bridge/status`, "offline", { qos: this.qos, retain: true }, () => {
+        client.end(false, {}, () => resolve());
+      });
+    });
+  }
+}
@@ -4,31 +4,46 @@
 
 import ConcoxV5Server from "./index.js";
 import { setupAPI } from "./api.js";
+import { MqttBridge } from "./mqtt-bridge.js";
 import { log } from "./logger.js";
+import { DATA_DIR } from "./data-dir.js";
 import dotenv from "dotenv";
 
 dotenv.config();
 
-const server = new ConcoxV5Server();
+// State is kept under CONCOX_DATA_DIR; a ConcoxV5Server without dataDir writes nothing to disk
+const server = new ConcoxV5Server({ dataDir: DATA_DIR });
 const API_PORT = process.env.API_PORT || 3000;
+const mqttBridge = process.env.CONCOX_MQTT_URL ? new MqttBridge(server) : null;
 
 server.start().then(() => {
   // Start HTTP API server
   setupAPI(server, API_PORT);
+
+  // Optional MQTT bridge; the TCP server keeps running if the broker is unreachable
+  if (mqttBridge) {
+    mqttBridge.start().catch((error) => {
+      log(`❌ MQTT bridge failed to start: ${error.message}`);
+    });
+  }
 }).catch((error) => {
   console.error("Failed to start Concox V5 Server:", error);
   process.exit(1);
 });
 
+function shutdownBridge() {
+  return mqttBridge ? mqttBridge.stop() : Promise.resolve();
+}
+
 // Graceful shutdown
 process.on("SIGTERM", () => {
   log("SIGTERM received, shutting down...");
   server.stop();
-  process.exit(0);
+  shutdownBridge().then(() => process.exit(0));
 });
 
 process.on("SIGINT", () => {
   log("SIGINT received, shutting down...");
   server.stop();
-  process.exit(0);
+  shutdownBridge().then(() => process.exit(0));
 });
@@ -0,0 +1,328 @@
+/**
+ * Pluggable storage for decoded device data
+ *
+ * Records are grouped into collections (positions, alarms, heartbeats,
+ * information, commands) and keyed by IMEI and device time. Every record
+ * carries { id, imei, deviceTime, receivedAt } plus the decoded fields.
+ *
+ * Implement the Storage interface to plug in another backend and pass it
+ * as `new ConcoxV5Server({ storage })`.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { dataPath, readJSONFile, writeJSONFile } from "./data-dir.js";
+
+export const STORAGE_COLLECTIONS = [
+  "positions",
+  "alarms",
+  "heartbeats",
+  "information",
+  "commands",
+  "geofenceEvents",
+  "trips",
+  "stops",
+];
+
+/**
+ * Storage interface. All methods are async so backends may do I/O.
+ */
+export class Storage {
+  /**
+   * Persist a record
+   * @param {string} collection - One of STORAGE_COLLECTIONS
+   * @param {Object} record - Must include imei and deviceTime (ISO)
+   * @returns {Promise<Object>} Stored record (with id and receivedAt filled in)
+   */
+  async append(collection, record) {
+    throw new Error(`${this.constructor.name}.append() not implemented`);
+  }
+
+  /**
+   * Records for a device ordered by device time, oldest first
+   * @param {string} collection - One of STORAGE_COLLECTIONS
+   * @param {string} imei - Device IMEI
+   * @param {Object} options - Query options
+   * @param {string} options.from - Inclusive lower bound (ISO)
+   * @param {string} options.to - Inclusive upper bound (ISO)
+   * @param {Object} options.after - Only records sorting after this { deviceTime, id } (for paging)
+   * @param {number} options.limit - Maximum number of records
+   * @returns {Promise<Object[]>} Records
+   */
+  async query(collection, imei, options = {}) {
+    throw new Error(`${this.constructor.name}.query() not implemented`);
+  }
+
+  /**
+   * Latest known state for a device
+   * @param {string} imei - Device IMEI
+   * @returns {Promise<Object|null>} State, or null if nothing stored yet
+   */
+  async getDeviceState(imei) {
+    throw new Error(`${this.constructor.name}.getDeviceState() not implemented`);
+  }
+
+  /**
+   * Merge fields into a device's stored state
+   * @param {string} imei - Device IMEI
+   * @param {Object} fields - Fields to merge
+   * @returns {Promise<Object>} Updated state
+   */
+  async updateDeviceState(imei, fields) {
+    throw new Error(`${this.constructor.name}.updateDeviceState() not implemented`);
+  }
+
+  /**
+   * States of every device seen so far
+   * @returns {Promise<Object[]>} Device states
+   */
+  async listDeviceStates() {
+    throw new Error(`${this.constructor.name}.listDeviceStates() not implemented`);
+  }
+
+  async close() {}
+}
+
+function assertCollection(collection) {
+  if (!STORAGE_COLLECTIONS.includes(collection)) {
+    throw new Error(`Unknown storage collection: ${collection}`);
+  }
+}
+
+/**
+ * IMEIs end up in file paths, so only allow plain identifiers
+ * @param {string} imei - Device IMEI
+ */
+export function assertImei(imei) {
+  if (typeof imei !== "string" || !/^[0-9A-Za-z_-]{1,32}$/.test(imei)) {
+    throw new Error(`Invalid IMEI: ${imei}`);
+  }
+}
+
+let idSequence = 0;
+
+/**
+ * Record ids sort in arrival order: receive time, then a per-process sequence
+ */
+function nextRecordId() {
+  idSequence = (idSequence + 1) % 1000000;
+  return `${String(Date.now()).padStart(13, "0")}-${String(idSequence).padStart(
+    6,
+    "0",
+  )}-${crypto.randomBytes(2).toString("hex")}`;
+}
+
+function normalizeRecord(record) {
+  assertImei(record.imei);
+  const receivedAt = record.receivedAt || new Date().toISOString();
+  return {
+    id: record.id || nextRecordId(),
+    ...record,
+    deviceTime: record.deviceTime || receivedAt,
+    receivedAt,
+  };
+}
+
+function compareRecords(a, b) {
+  return a.deviceTime.localeCompare(b.deviceTime) || a.id.localeCompare(b.id);
+}
+
+function inRange(record, { from, to, after }) {
+  return (
+    (!from || record.deviceTime >= from) &&
+    (!to || record.deviceTime <= to) &&
+    (!after || compareRecords(record, after) > 0)
+  );
+}
+
+/**
+ * In-process storage, lost on restart. Useful for tests and embedding.
+ */
+export class MemoryStorage extends Storage {
+  constructor() {
+    super();
+    this.collections = new Map(STORAGE_COLLECTIONS.map((name) => [name, new Map()]));
+    this.devices = new Map();
+  }
+
+  async append(collection, record) {
+    assertCollection(collection);
+    const stored = normalizeRecord(record);
+    const byImei = this.collections.get(collection);
+    if (!byImei.has(stored.imei)) {
+      byImei.set(stored.imei, []);
+    }
+    byImei.get(stored.imei).push(stored);
+    return stored;
+  }
+
+  async query(collection, imei, options = {}) {
+    assertCollection(collection);
+    const records = (this.collections.get(collection).get(imei) || [])
+      .filter((record) => inRange(record, options))
+      .sort(compareRecords);
+    return options.limit ? records.slice(0, options.limit) : records;
+  }
+
+  async getDeviceState(imei) {
+    return this.devices.get(imei) || null;
+  }
+
+  async updateDeviceState(imei, fields) {
+    assertImei(imei);
+    const state = { ...(this.devices.get(imei) || { imei }), ...fields };
+    this.devices.set(imei, state);
+    return state;
+  }
+
+  async listDeviceStates() {
+    return Array.from(this.devices.values());
+  }
+}
+
+/**
+ * Append-only newline-delimited JSON files, one per device per UTC day:
+ *   <dir>/<collection>/<imei>/<YYYY-MM-DD>.ndjson
+ * Device state is kept in <dir>/devices.json. It changes with almost every
+ * packet, so it is written at most once per saveIntervalMs rather than per update.
+ */
+export class FileStorage extends Storage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.dir - Root directory (default: <data>/storage)
+   * @param {number} options.saveIntervalMs - Delay before changed device state is written (default: 5000)
+   */
+  constructor(options = {}) {
+    super();
+    this.dir = options.dir || dataPath("storage");
+    this.saveIntervalMs = options.saveIntervalMs ?? 5000;
+    this.devicesFile = path.join(this.dir, "devices.json");
+    this.devices = new Map(
+      Object.entries(readJSONFile(this.devicesFile, {})),
+    );
+    this.saveTimer = null;
+  }
+
+  saveDeviceStates() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    writeJSONFile(this.devicesFile, Object.fromEntries(this.devices));
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.saveDeviceStates(), this.saveIntervalMs);
+    this.saveTimer.unref();
+  }
+
+  deviceDir(collection, imei) {
+    return path.join(this.dir, collection, imei);
+  }
+
+  async append(collection, record) {
+    assertCollection(collection);
+    const stored = normalizeRecord(record);
+    const dir = this.deviceDir(collection, stored.imei);
+    const day = stored.deviceTime.slice(0, 10);
+
+    // Synchronous append keeps records in arrival order within a file
+    fs.mkdirSync(dir, { recursive: true });
+    fs.appendFileSync(
+      path.join(dir, `${day}.ndjson`),
+      `${JSON.stringify(stored)}\n`,
+      "utf8",
+    );
+    return stored;
+  }
+
+  async query(collection, imei, options = {}) {
+    assertCollection(collection);
+    assertImei(imei);
+    const dir = this.deviceDir(collection, imei);
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    const lowerBound = [options.from, options.after && options.after.deviceTime]
+      .filter(Boolean)
+      .sort()
+      .pop();
+    const fromDay = lowerBound ? lowerBound.slice(0, 10) : null;
+    const toDay = options.to ? options.to.slice(0, 10) : null;
+    const files = (await fs.promises.readdir(dir))
+      .filter((file) => /^\d{4}-\d{2}-\d{2}\.ndjson$/.test(file))
+      .filter((file) => {
+        const day = file.slice(0, 10);
+        return (!fromDay || day >= fromDay) && (!toDay || day <= toDay);
+      })
+      .sort();
+
+    const records = [];
+    for (const file of files) {
+      const content = await fs.promises.readFile(path.join(dir, file), "utf8");
+      for (const line of content.split("\n")) {
+        if (!line) continue;
+        try {
+          const record = JSON.parse(line);
+          if (inRange(record, options)) {
+            records.push(record);
+          }
+        } catch (error) {
+          // Skip a torn line left by a crash mid-append
+        }
+      }
+      // Files are per day, so records in later files can't sort earlier
+      if (options.limit && records.length >= options.limit) {
+        break;
+      }
+    }
+
+    records.sort(compareRecords);
+    return options.limit ? records.slice(0, options.limit) : records;
+  }
+
+  async getDeviceState(imei) {
+    return this.devices.get(imei) || null;
+  }
+
+  async updateDeviceState(imei, fields) {
+    assertImei(imei);
+    const state = { ...(this.devices.get(imei) || { imei }), ...fields };
+    this.devices.set(imei, state);
+    this.scheduleSave();
+    return state;
+  }
+
+  async listDeviceStates() {
+    return Array.from(this.devices.values());
+  }
+
+  /**
+   * Write pending device state changes
+   */
+  async close() {
+    if (this.saveTimer) {
+      this.saveDeviceStates();
+    }
+  }
+}
+
+/**
+ * Create a built-in storage backend
+ * @param {string} type - "file", "memory" or "none" (default: env CONCOX_STORAGE or "file")
+ * @param {Object} options - Backend options
+ * @returns {Storage|null} Storage instance, or null when storage is disabled
+ */
+export function createStorage(type = process.env.CONCOX_STORAGE || "file", options = {}) {
+  switch (type) {
+    case "file":
+      return new FileStorage(options);
+    case "memory":
+      return new MemoryStorage();
+    case "none":
+      return null;
+    default:
+      throw new Error(`Unknown storage type: ${type}`);
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Track history queries over stored positions (and optionally alarm fixes)
+ */
+
+import { simplifyPath } from "../shared/index.js";
+
+export const DEFAULT_TRACK_LIMIT = 1000;
+export const MAX_TRACK_LIMIT = 10000;
+
+/**
+ * Encode the paging position after a record as an opaque cursor
+ * @param {Object} record - Last record of a page ({ deviceTime, id })
+ * @returns {string} base64url cursor
+ */
+export function encodeCursor(record) {
+  return Buffer.from(JSON.stringify([record.deviceTime, record.id])).toString("base64url");
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {{deviceTime: string, id: string}}
+ * @throws {Error} If the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const [deviceTime, id] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (typeof deviceTime === "string" && typeof id === "string") {
+      return { deviceTime, id };
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw new Error("Invalid cursor");
+}
+
+/**
+ * Convert a stored position or alarm record into a track point
+ * @returns {Object|null} Track point, or null if the record has no coordinates
+ */
+function toTrackPoint(record, source) {
+  // Alarm records carry their fix as a normalized position (gpsData in older records)
+  const gps = source === "alarm" ? record.position || record.gpsData : record;
+  if (!gps || typeof gps.latitude !== "number" || typeof gps.longitude !== "number") {
+    return null;
+  }
+
+  return {
+    id: record.id,
+    source,
+    protocolNumber: record.protocolNumber,
+    deviceTime: record.deviceTime,
+    receivedAt: record.receivedAt,
+    latitude: gps.latitude,
+    longitude: gps.longitude,
+    speed: gps.speed ?? null,
+    course: gps.course ?? null,
+    satellites: gps.satellites ?? null,
+    gpsPositioned: gps.gpsPositioned ?? gps.positioned ?? null,
+    ...(source === "alarm"
+      ? { alarmType: record.alarmType }
+      : { acc: record.acc ?? null, mileage: record.mileage ?? null }),
+  };
+}
+
+function compareTrackRecords(a, b) {
+  return a.deviceTime.localeCompare(b.deviceTime) || a.id.localeCompare(b.id);
+}
+
+/**
+ * Read one batch of raw records, merging positions and alarms in time order
+ */
+async function readBatch(storage, imei, range, after, size, includeAlarms) {
+  const options = { ...range, after, limit: size };
+  const positions = (await storage.query("positions", imei, options)).map((record) => ({
+    record,
+    source: "position",
+  }));
+  if (!includeAlarms) {
+    return positions;
+  }
+
+  const alarms = (await storage.query("alarms", imei, options)).map((record) => ({
+    record,
+    source: "alarm",
+  }));
+  return positions
+    .concat(alarms)
+    .sort((a, b) => compareTrackRecords(a.record, b.record))
+    .slice(0, size);
+}
+
+/**
+ * Query a device's track. Filtering happens before paging, so every page holds
+ * up to `limit` matching points; simplification is applied per page.
+ * @param {Storage} storage - Storage backend
+ * @param {string} imei - Device IMEI
+ * @param {Object} options - Query options
+ * @param {string} options.from - Inclusive lower bound (ISO)
+ * @param {string} options.to - Inclusive upper bound (ISO)
+ * @param {number} options.limit - Page size (default 1000, max 10000)
+ * @param {string} options.cursor - nextCursor from a previous page
+ * @param {boolean} options.includeAlarms - Merge fixes carried by alarm packets (0x26/0x27)
+ * @param {boolean} options.gpsPositionedOnly - Drop fixes the device flagged as not positioned
+ * @param {number} options.tolerance - Douglas-Peucker tolerance in meters (0 = off)
+ * @returns {Promise<{points: Array, count: number, rawCount: number, nextCursor: string|null}>}
+ */
+export async function queryTrack(storage, imei, options = {}) {
+  const limit = Math.min(Math.max(options.limit || DEFAULT_TRACK_LIMIT, 1), MAX_TRACK_LIMIT);
+  const range = { from: options.from, to: options.to };
+  let after = options.cursor ? decodeCursor(options.cursor) : undefined;
+
+  const points = [];
+  let hasMore = false;
+  for (;;) {
+    const batch = await readBatch(storage, imei, range, after, limit + 1, options.includeAlarms);
+
+    for (const { record, source } of batch) {
+      const point = toTrackPoint(record, source);
+      if (!point || (options.gpsPositionedOnly && point.gpsPositioned === false)) {
+        after = record;
+        continue;
+      }
+      if (points.length === limit) {
+        hasMore = true;
+        break;
+      }
+      points.push(point);
+      after = record;
+    }
+
+    if (hasMore || batch.length <= limit) {
+      break;
+    }
+  }
+
+  const last = points[points.length - 1];
+  const simplified = options.tolerance > 0 ? simplifyPath(points, options.tolerance) : points;
+  return {
+    points: simplified,
+    count: simplified.length,
+    rawCount: points.length,
+    nextCursor: hasMore && last ? encodeCursor(last) : null,
+  };
+}
@@ -0,0 +1,263 @@
+/**
+ * Trip and stop detection
+ * Segments each device's position stream into trips (ignition/movement) and
+ * the stops between them. ACC is the primary signal: 0x22 fixes carry it (and
+ * upload mode 0x03 fixes are sent exactly when it changes) and heartbeats
+ * report it as accHigh. Devices without ACC fall back to speed.
+ */
+
+import { haversineDistance } from "../shared/index.js";
+import { dataPath, readJSONFile, writeJSONFile } from "./data-dir.js";
+
+export const TRIP_END_REASONS = {
+  ACC_OFF: "accOff",
+  STOPPED: "stopped",
+  GAP: "gap",
+};
+
+const DEFAULT_OPTIONS = {
+  minMovingSpeed: 5, // km/h; slower fixes count as stationary
+  stopMinSeconds: 300, // without ACC, a trip ends after this long stationary
+  maxGapSeconds: 1800, // a trip ends if no data arrives for this long
+  minTripMeters: 200, // shorter trips are discarded (ignition blips, GPS drift)
+  maxJumpSpeed: 300, // km/h; fixes implying a faster jump are left out of the distance
+  saveIntervalMs: 5000, // how often in-progress trip state is flushed to disk
+};
+
+const seconds = (from, to) => Math.max(0, Math.round((Date.parse(to) - Date.parse(from)) / 1000));
+
+const round = (value, digits = 1) => Number(value.toFixed(digits));
+
+export class TripDetector {
+  /**
+   * @param {Object} options - Detector options (see DEFAULT_OPTIONS for thresholds)
+   * @param {string|null} options.filePath - JSON file holding per-device in-progress state; null keeps it in
+   *   memory (default: <data>/trips-state.json)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.filePath = options.filePath !== undefined ? options.filePath : dataPath("trips-state.json");
+    this.states = new Map(Object.entries(readJSONFile(this.filePath, {})));
+    this.saveTimer = null;
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    writeJSONFile(this.filePath, Object.fromEntries(this.states));
+  }
+
+  /**
+   * Save soon; in-progress statistics change with every fix
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), this.options.saveIntervalMs);
+    this.saveTimer.unref();
+  }
+
+  state(imei) {
+    if (!this.states.has(imei)) {
+      this.states.set(imei, { trip: null, lastFix: null, lastTripEnd: null });
+    }
+    return this.states.get(imei);
+  }
+
+  /**
+   * The trip a device is currently on, if any
+   * @param {string} imei - Device IMEI
+   * @returns {Object|null} Trip so far (no endTime)
+   */
+  currentTrip(imei) {
+    const state = this.states.get(imei);
+    return state && state.trip ? this.summarize(state.trip) : null;
+  }
+
+  /**
+   * Feed a decoded fix
+   * @param {string} imei - Device IMEI
+   * @param {Object} position - Position: { deviceTime, latitude, longitude, speed, gpsPositioned, acc }
+   * @returns {{trips: Object[], stops: Object[]}} Trips and stops completed by this fix
+   */
+  processPosition(imei, position) {
+    const result = { trips: [], stops: [] };
+    const state = this.state(imei);
+    const time = position.deviceTime;
+    if (!time || (state.lastFix && time < state.lastFix.time)) {
+      // Buffered fixes replayed out of order can't be segmented reliably
+      return result;
+    }
+
+    const positioned =
+      position.gpsPositioned !== false &&
+      typeof position.latitude === "number" &&
+      typeof position.longitude === "number";
+    const fix = {
+      time,
+      latitude: positioned ? position.latitude : state.lastFix && state.lastFix.latitude,
+      longitude: positioned ? position.longitude : state.lastFix && state.lastFix.longitude,
+      speed: positioned ? position.speed || 0 : 0,
+      // Positions carry a boolean; 0x01 is ACC high as in the raw 0x22 byte
+      acc: position.acc === null || position.acc === undefined ? null : position.acc === true || position.acc === 0x01,
+      positioned,
+    };
+    if (typeof fix.latitude !== "number") {
+      // Nothing to anchor a trip to yet
+      return result;
+    }
+
+    const { trip } = state;
+    if (trip && seconds(trip.lastTime, time) > this.options.maxGapSeconds) {
+      this.endTrip(state, TRIP_END_REASONS.GAP, result);
+    }
+
+    const moving = fix.speed >= this.options.minMovingSpeed;
+    if (!state.trip) {
+      if (fix.acc === true || (fix.acc === null && moving)) {
+        this.startTrip(state, fix);
+      }
+    } else {
+      this.extendTrip(state.trip, state.lastFix, fix, moving);
+
+      if (fix.acc === false) {
+        this.endTrip(state, TRIP_END_REASONS.ACC_OFF, result);
+      } else if (
+        fix.acc === null &&
+        state.trip.stationarySince &&
+        seconds(state.trip.stationarySince, time) >= this.options.stopMinSeconds
+      ) {
+        this.endTrip(state, TRIP_END_REASONS.STOPPED, result);
+      }
+    }
+
+    state.lastFix = fix;
+    if (result.trips.length || result.stops.length) {
+      this.save();
+    } else {
+      this.scheduleSave();
+    }
+    return result;
+  }
+
+  /**
+   * Feed a live ACC report that has no position (heartbeat). ACC off ends the
+   * current trip at its last fix; ACC on waits for the next fix.
+   * Devices without ACC wiring report ACC low in every heartbeat, so only trips
+   * the ACC line has shown to work (started or seen with ACC high) end this way.
+   * @param {string} imei - Device IMEI
+   * @param {boolean} accHigh - Ignition state
+   * @returns {{trips: Object[], stops: Object[]}} Trips and stops completed by this report
+   */
+  processAcc(imei, accHigh) {
+    const result = { trips: [], stops: [] };
+    const state = this.states.get(imei);
+    if (!state || !state.trip) {
+      return result;
+    }
+    if (accHigh) {
+      if (!state.trip.accConfirmed) {
+        state.trip.accConfirmed = true;
+        this.scheduleSave();
+      }
+    } else if (state.trip.accConfirmed) {
+      this.endTrip(state, TRIP_END_REASONS.ACC_OFF, result);
+      this.save();
+    }
+    return result;
+  }
+
+  startTrip(state, fix) {
+    state.trip = {
+      startTime: fix.time,
+      startLocation: { latitude: fix.latitude, longitude: fix.longitude },
+      lastTime: fix.time,
+      lastLocation: { latitude: fix.latitude, longitude: fix.longitude },
+      distanceMeters: 0,
+      maxSpeed: fix.speed,
+      idleSeconds: 0,
+      stationarySince: fix.speed >= this.options.minMovingSpeed ? null : fix.time,
+      fixes: 1,
+      // Whether ACC high was seen, i.e. ACC off can be trusted to end the trip
+      accConfirmed: fix.acc === true,
+    };
+  }
+
+  extendTrip(trip, previous, fix, moving) {
+    if (fix.positioned && previous) {
+      const distance = haversineDistance(
+        trip.lastLocation.latitude,
+        trip.lastLocation.longitude,
+        fix.latitude,
+        fix.longitude,
+      );
+      const elapsed = seconds(trip.lastTime, fix.time);
+      const impliedSpeed = elapsed > 0 ? (distance / elapsed) * 3.6 : Infinity;
+      // Skip GPS jumps, but a stationary jitter of a few meters at the same second is fine
+      if (impliedSpeed <= this.options.maxJumpSpeed || distance < 1) {
+        trip.distanceMeters += distance;
+      }
+      trip.lastLocation = { latitude: fix.latitude, longitude: fix.longitude };
+    }
+
+    // Stationary with ignition on counts as idling
+    if (fix.acc === true && !moving && previous && previous.speed < this.options.minMovingSpeed) {
+      trip.idleSeconds += seconds(previous.time, fix.time);
+    }
+    if (fix.acc === true) {
+      trip.accConfirmed = true;
+    }
+    trip.stationarySince = moving ? null : trip.stationarySince || fix.time;
+    trip.maxSpeed = Math.max(trip.maxSpeed, fix.speed);
+    trip.lastTime = fix.time;
+    trip.fixes += 1;
+  }
+
+  /**
+   * Close the current trip, completing the stop before it. Trips shorter than
+   * minTripMeters are dropped and that stop simply continues.
+   */
+  endTrip(state, reason, result) {
+    const { trip } = state;
+    state.trip = null;
+
+    if (trip.distanceMeters < this.options.minTripMeters) {
+      return;
+    }
+
+    // A trip that ended by standing still ends where it stopped moving
+    const endTime =
+      reason === TRIP_END_REASONS.STOPPED && trip.stationarySince ? trip.stationarySince : trip.lastTime;
+    if (state.lastTripEnd) {
+      result.stops.push({
+        deviceTime: state.lastTripEnd.time,
+        startTime: state.lastTripEnd.time,
+        endTime: trip.startTime,
+        durationSeconds: seconds(state.lastTripEnd.time, trip.startTime),
+        location: state.lastTripEnd.location,
+      });
+    }
+    result.trips.push({
+      ...this.summarize(trip, endTime),
+      endReason: reason,
+    });
+    state.lastTripEnd = { time: endTime, location: trip.lastLocation };
+  }
+
+  summarize(trip, endTime = null) {
+    const durationSeconds = seconds(trip.startTime, endTime || trip.lastTime);
+    return {
+      deviceTime: trip.startTime,
+      startTime: trip.startTime,
+      endTime,
+      durationSeconds,
+      startLocation: trip.startLocation,
+      endLocation: endTime ? trip.lastLocation : null,
+      ...(endTime ? {} : { lastLocation: trip.lastLocation }),
+      distanceMeters: Math.round(trip.distanceMeters),
+      maxSpeed: trip.maxSpeed,
+      avgSpeed: durationSeconds > 0 ? round((trip.distanceMeters / durationSeconds) * 3.6) : 0,
+      idleSeconds: Math.min(trip.idleSeconds, durationSeconds),
+      fixes: trip.fixes,
+    };
+  }
+}
@@ -0,0 +1,497 @@
+/**
+ * Webhook delivery of server events
+ * Subscriptions pick event types (and optionally alarm types and IMEIs); each
+ * matching event is POSTed as JSON, signed with HMAC-SHA256, retried with
+ * exponential backoff and recorded in a bounded delivery log. Payloads of
+ * pending deliveries are kept in a file of their own, so the log that is
+ * rewritten as deliveries progress stays small.
+ */
+
+import crypto from "crypto";
+import { ALARM_TYPES } from "../protocols/alarm.js";
+import { log } from "./logger.js";
+import { dataPath, readJSONFile, writeJSONFile } from "./data-dir.js";
+
+/**
+ * Server events a subscription can pick; "*" matches all of them
+ */
+export const WEBHOOK_EVENTS = [
+  "login",
+  "disconnect",
+  "deviceStatus",
+  "loginRejected",
+  "heartbeat",
+  "location",
+  "position",
+  "alarm",
+  "lbs",
+  "wifi",
+  "commandResponse",
+  "information",
+  "voltage",
+  "fuel",
+  "temperature",
+  "door",
+  "rfid",
+  "gpsStatus",
+  "terminalStatus",
+  "selfCheck",
+  "iccid",
+  "geofence",
+  "trip",
+  "stop",
+  "file",
+];
+
+export const DELIVERY_STATES = {
+  PENDING: "pending",
+  DELIVERED: "delivered",
+  FAILED: "failed",
+};
+
+const DEFAULT_OPTIONS = {
+  maxAttempts: 6,
+  initialBackoffMs: 1000, // doubled after every failed attempt, with jitter
+  maxBackoffMs: 5 * 60 * 1000,
+  timeoutMs: 10000,
+  logLimit: 1000, // deliveries kept in the log, newest first
+  maxPendingPerSubscription: 500, // past this the oldest pending delivery is dropped
+  saveIntervalMs: 2000,
+};
+
+function webhookError(message) {
+  const error = new Error(message);
+  error.code = "INVALID_WEBHOOK";
+  return error;
+}
+
+const ALARM_TYPE_NAMES = new Map(
+  Object.values(ALARM_TYPES).map((name) => [name.toLowerCase(), name]),
+);
+
+/**
+ * Canonical alarm type names for a subscription filter (names from
+ * parseAlarm's table, case-insensitive, or alarm bytes)
+ */
+function normalizeAlarmTypes(alarmTypes) {
+  if (!Array.isArray(alarmTypes)) {
+    throw webhookError("alarmTypes must be an array");
+  }
+  return alarmTypes.map((type) => {
+    const name =
+      typeof type === "number" ? ALARM_TYPES[type] : ALARM_TYPE_NAMES.get(String(type).toLowerCase());
+    if (!name) {
+      throw webhookError(`Unknown alarm type: ${type}`);
+    }
+    return name;
+  });
+}
+
+function subscriptionFields(input) {
+  const fields = {
+    url: input.url,
+    events: input.events,
+    alarmTypes: input.alarmTypes ?? [],
+    imeis: input.imeis ?? [],
+    description: input.description ?? "",
+    enabled: input.enabled ?? true,
+  };
+
+  let url;
+  try {
+    url = new URL(fields.url);
+  } catch (error) {
+    throw webhookError("url must be an absolute http(s) URL");
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw webhookError("url must be an absolute http(s) URL");
+  }
+  if (
+    !Array.isArray(fields.events) ||
+    fields.events.length === 0 ||
+    !fields.events.every((event) => event === "*" || WEBHOOK_EVENTS.includes(event))
+  ) {
+    throw webhookError(`events must be a non-empty array of: *, ${WEBHOOK_EVENTS.join(", ")}`);
+  }
+  if (!Array.isArray(fields.imeis) || !fields.imeis.every((imei) => typeof imei === "string")) {
+    throw webhookError("imeis must be an array of strings");
+  }
+  if (typeof fields.enabled !== "boolean") {
+    throw webhookError("enabled must be a boolean");
+  }
+  fields.alarmTypes = normalizeAlarmTypes(fields.alarmTypes);
+  return fields;
+}
+
+/**
+ * Hide the signing secret in API output
+ */
+export function publicSubscription(subscription) {
+  const { secret, ...fields } = subscription;
+  return { ...fields, hasSecret: Boolean(secret) };
+}
+
+/**
+ * Signature header value for a delivery: HMAC-SHA256 over "<timestamp>.<body>"
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - X-Concox-Timestamp header value (Unix seconds)
+ * @param {string} body - Raw request body
+ * @returns {string} "sha256=<hex>"
+ */
+export function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `sha256=${digest}`;
+}
+
+/**
+ * Serialise an event payload for external consumers, writing Buffers as hex strings
+ * @param {*} value - Payload
+ * @returns {string} JSON
+ */
+export function serializeEvent(value) {
+  return JSON.stringify(value, (key, item) =>
+    item && item.type === "Buffer" && Array.isArray(item.data)
+      ? Buffer.from(item.data).toString("hex").toUpperCase()
+      : item,
+  );
+}
+
+export class WebhookManager {
+  /**
+   * @param {Object} options - Manager options (see DEFAULT_OPTIONS for retry and log limits)
+   * @param {string|null} options.filePath - JSON file holding subscriptions (default: <data>/webhooks.json)
+   * @param {string|null} options.logPath - JSON file holding the delivery log (default: <data>/webhook-deliveries.json)
+   * @param {string|null} options.payloadPath - JSON file holding the bodies of pending deliveries
+   *   (default: <data>/webhook-payloads.json)
+   *   A null path keeps that part in memory.
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.filePath = options.filePath !== undefined ? options.filePath : dataPath("webhooks.json");
+    this.logPath = options.logPath !== undefined ? options.logPath : dataPath("webhook-deliveries.json");
+    this.payloadPath = options.payloadPath !== undefined ? options.payloadPath : dataPath("webhook-payloads.json");
+    this.subscriptions = new Map(
+      readJSONFile(this.filePath, []).map((subscription) => [subscription.id, subscription]),
+    );
+    this.deliveries = readJSONFile(this.logPath, []);
+    this.payloads = new Map(Object.entries(readJSONFile(this.payloadPath, {}))); // delivery id -> body
+    this.payloadsChanged = false;
+    this.timers = new Map(); // delivery id -> retry timer
+    this.saveTimer = null;
+
+    // Resume deliveries that were still being retried when the process stopped
+    for (const delivery of this.deliveries) {
+      // Logs written before payloads had their own file hold the body inline
+      if (delivery.body !== undefined) {
+        if (delivery.state === DELIVERY_STATES.PENDING) this.setPayload(delivery.id, delivery.body);
+        delete delivery.body;
+      }
+      if (delivery.state !== DELIVERY_STATES.PENDING) continue;
+      if (this.payloads.has(delivery.id)) {
+        this.scheduleAttempt(delivery, Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now()));
+      } else {
+        this.finish(delivery, DELIVERY_STATES.FAILED, { error: "Payload lost before the server restarted" });
+      }
+    }
+    if (this.payloadsChanged) this.scheduleSaveLog();
+  }
+
+  save() {
+    writeJSONFile(this.filePath, Array.from(this.subscriptions.values()));
+  }
+
+  saveLog() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    writeJSONFile(this.logPath, this.deliveries);
+    if (this.payloadsChanged) {
+      this.payloadsChanged = false;
+      writeJSONFile(this.payloadPath, Object.fromEntries(this.payloads));
+    }
+  }
+
+  scheduleSaveLog() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.saveLog(), this.options.saveIntervalMs);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Forward the server's events to matching subscriptions
+   * @param {ConcoxV5Server} server - Server to listen to
+   */
+  attach(server) {
+    for (const event of WEBHOOK_EVENTS) {
+      server.on(event, (payload) => this.dispatch(event, payload));
+    }
+  }
+
+  listSubscriptions() {
+    return Array.from(this.subscriptions.values());
+  }
+
+  getSubscription(id) {
+    return this.subscriptions.get(id) || null;
+  }
+
+  /**
+   * Create a subscription
+   * @param {Object} input - { url, events, alarmTypes, imeis, secret, description, enabled }
+   * @returns {Object} Subscription, including its secret (generated if not given)
+   * @throws {Error} code INVALID_WEBHOOK if the definition is invalid
+   */
+  createSubscription(input) {
+    const fields = subscriptionFields(input);
+    const now = new Date().toISOString();
+    const subscription = {
+      id: crypto.randomUUID(),
+      ...fields,
+      secret: input.secret || crypto.randomBytes(24).toString("hex"),
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.subscriptions.set(subscription.id, subscription);
+    this.save();
+    return subscription;
+  }
+
+  /**
+   * Update a subscription; omitted fields keep their current value
+   * @param {string} id - Subscription id
+   * @param {Object} input - Fields to change (secret rotates the signing key)
+   * @returns {Object|null} Updated subscription, or null if not found
+   * @throws {Error} code INVALID_WEBHOOK if the result is invalid
+   */
+  updateSubscription(id, input) {
+    const existing = this.subscriptions.get(id);
+    if (!existing) {
+      return null;
+    }
+    const subscription = {
+      ...existing,
+      ...subscriptionFields({ ...existing, ...input }),
+      secret: input.secret || existing.secret,
+      updatedAt: new Date().toISOString(),
+    };
+    this.subscriptions.set(id, subscription);
+    this.save();
+    return subscription;
+  }
+
+  deleteSubscription(id) {
+    const subscription = this.subscriptions.get(id);
+    if (!subscription) {
+      return null;
+    }
+    this.subscriptions.delete(id);
+    this.save();
+    return subscription;
+  }
+
+  /**
+   * Delivery log, newest first
+   * @param {Object} filter - Optional filter
+   * @param {string} filter.subscriptionId - Only deliveries for this subscription
+   * @param {string} filter.state - Only deliveries in this state
+   * @param {number} filter.limit - Maximum entries (default: 100)
+   * @returns {Object[]} Deliveries (without their payload)
+   */
+  listDeliveries(filter = {}) {
+    return this.deliveries
+      .filter((delivery) => !filter.subscriptionId || delivery.subscriptionId === filter.subscriptionId)
+      .filter((delivery) => !filter.state || delivery.state === filter.state)
+      .slice(0, filter.limit || 100)
+      .map((delivery) => ({ ...delivery }));
+  }
+
+  matches(subscription, event, payload) {
+    if (!subscription.enabled) return false;
+    if (!subscription.events.includes("*") && !subscription.events.includes(event)) return false;
+    if (subscription.imeis.length > 0 && !subscription.imeis.includes(payload.imei)) return false;
+    if (event === "alarm" && subscription.alarmTypes.length > 0) {
+      return subscription.alarmTypes.includes(ALARM_TYPES[payload.alarmByte]);
+    }
+    return true;
+  }
+
+  /**
+   * Queue a delivery of an event to every matching subscription
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload ({ imei, ... })
+   * @returns {Object[]} Created deliveries
+   */
+  dispatch(event, payload) {
+    return this.listSubscriptions()
+      .filter((subscription) => this.matches(subscription, event, payload))
+      .map((subscription) => this.enqueue(subscription, event, payload));
+  }
+
+  /**
+   * Send a "ping" event to one subscription, regardless of its event filter
+   * @param {string} id - Subscription id
+   * @returns {Object|null} Delivery, or null if the subscription does not exist
+   */
+  ping(id) {
+    const subscription = this.subscriptions.get(id);
+    return subscription ? this.enqueue(subscription, "ping", { imei: null }) : null;
+  }
+
+  enqueue(subscription, event, payload) {
+    const now = new Date().toISOString();
+    const id = crypto.randomUUID();
+    const delivery = {
+      id,
+      subscriptionId: subscription.id,
+      event,
+      imei: payload.imei ?? null,
+      state: DELIVERY_STATES.PENDING,
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now,
+      lastAttemptAt: null,
+      deliveredAt: null,
+      responseStatus: null,
+      error: null,
+    };
+    this.setPayload(id, serializeEvent({ id, event, timestamp: now, imei: payload.imei ?? null, data: payload }));
+
+    this.deliveries.unshift(delivery);
+    this.dropExcessPending(subscription.id);
+    // Trim finished deliveries past the log limit; pending ones are kept until they finish
+    if (this.deliveries.length > this.options.logLimit) {
+      this.deliveries = this.deliveries.filter(
+        (entry, index) => index < this.options.logLimit || entry.state === DELIVERY_STATES.PENDING,
+      );
+    }
+    this.scheduleAttempt(delivery, 0);
+    this.scheduleSaveLog();
+    return delivery;
+  }
+
+  setPayload(id, body) {
+    this.payloads.set(id, body);
+    this.payloadsChanged = true;
+  }
+
+  /**
+   * Fail the oldest pending deliveries of a subscription past maxPendingPerSubscription,
+   * so a receiver that is down for long can't make the backlog grow without bound
+   * @param {string} subscriptionId - Subscription id
+   */
+  dropExcessPending(subscriptionId) {
+    const pending = this.deliveries.filter(
+      (delivery) => delivery.subscriptionId === subscriptionId && delivery.state === DELIVERY_STATES.PENDING,
+    );
+    // The log is newest first, so the oldest pending deliveries are at the end
+    for (const delivery of pending.slice(this.options.maxPendingPerSubscription)) {
+      clearTimeout(this.timers.get(delivery.id));
+      this.timers.delete(delivery.id);
+      log(`⚠️ Webhook delivery dropped: ${delivery.event}`, {
+        subscriptionId,
+        deliveryId: delivery.id,
+        pending: pending.length,
+      });
+      this.finish(delivery, DELIVERY_STATES.FAILED, {
+        error: `Dropped: more than ${this.options.maxPendingPerSubscription} deliveries pending`,
+      });
+    }
+  }
+
+  scheduleAttempt(delivery, delayMs) {
+    const timer = setTimeout(() => {
+      this.timers.delete(delivery.id);
+      this.attempt(delivery);
+    }, delayMs);
+    timer.unref();
+    this.timers.set(delivery.id, timer);
+  }
+
+  async attempt(delivery) {
+    const subscription = this.subscriptions.get(delivery.subscriptionId);
+    if (!subscription) {
+      this.finish(delivery, DELIVERY_STATES.FAILED, { error: "Subscription deleted" });
+      return;
+    }
+
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = new Date().toISOString();
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const body = this.payloads.get(delivery.id);
+
+    let retryable = true;
+    try {
+      const response = await fetch(subscription.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "concox-v5-webhooks",
+          "X-Concox-Event": delivery.event,
+          "X-Concox-Delivery": delivery.id,
+          "X-Concox-Timestamp": timestamp,
+          "X-Concox-Signature": signPayload(subscription.secret, timestamp, body),
+        },
+        body,
+        signal: AbortSignal.timeout(this.options.timeoutMs),
+      });
+      // The body isn't used; drain it so the connection can be reused
+      await response.arrayBuffer().catch(() => {});
+      // Dropped by dropExcessPending while the request was in flight
+      if (delivery.state !== DELIVERY_STATES.PENDING) return;
+      delivery.responseStatus = response.status;
+
+      if (response.ok) {
+        this.finish(delivery, DELIVERY_STATES.DELIVERED, { error: null });
+        return;
+      }
+      delivery.error = `HTTP ${response.status}`;
+      // Other 4xx mean the receiver rejected this payload; sending it again won't help
+      retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    } catch (error) {
+      if (delivery.state !== DELIVERY_STATES.PENDING) return;
+      delivery.responseStatus = null;
+      delivery.error = error.name === "TimeoutError" ? "Timed out" : error.message;
+    }
+
+    if (!retryable || delivery.attempts >= this.options.maxAttempts) {
+      log(`❌ Webhook delivery failed: ${delivery.event}`, {
+        subscriptionId: delivery.subscriptionId,
+        url: subscription.url,
+        attempts: delivery.attempts,
+        error: delivery.error,
+      });
+      this.finish(delivery, DELIVERY_STATES.FAILED, {});
+      return;
+    }
+
+    const backoff = Math.min(
+      this.options.initialBackoffMs * 2 ** (delivery.attempts - 1),
+      this.options.maxBackoffMs,
+    );
+    const delayMs = Math.round(backoff * (0.75 + Math.random() * 0.5));
+    delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+    this.scheduleAttempt(delivery, delayMs);
+    this.scheduleSaveLog();
+  }
+
+  finish(delivery, state, fields) {
+    Object.assign(delivery, fields, {
+      state,
+      nextAttemptAt: null,
+      deliveredAt: state === DELIVERY_STATES.DELIVERED ? new Date().toISOString() : null,
+    });
+    // The payload is only needed while retrying
+    if (this.payloads.delete(delivery.id)) this.payloadsChanged = true;
+    this.scheduleSaveLog();
+  }
+
+  /**
+   * Cancel pending retries and write the log (pending deliveries resume on next start)
+   */
+  close() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    this.saveLog();
+  }
+}
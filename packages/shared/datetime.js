@@ -0,0 +1,36 @@
+/**
+ * Device date/time helpers
+ * Concox packets carry UTC date/time as 6 bytes: YY MM DD hh mm ss
+ */
+
+/**
+ * Convert a parsed datetime object to an ISO 8601 UTC timestamp
+ * @param {Object} datetime - { year, month, day, hour, minute, second }
+ * @returns {string|null} ISO timestamp, or null if the fields don't form a valid date
+ */
+export function datetimeToISO(datetime) {
+  if (!datetime) return null;
+
+  const { year, month, day, hour, minute, second } = datetime;
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  if (
+    Number.isNaN(date.getTime()) ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return date.toISOString();
+}
+
+/**
+ * Format a parsed datetime object as "YYYY-MM-DD HH:mm:ss"
+ * @param {Object} datetime - { year, month, day, hour, minute, second }
+ * @returns {string} Formatted date/time
+ */
+export function formatDatetime(datetime) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${datetime.year}-${pad(datetime.month)}-${pad(datetime.day)} ${pad(
+    datetime.hour,
+  )}:${pad(datetime.minute)}:${pad(datetime.second)}`;
+}
@@ -0,0 +1,142 @@
+/**
+ * Packet encoding utilities for Concox V5 protocol
+ * The inverse of parser.js: frame content and encode the field types that
+ * device packets share (date/time, IMEI, GPS block, cell).
+ */
+
+import { calculateCRCITU } from './crc.js';
+
+/**
+ * Frame information content as a complete packet:
+ * Start(2) + Length(1-2) + Protocol(1) + Content(N) + Serial(2) + CRC(2) + Stop(2)
+ * @param {number} protocolNumber - Protocol number
+ * @param {Buffer} content - Information content
+ * @param {number} serialNumber - Information serial number
+ * @param {Object} options - Encoding options
+ * @param {boolean} options.long - Use 0x79 0x79 with a 2-byte length (forced when the length doesn't fit in one byte)
+ * @returns {Buffer} Packet
+ */
+export function buildPacket(protocolNumber, content, serialNumber = 1, options = {}) {
+  // Length covers Protocol(1) + Content(N) + Serial(2) + CRC(2)
+  const length = content.length + 5;
+  const long = options.long || length > 0xff;
+  const header = long
+    ? Buffer.from([0x79, 0x79, (length >> 8) & 0xff, length & 0xff, protocolNumber])
+    : Buffer.from([0x78, 0x78, length, protocolNumber]);
+
+  const body = Buffer.concat([
+    header,
+    content,
+    Buffer.from([(serialNumber >> 8) & 0xff, serialNumber & 0xff]),
+  ]);
+  // CRC covers Packet Length through Information Serial Number
+  const crc = calculateCRCITU(body, 2, body.length);
+  return Buffer.concat([body, Buffer.from([(crc >> 8) & 0xff, crc & 0xff, 0x0d, 0x0a])]);
+}
+
+/**
+ * Encode a date/time as 6 bytes: YY MM DD hh mm ss
+ * @param {Date|Object|string} datetime - Date (UTC fields are used), parsed
+ *   { year, month, day, hour, minute, second }, or "YYYY-MM-DD HH:mm:ss"
+ * @returns {Buffer}
+ */
+export function encodeDatetime(datetime) {
+  if (datetime instanceof Date) {
+    return Buffer.from([
+      datetime.getUTCFullYear() - 2000,
+      datetime.getUTCMonth() + 1,
+      datetime.getUTCDate(),
+      datetime.getUTCHours(),
+      datetime.getUTCMinutes(),
+      datetime.getUTCSeconds(),
+    ]);
+  }
+  if (typeof datetime === 'string') {
+    const parts = datetime.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    if (!parts) {
+      throw new Error(`Invalid date/time "${datetime}"`);
+    }
+    return Buffer.from([Number(parts[1]) - 2000, ...parts.slice(2, 7).map(Number)]);
+  }
+  const { year, month, day, hour, minute, second } = datetime;
+  return Buffer.from([year % 100, month, day, hour, minute, second]);
+}
+
+/**
+ * Encode an IMEI as 8 BCD bytes (a leading 0 pads 15 digits to 16)
+ * @param {string} imei - IMEI
+ * @returns {Buffer}
+ */
+export function encodeIMEI(imei) {
+  if (!/^\d{15,16}$/.test(imei)) {
+    throw new Error(`IMEI must be 15 digits, got "${imei}"`);
+  }
+  return Buffer.from(imei.padStart(16, '0'), 'hex');
+}
+
+/**
+ * Encode the GPS block of 0x22/0x26/0x27 packets:
+ * GPS info(1) + Latitude(4) + Longitude(4) + Speed(1) + Course/Status(2)
+ * @param {Object} gps - { latitude, longitude, speed, course, satellites, positioned | gpsPositioned };
+ *   rawLat/rawLon (as parseAlarmHVT001 returns them) take precedence over the rounded degrees
+ * @returns {Buffer}
+ */
+export function encodeGPS(gps) {
+  const { latitude, longitude, speed = 0, course = 0, satellites = 0 } = gps;
+  const positioned = gps.positioned ?? gps.gpsPositioned ?? true;
+  const buffer = Buffer.alloc(12);
+  // High nibble: length of the GPS information (12), low nibble: satellites in use
+  buffer[0] = 0xc0 | Math.min(satellites, 0x0f);
+  buffer.writeUInt32BE(gps.rawLat ?? Math.round(Math.abs(latitude) * 1800000), 1);
+  buffer.writeUInt32BE(gps.rawLon ?? Math.round(Math.abs(longitude) * 1800000), 5);
+  buffer[9] = Math.max(0, Math.min(0xff, Math.round(speed)));
+
+  // bit4: positioned, bit3: west longitude, bit2: north latitude, bits1-0 + low byte: course
+  const heading = ((Math.round(course) % 360) + 360) % 360;
+  buffer[10] =
+    (positioned ? 0x10 : 0) | (longitude < 0 ? 0x08 : 0) | (latitude >= 0 ? 0x04 : 0) | (heading >> 8);
+  buffer[11] = heading & 0xff;
+  return buffer;
+}
+
+/**
+ * Cell ID as a number; parsers return it either as a number or as hex text
+ */
+function cellIdValue(cellId) {
+  return typeof cellId === 'string' ? parseInt(cellId, 16) : cellId;
+}
+
+/**
+ * Encode a serving cell: MCC(2) + MNC(1) + LAC(2) + Cell ID(3)
+ * @param {Object} cell - { mcc, mnc, lac, cellId | ci }
+ * @returns {Buffer}
+ */
+export function encodeCell(cell) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeUInt16BE(cell.mcc, 0);
+  buffer[2] = cell.mnc;
+  buffer.writeUInt16BE(cell.lac, 3);
+  buffer.writeUIntBE(cellIdValue(cell.cellId ?? cell.ci), 5, 3);
+  return buffer;
+}
+
+/**
+ * Encode the main base and six neighbour cells of 0x28/0x2C packets:
+ * MCC(2) + MNC(1) + LAC(2) + CI(3) + RSSI(1) + 6 x (LAC(2) + CI(3) + RSSI(1)).
+ * Missing neighbours are zero-filled.
+ * @param {Object} mainBase - { mcc, mnc, lac, cellId, rssi }
+ * @param {Object[]} neighbors - Up to 6 { lac, cellId, rssi }
+ * @returns {Buffer}
+ */
+export function encodeCellTowers(mainBase, neighbors = []) {
+  const buffer = Buffer.alloc(45);
+  encodeCell(mainBase).copy(buffer, 0);
+  buffer[8] = mainBase.rssi ?? 0;
+  neighbors.slice(0, 6).forEach((neighbor, i) => {
+    const offset = 9 + i * 6;
+    buffer.writeUInt16BE(neighbor.lac, offset);
+    buffer.writeUIntBE(cellIdValue(neighbor.cellId), offset + 2, 3);
+    buffer[offset + 5] = neighbor.rssi;
+  });
+  return buffer;
+}
@@ -0,0 +1,138 @@
+/**
+ * Geographic helpers for positions in decimal degrees (WGS84)
+ */
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in meters
+ */
+export function haversineDistance(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Initial great-circle bearing from the first point towards the second
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Bearing in degrees clockwise from north, 0-359
+ */
+export function initialBearing(lat1, lon1, lat2, lon2) {
+  const dLon = toRadians(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(toRadians(lat2));
+  const x =
+    Math.cos(toRadians(lat1)) * Math.sin(toRadians(lat2)) -
+    Math.sin(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.cos(dLon);
+  return Math.round(((Math.atan2(y, x) * 180) / Math.PI + 360) % 360) % 360;
+}
+
+/**
+ * Project a point onto a local plane around a reference latitude.
+ * Accurate enough for the short distances between consecutive fixes.
+ */
+function project(point, referenceLatitude) {
+  return {
+    x: toRadians(point.longitude) * Math.cos(toRadians(referenceLatitude)) * EARTH_RADIUS_METERS,
+    y: toRadians(point.latitude) * EARTH_RADIUS_METERS,
+  };
+}
+
+/**
+ * Distance from a point to the segment a-b on the local plane
+ * @returns {number} Distance in meters
+ */
+function segmentDistance(point, a, b, referenceLatitude) {
+  const p = project(point, referenceLatitude);
+  const start = project(a, referenceLatitude);
+  const end = project(b, referenceLatitude);
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const lengthSquared = dx * dx + dy * dy;
+
+  let t = 0;
+  if (lengthSquared > 0) {
+    t = Math.max(0, Math.min(1, ((p.x - start.x) * dx + (p.y - start.y) * dy) / lengthSquared));
+  }
+  return Math.hypot(p.x - (start.x + t * dx), p.y - (start.y + t * dy));
+}
+
+/**
+ * Simplify a path with the Douglas-Peucker algorithm.
+ * First and last points are always kept; point objects are returned as-is.
+ * @param {Array<{latitude: number, longitude: number}>} points - Ordered path
+ * @param {number} toleranceMeters - Maximum deviation of dropped points from the simplified path
+ * @returns {Array} Simplified path
+ */
+export function simplifyPath(points, toleranceMeters) {
+  if (points.length <= 2 || !(toleranceMeters > 0)) {
+    return points.slice();
+  }
+
+  const referenceLatitude = points[0].latitude;
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+
+  // Iterative to avoid deep recursion on day-long tracks
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = segmentDistance(points[i], points[first], points[last], referenceLatitude);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+
+    if (index !== -1 && maxDistance > toleranceMeters) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return points.filter((point, i) => keep[i]);
+}
+
+/**
+ * Whether a point lies inside a polygon (ray casting; edges are treated as
+ * straight lines in latitude/longitude, which is fine away from the poles and
+ * the antimeridian)
+ * @param {number} latitude - Point latitude
+ * @param {number} longitude - Point longitude
+ * @param {Array<{latitude: number, longitude: number}>} polygon - Vertices, open or closed ring
+ * @returns {boolean}
+ */
+export function pointInPolygon(latitude, longitude, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if (
+      a.latitude > latitude !== b.latitude > latitude &&
+      longitude <
+        ((b.longitude - a.longitude) * (latitude - a.latitude)) / (b.latitude - a.latitude) +
+          a.longitude
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
@@ -3,7 +3,11 @@
  */
 
 export * from './crc.js';
+export * from './datetime.js';
+export * from './encoding.js';
+export * from './geo.js';
 export * from './imei.js';
 export * from './parser.js';
 export * from './protocols.js';
+export * from './schema.js';
 
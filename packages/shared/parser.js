@@ -2,53 +2,144 @@
  * Packet parsing utilities for Concox V5 protocol
  */
 
+import { calculateCRCITU } from './crc.js';
+
+/**
+ * Smallest Packet Length value: Protocol(1) + Serial(2) + CRC(2)
+ */
+export const MIN_PACKET_LENGTH = 5;
+
+/**
+ * Largest Packet Length value accepted on 0x79 0x79 frames. The biggest frames
+ * seen are file transfer chunks and long command replies, well under this.
+ */
+export const MAX_PACKET_LENGTH = 4096;
+
+/**
+ * Find the next start marker (0x78 0x78 or 0x79 0x79) in a buffer
+ * @param {Buffer} buffer - Input buffer
+ * @param {number} fromIndex - Index to start searching from (default: 0)
+ * @returns {number} Index of the marker, or -1 if none found
+ */
+export function findStartMarker(buffer, fromIndex = 0) {
+  for (let i = fromIndex; i < buffer.length - 1; i++) {
+    if (
+      (buffer[i] === 0x78 && buffer[i + 1] === 0x78) ||
+      (buffer[i] === 0x79 && buffer[i + 1] === 0x79)
+    ) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Drop bytes up to the next start marker at or after fromIndex.
+ * A trailing 0x78/0x79 is kept since it may be the first half of a marker
+ * whose second byte has not arrived yet.
+ * @param {Buffer} buffer - Input buffer
+ * @param {number} fromIndex - Index to start searching from
+ * @returns {Buffer} Remaining buffer starting at the next marker
+ */
+function resync(buffer, fromIndex) {
+  const nextStart = findStartMarker(buffer, fromIndex);
+  if (nextStart !== -1) {
+    return buffer.slice(nextStart);
+  }
+
+  const last = buffer[buffer.length - 1];
+  if (buffer.length > fromIndex && (last === 0x78 || last === 0x79)) {
+    return buffer.slice(buffer.length - 1);
+  }
+  return Buffer.alloc(0);
+}
+
+/**
+ * Verify stop bytes and CRC-ITU of a complete frame.
+ * CRC covers Packet Length through Information Serial Number (Manual page 4).
+ * @param {Buffer} packet - Complete packet buffer
+ * @returns {Object} { valid, reason, expectedCRC, actualCRC }
+ */
+export function verifyPacket(packet) {
+  if (packet.length < 10) {
+    return { valid: false, reason: 'length', expectedCRC: null, actualCRC: null };
+  }
+
+  const stopByte1 = packet[packet.length - 2];
+  const stopByte2 = packet[packet.length - 1];
+  if (stopByte1 !== 0x0d || stopByte2 !== 0x0a) {
+    return { valid: false, reason: 'stop', expectedCRC: null, actualCRC: null };
+  }
+
+  const actualCRC = packet.readUInt16BE(packet.length - 4);
+  const expectedCRC = calculateCRCITU(packet, 2, packet.length - 4);
+  if (actualCRC !== expectedCRC) {
+    return { valid: false, reason: 'crc', expectedCRC, actualCRC };
+  }
+
+  return { valid: true, reason: null, expectedCRC, actualCRC };
+}
+
 /**
  * Parse a Concox V5 packet from buffer
+ *
+ * Frames failing the stop byte or CRC check are not returned as packets:
+ * the result carries `rejected` instead and `remaining` is resynchronised
+ * on the next start marker after the bad frame's own marker. A length field
+ * outside MIN_PACKET_LENGTH-maxPacketLength is rejected as soon as the header
+ * is in, rather than waiting for bytes a corrupted length claims.
+ *
  * @param {Buffer} buffer - Input buffer
+ * @param {Object} options - Parse options
+ * @param {boolean} options.verifyCRC - Reject frames with a bad CRC (default: true)
+ * @param {number} options.maxPacketLength - Largest Packet Length accepted (default: MAX_PACKET_LENGTH)
  * @returns {Object|null} Parsed packet info or null if incomplete
  */
-export function parsePacket(buffer) {
+export function parsePacket(buffer, options = {}) {
+  const { verifyCRC = true, maxPacketLength = MAX_PACKET_LENGTH } = options;
+
   if (buffer.length < 5) return null;
 
   const startByte1 = buffer[0];
   const startByte2 = buffer[1];
 
-  let lengthBytes, lengthValue, headerSize;
+  let lengthValue, headerSize;
 
   // Check packet type by start bytes (Manual page 4)
   if (startByte1 === 0x78 && startByte2 === 0x78) {
     // Single byte length
-    lengthBytes = 1;
     lengthValue = buffer[2];
     headerSize = 3; // Start(2) + Length(1)
   } else if (startByte1 === 0x79 && startByte2 === 0x79) {
     // Two byte length
     if (buffer.length < 6) return null;
-    lengthBytes = 2;
     lengthValue = buffer.readUInt16BE(2);
     headerSize = 4; // Start(2) + Length(2)
   } else {
-    // Invalid start bytes, try to find next valid packet
-    const next78 = buffer.indexOf(0x78, 1);
-    const next79 = buffer.indexOf(0x79, 1);
-
-    let nextStart = -1;
-    if (next78 !== -1 && next79 !== -1) {
-      nextStart = Math.min(next78, next79);
-    } else if (next78 !== -1) {
-      nextStart = next78;
-    } else if (next79 !== -1) {
-      nextStart = next79;
-    }
-
-    if (nextStart === -1) {
-      return { packet: null, protocolNumber: null, remaining: Buffer.alloc(0) };
-    }
+    // Invalid start bytes, skip to next valid start marker
+    const remaining = resync(buffer, 1);
+    return {
+      packet: null,
+      protocolNumber: null,
+      remaining,
+      discardedBytes: buffer.length - remaining.length,
+    };
+  }
 
+  if (lengthValue < MIN_PACKET_LENGTH || lengthValue > maxPacketLength) {
+    const remaining = resync(buffer, 2);
     return {
       packet: null,
       protocolNumber: null,
-      remaining: buffer.slice(nextStart),
+      remaining,
+      discardedBytes: buffer.length - remaining.length,
+      rejected: {
+        reason: 'length',
+        protocolNumber: buffer[headerSize],
+        expectedCRC: null,
+        actualCRC: null,
+        frame: buffer.slice(0, headerSize + 1),
+      },
     };
   }
 
@@ -61,12 +152,25 @@ export function parsePacket(buffer) {
 
   const packet = buffer.slice(0, totalSize);
   const protocolNumber = packet[headerSize];
-  const stopByte1 = packet[totalSize - 2];
-  const stopByte2 = packet[totalSize - 1];
+  const check = verifyPacket(packet);
 
-  // Verify stop bytes
-  if (stopByte1 !== 0x0d || stopByte2 !== 0x0a) {
-    // Invalid stop bytes, but continue processing
+  if (!check.valid && (check.reason !== 'crc' || verifyCRC)) {
+    // Corrupted frame: the length byte itself may be wrong, so look for the
+    // next marker inside this frame rather than trusting its boundary.
+    const remaining = resync(buffer, 2);
+    return {
+      packet: null,
+      protocolNumber: null,
+      remaining,
+      discardedBytes: buffer.length - remaining.length,
+      rejected: {
+        reason: check.reason,
+        protocolNumber,
+        expectedCRC: check.expectedCRC,
+        actualCRC: check.actualCRC,
+        frame: packet,
+      },
+    };
   }
 
   return {
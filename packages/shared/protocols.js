@@ -4,6 +4,12 @@
 
 export const PROTOCOL_NUMBERS = {
   LOGIN: 0x01,
+  GT06_LOCATION: 0x12,
+  GT06_ALARM: 0x16,
+  LBS_ADDRESS_REQUEST: 0x17,
+  GT06_LBS_EXTENSION: 0x18,
+  GPS_ADDRESS_REQUEST: 0x1a,
+  ADDRESS_RESPONSE_ENGLISH: 0x97,
   HEARTBEAT: 0x13,
   GPS_LOCATION: 0x22,
   ALARM: 0x26,
@@ -19,10 +25,19 @@ export const PROTOCOL_NUMBERS = {
   EXTERNAL_DEVICE_TRANSFER: 0x9b,
   EXTERNAL_MODULE_TRANSMISSION: 0x9c,
   LARGE_FILE_TRANSFER: 0x8d,
+  LTE_LOCATION: 0xa0,
+  LTE_LBS_EXTENSION: 0xa1,
+  LTE_ALARM: 0xa4,
 };
 
 export const PROTOCOL_NAMES = {
   0x01: "Login Information",
+  0x12: "Location Data (GT06)",
+  0x16: "GPS LBS Status Alarm (GT06)",
+  0x17: "LBS Address Request (GT06)",
+  0x18: "LBS Multiple Bases Extension (GT06)",
+  0x1a: "GPS Address Request (GT06)",
+  0x97: "English Address Response (GT06)",
   0x13: "Heartbeat Packet",
   0x22: "Positioning Data (UTC)",
   0x26: "Alarm Data (UTC)",
@@ -38,6 +53,9 @@ export const PROTOCOL_NAMES = {
   0x9b: "External Device Transfer (X3)",
   0x9c: "External Module Transmission (U20)",
   0x8d: "Large File Transfer (HVT001)",
+  0xa0: "Positioning Data 4G (LTE)",
+  0xa1: "LBS Multiple Bases Extension 4G (LTE)",
+  0xa4: "Alarm Data 4G (LTE)",
 };
 
 /**
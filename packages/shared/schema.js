@@ -0,0 +1,652 @@
+/**
+ * Declarative packet schemas for Concox V5
+ * A schema lists the fields of a packet's information content in wire order.
+ * parseWithSchema() and encodeWithSchema() walk that list, and
+ * describeSchema() turns it into field documentation, so a layout is written
+ * down once instead of as offsets in a parser, an encoder and the docs.
+ *
+ * Field properties:
+ *   name        - Key in the parsed result
+ *   type        - uint8 | int8 | uint16 | int16 | uint24 | uint32 | uint64 | uint | hex | ascii | utf8 | bytes |
+ *                 imei | datetime | mac | gps | const | struct | array | switch, or a type added with defineFieldType()
+ *   size        - Bytes for uint/hex/ascii/utf8/bytes: a number, the name of an earlier field
+ *                 holding it, 'rest' (up to the serial number), or { short, long } when the width
+ *                 depends on the frame format (0x78 0x78 or 0x79 0x79). A struct with a size
+ *                 takes exactly that many bytes: extra bytes are skipped, and 0 parses as null
+ *   sizeAdjust  - Added to a size read from a field (-1 when the length counts its own byte)
+ *   description - Documentation text
+ *   enum        - { table, as }: also output table[value] under `as` ("Unknown (0x..)" when missing);
+ *                 when `as` is the field's own name only the label is output
+ *   flags       - { bits: { key: mask | [mask, setValue, clearValue] }, as }: also output the bits
+ *                 under `as`, or next to the field when `as` is omitted
+ *   scale       - Divide the integer by this when parsing (multiply when encoding)
+ *   raw         - Also output the field's bytes as a Buffer under this name
+ *   hidden      - Read and written, but left out of the parsed result
+ *   default     - Value the encoder writes when the field is missing
+ *   lengthOf    - Encoder writes the byte length of the named field (item count for arrays)
+ *   optional    - Only present when bytes are left; parsed as null otherwise
+ *   when        - [predicate(values), 'description']: only present when the predicate holds;
+ *                 values are the raw numbers read so far (enum values, not labels)
+ *   flatten     - Merge an object-valued field into its parent instead of nesting it
+ *   fields      - Fields of a struct, or of each array item
+ *   count       - Array length: a number or the name of an earlier field
+ *   index       - Number array items from 1 in an `index` key
+ *   on, cases   - switch: the field whose value selects cases[value] (or cases.default)
+ *   value       - const: the value output without reading any bytes
+ *
+ * Schema properties: protocolNumber, name, parser, description, fields, long (always use the
+ * 0x79 0x79 format), prepare(data) to normalize encoder input, finish(result, values) to add
+ * computed fields after parsing, and derived ([{ path, type, description }]) to document them.
+ * Packets whose parser is still hand-written list their result in resultFields instead.
+ *
+ * A field that doesn't fit in the information content throws a TRUNCATED_PACKET error
+ * rather than reading the serial number and CRC behind it.
+ */
+
+import { buildPacket, encodeDatetime, encodeGPS, encodeIMEI } from './encoding.js';
+import { extractIMEI } from './imei.js';
+import { getHeaderSize, isLongPacket } from './parser.js';
+
+const UINT_SIZES = { uint8: 1, uint16: 2, uint24: 3, uint32: 4 };
+
+/**
+ * Fixed-size field types: { size, read(buffer, offset), write(value), doc, docFields? }
+ */
+const FIELD_TYPES = {
+  int8: {
+    size: 1,
+    read: (buffer, offset) => buffer.readInt8(offset),
+    write: (value) => Buffer.from([(value ?? 0) & 0xff]),
+    doc: 'number',
+  },
+  int16: {
+    size: 2,
+    read: (buffer, offset) => buffer.readInt16BE(offset),
+    write: (value) => {
+      const buffer = Buffer.alloc(2);
+      buffer.writeInt16BE(value ?? 0);
+      return buffer;
+    },
+    doc: 'number',
+  },
+  // 64-bit cell IDs of LTE packets; values beyond Number.MAX_SAFE_INTEGER stay exact as decimal text
+  uint64: {
+    size: 8,
+    read: (buffer, offset) => {
+      const value = buffer.readBigUInt64BE(offset);
+      return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+    },
+    write: (value) => {
+      const buffer = Buffer.alloc(8);
+      buffer.writeBigUInt64BE(BigInt(value ?? 0));
+      return buffer;
+    },
+    doc: 'number (string above 2^53)',
+  },
+  imei: {
+    size: 8,
+    read: (buffer, offset) => extractIMEI(buffer.subarray(offset, offset + 8)),
+    write: (value) => encodeIMEI(value),
+    doc: 'string',
+  },
+  datetime: {
+    size: 6,
+    read: (buffer, offset) => ({
+      year: 2000 + buffer[offset],
+      month: buffer[offset + 1],
+      day: buffer[offset + 2],
+      hour: buffer[offset + 3],
+      minute: buffer[offset + 4],
+      second: buffer[offset + 5],
+    }),
+    write: (value) => encodeDatetime(value),
+    doc: 'object',
+    docFields: [
+      ['year', 'number', '2000 + YY'],
+      ['month', 'number'],
+      ['day', 'number'],
+      ['hour', 'number'],
+      ['minute', 'number'],
+      ['second', 'number'],
+    ],
+  },
+  mac: {
+    size: 6,
+    read: (buffer, offset) =>
+      Array.from(buffer.subarray(offset, offset + 6), (byte) => byte.toString(16).padStart(2, '0'))
+        .join(':')
+        .toUpperCase(),
+    write: (value) => Buffer.from((value || '00:00:00:00:00:00').replace(/[:-]/g, ''), 'hex'),
+    doc: 'string ("XX:XX:XX:XX:XX:XX")',
+  },
+  // GPS info(1) + Latitude(4) + Longitude(4) + Speed(1) + Course/Status(2)
+  gps: {
+    size: 12,
+    read: (buffer, offset) => {
+      const status = buffer[offset + 10];
+      // bit2: north latitude, bit3: west longitude
+      const latitude = buffer.readUInt32BE(offset + 1) / 1800000.0;
+      const longitude = buffer.readUInt32BE(offset + 5) / 1800000.0;
+      return {
+        satellites: buffer[offset] & 0x0f,
+        latitude: (status & 0x04) !== 0 ? latitude : -latitude,
+        longitude: (status & 0x08) === 0 ? longitude : -longitude,
+        speed: buffer[offset + 9],
+        course: ((status & 0x03) << 8) | buffer[offset + 11],
+        gpsPositioned: (status & 0x10) !== 0,
+      };
+    },
+    write: (value) => encodeGPS(value || { latitude: 0, longitude: 0, positioned: false }),
+    doc: 'object',
+    docFields: [
+      ['satellites', 'number', 'Satellites in use'],
+      ['latitude', 'number', 'Signed decimal degrees (north positive)'],
+      ['longitude', 'number', 'Signed decimal degrees (east positive)'],
+      ['speed', 'number', 'km/h'],
+      ['course', 'number', 'Degrees from north'],
+      ['gpsPositioned', 'boolean', 'GPS fix'],
+    ],
+  },
+};
+
+for (const [type, size] of Object.entries(UINT_SIZES)) {
+  FIELD_TYPES[type] = {
+    size,
+    read: (buffer, offset) => buffer.readUIntBE(offset, size),
+    write: (value) => {
+      const buffer = Buffer.alloc(size);
+      buffer.writeUIntBE(value ?? 0, 0, size);
+      return buffer;
+    },
+    doc: 'number',
+  };
+}
+
+/**
+ * Variable-size field types: the size comes from the field's `size`
+ */
+const SIZED_TYPES = {
+  uint: {
+    read: (bytes) => bytes.readUIntBE(0, bytes.length),
+    write: (value, size) => {
+      const buffer = Buffer.alloc(size);
+      buffer.writeUIntBE(value ?? 0, 0, size);
+      return buffer;
+    },
+    doc: 'number',
+  },
+  hex: {
+    read: (bytes, field) => {
+      const hex = bytes.toString('hex');
+      return field.lowercase ? hex : hex.toUpperCase();
+    },
+    // Fixed-size hex fields such as cell IDs also take a number
+    write: (value, size) => {
+      if (Buffer.isBuffer(value)) return value;
+      if (typeof value === 'number') return SIZED_TYPES.uint.write(value, size);
+      const hex = value ?? '';
+      return Buffer.from(size ? hex.padStart(size * 2, '0') : hex, 'hex');
+    },
+    doc: 'string (hex)',
+  },
+  ascii: {
+    read: (bytes) => bytes.toString('ascii'),
+    write: (value) => Buffer.from(value ?? '', 'ascii'),
+    doc: 'string',
+  },
+  utf8: {
+    read: (bytes) => bytes.toString('utf8'),
+    write: (value) => Buffer.from(value ?? '', 'utf8'),
+    doc: 'string',
+  },
+  bytes: {
+    read: (bytes) => bytes,
+    write: (value) => (Buffer.isBuffer(value) ? value : Buffer.alloc(0)),
+    doc: 'Buffer',
+  },
+};
+
+const STRUCTURAL_TYPES = ['const', 'struct', 'array', 'switch'];
+
+/**
+ * Register a field type for use in schemas
+ * @param {string} name - Type name
+ * @param {Object} type - Fixed size: { size, read(buffer, offset), write(value), doc, docFields? };
+ *   sized by the field's `size`: { sized: true, read(bytes, field), write(value, size), doc, docFields? }
+ */
+export function defineFieldType(name, type) {
+  if (FIELD_TYPES[name] || SIZED_TYPES[name] || STRUCTURAL_TYPES.includes(name)) {
+    throw new Error(`Field type "${name}" is already defined`);
+  }
+  if (type.sized) SIZED_TYPES[name] = type;
+  else FIELD_TYPES[name] = type;
+}
+
+function checkFields(fields, where) {
+  for (const field of fields) {
+    const { type } = field;
+    if (!FIELD_TYPES[type] && !SIZED_TYPES[type] && !STRUCTURAL_TYPES.includes(type)) {
+      throw new Error(`${where}: field "${field.name}" has unknown type "${type}"`);
+    }
+    if (SIZED_TYPES[type] && field.size === undefined) {
+      throw new Error(`${where}: field "${field.name}" of type ${type} needs a size`);
+    }
+    if (type === 'struct' || type === 'array') {
+      checkFields(field.fields || [], `${where}.${field.name}`);
+    }
+    if (type === 'switch') {
+      for (const [key, caseFields] of Object.entries(field.cases)) {
+        checkFields(caseFields, `${where}.${field.name}[${key}]`);
+      }
+    }
+  }
+}
+
+/**
+ * Define a packet schema, checking its field types up front
+ * @param {Object} schema - { protocolNumber, name, parser, description, fields, long, prepare, finish, derived }
+ * @returns {Object} The schema
+ */
+export function defineSchema(schema) {
+  checkFields(schema.fields, schema.name);
+  return schema;
+}
+
+/**
+ * Look a name up in the current scope, then in the enclosing ones
+ */
+function lookup(scope, name) {
+  for (let current = scope; current; current = current.parent) {
+    if (name in current.values) return current.values[name];
+  }
+  return undefined;
+}
+
+function fieldSize(field, scope, state, offset) {
+  const { size } = field;
+  if (typeof size === 'number') return size;
+  if (size === 'rest') return Math.max(0, state.end - offset);
+  if (typeof size === 'string') return Math.max(0, (lookup(scope, size) ?? 0) + (field.sizeAdjust ?? 0));
+  return state.long ? size.long : size.short;
+}
+
+/**
+ * Throw unless size bytes from offset lie within the information content
+ */
+function checkBounds(field, state, offset, size) {
+  if (offset + size > state.end) {
+    const error = new Error(
+      `Packet too short: ${field.name} needs ${size} bytes at offset ${offset}, ${Math.max(0, state.end - offset)} left`,
+    );
+    error.code = 'TRUNCATED_PACKET';
+    throw error;
+  }
+}
+
+function isPresent(field, scope, state, offset) {
+  if (field.when && !field.when[0](scope.values)) return false;
+  if (field.optional && offset >= state.end) return false;
+  return true;
+}
+
+function enumLabel(field, value) {
+  return field.enum.table[value] ?? `Unknown (0x${value.toString(16)})`;
+}
+
+function decodeFlags(field, value) {
+  const result = {};
+  for (const [key, bit] of Object.entries(field.flags.bits)) {
+    const [mask, set = true, clear = false] = Array.isArray(bit) ? bit : [bit];
+    result[key] = (value & mask) !== 0 ? set : clear;
+  }
+  return result;
+}
+
+/**
+ * Put a parsed value (and its enum label, flags and raw bytes) into the output object
+ */
+function output(target, field, value, bytes) {
+  if (field.flags) {
+    const flags = decodeFlags(field, value);
+    if (field.flags.as) target[field.flags.as] = flags;
+    else Object.assign(target, flags);
+  }
+  if (field.raw) target[field.raw] = bytes;
+  if (field.enum && field.enum.as !== field.name) target[field.enum.as] = enumLabel(field, value);
+  if (field.hidden) return;
+  if (field.enum && field.enum.as === field.name) target[field.name] = enumLabel(field, value);
+  else if (field.flatten) Object.assign(target, value);
+  else target[field.name] = value;
+}
+
+function readFields(fields, state, parent) {
+  const scope = { values: {}, parent };
+  const result = {};
+
+  for (const field of fields) {
+    const start = state.offset;
+    if (!isPresent(field, scope, state, start)) {
+      if (field.optional && !field.when) {
+        scope.values[field.name] = null;
+        if (!field.hidden) result[field.name] = null;
+      }
+      continue;
+    }
+
+    let value;
+    if (field.type === 'const') {
+      value = field.value;
+    } else if (field.type === 'struct' && field.size !== undefined) {
+      const size = fieldSize(field, scope, state, start);
+      checkBounds(field, state, start, size);
+      const { end } = state;
+      state.end = start + size;
+      try {
+        value = size > 0 ? readFields(field.fields, state, scope).result : null;
+      } finally {
+        state.end = end;
+      }
+      state.offset = start + size;
+    } else if (field.type === 'struct') {
+      value = readFields(field.fields, state, scope).result;
+    } else if (field.type === 'array') {
+      const count = typeof field.count === 'number' ? field.count : lookup(scope, field.count) ?? 0;
+      value = [];
+      for (let i = 0; i < count && state.offset < state.end; i++) {
+        const item = readFields(field.fields, state, scope).result;
+        value.push(field.index ? { index: i + 1, ...item } : item);
+      }
+    } else if (field.type === 'switch') {
+      const selected = field.cases[lookup(scope, field.on)] || field.cases.default;
+      value = selected ? readFields(selected, state, scope).result : null;
+    } else if (SIZED_TYPES[field.type]) {
+      const size = fieldSize(field, scope, state, start);
+      checkBounds(field, state, start, size);
+      const bytes = state.buffer.subarray(start, start + size);
+      value = SIZED_TYPES[field.type].read(bytes, field);
+      state.offset += size;
+    } else {
+      const type = FIELD_TYPES[field.type];
+      checkBounds(field, state, start, type.size);
+      value = type.read(state.buffer, start);
+      state.offset += type.size;
+    }
+
+    if (field.scale) value /= field.scale;
+    scope.values[field.name] = value;
+    output(result, field, value, field.raw ? state.buffer.subarray(start, state.offset) : undefined);
+  }
+
+  return { result, values: scope.values };
+}
+
+/**
+ * Parse a complete packet (start bits through stop bits) with a schema
+ * @param {Object} schema - Packet schema
+ * @param {Buffer} packet - Packet buffer
+ * @returns {Object} Parsed fields plus serialNumber
+ */
+export function parseWithSchema(schema, packet) {
+  const state = {
+    buffer: packet,
+    offset: getHeaderSize(packet) + 1,
+    // Information content ends at the serial number: Serial(2) + CRC(2) + Stop(2)
+    end: packet.length - 6,
+    long: isLongPacket(packet),
+  };
+  const { result, values } = readFields(schema.fields, state, null);
+  result.serialNumber = packet.readUInt16BE(packet.length - 6);
+  return schema.finish ? schema.finish(result, values) : result;
+}
+
+/**
+ * Raw value of a field from encoder input: labels become enum values, flag
+ * objects become bit masks, scaled numbers are multiplied back
+ */
+function inputValue(field, data) {
+  let value = data[field.name];
+  if (field.flatten) return data;
+  if (value === undefined && field.raw) value = data[field.raw];
+  if (field.enum) {
+    const label = field.enum.as === field.name ? value : value ?? data[field.enum.as];
+    if (typeof label === 'string') {
+      const entry = Object.entries(field.enum.table).find(([, name]) => name === label);
+      const unknown = label.match(/^Unknown \(0x([0-9a-f]+)\)$/i);
+      value = entry ? Number(entry[0]) : unknown ? parseInt(unknown[1], 16) : undefined;
+    }
+  }
+  if (value === undefined && field.flags) {
+    const flags = field.flags.as ? data[field.flags.as] : data;
+    if (flags) {
+      value = 0;
+      for (const [key, bit] of Object.entries(field.flags.bits)) {
+        const [mask, set = true] = Array.isArray(bit) ? bit : [bit];
+        if (flags[key] === set) value |= mask;
+      }
+    }
+  }
+  if (value === undefined || value === null) value = field.default;
+  if (field.scale && typeof value === 'number') value = Math.round(value * field.scale);
+  return value;
+}
+
+function writeFields(fields, data, state, parent) {
+  const scope = { values: {}, parent };
+  const parts = [];
+  const encoded = {};
+  const lengthFields = [];
+
+  for (const field of fields) {
+    if (field.when && !field.when[0](scope.values)) continue;
+    const value = inputValue(field, data);
+    if (field.optional && (value === undefined || value === null)) continue;
+    scope.values[field.name] = value;
+
+    let bytes;
+    if (field.type === 'const') {
+      bytes = Buffer.alloc(0);
+    } else if (field.type === 'struct') {
+      bytes = writeFields(field.fields, value || {}, state, scope);
+    } else if (field.type === 'array') {
+      const items = [...(value || [])];
+      if (typeof field.count === 'number') {
+        while (items.length < field.count) items.push({});
+        items.length = field.count;
+      }
+      bytes = Buffer.concat(items.map((item) => writeFields(field.fields, item, state, scope)));
+    } else if (field.type === 'switch') {
+      const selected = field.cases[lookup(scope, field.on)] || field.cases.default || [];
+      bytes = writeFields(selected, value || {}, state, scope);
+    } else if (field.type === 'uint') {
+      bytes = SIZED_TYPES.uint.write(value, fieldSize(field, scope, state, 0));
+    } else if (SIZED_TYPES[field.type]) {
+      const size = typeof field.size === 'number' ? field.size : undefined;
+      bytes = SIZED_TYPES[field.type].write(value, size);
+      if (size !== undefined) {
+        bytes = Buffer.concat([bytes, Buffer.alloc(size)]).subarray(0, size);
+      }
+    } else {
+      bytes = FIELD_TYPES[field.type].write(value);
+    }
+
+    if (field.lengthOf) lengthFields.push({ field, index: parts.length });
+    encoded[field.name] = bytes;
+    parts.push(bytes);
+  }
+
+  // Length fields are written last, once the fields they measure are encoded
+  for (const { field, index } of lengthFields) {
+    const target = fields.find((candidate) => candidate.name === field.lengthOf);
+    const measured =
+      target.type === 'array' ? (data[target.name] || []).length : encoded[target.name]?.length ?? 0;
+    const size = FIELD_TYPES[field.type] ? FIELD_TYPES[field.type].size : fieldSize(field, scope, state, 0);
+    parts[index] = SIZED_TYPES.uint.write(measured, size);
+    scope.values[field.name] = measured;
+  }
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Encode a packet as a device sends it from the fields its parser returns
+ * @param {Object} schema - Packet schema
+ * @param {Object} data - Parsed fields plus serialNumber (default 1)
+ * @returns {Buffer} Complete packet
+ */
+export function encodeWithSchema(schema, data) {
+  const input = schema.prepare ? schema.prepare(data) : data;
+  const serialNumber = data.serialNumber ?? 1;
+  if (!schema.long) {
+    try {
+      const content = writeFields(schema.fields, input, { long: false }, null);
+      // Protocol(1) + Content(N) + Serial(2) + CRC(2) must fit the 1-byte length of a short frame
+      if (content.length + 5 <= 0xff) {
+        return buildPacket(schema.protocolNumber, content, serialNumber);
+      }
+    } catch (error) {
+      // A { short, long } length field too small for the content: use the long frame
+      if (error.code !== 'ERR_OUT_OF_RANGE') throw error;
+    }
+  }
+  const content = writeFields(schema.fields, input, { long: true }, null);
+  return buildPacket(schema.protocolNumber, content, serialNumber, { long: true });
+}
+
+function sizeText(field) {
+  const { size } = field;
+  if (FIELD_TYPES[field.type]) return String(FIELD_TYPES[field.type].size);
+  if (typeof size === 'number') return String(size);
+  if (size === 'rest') return 'rest';
+  if (typeof size === 'string' && field.sizeAdjust) return `${size} ${field.sizeAdjust < 0 ? '-' : '+'} ${Math.abs(field.sizeAdjust)} bytes`;
+  if (typeof size === 'string') return `${size} bytes`;
+  return `${size.short} (short) / ${size.long} (long)`;
+}
+
+function docType(field) {
+  if (field.type === 'const') return JSON.stringify(field.value);
+  if (field.type === 'struct' || field.type === 'switch') return 'object';
+  if (field.type === 'array') return 'Array';
+  if (field.enum && field.enum.as === field.name) return 'string';
+  const type = FIELD_TYPES[field.type] || SIZED_TYPES[field.type];
+  if (field.scale) return 'number (decimal)';
+  return field.type === 'uint' || UINT_SIZES[field.type] ? 'number' : type.doc;
+}
+
+function conditionText(field) {
+  if (field.when) return `only when ${field.when[1]}`;
+  if (field.optional) return 'null when the packet ends before it';
+  return '';
+}
+
+function joinText(...parts) {
+  return parts.filter(Boolean).join('; ');
+}
+
+function enumText(field) {
+  return Object.entries(field.enum.table)
+    .map(([value, name]) => `0x${Number(value).toString(16).toUpperCase().padStart(2, '0')}=${name}`)
+    .join(', ');
+}
+
+function describeFields(fields, prefix, rows) {
+  for (const field of fields) {
+    const path = `${prefix}${field.name}`;
+    const condition = conditionText(field);
+    const type = docType(field) + (field.optional && !field.when ? ' | null' : '');
+    const table = FIELD_TYPES[field.type] || SIZED_TYPES[field.type];
+
+    if (field.flags) {
+      for (const [key, bit] of Object.entries(field.flags.bits)) {
+        const [mask, set, clear] = Array.isArray(bit) ? bit : [bit];
+        const flagPath = field.flags.as ? `${prefix}${field.flags.as}.${key}` : `${prefix}${key}`;
+        const valueType = set === undefined ? 'boolean' : `${JSON.stringify(set)} | ${JSON.stringify(clear)}`;
+        rows.push({ path: flagPath, type: valueType, description: `Bit 0x${mask.toString(16).toUpperCase()} of ${field.name}` });
+      }
+    }
+    if (field.raw) {
+      rows.push({ path: `${prefix}${field.raw}`, type: 'Buffer', description: `Raw bytes of ${field.name}` });
+    }
+    if (field.enum && field.enum.as !== field.name) {
+      rows.push({ path: `${prefix}${field.enum.as}`, type: 'string', description: `Name of ${field.name}: ${enumText(field)}` });
+    }
+    if (field.hidden) continue;
+
+    const description = joinText(
+      field.description,
+      field.enum && field.enum.as === field.name ? enumText(field) : '',
+      field.scale ? `raw value / ${field.scale}` : '',
+      condition,
+    );
+    if (field.type === 'struct') {
+      rows.push({ path, type, description });
+      describeFields(field.fields, `${path}.`, rows);
+    } else if (field.type === 'array') {
+      rows.push({ path, type, description: joinText(description, `${field.count} items`) });
+      if (field.index) rows.push({ path: `${path}[].index`, type: 'number', description: 'Position in the list, from 1' });
+      describeFields(field.fields, `${path}[].`, rows);
+    } else if (field.type === 'switch') {
+      rows.push({ path, type, description: joinText(description, `depends on ${field.on}`) });
+      for (const [key, caseFields] of Object.entries(field.cases)) {
+        const label = key === 'default' ? 'other values' : `${field.on} 0x${Number(key).toString(16).toUpperCase().padStart(2, '0')}`;
+        const caseRows = [];
+        describeFields(caseFields, `${path}.`, caseRows);
+        for (const row of caseRows) rows.push({ ...row, description: joinText(row.description, `when ${label}`) });
+      }
+    } else if (table && table.docFields && !field.flatten) {
+      rows.push({ path, type, description });
+      for (const [name, subType, subDescription] of table.docFields) {
+        rows.push({ path: `${path}.${name}`, type: subType, description: subDescription || '' });
+      }
+    } else if (table && table.docFields) {
+      for (const [name, subType, subDescription] of table.docFields) {
+        rows.push({ path: `${prefix}${name}`, type: subType, description: joinText(subDescription, condition) });
+      }
+    } else {
+      rows.push({ path, type, description });
+    }
+  }
+}
+
+function describeLayout(fields, prefix, rows, condition = '') {
+  for (const field of fields) {
+    const path = `${prefix}${field.name}`;
+    const present = joinText(condition, conditionText(field));
+    if (field.type === 'const') continue;
+    if (field.type === 'struct') {
+      describeLayout(field.fields, `${path}.`, rows, present);
+    } else if (field.type === 'array') {
+      const items = [];
+      describeLayout(field.fields, `${path}[].`, items);
+      for (const row of items) rows.push({ ...row, size: `${row.size} x ${field.count}`, description: joinText(row.description, present) });
+    } else if (field.type === 'switch') {
+      for (const [key, caseFields] of Object.entries(field.cases)) {
+        const label = key === 'default' ? 'other values' : `0x${Number(key).toString(16).toUpperCase().padStart(2, '0')}`;
+        describeLayout(caseFields, `${path}.`, rows, joinText(present, `when ${field.on} is ${label}`));
+      }
+    } else {
+      rows.push({
+        path,
+        size: sizeText(field),
+        type: field.type,
+        description: joinText(field.description, field.lengthOf ? `length of ${field.lengthOf}` : '', present),
+      });
+    }
+  }
+}
+
+/**
+ * Document a schema
+ * @param {Object} schema - Packet schema
+ * @returns {{layout: Object[], fields: Object[]}} Wire layout rows ({ path, size, type, description })
+ *   in packet order, and the parsed result's fields ({ path, type, description })
+ */
+export function describeSchema(schema) {
+  const layout = [];
+  describeLayout(schema.fields, '', layout);
+  const fields = [];
+  if (schema.resultFields) fields.push(...schema.resultFields);
+  else describeFields(schema.fields, '', fields);
+  fields.push(...(schema.derived || []));
+  fields.push({ path: 'serialNumber', type: 'number', description: 'Information serial number' });
+  return { layout, fields };
+}
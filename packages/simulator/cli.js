@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Device simulator command line
+ *
+ *   concox-simulator --port 5027 --imei 123456789012345 --route drive.gpx --duration 120
+ *
+ * Exits with status 1 if the server violated the protocol (bad CRC, missing
+ * or mismatched acks) during the run.
+ */
+
+import { parseArgs } from "util";
+import { DeviceSimulator, loadRoute } from "./index.js";
+
+const USAGE = `Usage: concox-simulator [options]
+
+  --host <host>           Server host (default: 127.0.0.1)
+  --port <port>           Server TCP port (default: $CONCOX_PORT or 5027)
+  --imei <imei>           Device IMEI (default: 123456789012345)
+  --devices <n>           Simulate n devices with consecutive IMEIs (default: 1)
+  --route <route>         .gpx or .json file, or "lat,lon;lat,lon;..." (default: stand still)
+  --speed <km/h>          Speed along the route where the GPX has no times (default: 40)
+  --once                  Stop at the end of the route instead of starting over
+  --interval <seconds>    Position (0x22) interval (default: 10)
+  --heartbeat <seconds>   Heartbeat (0x13) interval (default: 60)
+  --voltage <seconds>     External voltage (0x94) interval (default: off)
+  --alarm <alarm>         Send an alarm (0x26) after login, e.g. SOS or 0x06
+  --wifi                  Send a WiFi scan (0x2C) after login
+  --ack-timeout <ms>      Time the server has to ack a packet (default: 5000)
+  --duration <seconds>    Disconnect and print the conformance report after this long
+  --help                  Show this help
+`;
+
+let args;
+try {
+  args = parseArgs({
+    options: {
+      host: { type: "string", default: "127.0.0.1" },
+      port: { type: "string", default: process.env.CONCOX_PORT || "5027" },
+      imei: { type: "string", default: "123456789012345" },
+      devices: { type: "string", default: "1" },
+      route: { type: "string" },
+      speed: { type: "string", default: "40" },
+      once: { type: "boolean", default: false },
+      interval: { type: "string", default: "10" },
+      heartbeat: { type: "string", default: "60" },
+      voltage: { type: "string" },
+      alarm: { type: "string" },
+      wifi: { type: "boolean", default: false },
+      "ack-timeout": { type: "string", default: "5000" },
+      duration: { type: "string" },
+      help: { type: "boolean", default: false },
+    },
+  }).values;
+} catch (error) {
+  console.error(`${error.message}\n\n${USAGE}`);
+  process.exit(2);
+}
+
+if (args.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+const route = args.route ? loadRoute(args.route) : null;
+const deviceCount = Math.max(1, parseInt(args.devices, 10) || 1);
+const simulators = [];
+
+/**
+ * IMEI of the nth simulated device (consecutive numbers, same width)
+ */
+function imeiFor(index) {
+  return (BigInt(args.imei) + BigInt(index)).toString().padStart(args.imei.length, "0");
+}
+
+async function runDevice(index) {
+  const imei = imeiFor(index);
+  const simulator = new DeviceSimulator({
+    host: args.host,
+    port: Number(args.port),
+    imei,
+    route,
+    speed: Number(args.speed),
+    loop: !args.once,
+    locationIntervalMs: Number(args.interval) * 1000,
+    heartbeatIntervalMs: Number(args.heartbeat) * 1000,
+    voltageIntervalMs: args.voltage ? Number(args.voltage) * 1000 : null,
+    ackTimeoutMs: Number(args["ack-timeout"]),
+  });
+  simulators.push(simulator);
+
+  simulator.on("command", ({ command, response }) => {
+    console.log(`📥 ${imei} command "${command}" -> "${response}"`);
+  });
+  simulator.on("violation", (violation) => {
+    console.log(`❌ ${imei} ${violation.type}: ${violation.message}`);
+  });
+  simulator.on("close", () => {
+    console.log(`🔌 ${imei} disconnected`);
+  });
+
+  await simulator.start();
+  console.log(`✅ ${imei} logged in to ${args.host}:${args.port}`);
+
+  if (args.alarm) {
+    await simulator.sendAlarm(args.alarm);
+    console.log(`🚨 ${imei} alarm ${args.alarm} acknowledged`);
+  }
+  if (args.wifi) {
+    await simulator.sendWiFi();
+    console.log(`📶 ${imei} WiFi scan acknowledged`);
+  }
+}
+
+async function finish() {
+  await Promise.all(simulators.map((simulator) => simulator.stop()));
+  const reports = simulators.map((simulator) => simulator.report());
+  console.log(JSON.stringify(reports.length === 1 ? reports[0] : reports, null, 2));
+  const failed = reports.some((report) => report.violations.length > 0);
+  console.log(failed ? "❌ Protocol violations found" : "✅ No protocol violations");
+  process.exit(failed ? 1 : 0);
+}
+
+const results = await Promise.allSettled(
+  Array.from({ length: deviceCount }, (_, index) => runDevice(index)),
+);
+for (const result of results) {
+  if (result.status === "rejected") {
+    console.log(`❌ ${result.reason.message}`);
+  }
+}
+if (results.every((result) => result.status === "rejected")) {
+  process.exit(1);
+}
+
+if (args.duration) {
+  setTimeout(finish, Number(args.duration) * 1000);
+}
+process.on("SIGINT", finish);
+process.on("SIGTERM", finish);
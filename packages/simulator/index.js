@@ -0,0 +1,506 @@
+/**
+ * Concox V5 device simulator
+ * Connects to a server over TCP and behaves like a tracker: logs in, sends
+ * heartbeats, positions along a route, alarms, WiFi and voltage reports, and
+ * answers online commands. Every server frame is checked (CRC, stop bytes,
+ * acked protocol and echoed serial), so a run doubles as a conformance check.
+ */
+
+import net from "net";
+import { EventEmitter } from "events";
+import { ALARM_TYPES, createAlarmPacket } from "../protocols/alarm.js";
+import { createCommandResponsePacket } from "../protocols/command-response.js";
+import { createGPSLocationPacket } from "../protocols/gps.js";
+import { createHeartbeatPacket } from "../protocols/heartbeat.js";
+import { createInformationTransmissionPacket } from "../protocols/information-transmission.js";
+import { createLoginPacket } from "../protocols/login.js";
+import { createWiFiPacket } from "../protocols/wifi.js";
+import { getHeaderSize, parsePacket } from "../shared/parser.js";
+import { PROTOCOL_NUMBERS, getProtocolName } from "../shared/protocols.js";
+import { RouteFollower } from "./route.js";
+
+export * from "./route.js";
+
+/**
+ * Packets the server must acknowledge by echoing the protocol number and serial
+ */
+export const ACKED_PROTOCOLS = [
+  PROTOCOL_NUMBERS.LOGIN,
+  PROTOCOL_NUMBERS.HEARTBEAT,
+  PROTOCOL_NUMBERS.ALARM,
+  PROTOCOL_NUMBERS.WIFI,
+];
+
+const DEFAULT_OPTIONS = {
+  host: "127.0.0.1",
+  port: 5027,
+  imei: "123456789012345",
+  typeId: 0x3608,
+  timezoneOffsetMinutes: 0,
+  heartbeatIntervalMs: 60000,
+  locationIntervalMs: 10000,
+  voltageIntervalMs: null, // 0x94 voltage reports are off unless set
+  ackTimeoutMs: 5000,
+  position: { latitude: 22.5448, longitude: 114.0225 },
+  route: null,
+  speed: 40, // km/h along the route
+  loop: true,
+  cell: { mcc: 460, mnc: 0, lac: 0x287d, cellId: 0x1f71 },
+  batteryVoltage: 12.6,
+  acc: true,
+};
+
+/**
+ * Replies to online commands, by command text (case-insensitive). A reply is
+ * a string or a function of the simulator returning one.
+ */
+export const DEFAULT_COMMAND_REPLIES = {
+  "RELAY,1#": (device) => {
+    device.status.relayCut = true;
+    return "Cut off the fuel supply: Success!";
+  },
+  "RELAY,0#": (device) => {
+    device.status.relayCut = false;
+    return "Restore fuel supply: Success!";
+  },
+  "STATUS#": (device) =>
+    `Battery:${device.options.batteryVoltage.toFixed(2)}V,NORMAL; GPRS:Link Up; GSM Signal Level:Strong; ` +
+    `GPS:Successful positioning, SVS Used in fix:9(12); ACC:${device.status.acc ? "ON" : "OFF"}; ` +
+    `Defense:${device.status.defense ? "ON" : "OFF"}`,
+  "WHERE#": (device) => {
+    const { latitude, longitude, course, speed } = device.currentPosition();
+    return (
+      `Lat:${latitude >= 0 ? "N" : "S"}${Math.abs(latitude).toFixed(6)},` +
+      `Lon:${longitude >= 0 ? "E" : "W"}${Math.abs(longitude).toFixed(6)},` +
+      `Course:${course},Speed:${speed}km/h,DateTime:${device.now().toISOString().slice(0, 19).replace("T", " ")}`
+    );
+  },
+  "PARAM#": (device) =>
+    `IMEI:${device.options.imei};TIMER:${Math.round(device.options.locationIntervalMs / 1000)};` +
+    `HBT:${Math.round(device.options.heartbeatIntervalMs / 60000)};SERVER:${device.options.host},${device.options.port}`,
+};
+
+/**
+ * Resolve an alarm given as a byte, hex string ("0x01") or ALARM_TYPES name ("SOS")
+ * @param {number|string} alarm - Alarm
+ * @returns {number} Alarm byte
+ */
+export function resolveAlarm(alarm) {
+  if (typeof alarm === "number") return alarm;
+  if (/^0x[0-9a-f]{1,2}$/i.test(alarm)) {
+    return parseInt(alarm, 16);
+  }
+  const wanted = String(alarm).toLowerCase();
+  for (const [byte, name] of Object.entries(ALARM_TYPES)) {
+    const lower = name.toLowerCase();
+    if (lower === wanted || lower.replace(/ alarm$/, "") === wanted) {
+      return Number(byte);
+    }
+  }
+  throw new Error(`Unknown alarm "${alarm}"`);
+}
+
+export class DeviceSimulator extends EventEmitter {
+  /**
+   * @param {Object} options - Simulator options (see DEFAULT_OPTIONS)
+   * @param {string} options.host - Server host
+   * @param {number} options.port - Server TCP port
+   * @param {string} options.imei - Device IMEI (15 digits)
+   * @param {number} options.heartbeatIntervalMs - Heartbeat (0x13) interval; 0 disables
+   * @param {number} options.locationIntervalMs - Position (0x22) interval; 0 disables
+   * @param {number|null} options.voltageIntervalMs - External voltage (0x94) interval
+   * @param {number} options.ackTimeoutMs - How long the server has to acknowledge a packet
+   * @param {Array|null} options.route - Route points to follow; without one the device stands at options.position
+   * @param {Object} options.commandReplies - Extra or overriding replies (see DEFAULT_COMMAND_REPLIES)
+   * @param {Function} options.now - Clock, for deterministic runs (default: () => new Date())
+   */
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.now = this.options.now || (() => new Date());
+    this.commandReplies = Object.fromEntries(
+      Object.entries({ ...DEFAULT_COMMAND_REPLIES, ...this.options.commandReplies }).map(
+        ([command, reply]) => [command.toUpperCase(), reply],
+      ),
+    );
+    this.route = this.options.route
+      ? new RouteFollower(this.options.route, { speed: this.options.speed, loop: this.options.loop })
+      : null;
+    this.status = {
+      relayCut: false,
+      acc: this.options.acc,
+      defense: false,
+      charging: true,
+    };
+    this.mileage = 0;
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.serialNumber = 0;
+    this.timers = [];
+    this.pendingAcks = new Map(); // "<protocol>:<serial>" -> { timer, resolve, reject }
+    this.lastMoveAt = null;
+    this.stats = { sent: {}, acked: {}, commands: 0 };
+    this.violations = [];
+  }
+
+  nextSerial() {
+    // Serial numbers wrap and skip 0
+    this.serialNumber = (this.serialNumber % 0xffff) + 1;
+    return this.serialNumber;
+  }
+
+  /**
+   * Connect and log in
+   * @returns {Promise<void>} Resolves when the server acknowledges the login
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(this.options.port, this.options.host);
+      this.socket = socket;
+
+      socket.on("data", (chunk) => this.handleData(chunk));
+      socket.on("close", () => {
+        this.stopTimers();
+        this.failPendingAcks(new Error("Connection closed"));
+        this.socket = null;
+        this.emit("close");
+      });
+      socket.once("error", reject);
+      socket.once("connect", () => {
+        socket.off("error", reject);
+        socket.on("error", (error) => this.emit("socketError", error));
+        this.emit("connect");
+        this.sendLogin().then(resolve, reject);
+      });
+    });
+  }
+
+  /**
+   * Connect, log in and start the periodic heartbeat, position and voltage reports
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await this.connect();
+    const { heartbeatIntervalMs, locationIntervalMs, voltageIntervalMs } = this.options;
+    this.sendLocation();
+
+    const every = (interval, send) => {
+      if (!interval) return;
+      const timer = setInterval(() => {
+        // Ack failures are recorded as violations; nothing else to do here
+        Promise.resolve(send()).catch(() => {});
+      }, interval);
+      this.timers.push(timer);
+    };
+    every(heartbeatIntervalMs, () => this.sendHeartbeat());
+    every(locationIntervalMs, () => this.sendLocation());
+    every(voltageIntervalMs, () => this.sendVoltage());
+  }
+
+  stopTimers() {
+    for (const timer of this.timers) {
+      clearInterval(timer);
+    }
+    this.timers = [];
+  }
+
+  /**
+   * Stop reporting and disconnect
+   * @returns {Promise<void>} Resolves once the socket is closed
+   */
+  stop() {
+    this.stopTimers();
+    if (!this.socket) return Promise.resolve();
+    return new Promise((resolve) => {
+      this.socket.once("close", resolve);
+      this.socket.end();
+    });
+  }
+
+  /**
+   * Write a packet; packets the server must ack resolve once it does
+   * @param {number} protocolNumber - Protocol number
+   * @param {Buffer} packet - Complete packet
+   * @param {number} serialNumber - Serial number in the packet
+   * @returns {Promise<void>}
+   */
+  send(protocolNumber, packet, serialNumber) {
+    if (!this.socket) {
+      return Promise.reject(new Error("Simulator is not connected"));
+    }
+
+    const name = getProtocolName(protocolNumber);
+    this.stats.sent[name] = (this.stats.sent[name] || 0) + 1;
+    this.socket.write(packet);
+    this.emit("sent", { protocolNumber, serialNumber, packet });
+
+    if (!ACKED_PROTOCOLS.includes(protocolNumber)) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const key = `${protocolNumber}:${serialNumber}`;
+      const timer = setTimeout(() => {
+        this.pendingAcks.delete(key);
+        const error = this.violation("ackTimeout", `No ${name} ack for serial ${serialNumber}`, {
+          protocolNumber,
+          serialNumber,
+        });
+        reject(error);
+      }, this.options.ackTimeoutMs);
+      this.pendingAcks.set(key, { timer, resolve, reject });
+    });
+  }
+
+  failPendingAcks(error) {
+    for (const { timer, reject } of this.pendingAcks.values()) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    this.pendingAcks.clear();
+  }
+
+  /**
+   * Record a conformance problem with the server's frames
+   * @returns {Error} Error describing it, with code set to the violation type
+   */
+  violation(type, message, details = {}) {
+    const entry = { type, message, ...details, at: new Date().toISOString() };
+    this.violations.push(entry);
+    this.emit("violation", entry);
+    const error = new Error(message);
+    error.code = type;
+    return error;
+  }
+
+  handleData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let result;
+    while ((result = parsePacket(this.buffer))) {
+      this.buffer = result.remaining;
+      if (result.rejected) {
+        const { reason, protocolNumber, expectedCRC, actualCRC, frame } = result.rejected;
+        this.violation(reason === "crc" ? "badCrc" : "badFrame", `Server sent a frame with a bad ${reason}`, {
+          protocolNumber,
+          expectedCRC,
+          actualCRC,
+          hex: frame.toString("hex").toUpperCase(),
+        });
+      } else if (!result.packet) {
+        this.violation("garbage", `Server sent ${result.discardedBytes} byte(s) outside any frame`);
+      } else {
+        this.handlePacket(result.packet, result.protocolNumber);
+      }
+    }
+  }
+
+  handlePacket(packet, protocolNumber) {
+    this.emit("packet", { protocolNumber, packet });
+
+    if (protocolNumber === PROTOCOL_NUMBERS.ONLINE_COMMAND) {
+      this.handleCommand(packet);
+      return;
+    }
+
+    const hex = packet.toString("hex").toUpperCase();
+    if (!ACKED_PROTOCOLS.includes(protocolNumber)) {
+      this.violation("unexpectedPacket", `Server sent unexpected protocol 0x${protocolNumber.toString(16)}`, {
+        protocolNumber,
+        hex,
+      });
+      return;
+    }
+
+    const serialNumber = packet.readUInt16BE(packet.length - 6);
+    const key = `${protocolNumber}:${serialNumber}`;
+    const pending = this.pendingAcks.get(key);
+    if (!pending) {
+      this.violation(
+        "unexpectedAck",
+        `${getProtocolName(protocolNumber)} ack for serial ${serialNumber} matches no packet awaiting one`,
+        { protocolNumber, serialNumber, hex },
+      );
+      return;
+    }
+
+    this.pendingAcks.delete(key);
+    clearTimeout(pending.timer);
+    const name = getProtocolName(protocolNumber);
+    this.stats.acked[name] = (this.stats.acked[name] || 0) + 1;
+    this.emit("ack", { protocolNumber, serialNumber });
+    pending.resolve();
+  }
+
+  /**
+   * Answer an online command (0x80) with a 0x21 reply echoing its server flag
+   */
+  handleCommand(packet) {
+    const headerSize = getHeaderSize(packet);
+    const commandLength = packet[headerSize + 1];
+    // Command length = Server flag(4) + Command(N) + Language(2)
+    if (headerSize + 2 + commandLength !== packet.length - 6) {
+      this.violation("badCommandLength", "Online command length doesn't match the frame", {
+        commandLength,
+        hex: packet.toString("hex").toUpperCase(),
+      });
+      return;
+    }
+
+    const serverFlag = packet.subarray(headerSize + 2, headerSize + 6);
+    const command = packet.subarray(headerSize + 6, headerSize + commandLength).toString("ascii");
+    const reply = this.commandReplies[command.trim().toUpperCase()];
+    const response =
+      typeof reply === "function" ? reply(this, command) : reply ?? `Unknown command: ${command}`;
+
+    this.stats.commands += 1;
+    this.emit("command", { command, serverFlag: serverFlag.toString("hex").toUpperCase(), response });
+    const serialNumber = this.nextSerial();
+    this.send(
+      PROTOCOL_NUMBERS.COMMAND_RESPONSE,
+      createCommandResponsePacket({ serverFlag, response, serialNumber }),
+      serialNumber,
+    );
+  }
+
+  /**
+   * Where the device is now, moving it along its route first
+   * @returns {{latitude: number, longitude: number, course: number, speed: number}}
+   */
+  currentPosition() {
+    if (!this.route) {
+      return { ...this.options.position, course: 0, speed: 0 };
+    }
+
+    const now = Date.now();
+    const elapsed = this.lastMoveAt ? (now - this.lastMoveAt) / 1000 : 0;
+    this.lastMoveAt = now;
+    const position = this.route.advance(elapsed);
+    this.mileage += (position.speed / 3.6) * elapsed;
+    return position;
+  }
+
+  /**
+   * Terminal information byte used by heartbeats and alarms
+   * @returns {number}
+   */
+  terminalInfo() {
+    const { relayCut, charging, acc, defense } = this.status;
+    return (relayCut ? 0x80 : 0) | 0x40 | (charging ? 0x04 : 0) | (acc ? 0x02 : 0) | (defense ? 0x01 : 0);
+  }
+
+  sendLogin() {
+    const serialNumber = this.nextSerial();
+    const { imei, typeId, timezoneOffsetMinutes } = this.options;
+    return this.send(
+      PROTOCOL_NUMBERS.LOGIN,
+      createLoginPacket({ imei, typeId, timezoneOffsetMinutes, serialNumber }),
+      serialNumber,
+    );
+  }
+
+  sendHeartbeat() {
+    const serialNumber = this.nextSerial();
+    return this.send(
+      PROTOCOL_NUMBERS.HEARTBEAT,
+      createHeartbeatPacket({ terminalInfo: this.terminalInfo(), serialNumber }),
+      serialNumber,
+    );
+  }
+
+  /**
+   * Send a position fix (0x22) for the current point on the route
+   * @returns {Promise<void>}
+   */
+  sendLocation() {
+    const position = this.currentPosition();
+    const serialNumber = this.nextSerial();
+    return this.send(
+      PROTOCOL_NUMBERS.GPS_LOCATION,
+      createGPSLocationPacket({
+        datetime: this.now(),
+        ...position,
+        satellites: 9,
+        lbs: this.options.cell,
+        acc: this.status.acc ? 0x01 : 0x00,
+        mileage: this.mileage,
+        serialNumber,
+      }),
+      serialNumber,
+    );
+  }
+
+  /**
+   * Send an alarm (0x26) at the current position
+   * @param {number|string} alarm - Alarm byte or name, e.g. "SOS" (default)
+   * @returns {Promise<void>} Resolves when the server acks it
+   */
+  sendAlarm(alarm = "SOS") {
+    const position = this.currentPosition();
+    const serialNumber = this.nextSerial();
+    return this.send(
+      PROTOCOL_NUMBERS.ALARM,
+      createAlarmPacket({
+        datetime: this.now(),
+        gpsData: { ...position, satellites: 9 },
+        lbs: this.options.cell,
+        terminalInfo: this.terminalInfo(),
+        alarmByte: resolveAlarm(alarm),
+        serialNumber,
+      }),
+      serialNumber,
+    );
+  }
+
+  /**
+   * Send a WiFi scan (0x2C)
+   * @param {Array<{mac: string, signal: number, ssid: string}>} accessPoints - Access points (default: two sample APs)
+   * @returns {Promise<void>} Resolves when the server acks it
+   */
+  sendWiFi(accessPoints) {
+    const serialNumber = this.nextSerial();
+    return this.send(
+      PROTOCOL_NUMBERS.WIFI,
+      createWiFiPacket({
+        datetime: this.now(),
+        lbs: { mainBase: { ...this.options.cell, rssi: 0x50 }, neighbors: [] },
+        accessPoints: accessPoints || [
+          { mac: "50:8F:4C:21:5A:10", signal: -58, ssid: "Depot-Office" },
+          { mac: "9C:53:22:0B:71:E4", signal: -71, ssid: "Depot-Guest" },
+        ],
+        serialNumber,
+      }),
+      serialNumber,
+    );
+  }
+
+  /**
+   * Send the external power voltage (0x94 sub-protocol 0x00)
+   * @param {number} voltage - Volts (default: options.batteryVoltage)
+   * @returns {Promise<void>}
+   */
+  sendVoltage(voltage = this.options.batteryVoltage) {
+    const serialNumber = this.nextSerial();
+    return this.send(
+      PROTOCOL_NUMBERS.INFORMATION_TRANSMISSION,
+      createInformationTransmissionPacket({ subProtocol: 0x00, data: { voltage }, serialNumber }),
+      serialNumber,
+    );
+  }
+
+  /**
+   * Conformance summary for this run
+   * @returns {{imei: string, sent: Object, acked: Object, commands: number, pendingAcks: number, violations: Object[]}}
+   */
+  report() {
+    return {
+      imei: this.options.imei,
+      sent: { ...this.stats.sent },
+      acked: { ...this.stats.acked },
+      commands: this.stats.commands,
+      pendingAcks: this.pendingAcks.size,
+      violations: [...this.violations],
+    };
+  }
+}
+
+export default DeviceSimulator;
@@ -0,0 +1,180 @@
+/**
+ * Routes for the device simulator
+ * Loads scripted or GPX routes and moves a simulated device along them.
+ */
+
+import fs from "fs";
+import path from "path";
+import { haversineDistance, initialBearing } from "../shared/index.js";
+
+/**
+ * Parse a scripted route: "lat,lon;lat,lon;..."
+ * @param {string} text - Route text
+ * @returns {Array<{latitude: number, longitude: number}>}
+ */
+export function parseRouteText(text) {
+  return text
+    .split(";")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const [latitude, longitude] = pair.split(",").map(Number);
+      if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+        throw new Error(`Invalid route point "${pair}", expected "lat,lon"`);
+      }
+      return { latitude, longitude };
+    });
+}
+
+/**
+ * Extract points from a GPX document: track points, else route points, else waypoints.
+ * Point times are kept so the simulator can replay the recorded speed.
+ * @param {string} xml - GPX document
+ * @returns {Array<{latitude: number, longitude: number, time: string|null}>}
+ */
+export function parseGPX(xml) {
+  for (const tag of ["trkpt", "rtept", "wpt"]) {
+    const pattern = new RegExp(`<${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${tag}>)`, "g");
+    const points = [];
+    for (const [, attributes, body = ""] of xml.matchAll(pattern)) {
+      const latitude = Number((attributes.match(/\blat="([^"]+)"/) || [])[1]);
+      const longitude = Number((attributes.match(/\blon="([^"]+)"/) || [])[1]);
+      if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) continue;
+      const time = (body.match(/<time>([^<]+)<\/time>/) || [])[1];
+      points.push({ latitude, longitude, time: time ? time.trim() : null });
+    }
+    if (points.length > 0) return points;
+  }
+  throw new Error("GPX contains no trkpt, rtept or wpt points");
+}
+
+/**
+ * Load a route from a .gpx or .json file ([{latitude, longitude}] or [[lat, lon]]),
+ * or parse it as scripted "lat,lon;lat,lon" text
+ * @param {string} source - File path or route text
+ * @returns {Array<{latitude: number, longitude: number, time?: string|null}>}
+ */
+export function loadRoute(source) {
+  if (!fs.existsSync(source)) {
+    return parseRouteText(source);
+  }
+
+  const text = fs.readFileSync(source, "utf8");
+  const extension = path.extname(source).toLowerCase();
+  if (extension === ".gpx") {
+    return parseGPX(text);
+  }
+  if (extension === ".json") {
+    return JSON.parse(text).map((point) =>
+      Array.isArray(point)
+        ? { latitude: point[0], longitude: point[1] }
+        : { latitude: point.latitude, longitude: point.longitude, time: point.time || null },
+    );
+  }
+  return parseRouteText(text);
+}
+
+/**
+ * Moves along a route at a constant speed, or at the speed implied by point
+ * times when both ends of a segment have one. At the end it either starts
+ * over from the first point or stays at the last one.
+ */
+export class RouteFollower {
+  /**
+   * @param {Array<{latitude: number, longitude: number, time?: string}>} points - Route points
+   * @param {Object} options - Follower options
+   * @param {number} options.speed - Speed in km/h for segments without times (default: 40)
+   * @param {boolean} options.loop - Start over at the end of the route (default: true)
+   */
+  constructor(points, options = {}) {
+    if (!points || points.length === 0) {
+      throw new Error("Route needs at least one point");
+    }
+    this.points = points;
+    this.speed = options.speed ?? 40;
+    this.loop = options.loop ?? true;
+    this.segment = 0;
+    this.offset = 0; // meters into the current segment
+    // A single point, or all points on top of each other, means standing still
+    this.finished = points.every(
+      (point) => point.latitude === points[0].latitude && point.longitude === points[0].longitude,
+    );
+  }
+
+  segmentLength(index) {
+    const a = this.points[index];
+    const b = this.points[index + 1];
+    return haversineDistance(a.latitude, a.longitude, b.latitude, b.longitude);
+  }
+
+  /**
+   * Speed on a segment in km/h
+   */
+  segmentSpeed(index) {
+    const a = this.points[index];
+    const b = this.points[index + 1];
+    if (a.time && b.time) {
+      const seconds = (Date.parse(b.time) - Date.parse(a.time)) / 1000;
+      if (seconds > 0) {
+        return (this.segmentLength(index) / seconds) * 3.6;
+      }
+    }
+    return this.speed;
+  }
+
+  /**
+   * Move forward in time
+   * @param {number} seconds - Elapsed time
+   * @returns {Object} The new position (see position())
+   */
+  advance(seconds) {
+    let remaining = seconds;
+    while (remaining > 0 && !this.finished) {
+      const length = this.segmentLength(this.segment);
+      const metersPerSecond = this.segmentSpeed(this.segment) / 3.6;
+      const timeToEnd = metersPerSecond > 0 ? (length - this.offset) / metersPerSecond : Infinity;
+
+      if (remaining < timeToEnd) {
+        this.offset += metersPerSecond * remaining;
+        break;
+      }
+
+      remaining -= timeToEnd;
+      this.offset = 0;
+      this.segment += 1;
+      if (this.segment >= this.points.length - 1) {
+        if (this.loop) {
+          this.segment = 0;
+        } else {
+          this.segment = this.points.length - 2;
+          this.offset = this.segmentLength(this.segment);
+          this.finished = true;
+        }
+      }
+    }
+    return this.position();
+  }
+
+  /**
+   * Current position, heading and speed
+   * @returns {{latitude: number, longitude: number, course: number, speed: number, finished: boolean}}
+   */
+  position() {
+    if (this.points.length === 1 || (this.finished && this.segment === 0 && this.offset === 0)) {
+      const [point] = this.points;
+      return { latitude: point.latitude, longitude: point.longitude, course: 0, speed: 0, finished: true };
+    }
+
+    const a = this.points[this.segment];
+    const b = this.points[this.segment + 1];
+    const length = this.segmentLength(this.segment);
+    const fraction = length > 0 ? Math.min(1, this.offset / length) : 1;
+    return {
+      latitude: a.latitude + (b.latitude - a.latitude) * fraction,
+      longitude: a.longitude + (b.longitude - a.longitude) * fraction,
+      course: initialBearing(a.latitude, a.longitude, b.latitude, b.longitude),
+      speed: this.finished ? 0 : Math.round(this.segmentSpeed(this.segment)),
+      finished: this.finished,
+    };
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * Generate the packet documentation from the protocol schemas:
+ * PARSED_PACKET_STRUCTURES.md, Parsed_Packet_Structures.xlsx and the two CSVs.
+ * Run: npm run docs:packets
+ */
+
+import fs from "fs";
+import XLSX from "xlsx";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import { PACKET_SCHEMAS } from "../packages/protocols/schemas.js";
+import { describeSchema } from "../packages/shared/schema.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const rootDir = join(__dirname, "..");
+
+const hex = (value) => `0x${value.toString(16).toUpperCase().padStart(2, "0")}`;
+
+const packets = PACKET_SCHEMAS.map((schema) => ({
+  schema,
+  protocol: hex(schema.protocolNumber),
+  heading: `${schema.name} (${hex(schema.protocolNumber)}) — ${schema.parser}(packet)`,
+  ...describeSchema(schema),
+}));
+
+// Markdown table cells can't hold pipes or newlines
+const cell = (text) => String(text).replace(/\|/g, "\\|").replace(/\n/g, " ");
+
+function markdown() {
+  const lines = [
+    "# Parsed Packet Structures — Device-Sent Packets (Concox V5)",
+    "",
+    "This document describes the **wire layout** and the **parsed object structure** returned by each protocol parser for every packet type the **device sends** to the server.",
+    "",
+    "The layout covers the information content: after the protocol number, before the serial number. Every parsed result also carries `serialNumber`.",
+    "",
+    "---",
+    "",
+  ];
+
+  packets.forEach(({ schema, protocol, layout, fields }, i) => {
+    lines.push(`## ${i + 1}. ${schema.name} (${protocol}) — \`${schema.parser}(packet)\``, "");
+    lines.push(`${schema.description}.`, "");
+    if (schema.long) lines.push("Always sent in the long (0x79 0x79) format.", "");
+    if (schema.resultFields) lines.push("The parser is hand-written; the layout below is what the encoder writes.", "");
+
+    if (layout.length > 0) {
+      lines.push("| Field | Bytes | Type | Description |", "|-------|-------|------|-------------|");
+      for (const row of layout) {
+        lines.push(`| \`${row.path}\` | ${cell(row.size)} | ${row.type} | ${cell(row.description)} |`);
+      }
+    } else {
+      lines.push("No information content.");
+    }
+    lines.push("", "**Parsed result:**", "", "| Field | Type | Description |", "|-------|------|-------------|");
+    for (const row of fields) {
+      lines.push(`| \`${row.path}\` | ${cell(row.type)} | ${cell(row.description)} |`);
+    }
+    lines.push("", "---", "");
+  });
+
+  lines.push("## Protocol number quick reference", "", "| Protocol | Number | Parser |", "|----------|--------|--------|");
+  for (const { schema, protocol } of packets) {
+    lines.push(`| ${schema.name} | ${protocol} | \`${schema.parser}\` |`);
+  }
+  lines.push(
+    "",
+    "---",
+    "",
+    "*Generated by `npm run docs:packets` from the packet schemas in `packages/protocols` — edit the schemas, not this file.*",
+    "",
+  );
+  return lines.join("\n");
+}
+
+function csv(rows) {
+  const quote = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  return rows.map((row) => row.map((value) => quote(String(value))).join(",")).join("\n") + "\n";
+}
+
+// Excel: separate table per packet type; packet type = heading row; columns = Field | Data Type | Description; one empty row between tables
+function workbook() {
+  const data = [];
+  const merges = []; // merge packet-type heading across A:C
+
+  packets.forEach(({ heading, fields }, i) => {
+    merges.push({ s: { r: data.length, c: 0 }, e: { r: data.length, c: 2 } });
+    data.push([heading, "", ""]);
+    data.push(["Field", "Data Type", "Description"]);
+    for (const row of fields) {
+      data.push([row.path, row.type, row.description]);
+    }
+    if (i < packets.length - 1) {
+      data.push(["", "", ""]);
+    }
+  });
+
+  const layout = [["Protocol", "Field", "Bytes", "Type", "Description"]];
+  for (const { protocol, layout: rows } of packets) {
+    for (const row of rows) {
+      layout.push([protocol, row.path, row.size, row.type, row.description]);
+    }
+  }
+
+  const wb = XLSX.utils.book_new();
+  const ws = XLSX.utils.aoa_to_sheet(data);
+  ws["!merges"] = merges;
+  ws["!cols"] = [{ wch: 52 }, { wch: 40 }, { wch: 100 }];
+  XLSX.utils.book_append_sheet(wb, ws, "Parsed Packet Structures");
+
+  const layoutSheet = XLSX.utils.aoa_to_sheet(layout);
+  layoutSheet["!cols"] = [{ wch: 10 }, { wch: 40 }, { wch: 20 }, { wch: 10 }, { wch: 100 }];
+  XLSX.utils.book_append_sheet(wb, layoutSheet, "Wire Layout");
+  return wb;
+}
+
+const outputs = {
+  "PARSED_PACKET_STRUCTURES.md": markdown(),
+  "Parsed_Packet_Structures_Overview.csv": csv([
+    ["Protocol Number", "Protocol Name", "Parser Function", "Description"],
+    ...packets.map(({ schema, protocol }) => [protocol, schema.name, schema.parser, schema.description]),
+  ]),
+  "Parsed_Packet_Structures_Fields.csv": csv([
+    ["Protocol Number", "Packet Name", "Field Path", "Data Type", "Description"],
+    ...packets.flatMap(({ schema, protocol, fields }) =>
+      fields.map((row) => [protocol, schema.name, row.path, row.type, row.description]),
+    ),
+  ]),
+};
+
+for (const [file, content] of Object.entries(outputs)) {
+  fs.writeFileSync(join(rootDir, file), content);
+  console.log("Written:", join(rootDir, file));
+}
+
+const xlsxPath = join(rootDir, "Parsed_Packet_Structures.xlsx");
+XLSX.writeFile(workbook(), xlsxPath);
+console.log("Written:", xlsxPath);
@@ -0,0 +1,141 @@
+/**
+ * GT06 address requests: reply framing for English (0x97) and Chinese (0x17)
+ * addresses, truncation to the one-byte lengths, and the server's replies
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createAddressResponse,
+  createGPSAddressRequestPacket,
+  createLBSAddressRequestPacket,
+} from '../packages/protocols/index.js';
+import { parsePacket } from '../packages/shared/index.js';
+import { DeviceSimulator } from '../packages/simulator/index.js';
+
+process.env.CONCOX_PORT = '0';
+const { default: ConcoxV5Server } = await import('../packages/server/index.js');
+
+const IMEI = '351608080779288';
+const PHONE = '+8613800138000';
+const DATETIME = { year: 2024, month: 12, day: 15, hour: 10, minute: 30, second: 0 };
+
+/**
+ * Split a reply into its frame fields, checking the frame itself (lengths, CRC, stop bits)
+ */
+function readReply(reply) {
+  const parsed = parsePacket(reply);
+  assert.ok(parsed.packet, 'reply is a valid frame');
+  assert.equal(parsed.remaining.length, 0);
+  const long = reply[0] === 0x79;
+  const headerSize = long ? 4 : 3;
+  const commandLength = reply[headerSize + 1];
+  const command = reply.subarray(headerSize + 2, reply.length - 6);
+  assert.equal(command.length, commandLength, 'command length byte matches the command');
+  return {
+    long,
+    protocolNumber: parsed.protocolNumber,
+    packetLength: long ? reply.readUInt16BE(2) : reply[2],
+    serverFlag: command.subarray(0, 4).toString('hex'),
+    text: command.subarray(4),
+    serialNumber: reply.readUInt16BE(reply.length - 6),
+  };
+}
+
+test('an English reply is 0x97 in the 0x79 0x79 format with an ASCII address', () => {
+  const reply = readReply(
+    createAddressResponse({ address: '1 Main St', phoneNumber: PHONE, language: 0x02, serialNumber: 5 }),
+  );
+  assert.equal(reply.long, true);
+  assert.equal(reply.protocolNumber, 0x97);
+  assert.equal(reply.serverFlag, '00000000');
+  assert.equal(reply.serialNumber, 5);
+  assert.equal(reply.text.toString('ascii'), `ADDRESS&&1 Main St&&${PHONE.padEnd(21, '\0')}##`);
+});
+
+test('a Chinese reply is 0x17 in the 0x78 0x78 format with a UTF-16BE address', () => {
+  const reply = readReply(
+    createAddressResponse({ address: '深圳市', phoneNumber: PHONE, language: 'Chinese', serialNumber: 6 }),
+  );
+  assert.equal(reply.long, false);
+  assert.equal(reply.protocolNumber, 0x17);
+  assert.equal(reply.text.subarray(0, 9).toString('ascii'), 'ADDRESS&&');
+  assert.deepEqual(reply.text.subarray(9, 15), Buffer.from([0x6d, 0xf1, 0x57, 0x33, 0x5e, 0x02]));
+  assert.equal(reply.text.subarray(15, 17).toString('ascii'), '&&');
+});
+
+test('long addresses are cut so the lengths still fit in one byte', () => {
+  const english = readReply(createAddressResponse({ address: 'x'.repeat(400), language: 0x02, serialNumber: 1 }));
+  assert.equal(english.text.length + 4, 0xff);
+
+  // Odd byte budget: the cut falls on a character boundary
+  const chinese = readReply(createAddressResponse({ address: '路'.repeat(400), language: 0x01, serialNumber: 1 }));
+  assert.ok(chinese.packetLength <= 0xff);
+  const address = chinese.text.subarray(9, chinese.text.length - 25);
+  assert.equal(address.length % 2, 0);
+  assert.equal(Buffer.from(address).swap16().toString('utf16le'), '路'.repeat(address.length / 2));
+});
+
+test('the server answers a GPS request with the resolved address, and an LBS request with the cell', async (t) => {
+  const requests = [];
+  const server = new ConcoxV5Server({
+    storage: null,
+    webhooks: null,
+    resolveAddress: async (request) => {
+      requests.push(request);
+      if (request.lbs) throw new Error('No cell database');
+      return 'Depot, 1 Main St';
+    },
+  });
+  await server.start();
+  const sockets = new Set();
+  server.server.on('connection', (socket) => sockets.add(socket));
+  t.after(() => {
+    for (const socket of sockets) socket.destroy();
+    server.stop();
+  });
+
+  const device = new DeviceSimulator({ port: server.server.address().port, imei: IMEI });
+  t.after(() => device.stop());
+  await device.connect();
+  const nextReply = () =>
+    new Promise((resolve) => device.once('packet', ({ packet }) => resolve(readReply(packet))));
+
+  let reply = nextReply();
+  device.socket.write(
+    createGPSAddressRequestPacket({
+      datetime: DATETIME,
+      latitude: 22.5448,
+      longitude: 114.0225,
+      speed: 0,
+      course: 0,
+      satellites: 9,
+      gpsPositioned: true,
+      phoneNumber: PHONE,
+      alarmByte: 0x01,
+      languageByte: 0x02,
+      serialNumber: 0x20,
+    }),
+  );
+  const gps = await reply;
+  assert.equal(gps.protocolNumber, 0x97);
+  assert.equal(gps.serialNumber, 0x20);
+  assert.equal(gps.text.toString('ascii'), `ADDRESS&&Depot, 1 Main St&&${PHONE.padEnd(21, '\0')}##`);
+  assert.equal(requests[0].imei, IMEI);
+  assert.equal(requests[0].alarmType, 'SOS');
+
+  // The lookup fails, so the reply carries the serving cell
+  reply = nextReply();
+  device.socket.write(
+    createLBSAddressRequestPacket({
+      lbs: { mcc: 460, mnc: 0, lac: 0x287d, cellId: 0x1f71 },
+      phoneNumber: '',
+      alarmByte: 0x00,
+      languageByte: 0x02,
+      serialNumber: 0x21,
+    }),
+  );
+  const lbs = await reply;
+  assert.equal(lbs.serialNumber, 0x21);
+  assert.match(lbs.text.toString('ascii'), /^ADDRESS&&MCC:460 MNC:0 LAC:10365 CI:8049&&\0{21}##$/);
+});
@@ -0,0 +1,192 @@
+/**
+ * API access control: roles on routes, API keys and JWTs, the refusal when no
+ * credential is configured, the CORS allowlist, and WebSocket upgrade origins
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import WebSocket from 'ws';
+import { ApiAuth } from '../packages/server/auth.js';
+import { setupAPI } from '../packages/server/api.js';
+import { LIVE_WS_PATH } from '../packages/server/live.js';
+
+process.env.CONCOX_PORT = '0';
+const { default: ConcoxV5Server } = await import('../packages/server/index.js');
+
+const IMEI = '351608080779288';
+const SECRET = 'test-secret';
+const API_KEYS = [
+  { key: 'viewer-key', role: 'viewer', name: 'dashboard' },
+  { key: 'operator-key', role: 'operator', name: 'dispatch' },
+  { key: 'admin-key', role: 'admin', name: 'ops' },
+];
+const ORIGIN = 'https://fleet.example.com';
+
+/**
+ * Compact JWT signed with SECRET (or `secret`) using `alg`
+ */
+function sign(claims, { alg = 'HS256', secret = SECRET } = {}) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const body = `${encode({ alg, typ: 'JWT' })}.${encode(claims)}`;
+  const hash = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' }[alg] || 'sha256';
+  return `${body}.${crypto.createHmac(hash, secret).update(body).digest('base64url')}`;
+}
+
+function inOneHour() {
+  return Math.floor(Date.now() / 1000) + 3600;
+}
+
+/**
+ * HTTP API on a free port for a server that is never started
+ */
+async function startAPI(t, authOptions = {}) {
+  const server = new ConcoxV5Server({ storage: null, webhooks: null });
+  const app = setupAPI(server, 0, { auth: new ApiAuth({ apiKeys: API_KEYS, corsOrigins: [ORIGIN], ...authOptions }) });
+  const sockets = new Set();
+  app.httpServer.on('connection', (socket) => sockets.add(socket));
+  t.after(() => {
+    for (const socket of sockets) socket.destroy();
+    app.httpServer.close();
+    server.stop();
+  });
+  await new Promise((resolve) => app.httpServer.once('listening', resolve));
+  const url = `http://127.0.0.1:${app.httpServer.address().port}`;
+  const request = (route, { method = 'GET', headers = {}, body } = {}) =>
+    fetch(`${url}${route}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+      body: body && JSON.stringify(body),
+    });
+  return { url, request };
+}
+
+test('each route needs its role or a higher one', async (t) => {
+  const { request } = await startAPI(t);
+  const command = (key) =>
+    request(`/api/devices/${IMEI}/command`, { method: 'POST', headers: { 'X-API-Key': key }, body: { command: 'STATUS#' } });
+
+  const refused = await command('viewer-key');
+  assert.equal(refused.status, 403);
+  assert.deepEqual(await refused.json(), { success: false, error: 'Requires the operator role', role: 'viewer' });
+  // Past the role check, the device isn't connected
+  assert.equal((await command('operator-key')).status, 404);
+  assert.equal((await command('admin-key')).status, 404);
+
+  assert.equal((await request('/api/webhooks', { headers: { 'X-API-Key': 'operator-key' } })).status, 403);
+  // Admins get through; webhooks are disabled on this server
+  assert.equal((await request('/api/webhooks', { headers: { 'X-API-Key': 'admin-key' } })).status, 501);
+  assert.equal((await request('/api/devices', { headers: { Authorization: 'Bearer viewer-key' } })).status, 200);
+});
+
+test('missing or unknown credentials get 401', async (t) => {
+  const { request } = await startAPI(t, { jwtSecret: SECRET });
+
+  const missing = await request('/api/devices');
+  assert.equal(missing.status, 401);
+  assert.equal(missing.headers.get('www-authenticate'), 'Bearer realm="concox"');
+  assert.match((await missing.json()).error, /Authentication required/);
+
+  for (const headers of [{ 'X-API-Key': 'nope' }, { Authorization: 'Bearer nope' }, { Authorization: 'Basic dmlld2VyLWtleQ==' }]) {
+    assert.equal((await request('/api/devices', { headers })).status, 401, JSON.stringify(headers));
+  }
+  // ?access_token= is only read on the SSE stream
+  assert.equal((await request('/api/devices?access_token=viewer-key')).status, 401);
+  // The health check is outside /api
+  assert.equal((await request('/health')).status, 200);
+});
+
+test('with no API key or JWT secret configured every request is refused', async (t) => {
+  const { request } = await startAPI(t, { apiKeys: [], jwtSecret: null });
+  const response = await request('/api/devices', { headers: { 'X-API-Key': 'viewer-key' } });
+  assert.equal(response.status, 401);
+  assert.match((await response.json()).error, /No API keys or JWT secret configured/);
+
+  const disabled = new ApiAuth({ apiKeys: [], jwtSecret: null, disabled: true });
+  assert.deepEqual(disabled.authenticate({ headers: {} }), { role: 'admin', subject: null, method: 'none' });
+  assert.throws(() => new ApiAuth({ apiKeys: [{ key: 'k', role: 'root' }] }), /expected one of: viewer, operator, admin/);
+});
+
+test('JWTs are checked for signature, algorithm, issuer, audience and expiry', () => {
+  const auth = new ApiAuth({ apiKeys: [], jwtSecret: SECRET, jwtIssuer: 'fleet', jwtAudience: 'concox' });
+  const authenticate = (token) => auth.authenticate({ headers: { authorization: `Bearer ${token}` } });
+  const claims = { sub: 'dispatcher-7', role: 'operator', iss: 'fleet', aud: ['concox', 'other'], exp: inOneHour() };
+
+  assert.deepEqual(authenticate(sign(claims)), { role: 'operator', subject: 'dispatcher-7', method: 'jwt' });
+  assert.equal(authenticate(sign({ ...claims, role: undefined, roles: ['viewer', 'admin'] }, { alg: 'HS512' })).role, 'admin');
+
+  const refused = (token, message) => assert.throws(() => authenticate(token), { code: 'UNAUTHENTICATED', message });
+  refused(sign(claims, { secret: 'other-secret' }), 'Invalid token signature');
+  refused(`${sign(claims).split('.').slice(0, 2).join('.')}.`, 'Invalid token signature');
+  refused(sign(claims, { alg: 'none' }), 'Unsupported token algorithm');
+  refused(sign(claims, { alg: 'RS256' }), 'Unsupported token algorithm');
+  refused('abc.def.ghi', 'Malformed token');
+  refused(sign({ ...claims, iss: 'someone-else' }), 'Token issuer not accepted');
+  refused(sign({ ...claims, aud: 'other' }), 'Token audience not accepted');
+  refused(sign({ ...claims, exp: Math.floor(Date.now() / 1000) - 60 }), 'Token expired');
+  refused(sign({ ...claims, exp: undefined }), 'Token has no expiry');
+  refused(sign({ ...claims, exp: String(inOneHour()) }), 'Token has no expiry');
+  refused(sign({ ...claims, nbf: inOneHour() }), 'Token not valid yet');
+  refused(sign({ ...claims, role: 'root' }), /Token has no role/);
+
+  // Within the clock tolerance an expired token still passes
+  assert.equal(authenticate(sign({ ...claims, exp: Math.floor(Date.now() / 1000) - 10 })).role, 'operator');
+});
+
+test('a JWT authenticates HTTP requests like an API key', async (t) => {
+  const { request } = await startAPI(t, { jwtSecret: SECRET });
+  const viewer = { Authorization: `Bearer ${sign({ role: 'viewer', exp: inOneHour() })}` };
+  assert.equal((await request('/api/devices', { headers: viewer })).status, 200);
+  assert.equal((await request('/api/webhooks', { headers: viewer })).status, 403);
+
+  const forever = { Authorization: `Bearer ${sign({ role: 'admin' })}` };
+  const response = await request('/api/devices', { headers: forever });
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).error, 'Token has no expiry');
+});
+
+test('browsers may call the API only from allowed origins', async (t) => {
+  const { request } = await startAPI(t);
+  const headers = { 'X-API-Key': 'viewer-key' };
+
+  const allowed = await request('/api/devices', { headers: { ...headers, Origin: ORIGIN } });
+  assert.equal(allowed.headers.get('access-control-allow-origin'), ORIGIN);
+  assert.equal(allowed.headers.get('vary'), 'Origin');
+  const other = await request('/api/devices', { headers: { ...headers, Origin: 'https://evil.example.com' } });
+  assert.equal(other.headers.get('access-control-allow-origin'), null);
+
+  const preflight = (origin) => request('/api/devices', { method: 'OPTIONS', headers: { Origin: origin } });
+  assert.equal((await preflight(ORIGIN)).status, 200);
+  assert.equal((await preflight('https://evil.example.com')).status, 403);
+});
+
+test('a "*" origin allowlist lets any origin in', async (t) => {
+  const { request } = await startAPI(t, { corsOrigins: ['*'] });
+  const response = await request('/api/devices', { method: 'OPTIONS', headers: { Origin: 'https://any.example.com' } });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('access-control-allow-origin'), '*');
+});
+
+/**
+ * Status of a WebSocket upgrade: 101 when accepted, otherwise the HTTP status it was refused with
+ */
+function upgradeStatus(t, url, options) {
+  const socket = new WebSocket(`${url.replace('http', 'ws')}${LIVE_WS_PATH}`, options);
+  t.after(() => socket.terminate());
+  return new Promise((resolve, reject) => {
+    socket.once('open', () => resolve(101));
+    socket.once('unexpected-response', (req, res) => resolve(res.statusCode));
+    socket.once('error', reject);
+  });
+}
+
+test('WebSocket upgrades are refused from other origins and without credentials', async (t) => {
+  const { url } = await startAPI(t);
+  const headers = { 'X-API-Key': 'viewer-key' };
+
+  assert.equal(await upgradeStatus(t, url, { headers, origin: ORIGIN }), 101);
+  assert.equal(await upgradeStatus(t, url, { headers, origin: 'https://evil.example.com' }), 403);
+  // Non-browser clients send no Origin
+  assert.equal(await upgradeStatus(t, url, { headers }), 101);
+  assert.equal(await upgradeStatus(t, url, { origin: ORIGIN }), 401);
+});
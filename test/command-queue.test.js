@@ -0,0 +1,139 @@
+/**
+ * Offline command queue: recovery after a restart, expiry, pruning and
+ * delivery on the device's next login
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { COMMAND_STATES, CommandQueue } from '../packages/server/command-queue.js';
+import { DeviceSimulator } from '../packages/simulator/index.js';
+
+// The server listens on CONCOX_PORT, read when the module loads; 0 picks a free port
+process.env.CONCOX_PORT = '0';
+const { default: ConcoxV5Server } = await import('../packages/server/index.js');
+
+const IMEI = '351608080779288';
+
+function tempQueuePath(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'concox-queue-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'command-queue.json');
+}
+
+async function startServer(t, options = {}) {
+  const server = new ConcoxV5Server({ storage: null, webhooks: null, ...options });
+  await server.start();
+  const sockets = new Set();
+  server.server.on('connection', (socket) => sockets.add(socket));
+  t.after(() => {
+    for (const socket of sockets) socket.destroy();
+    server.stop();
+  });
+  return { server, port: server.server.address().port };
+}
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the queue');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test('commands left sent by a restart are queued again', (t) => {
+  const filePath = tempQueuePath(t);
+  const queue = new CommandQueue({ filePath });
+  const entry = queue.enqueue(IMEI, 'RELAY,1#');
+  queue.markSent(entry.id);
+
+  const restarted = new CommandQueue({ filePath });
+  const [recovered] = restarted.due(IMEI);
+  assert.equal(recovered.id, entry.id);
+  assert.equal(recovered.state, COMMAND_STATES.QUEUED);
+  assert.equal(recovered.attempts, 1);
+  assert.match(recovered.error, /restarted/);
+});
+
+test('queued commands expire and are no longer due', async () => {
+  const queue = new CommandQueue({ filePath: null });
+  const shortLived = queue.enqueue(IMEI, 'RELAY,1#', { ttlMs: 20 });
+  const kept = queue.enqueue(IMEI, 'STATUS#');
+  await new Promise((resolve) => setTimeout(resolve, 40));
+
+  assert.deepEqual(queue.expireStale().map((entry) => entry.id), [shortLived.id]);
+  assert.equal(queue.get(shortLived.id).state, COMMAND_STATES.EXPIRED);
+  assert.deepEqual(queue.due(IMEI).map((entry) => entry.id), [kept.id]);
+});
+
+test('cancelled commands are never due, and only queued ones can be cancelled', () => {
+  const queue = new CommandQueue({ filePath: null });
+  const entry = queue.enqueue(IMEI, 'RELAY,1#');
+  const sent = queue.enqueue(IMEI, 'STATUS#');
+  queue.markSent(sent.id);
+
+  assert.equal(queue.cancel(entry.id).state, COMMAND_STATES.CANCELLED);
+  assert.equal(queue.cancel(sent.id), null);
+  assert.deepEqual(queue.due(IMEI), []);
+});
+
+test('finished commands are pruned past the per-device limit and the retention time', () => {
+  const queue = new CommandQueue({ filePath: null, maxFinishedPerDevice: 2, retentionMs: 60000 });
+  const entries = [1, 2, 3].map((n) => queue.enqueue(IMEI, `CMD${n}#`));
+  entries.forEach((entry, index) => {
+    queue.update(entry.id, {
+      state: COMMAND_STATES.ANSWERED,
+      finishedAt: new Date(Date.now() - (3 - index) * 1000).toISOString(),
+    });
+  });
+  const old = queue.enqueue('351608080779289', 'OLD#');
+  queue.update(old.id, { state: COMMAND_STATES.FAILED, finishedAt: new Date(Date.now() - 120000).toISOString() });
+  const waiting = queue.enqueue(IMEI, 'WAITING#');
+
+  assert.equal(queue.prune(), true);
+  assert.deepEqual(
+    queue.list(IMEI).map((entry) => entry.command),
+    ['CMD2#', 'CMD3#', 'WAITING#'],
+  );
+  assert.equal(queue.get(old.id), null);
+  assert.equal(queue.get(waiting.id).state, COMMAND_STATES.QUEUED);
+});
+
+test('queued commands are delivered in order on login', async (t) => {
+  const { server, port } = await startServer(t);
+  const first = server.queueCommand(IMEI, 'RELAY,1#');
+  const second = server.queueCommand(IMEI, 'STATUS#');
+
+  const device = new DeviceSimulator({ port, imei: IMEI });
+  t.after(() => device.stop());
+  const received = [];
+  device.on('command', ({ command }) => received.push(command));
+  await device.connect();
+
+  await waitFor(() => server.commandQueue.get(second.id).state === COMMAND_STATES.ANSWERED);
+  assert.deepEqual(received, ['RELAY,1#', 'STATUS#']);
+  assert.equal(server.commandQueue.get(first.id).state, COMMAND_STATES.ANSWERED);
+  assert.equal(server.commandQueue.get(first.id).response, 'Cut off the fuel supply: Success!');
+  assert.equal(server.commandQueue.get(first.id).attempts, 1);
+});
+
+test('a command whose connection drops before the reply is queued for the next login', async (t) => {
+  const { server, port } = await startServer(t);
+  const entry = server.queueCommand(IMEI, 'RELAY,1#');
+
+  const device = new DeviceSimulator({ port, imei: IMEI });
+  t.after(() => device.stop());
+  device.handleCommand = () => device.stop();
+  await device.connect();
+  await waitFor(() => server.commandQueue.get(entry.id).attempts === 1 && !server.clients.has(IMEI));
+  await waitFor(() => server.commandQueue.get(entry.id).state === COMMAND_STATES.QUEUED);
+
+  // Answered on the next login
+  const again = new DeviceSimulator({ port, imei: IMEI });
+  t.after(() => again.stop());
+  await again.connect();
+  await waitFor(() => server.commandQueue.get(entry.id).state === COMMAND_STATES.ANSWERED);
+  assert.equal(server.commandQueue.get(entry.id).attempts, 2);
+});
@@ -0,0 +1,103 @@
+/**
+ * sendCommand against a simulated device: replies, timeouts and disconnects
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DeviceSimulator } from '../packages/simulator/index.js';
+
+// The server listens on CONCOX_PORT, read when the module loads; 0 picks a free port
+process.env.CONCOX_PORT = '0';
+const { default: ConcoxV5Server } = await import('../packages/server/index.js');
+
+const IMEI = '351608080779288';
+
+/**
+ * Server on a free port, closed with every connection it accepted after the test
+ */
+async function startServer(t, options = {}) {
+  const server = new ConcoxV5Server(options);
+  await server.start();
+  const sockets = new Set();
+  server.server.on('connection', (socket) => sockets.add(socket));
+  t.after(() => {
+    for (const socket of sockets) socket.destroy();
+    server.stop();
+  });
+  return { server, port: server.server.address().port };
+}
+
+async function connectDevice(t, port, options = {}) {
+  const device = new DeviceSimulator({ port, imei: IMEI, ...options });
+  t.after(() => device.stop());
+  await device.connect();
+  return device;
+}
+
+test('sendCommand resolves with the reply matched by server flag', async (t) => {
+  const { server, port } = await startServer(t);
+  const device = await connectDevice(t, port);
+  const commandResponses = [];
+  server.on('commandResponse', (event) => commandResponses.push(event));
+
+  const reply = await server.sendCommand(IMEI, 'RELAY,1#', { timeoutMs: 2000 });
+
+  assert.equal(reply.imei, IMEI);
+  assert.equal(reply.command, 'RELAY,1#');
+  assert.equal(reply.response, 'Cut off the fuel supply: Success!');
+  assert.equal(reply.status, 'success');
+  assert.equal(reply.success, true);
+  assert.equal(reply.protocolNumber, 0x21);
+  assert.ok(reply.latencyMs >= 0);
+  assert.equal(device.status.relayCut, true);
+  assert.equal(commandResponses.length, 1);
+  assert.equal(commandResponses[0].command, 'RELAY,1#');
+});
+
+test('concurrent commands each get their own reply', async (t) => {
+  const { server, port } = await startServer(t);
+  await connectDevice(t, port);
+
+  const [status, param] = await Promise.all([
+    server.sendCommand(IMEI, 'STATUS#', { timeoutMs: 2000 }),
+    server.sendCommand(IMEI, 'PARAM#', { timeoutMs: 2000 }),
+  ]);
+  assert.match(status.response, /^Battery:/);
+  assert.match(param.response, new RegExp(`^IMEI:${IMEI}`));
+  assert.notEqual(status.serverFlag, param.serverFlag);
+});
+
+test('an unrecognised command resolves with status failure', async (t) => {
+  const { server, port } = await startServer(t);
+  await connectDevice(t, port, { commandReplies: { 'FOO#': 'Invalid command' } });
+
+  const reply = await server.sendCommand(IMEI, 'FOO#', { timeoutMs: 2000 });
+  assert.equal(reply.status, 'failure');
+  assert.equal(reply.success, false);
+});
+
+test('sendCommand rejects when the device never replies', async (t) => {
+  const { server, port } = await startServer(t);
+  const device = await connectDevice(t, port);
+  device.handleCommand = () => {};
+
+  await assert.rejects(server.sendCommand(IMEI, 'RELAY,1#', { timeoutMs: 100 }), { code: 'COMMAND_TIMEOUT' });
+  // The late reply no longer matches anything
+  assert.equal(server.clients.get(IMEI).socket.pendingCommands.size, 0);
+});
+
+test('sendCommand rejects when the device disconnects before replying', async (t) => {
+  const { server, port } = await startServer(t);
+  const device = await connectDevice(t, port);
+  device.handleCommand = () => device.stop();
+
+  await assert.rejects(server.sendCommand(IMEI, 'RELAY,1#', { timeoutMs: 5000 }), {
+    code: 'DEVICE_DISCONNECTED',
+  });
+  assert.equal(server.clients.has(IMEI), false);
+});
+
+test('sendCommand rejects straight away for a device that is not connected', async (t) => {
+  const { server } = await startServer(t);
+  await assert.rejects(server.sendCommand(IMEI, 'RELAY,1#'), { code: 'DEVICE_NOT_CONNECTED' });
+});
@@ -0,0 +1,180 @@
+/**
+ * Device registry: the reject, flag and register policies for unknown IMEIs,
+ * registration checks, logins through the server, and /api/devices merging
+ * connected, offline and never-seen devices
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ApiAuth } from '../packages/server/auth.js';
+import { setupAPI } from '../packages/server/api.js';
+import { DeviceRegistry } from '../packages/server/device-registry.js';
+import { DeviceSimulator } from '../packages/simulator/index.js';
+
+process.env.CONCOX_PORT = '0';
+const { default: ConcoxV5Server } = await import('../packages/server/index.js');
+
+const IMEI = '351608080779288';
+const OFFLINE_IMEI = '351608080779289';
+const NEVER_SEEN_IMEI = '351608080779290';
+
+function memoryRegistry(unknownDevices) {
+  return new DeviceRegistry({ filePath: null, unknownDevices });
+}
+
+test('unknown IMEIs are refused, flagged or registered depending on the policy', () => {
+  assert.deepEqual(memoryRegistry('reject').admit(IMEI), { allowed: false, device: null, reason: 'not registered' });
+  assert.deepEqual(memoryRegistry('flag').admit(IMEI), { allowed: true, device: null, reason: null });
+
+  const registry = memoryRegistry('register');
+  const { allowed, device } = registry.admit(IMEI, { model: '3608' });
+  assert.equal(allowed, true);
+  assert.equal(device.source, 'auto');
+  assert.equal(device.model, '3608');
+  assert.equal(registry.get(IMEI), device);
+  // The next login finds the registration
+  assert.equal(registry.admit(IMEI).device, device);
+});
+
+test('disabled devices are refused whatever the policy', () => {
+  for (const policy of ['reject', 'flag', 'register']) {
+    const registry = memoryRegistry(policy);
+    registry.create({ imei: IMEI, enabled: false });
+    assert.deepEqual(registry.admit(IMEI), { allowed: false, device: registry.get(IMEI), reason: 'disabled' });
+    assert.equal(registry.isAllowed(IMEI), false);
+  }
+  assert.equal(memoryRegistry('reject').isAllowed(IMEI), false);
+  assert.equal(memoryRegistry('flag').isAllowed(IMEI), true);
+});
+
+test('registrations are checked, and the IMEI is kept as the login reports it', () => {
+  assert.throws(() => memoryRegistry('lenient'), /must be one of: reject, flag, register/);
+
+  const registry = memoryRegistry('reject');
+  const device = registry.create({ imei: '0351608080779288', name: '  Van 3 ', plateNumber: '', group: 'vans' });
+  assert.equal(device.imei, IMEI);
+  assert.equal(device.name, 'Van 3');
+  assert.equal(device.plateNumber, null);
+  assert.equal(device.source, 'api');
+
+  const invalid = { code: 'INVALID_DEVICE' };
+  assert.throws(() => registry.create({ imei: IMEI }), { ...invalid, message: /already registered/ });
+  assert.throws(() => registry.create({ imei: '35160808077928A' }), invalid);
+  assert.throws(() => registry.create({ imei: OFFLINE_IMEI, iccid: '1234' }), { ...invalid, message: /iccid/ });
+  assert.throws(() => registry.create({ imei: OFFLINE_IMEI, timezone: 'Mars/Olympus' }), { ...invalid, message: /timezone/ });
+  assert.throws(() => registry.update(IMEI, { enabled: 'no' }), { ...invalid, message: /enabled/ });
+  assert.equal(registry.get(OFFLINE_IMEI), null);
+
+  const updated = registry.update(IMEI, { plateNumber: 'B-CX 501' });
+  assert.equal(updated.name, 'Van 3', 'omitted fields keep their value');
+  assert.equal(updated.plateNumber, 'B-CX 501');
+  assert.equal(updated.createdAt, device.createdAt);
+  assert.equal(registry.update(OFFLINE_IMEI, {}), null);
+  assert.deepEqual(registry.list({ group: 'vans' }), [updated]);
+});
+
+test('registrations survive a restart', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'concox-registry-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'device-registry.json');
+
+  const registry = new DeviceRegistry({ filePath, unknownDevices: 'reject' });
+  registry.create({ imei: IMEI, name: 'Van 3' });
+  registry.create({ imei: OFFLINE_IMEI });
+  registry.delete(OFFLINE_IMEI);
+
+  const restarted = new DeviceRegistry({ filePath, unknownDevices: 'reject' });
+  assert.deepEqual(restarted.list(), registry.list());
+  assert.equal(restarted.get(IMEI).name, 'Van 3');
+});
+
+/**
+ * Server and HTTP API on free ports, with an admin API key
+ */
+async function startServer(t, registry) {
+  const server = new ConcoxV5Server({ storage: null, webhooks: null, registry });
+  await server.start();
+  const app = setupAPI(server, 0, { auth: new ApiAuth({ apiKeys: [{ key: 'admin-key', role: 'admin' }] }) });
+  const sockets = new Set();
+  server.server.on('connection', (socket) => sockets.add(socket));
+  app.httpServer.on('connection', (socket) => sockets.add(socket));
+  t.after(() => {
+    for (const socket of sockets) socket.destroy();
+    app.httpServer.close();
+    server.stop();
+  });
+  await new Promise((resolve) => app.httpServer.once('listening', resolve));
+
+  const api = async (route, options = {}) => {
+    const url = `http://127.0.0.1:${app.httpServer.address().port}${route}`;
+    return (await fetch(url, { ...options, headers: { 'X-API-Key': 'admin-key' } })).json();
+  };
+  const connect = async (imei) => {
+    const device = new DeviceSimulator({ port: server.server.address().port, imei });
+    t.after(() => device.stop());
+    await device.connect();
+    return device;
+  };
+  return { server, api, connect };
+}
+
+test('under the reject policy only registered devices may log in', async (t) => {
+  const registry = memoryRegistry('reject');
+  registry.create({ imei: IMEI, model: 'tracker-x' });
+  const { server, api, connect } = await startServer(t, registry);
+  const rejected = [];
+  server.on('loginRejected', (event) => rejected.push(event));
+
+  await assert.rejects(connect(OFFLINE_IMEI), /Connection closed/);
+  assert.deepEqual(rejected.map(({ imei, reason }) => [imei, reason]), [[OFFLINE_IMEI, 'not registered']]);
+  assert.equal(server.clients.has(OFFLINE_IMEI), false);
+
+  const logins = [];
+  server.on('login', (event) => logins.push(event));
+  const device = await connect(IMEI);
+  // The registry's model wins over the one in the login
+  assert.equal(logins[0].model, 'tracker-x');
+  assert.equal(logins[0].registered, true);
+
+  // Removing the registration disconnects the device
+  const closed = new Promise((resolve) => device.once('close', resolve));
+  const removed = await api(`/api/registry/${IMEI}`, { method: 'DELETE' });
+  assert.equal(removed.disconnected, true);
+  await closed;
+});
+
+test('/api/devices lists connected, offline and registered never-seen devices', async (t) => {
+  const registry = memoryRegistry('flag');
+  registry.create({ imei: OFFLINE_IMEI, name: 'Van 2', group: 'vans' });
+  registry.create({ imei: NEVER_SEEN_IMEI, name: 'Van 3', group: 'vans' });
+  const { server, api, connect } = await startServer(t, registry);
+
+  await connect(IMEI);
+  const offline = await connect(OFFLINE_IMEI);
+  offline.stop();
+  while (server.clients.has(OFFLINE_IMEI)) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+
+  const { devices } = await api('/api/devices');
+  assert.deepEqual(
+    devices.map(({ imei, registered, status }) => [imei, registered, status]),
+    [
+      [IMEI, false, 'authenticated'],
+      [OFFLINE_IMEI, true, 'offline'],
+      [NEVER_SEEN_IMEI, true, 'offline'],
+    ],
+  );
+  assert.equal(devices[0].connectionId, server.clients.get(IMEI).clientInfo.id);
+  assert.ok(devices[1].lastSeenAt, 'seen before');
+  assert.equal(devices[1].name, 'Van 2');
+  assert.equal(devices[2].lastSeenAt, null);
+
+  const imeis = async (query) => (await api(`/api/devices?${query}`)).devices.map((device) => device.imei);
+  assert.deepEqual(await imeis('registered=false'), [IMEI]);
+  assert.deepEqual(await imeis('group=vans&status=offline'), [OFFLINE_IMEI, NEVER_SEEN_IMEI]);
+  assert.deepEqual(await imeis('status=authenticated'), [IMEI]);
+});
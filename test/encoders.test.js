@@ -0,0 +1,182 @@
+/**
+ * Device packet encoders: byte-exact against captured frames, and round trips
+ * through the matching parsers
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { verifyPacket } from '../packages/shared/index.js';
+import {
+  createAlarmPacket,
+  createCommandResponsePacket,
+  createFileTransferPacket,
+  createGPSLocationPacket,
+  createHeartbeatPacket,
+  createInformationTransmissionPacket,
+  createLoginPacket,
+  createLTEAlarmPacket,
+  createWiFiPacket,
+  parseAlarm,
+  parseAlarmHVT001,
+  parseCommandResponse,
+  parseFileTransfer,
+  parseGPSLocation,
+  parseHeartbeat,
+  parseInformationTransmission,
+  parseLogin,
+  parseLTEAlarm,
+  parseWiFi,
+} from '../packages/protocols/index.js';
+
+const DATETIME = { year: 2024, month: 12, day: 15, hour: 10, minute: 30, second: 0 };
+
+// Login packet from the V5 manual (time zone +8:00, language 0x01)
+const LOGIN = Buffer.from('7878110103516080807792882203320101AA53360D0A', 'hex');
+
+// 0x26 "Pull Alarm" captured from a device
+const ALARM = Buffer.from(
+  '787825261A0209061114CF01DBD3430869E777001400090194EA4EB800FFA34002043202008122CC0D0A',
+  'hex',
+);
+
+test('login is rebuilt byte for byte', () => {
+  const login = parseLogin(LOGIN);
+  assert.equal(login.imei, '351608080779288');
+  assert.deepEqual(createLoginPacket({ ...login, zoneLanguage: 0x3201 }), LOGIN);
+});
+
+test('login time zone is encoded from minutes', () => {
+  const packet = createLoginPacket({ imei: '351608080779288', timezoneOffsetMinutes: -330, serialNumber: 9 });
+  // 5.5 h = 550 = 0x226, west bit, English
+  assert.equal(packet.readUInt16BE(14), (0x226 << 4) | 0x08 | 0x02);
+  assert.equal(parseLogin(packet).serialNumber, 9);
+});
+
+test('alarm is rebuilt byte for byte from its parsed fields', () => {
+  const alarm = parseAlarm(ALARM);
+  const hvt = parseAlarmHVT001(ALARM);
+  assert.equal(alarm.alarmType, 'Pull Alarm');
+  assert.deepEqual(createAlarmPacket({ ...hvt, datetime: alarm.datetime, alarmByte: alarm.alarmByte }), ALARM);
+});
+
+test('GPS location round-trips, including a western longitude and the ACC trailer', () => {
+  const fix = {
+    datetime: DATETIME,
+    latitude: 22.544812,
+    longitude: -114.022512,
+    speed: 60,
+    course: 270,
+    satellites: 9,
+    gpsPositioned: true,
+    lbs: { mcc: 460, mnc: 0, lac: 0x2795, cellId: 0x1f91 },
+    acc: 1,
+    dataUploadMode: 0,
+    mileage: 12345,
+    serialNumber: 5,
+  };
+  const packet = createGPSLocationPacket(fix);
+  assert.equal(verifyPacket(packet).valid, true);
+
+  const parsed = parseGPSLocation(packet);
+  assert.ok(Math.abs(parsed.latitude - fix.latitude) < 1e-6);
+  assert.ok(Math.abs(parsed.longitude - fix.longitude) < 1e-6);
+  const { latitude, longitude, ...rest } = parsed;
+  assert.deepEqual(rest, {
+    datetime: DATETIME,
+    satellites: 9,
+    speed: 60,
+    course: 270,
+    gpsPositioned: true,
+    lbs: fix.lbs,
+    acc: 1,
+    dataUploadMode: 0,
+    mileage: 12345,
+    serialNumber: 5,
+  });
+});
+
+test('GPS location without ACC ends after the cell', () => {
+  const parsed = parseGPSLocation(
+    createGPSLocationPacket({ datetime: DATETIME, latitude: 1, longitude: 2, lbs: { mcc: 1, mnc: 2, lac: 3, cellId: 4 } }),
+  );
+  assert.equal(parsed.acc, null);
+  assert.equal(parsed.mileage, null);
+});
+
+test('heartbeat round-trips its status flags', () => {
+  const parsed = parseHeartbeat(
+    createHeartbeatPacket({ info: { accHigh: true, gpsTracking: true }, batteryLevel: 6, gsmSignal: 3, serialNumber: 2 }),
+  );
+  assert.equal(parsed.info.accHigh, true);
+  assert.equal(parsed.info.gpsTracking, true);
+  assert.equal(parsed.info.charging, false);
+  assert.equal(parsed.batteryLevel, 6);
+  assert.equal(parsed.gsmSignal, 3);
+});
+
+test('WiFi round-trips cells and access points', () => {
+  const parsed = parseWiFi(
+    createWiFiPacket({
+      datetime: DATETIME,
+      lbs: { mainBase: { mcc: 460, mnc: 0, lac: 1, cellId: '00ABCD', rssi: 50 } },
+      accessPoints: [
+        { mac: 'AA:BB:CC:DD:EE:FF', signal: -60 },
+        { mac: '11:22:33:44:55:66', signal: -75, ssid: 'depot' },
+      ],
+    }),
+  );
+  assert.deepEqual(parsed.lbs.mainBase, { mcc: 460, mnc: 0, lac: 1, cellId: '00ABCD', rssi: 50 });
+  assert.deepEqual(
+    parsed.accessPoints.map(({ mac, signal, ssid }) => ({ mac, signal, ssid })),
+    [
+      { mac: 'AA:BB:CC:DD:EE:FF', signal: -60, ssid: '' },
+      { mac: '11:22:33:44:55:66', signal: -75, ssid: 'depot' },
+    ],
+  );
+});
+
+test('information transmission round-trips external voltage', () => {
+  const parsed = parseInformationTransmission(
+    createInformationTransmissionPacket({ subProtocol: 0x00, data: { voltage: 12.34 } }),
+  );
+  assert.deepEqual(parsed.data, { type: 'voltage', voltage: 12.34 });
+});
+
+test('command response round-trips in short and long frames', () => {
+  for (const response of ['RELAY OK', 'X'.repeat(300)]) {
+    const packet = createCommandResponsePacket({ serverFlag: '0000ABCD', response, serialNumber: 3 });
+    const parsed = parseCommandResponse(packet);
+    assert.equal(parsed.response, response);
+    assert.equal(parsed.serialNumber, 3);
+  }
+});
+
+test('file transfer chunk round-trips its content and CRC', () => {
+  const content = Buffer.from('voice chunk');
+  const parsed = parseFileTransfer(
+    createFileTransferPacket({
+      fileTypeRaw: 0x00,
+      fileLength: 1000,
+      errorCheckType: 'CRC',
+      errorCheck: 0x1234,
+      startPosition: 100,
+      content,
+      flagBit: { raw: DATETIME },
+    }),
+  );
+  assert.equal(parsed.fileLength, 1000);
+  assert.equal(parsed.errorCheckType, 'CRC');
+  assert.equal(parsed.errorCheck, 0x1234);
+  assert.equal(parsed.startPosition, 100);
+  assert.deepEqual(Buffer.from(parsed.content), content);
+});
+
+test('LTE alarm round-trips a 2-byte MNC cell', () => {
+  const lbs = { mcc: 310, mnc: 410, mncTwoBytes: true, lac: 0x1234, cellId: 0x0abcdef1 };
+  const parsed = parseLTEAlarm(createLTEAlarmPacket({ datetime: DATETIME, lbs, alarmType: 'SOS' }));
+  assert.equal(parsed.alarmType, 'SOS');
+  assert.equal(parsed.lbs.mcc, 310);
+  assert.equal(parsed.lbs.mnc, 410);
+  assert.equal(parsed.lbs.lac, 0x1234);
+  assert.equal(parsed.lbs.cellId, 0x0abcdef1);
+});
@@ -0,0 +1,228 @@
+/**
+ * Track export: exact output for every format, KML split into one track per
+ * page, and an HTTP export that waits on a slow client
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStorage } from '../packages/server/storage.js';
+import { exportTrack } from '../packages/server/export.js';
+import { ApiAuth } from '../packages/server/auth.js';
+import { setupAPI } from '../packages/server/api.js';
+import { MAX_TRACK_LIMIT } from '../packages/server/track.js';
+
+process.env.CONCOX_PORT = '0';
+const { default: ConcoxV5Server } = await import('../packages/server/index.js');
+
+const IMEI = '351608080779288';
+
+async function twoFixes() {
+  const storage = new MemoryStorage();
+  await storage.append('positions', {
+    id: 'p1', imei: IMEI, protocolNumber: 0x22,
+    deviceTime: '2024-12-15T10:00:00.000Z', receivedAt: '2024-12-15T10:00:02.000Z',
+    latitude: 22.5448, longitude: 114.0225, speed: 0, course: 0, satellites: 9, gpsPositioned: true, acc: 1, mileage: 1000,
+  });
+  await storage.append('positions', {
+    id: 'p2', imei: IMEI, protocolNumber: 0x22,
+    deviceTime: '2024-12-15T10:01:00.000Z', receivedAt: '2024-12-15T10:01:02.000Z',
+    latitude: 22.5458, longitude: 114.0235, speed: 42, course: 45, satellites: 8, gpsPositioned: true, acc: 1, mileage: 1150,
+  });
+  return storage;
+}
+
+async function exportText(storage, format, options = { name: 'Van <1> & "co"' }) {
+  let text = '';
+  for await (const chunk of exportTrack(storage, IMEI, format, options)) text += chunk;
+  return text;
+}
+
+/**
+ * Storage that makes up `count` fixes as they are paged through, one second apart
+ */
+function generatedStorage(count) {
+  return {
+    async query(collection, imei, { after, limit }) {
+      if (collection !== 'positions') return [];
+      const start = after ? Number(after.id) + 1 : 0;
+      const records = [];
+      for (let n = start; n < Math.min(start + limit, count); n++) {
+        records.push({
+          id: String(n).padStart(8, '0'),
+          imei,
+          deviceTime: new Date(Date.UTC(2024, 11, 15) + n * 1000).toISOString(),
+          latitude: 22.5 + n / 1e6,
+          longitude: 114 + n / 1e6,
+          speed: 30,
+          gpsPositioned: true,
+        });
+      }
+      return records;
+    },
+    async close() {},
+  };
+}
+
+test('gpx', async () => {
+  assert.equal(await exportText(await twoFixes(), 'gpx'), [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="concox-v5" xmlns="http://www.topografix.com/GPX/1/1" xmlns:concox="urn:concox:gpx:1">',
+    '  <trk>',
+    '    <name>Van &lt;1&gt; &amp; &quot;co&quot;</name>',
+    `    <src>${IMEI}</src>`,
+    '    <trkseg>',
+    '      <trkpt lat="22.5448" lon="114.0225"><time>2024-12-15T10:00:00.000Z</time><sat>9</sat><extensions><concox:speed>0</concox:speed><concox:course>0</concox:course><concox:acc>1</concox:acc><concox:mileage>1000</concox:mileage></extensions></trkpt>',
+    '      <trkpt lat="22.5458" lon="114.0235"><time>2024-12-15T10:01:00.000Z</time><sat>8</sat><extensions><concox:speed>42</concox:speed><concox:course>45</concox:course><concox:acc>1</concox:acc><concox:mileage>1150</concox:mileage></extensions></trkpt>',
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    '',
+  ].join('\n'));
+});
+
+test('kml', async () => {
+  assert.equal(await exportText(await twoFixes(), 'kml'), [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '<Document>',
+    '  <name>Van &lt;1&gt; &amp; &quot;co&quot;</name>',
+    '  <Schema id="concox">',
+    '    <gx:SimpleArrayField name="speed" type="string"/>',
+    '    <gx:SimpleArrayField name="course" type="string"/>',
+    '    <gx:SimpleArrayField name="acc" type="string"/>',
+    '    <gx:SimpleArrayField name="mileage" type="string"/>',
+    '  </Schema>',
+    '  <Placemark>',
+    '    <name>Van &lt;1&gt; &amp; &quot;co&quot;</name>',
+    '    <gx:MultiTrack>',
+    '      <gx:interpolate>1</gx:interpolate>',
+    '      <gx:Track>',
+    '        <when>2024-12-15T10:00:00.000Z</when>',
+    '        <when>2024-12-15T10:01:00.000Z</when>',
+    '        <gx:coord>114.0225 22.5448 0</gx:coord>',
+    '        <gx:coord>114.0235 22.5458 0</gx:coord>',
+    '        <ExtendedData>',
+    '          <SchemaData schemaUrl="#concox">',
+    '            <gx:SimpleArrayData name="speed"><gx:value>0</gx:value><gx:value>42</gx:value></gx:SimpleArrayData>',
+    '            <gx:SimpleArrayData name="course"><gx:value>0</gx:value><gx:value>45</gx:value></gx:SimpleArrayData>',
+    '            <gx:SimpleArrayData name="acc"><gx:value>1</gx:value><gx:value>1</gx:value></gx:SimpleArrayData>',
+    '            <gx:SimpleArrayData name="mileage"><gx:value>1000</gx:value><gx:value>1150</gx:value></gx:SimpleArrayData>',
+    '          </SchemaData>',
+    '        </ExtendedData>',
+    '      </gx:Track>',
+    '    </gx:MultiTrack>',
+    '  </Placemark>',
+    '</Document>',
+    '</kml>',
+    '',
+  ].join('\n'));
+});
+
+test('geojson', async () => {
+  const text = await exportText(await twoFixes(), 'geojson');
+  assert.equal(text.at(-1), '\n');
+  assert.deepEqual(JSON.parse(text), {
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates: [[114.0225, 22.5448], [114.0235, 22.5458]] },
+    properties: {
+      imei: IMEI,
+      name: 'Van <1> & "co"',
+      coordinateProperties: {
+        times: ['2024-12-15T10:00:00.000Z', '2024-12-15T10:01:00.000Z'],
+        speed: [0, 42],
+        course: [0, 45],
+        acc: [1, 1],
+        mileage: [1000, 1150],
+      },
+    },
+  });
+});
+
+test('geojson-points', async () => {
+  const text = await exportText(await twoFixes(), 'geojson-points');
+  // One feature per line
+  assert.equal(text.split('\n').length, 5);
+  assert.deepEqual(JSON.parse(text), {
+    type: 'FeatureCollection',
+    properties: { imei: IMEI, name: 'Van <1> & "co"' },
+    features: [
+      {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [114.0225, 22.5448] },
+        properties: {
+          id: 'p1', source: 'position', protocolNumber: 0x22,
+          deviceTime: '2024-12-15T10:00:00.000Z', receivedAt: '2024-12-15T10:00:02.000Z',
+          speed: 0, course: 0, satellites: 9, gpsPositioned: true, acc: 1, mileage: 1000,
+        },
+      },
+      {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [114.0235, 22.5458] },
+        properties: {
+          id: 'p2', source: 'position', protocolNumber: 0x22,
+          deviceTime: '2024-12-15T10:01:00.000Z', receivedAt: '2024-12-15T10:01:02.000Z',
+          speed: 42, course: 45, satellites: 8, gpsPositioned: true, acc: 1, mileage: 1150,
+        },
+      },
+    ],
+  });
+});
+
+test('csv', async () => {
+  assert.equal(await exportText(await twoFixes(), 'csv'), [
+    'deviceTime,receivedAt,latitude,longitude,speed,course,satellites,gpsPositioned,acc,mileage,source,alarmType',
+    '2024-12-15T10:00:00.000Z,2024-12-15T10:00:02.000Z,22.5448,114.0225,0,0,9,true,1,1000,position,',
+    '2024-12-15T10:01:00.000Z,2024-12-15T10:01:02.000Z,22.5458,114.0235,42,45,8,true,1,1150,position,',
+    '',
+  ].join('\r\n'));
+});
+
+test('an empty range still gives a well-formed document', async () => {
+  const storage = new MemoryStorage();
+  assert.deepEqual(JSON.parse(await exportText(storage, 'geojson')).geometry.coordinates, []);
+  assert.deepEqual(JSON.parse(await exportText(storage, 'geojson-points')).features, []);
+  assert.doesNotMatch(await exportText(storage, 'kml'), /<gx:Track>/);
+});
+
+test('kml starts a new gx:Track for each page of points', async () => {
+  const text = await exportText(generatedStorage(MAX_TRACK_LIMIT + 2), 'kml', {});
+  const tracks = text.split('<gx:Track>').slice(1);
+  assert.equal(tracks.length, 2);
+  assert.equal(tracks[0].match(/<when>/g).length, MAX_TRACK_LIMIT);
+  assert.equal(tracks[1].match(/<when>/g).length, 2);
+  assert.equal(tracks[1].match(/<gx:value>/g).length, 2 * 4);
+});
+
+test('unknown formats are refused', async () => {
+  await assert.rejects(exportText(new MemoryStorage(), 'shp'), /Unsupported export format/);
+});
+
+test('the HTTP export waits for a slow client without piling up listeners', async (t) => {
+  const server = new ConcoxV5Server({ storage: generatedStorage(12 * MAX_TRACK_LIMIT), webhooks: null });
+  const app = setupAPI(server, 0, { auth: new ApiAuth({ apiKeys: [{ key: 'viewer-key', role: 'viewer' }] }) });
+  t.after(() => {
+    app.httpServer.closeAllConnections();
+    app.httpServer.close();
+    server.stop();
+  });
+  await new Promise((resolve) => app.httpServer.once('listening', resolve));
+  const warnings = [];
+  const onWarning = (warning) => warnings.push(warning.name);
+  process.on('warning', onWarning);
+  t.after(() => process.off('warning', onWarning));
+
+  const { port } = app.httpServer.address();
+  const response = await fetch(`http://127.0.0.1:${port}/api/devices/${IMEI}/export/csv`, {
+    headers: { 'X-API-Key': 'viewer-key' },
+  });
+  assert.equal(response.status, 200);
+  let lines = 0;
+  for await (const chunk of response.body) {
+    lines += Buffer.from(chunk).toString().split('\n').length - 1;
+    // Read slowly enough that every page has to wait for a drain
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  assert.equal(lines, 12 * MAX_TRACK_LIMIT + 1);
+  assert.deepEqual(warnings, []);
+});
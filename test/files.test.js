@@ -0,0 +1,244 @@
+/**
+ * HVT001 voice files (0x8D): reassembly from out-of-order and repeated chunks,
+ * the whole-file CRC / MD5 check, SOS recordings linked to their alarm, and
+ * the files API
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createAlarmPacket, createFileTransferPacket, parseFileTransfer } from '../packages/protocols/index.js';
+import { calculateCRCITU } from '../packages/shared/index.js';
+import { ApiAuth } from '../packages/server/auth.js';
+import { setupAPI } from '../packages/server/api.js';
+import { CHUNK_RESULTS, FileAssembler } from '../packages/server/files.js';
+import { MemoryStorage } from '../packages/server/storage.js';
+import { DeviceSimulator } from '../packages/simulator/index.js';
+
+process.env.CONCOX_PORT = '0';
+const { default: ConcoxV5Server } = await import('../packages/server/index.js');
+
+const IMEI = '351608080779288';
+const RECORDED_AT = { year: 2024, month: 12, day: 15, hour: 10, minute: 30, second: 0 };
+// An AMR header so the content type is recognised, then enough audio for three chunks
+const RECORDING = Buffer.concat([Buffer.from('#!AMR\n', 'ascii'), crypto.randomBytes(250)]);
+const CHUNK_SIZE = 100;
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'concox-files-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * 0x8D packets carrying a file in CHUNK_SIZE pieces, in file order
+ * @param {Buffer} content - Whole file
+ * @param {Object} fields - fileTypeRaw, flagBit, and errorCheckType / errorCheck to override the CRC
+ */
+function fileChunks(content, fields = {}) {
+  const packets = [];
+  for (let start = 0; start < content.length; start += CHUNK_SIZE) {
+    packets.push(
+      createFileTransferPacket({
+        fileTypeRaw: 0x00,
+        fileLength: content.length,
+        errorCheckType: 'CRC',
+        errorCheck: calculateCRCITU(content),
+        flagBit: { type: 'datetime', raw: RECORDED_AT },
+        ...fields,
+        startPosition: start,
+        content: content.subarray(start, start + CHUNK_SIZE),
+        serialNumber: 0x40 + packets.length,
+      }),
+    );
+  }
+  return packets;
+}
+
+function assemble(assembler, packets) {
+  return packets.map((packet) => assembler.addChunk(IMEI, parseFileTransfer(packet)));
+}
+
+test('chunks out of order and repeated still give the whole file once', (t) => {
+  const assembler = new FileAssembler({ dir: tempDir(t) });
+  const [first, second, third] = fileChunks(RECORDING);
+
+  const results = assemble(assembler, [third, first, third, second]);
+  assert.deepEqual(results.map((result) => result.status), [
+    CHUNK_RESULTS.PARTIAL,
+    CHUNK_RESULTS.PARTIAL,
+    CHUNK_RESULTS.DUPLICATE,
+    CHUNK_RESULTS.COMPLETE,
+  ]);
+  assert.equal(results[1].transfer.receivedBytes, 156);
+  assert.equal(results[1].transfer.chunkCount, 2);
+  assert.deepEqual(results[3].content, RECORDING);
+  assert.deepEqual(assembler.pending(IMEI), []);
+
+  // Once saved, the file is indexed with its recording time and type
+  const file = assembler.save(results[3].transfer, results[3].content);
+  assert.equal(file.kind, 'monitoring');
+  assert.equal(file.recordedAt, '2024-12-15T10:30:00.000Z');
+  assert.equal(file.contentType, 'audio/amr');
+  assert.deepEqual(assembler.list(IMEI), [file]);
+  assert.deepEqual(fs.readFileSync(assembler.contentPath(file)), RECORDING);
+});
+
+test('files are checked against their CRC or MD5 once every byte is in', (t) => {
+  const assembler = new FileAssembler({ dir: tempDir(t) });
+  const md5 = crypto.createHash('md5').update(RECORDING).digest('hex').toUpperCase();
+
+  const verified = assemble(assembler, fileChunks(RECORDING, { errorCheckType: 'MD5', errorCheck: md5 }));
+  assert.equal(verified.at(-1).status, CHUNK_RESULTS.COMPLETE);
+
+  const badCrc = assemble(assembler, fileChunks(RECORDING, { errorCheck: calculateCRCITU(RECORDING) ^ 0xffff }));
+  assert.deepEqual(badCrc.map((result) => result.status), [
+    CHUNK_RESULTS.PARTIAL,
+    CHUNK_RESULTS.PARTIAL,
+    CHUNK_RESULTS.CORRUPT,
+  ]);
+  assert.match(badCrc[2].error, /CRC mismatch/);
+
+  const badMd5 = assemble(assembler, fileChunks(RECORDING, { errorCheckType: 'MD5', errorCheck: '0'.repeat(32) }));
+  assert.equal(badMd5.at(-1).status, CHUNK_RESULTS.CORRUPT);
+  assert.match(badMd5.at(-1).error, /MD5 mismatch/);
+  // A corrupt file is dropped, not kept half-way
+  assert.deepEqual(assembler.pending(IMEI), []);
+});
+
+test('chunks past the end of the file, or files over the limit, are refused', (t) => {
+  const assembler = new FileAssembler({ dir: tempDir(t), maxFileBytes: 1000 });
+  const [, , third] = fileChunks(RECORDING, { fileLength: 200 });
+  assert.equal(assemble(assembler, [third])[0].status, CHUNK_RESULTS.INVALID);
+
+  const [tooBig] = fileChunks(RECORDING, { fileLength: 1001 });
+  const [result] = assemble(assembler, [tooBig]);
+  assert.equal(result.status, CHUNK_RESULTS.INVALID);
+  assert.match(result.error, /outside 1-1000 bytes/);
+  assert.deepEqual(assembler.pending(IMEI), []);
+});
+
+test('a new file under the same flag starts the transfer over', (t) => {
+  const assembler = new FileAssembler({ dir: tempDir(t) });
+  const other = Buffer.concat([RECORDING, Buffer.from('more')]);
+  assemble(assembler, fileChunks(RECORDING).slice(0, 2));
+
+  const results = assemble(assembler, fileChunks(other));
+  assert.deepEqual(results.map((result) => result.status), [
+    CHUNK_RESULTS.PARTIAL,
+    CHUNK_RESULTS.PARTIAL,
+    CHUNK_RESULTS.COMPLETE,
+  ]);
+  assert.deepEqual(results[2].content, other);
+});
+
+/**
+ * Server with a files API on free ports; the device's replies are read in order with nextReply()
+ */
+async function startServer(t) {
+  const storage = new MemoryStorage();
+  const files = new FileAssembler({ dir: tempDir(t) });
+  const server = new ConcoxV5Server({ storage, webhooks: null, files });
+  await server.start();
+  const app = setupAPI(server, 0, { auth: new ApiAuth({ apiKeys: [{ key: 'viewer-key', role: 'viewer' }] }) });
+  const sockets = new Set();
+  server.server.on('connection', (socket) => sockets.add(socket));
+  app.httpServer.on('connection', (socket) => sockets.add(socket));
+  t.after(() => {
+    for (const socket of sockets) socket.destroy();
+    app.httpServer.close();
+    server.stop();
+  });
+  await new Promise((resolve) => app.httpServer.once('listening', resolve));
+
+  const device = new DeviceSimulator({ port: server.server.address().port, imei: IMEI });
+  t.after(() => device.stop());
+  await device.connect();
+  const replies = [];
+  const waiting = [];
+  device.on('packet', ({ protocolNumber, packet }) => {
+    const reply = { protocolNumber, packet };
+    if (waiting.length > 0) waiting.shift()(reply);
+    else replies.push(reply);
+  });
+  device.nextReply = () =>
+    replies.length > 0 ? Promise.resolve(replies.shift()) : new Promise((resolve) => waiting.push(resolve));
+
+  const api = (route) =>
+    fetch(`http://127.0.0.1:${app.httpServer.address().port}${route}`, { headers: { 'X-API-Key': 'viewer-key' } });
+  return { server, storage, device, api };
+}
+
+/**
+ * Send file chunks and read the success flag of each 0x8D ack (the simulator
+ * only emits replies whose frame and CRC are valid)
+ */
+async function sendChunks(device, packets) {
+  const acks = [];
+  for (const packet of packets) {
+    device.socket.write(packet);
+    const reply = await device.nextReply();
+    assert.equal(reply.protocolNumber, 0x8d);
+    acks.push(reply.packet[5] === 0x01);
+  }
+  return acks;
+}
+
+test('an SOS recording is linked to the alarm with the serial it is flagged with', async (t) => {
+  const { server, storage, device, api } = await startServer(t);
+  const saved = new Promise((resolve) => server.once('file', resolve));
+
+  // The server looks for the alarm among the last day's
+  const now = new Date();
+  const datetime = {
+    year: now.getUTCFullYear(),
+    month: now.getUTCMonth() + 1,
+    day: now.getUTCDate(),
+    hour: now.getUTCHours(),
+    minute: now.getUTCMinutes(),
+    second: now.getUTCSeconds(),
+  };
+  device.socket.write(createAlarmPacket({ datetime, alarmByte: 0x01, serialNumber: 0x31 }));
+  assert.equal((await device.nextReply()).protocolNumber, 0x26);
+  const [alarm] = await storage.query('alarms', IMEI);
+  assert.equal(alarm.serialNumber, 0x31);
+
+  const packets = fileChunks(RECORDING, { fileTypeRaw: 0x01, flagBit: { type: 'serial', value: 0x31 } });
+  assert.deepEqual(await sendChunks(device, [packets[1], packets[0], packets[0], packets[2]]), [true, true, true, true]);
+
+  const file = await saved;
+  assert.equal(file.imei, IMEI);
+  assert.equal(file.kind, 'sos');
+  assert.equal(file.alarmSerialNumber, 0x31);
+  assert.equal(file.alarmId, alarm.id);
+  assert.equal((await storage.getDeviceState(IMEI)).lastFile.id, file.id);
+
+  const listed = await (await api(`/api/devices/${IMEI}/files?kind=sos`)).json();
+  assert.equal(listed.count, 1);
+  assert.equal(listed.files[0].id, file.id);
+  assert.deepEqual(listed.inProgress, []);
+
+  const download = await api(`/api/devices/${IMEI}/files/${file.id}/download`);
+  assert.equal(download.status, 200);
+  assert.equal(download.headers.get('content-type'), 'audio/amr');
+  assert.deepEqual(Buffer.from(await download.arrayBuffer()), RECORDING);
+  assert.equal((await api(`/api/devices/${IMEI}/files/missing/download`)).status, 404);
+});
+
+test('the server NACKs the chunk that completes a corrupt file and keeps nothing', async (t) => {
+  const { server, device, api } = await startServer(t);
+  const saved = [];
+  server.on('file', (file) => saved.push(file));
+
+  const packets = fileChunks(RECORDING, { errorCheck: calculateCRCITU(RECORDING) ^ 0xffff });
+  assert.deepEqual(await sendChunks(device, packets), [true, true, false]);
+  // A chunk that runs past the file is NACKed straight away
+  assert.deepEqual(await sendChunks(device, fileChunks(RECORDING, { fileLength: 200 }).slice(2)), [false]);
+
+  assert.deepEqual(saved, []);
+  const listed = await (await api(`/api/devices/${IMEI}/files`)).json();
+  assert.equal(listed.count, 0);
+});
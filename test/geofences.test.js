@@ -0,0 +1,134 @@
+/**
+ * Server-side geofencing: enter, exit and dwell for circle and polygon zones,
+ * group assignment and zone validation
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { GEOFENCE_EVENTS, GeofenceEngine } from '../packages/server/geofences.js';
+
+const IMEI = '351608080779288';
+
+function second(n) {
+  return new Date(Date.UTC(2024, 11, 15, 10, 0, n)).toISOString();
+}
+
+// 0.001° of latitude is about 111 m
+function fix(n, latitude, longitude = 0) {
+  return { deviceTime: second(n), latitude, longitude, gpsPositioned: true };
+}
+
+function depot(engine, fields = {}) {
+  return engine.createZone({
+    name: 'Depot',
+    type: 'circle',
+    center: { latitude: 0, longitude: 0 },
+    radius: 100,
+    devices: [IMEI],
+    ...fields,
+  });
+}
+
+test('a device entering and leaving a circle gets enter, then exit with the time inside', () => {
+  const engine = new GeofenceEngine({ filePath: null });
+  const zone = depot(engine);
+
+  // Outside before the first enter: no exit for a zone never entered
+  assert.deepEqual(engine.evaluate(IMEI, fix(0, 0.002)), []);
+  const [enter] = engine.evaluate(IMEI, fix(10, 0.0005));
+  assert.equal(enter.type, GEOFENCE_EVENTS.ENTER);
+  assert.equal(enter.zoneId, zone.id);
+  assert.equal(enter.zoneName, 'Depot');
+  assert.equal(enter.durationSeconds, 0);
+  assert.deepEqual(engine.evaluate(IMEI, fix(20, 0)), []);
+
+  const [exit] = engine.evaluate(IMEI, fix(70, 0.002));
+  assert.equal(exit.type, GEOFENCE_EVENTS.EXIT);
+  assert.equal(exit.durationSeconds, 60);
+  assert.equal(exit.deviceTime, second(70));
+  assert.deepEqual(engine.deviceStatus(IMEI).map((status) => status.inside), [false]);
+});
+
+test('the first fix inside a zone counts as an enter', () => {
+  const engine = new GeofenceEngine({ filePath: null });
+  depot(engine);
+  assert.deepEqual(engine.evaluate(IMEI, fix(0, 0)).map((event) => event.type), [GEOFENCE_EVENTS.ENTER]);
+});
+
+test('dwell fires once per visit after dwellSeconds inside', () => {
+  const engine = new GeofenceEngine({ filePath: null });
+  depot(engine, { dwellSeconds: 30 });
+
+  const types = (n, latitude) => engine.evaluate(IMEI, fix(n, latitude)).map((event) => event.type);
+  assert.deepEqual(types(0, 0), [GEOFENCE_EVENTS.ENTER]);
+  assert.deepEqual(types(29, 0), []);
+  const [dwell] = engine.evaluate(IMEI, fix(30, 0));
+  assert.equal(dwell.type, GEOFENCE_EVENTS.DWELL);
+  assert.equal(dwell.durationSeconds, 30);
+  assert.deepEqual(types(90, 0), []);
+
+  // A new visit can dwell again
+  assert.deepEqual(types(100, 0.002), [GEOFENCE_EVENTS.EXIT]);
+  assert.deepEqual(types(110, 0), [GEOFENCE_EVENTS.ENTER]);
+  assert.deepEqual(types(140, 0), [GEOFENCE_EVENTS.DWELL]);
+});
+
+test('polygon zones apply to the devices of their groups', () => {
+  const engine = new GeofenceEngine({ filePath: null });
+  engine.setGroup('vans', [IMEI]);
+  const zone = engine.createZone({
+    name: 'Yard',
+    type: 'polygon',
+    points: [
+      { latitude: 0, longitude: 0 },
+      { latitude: 0, longitude: 0.01 },
+      { latitude: 0.01, longitude: 0.01 },
+      { latitude: 0.01, longitude: 0 },
+    ],
+    groups: ['vans'],
+  });
+
+  assert.deepEqual(engine.listZones({ imei: IMEI }).map((listed) => listed.id), [zone.id]);
+  assert.deepEqual(engine.listZones({ imei: '351608080779289' }), []);
+  assert.deepEqual(engine.evaluate('351608080779289', fix(0, 0.005, 0.005)), []);
+  assert.deepEqual(engine.evaluate(IMEI, fix(0, 0.005, 0.005)).map((event) => event.type), [GEOFENCE_EVENTS.ENTER]);
+  assert.deepEqual(engine.evaluate(IMEI, fix(10, 0.005, 0.02)).map((event) => event.type), [GEOFENCE_EVENTS.EXIT]);
+});
+
+test('fixes without a position and disabled zones are ignored', () => {
+  const engine = new GeofenceEngine({ filePath: null });
+  const zone = depot(engine);
+  assert.deepEqual(engine.evaluate(IMEI, { ...fix(0, 0), gpsPositioned: false }), []);
+  assert.deepEqual(engine.evaluate(IMEI, { deviceTime: second(0) }), []);
+
+  engine.updateZone(zone.id, { enabled: false });
+  assert.deepEqual(engine.evaluate(IMEI, fix(10, 0)), []);
+});
+
+test('moving a zone resets the state of devices in it', () => {
+  const engine = new GeofenceEngine({ filePath: null });
+  const zone = depot(engine);
+  engine.evaluate(IMEI, fix(0, 0));
+
+  engine.updateZone(zone.id, { center: { latitude: 1, longitude: 1 } });
+  assert.deepEqual(engine.deviceStatus(IMEI).map((status) => status.inside), [null]);
+  // Outside the moved zone, and never seen inside it: no exit
+  assert.deepEqual(engine.evaluate(IMEI, fix(10, 0)), []);
+});
+
+test('invalid zones are refused with INVALID_ZONE', () => {
+  const engine = new GeofenceEngine({ filePath: null });
+  const invalid = [
+    { type: 'circle', center: { latitude: 0, longitude: 0 }, radius: 100 },
+    { name: 'Depot', type: 'square' },
+    { name: 'Depot', type: 'circle', center: { latitude: 91, longitude: 0 }, radius: 100 },
+    { name: 'Depot', type: 'circle', center: { latitude: 0, longitude: 0 }, radius: 0 },
+    { name: 'Depot', type: 'polygon', points: [{ latitude: 0, longitude: 0 }, { latitude: 1, longitude: 1 }] },
+    { name: 'Depot', type: 'circle', center: { latitude: 0, longitude: 0 }, radius: 100, devices: [1] },
+    { name: 'Depot', type: 'circle', center: { latitude: 0, longitude: 0 }, radius: 100, dwellSeconds: -5 },
+  ];
+  for (const input of invalid) {
+    assert.throws(() => engine.createZone(input), { code: 'INVALID_ZONE' });
+  }
+  assert.deepEqual(engine.listZones(), []);
+});
@@ -0,0 +1,188 @@
+/**
+ * Information transmission (0x94): each sub-protocol decoded from hand-built
+ * content, and the server storing and emitting the typed reports
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseInformationTransmission } from '../packages/protocols/index.js';
+import { buildPacket } from '../packages/shared/index.js';
+import { MemoryStorage } from '../packages/server/storage.js';
+import { DeviceSimulator } from '../packages/simulator/index.js';
+
+process.env.CONCOX_PORT = '0';
+const { default: ConcoxV5Server } = await import('../packages/server/index.js');
+
+const IMEI = '351608080779288';
+
+const FUEL_LINE = '!AIOIL,02,025.900,025.400,519J,0200,027.140,0,00,';
+
+/**
+ * Sum of every byte of the line before its last comma, as two hex digits
+ */
+function withChecksum(line) {
+  const sum = [...Buffer.from(line.slice(0, -1), 'ascii')].reduce((total, byte) => total + byte, 0);
+  return line + (sum & 0xff).toString(16).toUpperCase().padStart(2, '0');
+}
+
+function information(subProtocol, content, serialNumber = 1) {
+  return buildPacket(0x94, Buffer.concat([Buffer.from([subProtocol]), content]), serialNumber, { long: true });
+}
+
+function decode(subProtocol, content) {
+  const parsed = parseInformationTransmission(information(subProtocol, content));
+  assert.equal(parsed.subProtocol, subProtocol);
+  return parsed.data;
+}
+
+test('0x00 external voltage in hundredths of a volt', () => {
+  assert.deepEqual(decode(0x00, Buffer.from([0x04, 0xd2])), { type: 'voltage', voltage: 12.34 });
+});
+
+test('0x04 terminal status as key=value pairs', () => {
+  assert.deepEqual(decode(0x04, Buffer.from('ALM1=C4;ALM2=CC;STA1=C0;DYD=01;SOS=12345,,;CENTER=;FENCE=Fence,OFF', 'ascii')), {
+    type: 'status',
+    status: { ALM1: 'C4', ALM2: 'CC', STA1: 'C0', DYD: '01', SOS: '12345,,', FENCE: 'Fence,OFF' },
+  });
+});
+
+test('0x05 door and I/O bits', () => {
+  assert.deepEqual(decode(0x05, Buffer.from([0x05])), { type: 'door', doorOpen: true, triggering: 'Low', ioStatus: 'High' });
+  assert.deepEqual(decode(0x05, Buffer.from([0x02])), { type: 'door', doorOpen: false, triggering: 'High', ioStatus: 'Low' });
+});
+
+test('0x06 voltage with the odometer, which some firmware leaves out', () => {
+  assert.deepEqual(decode(0x06, Buffer.from([0x04, 0xd2, 0x00, 0x01, 0xe2, 0x40])), {
+    type: 'voltage_mileage',
+    voltage: 12.34,
+    mileage: 123456,
+  });
+  assert.deepEqual(decode(0x06, Buffer.from([0x04, 0xd2])), { type: 'voltage_mileage', voltage: 12.34, mileage: null });
+});
+
+test('0x08 self-check text', () => {
+  assert.deepEqual(decode(0x08, Buffer.from('GSM:OK;GPS:OK;ACC:OFF', 'ascii')), {
+    type: 'self_check',
+    selfCheck: 'GSM:OK;GPS:OK;ACC:OFF',
+  });
+});
+
+test('0x09 GPS module status with per-satellite signal', () => {
+  assert.deepEqual(decode(0x09, Buffer.from([0x03, 0x02, 38, 41, 0x03, 38, 41, 20])), {
+    type: 'gps_status',
+    moduleStatus: 0x03,
+    moduleState: '3D fix',
+    fixSatellites: [{ signal: 38 }, { signal: 41 }],
+    visibleSatellites: [{ signal: 38 }, { signal: 41 }, { signal: 20 }],
+  });
+});
+
+test('0x0A ICCID as 20 hex digits', () => {
+  assert.deepEqual(decode(0x0a, Buffer.from('89860117750006367823', 'hex')), {
+    type: 'iccid',
+    iccid: '89860117750006367823',
+  });
+});
+
+test('0x0D fuel sensor line, with and without the leading date', () => {
+  const line = withChecksum(FUEL_LINE);
+  const expected = {
+    type: 'fuel_sensor',
+    sensorText: line,
+    sensorAddress: '02',
+    fuelLevel: 25.9,
+    temperature: 25.4,
+    sensorVersion: '519J',
+    signalLevel: 2,
+    softwareStatus: 0,
+    hardwareStatus: 0,
+    measuredFuelLevel: 27.14,
+    moving: true,
+    checksumValid: true,
+  };
+  const timed = decode(0x0d, Buffer.concat([Buffer.from([24, 12, 15, 10, 30, 0]), Buffer.from(line, 'ascii')]));
+  assert.deepEqual(timed, { ...expected, datetime: { year: 2024, month: 12, day: 15, hour: 10, minute: 30, second: 0 } });
+  // GT800 sends the line alone
+  assert.deepEqual(decode(0x0d, Buffer.from(line, 'ascii')), { ...expected, datetime: null });
+
+  const corrupted = decode(0x0d, Buffer.from(`${FUEL_LINE}00`, 'ascii'));
+  assert.equal(corrupted.checksumValid, false);
+});
+
+test('0x0E temperature and humidity sensors, signed in tenths of a degree', () => {
+  assert.deepEqual(decode(0x0e, Buffer.from([0x02, 0x01, 0x00, 0xfa, 0x37, 0x02, 0xff, 0x9c, 0xff])), {
+    type: 'temperature',
+    sensors: [
+      { sensorId: 1, temperature: 25, humidity: 55 },
+      { sensorId: 2, temperature: -10, humidity: 0xff },
+    ],
+  });
+});
+
+test('0x1B RFID card from a reader frame or as text', () => {
+  // Header, type, card ID, XOR checksum, footer
+  assert.deepEqual(decode(0x1b, Buffer.from([0x02, 0x01, 0x00, 0x12, 0xd6, 0x87, 0x43, 0x03])), {
+    type: 'rfid',
+    cardId: '0012D687',
+  });
+  assert.deepEqual(decode(0x1b, Buffer.from('0001234567\0', 'ascii')), { type: 'rfid', cardId: '0001234567' });
+});
+
+test('unknown sub-protocols keep their raw content', () => {
+  assert.deepEqual(decode(0x42, Buffer.from([0xde, 0xad])), { type: 'unknown', raw: Buffer.from([0xde, 0xad]) });
+});
+
+test('the server keeps the latest report of each kind and emits it as a typed event', async (t) => {
+  const storage = new MemoryStorage();
+  const server = new ConcoxV5Server({ storage, webhooks: null });
+  await server.start();
+  const sockets = new Set();
+  server.server.on('connection', (socket) => sockets.add(socket));
+  t.after(() => {
+    for (const socket of sockets) socket.destroy();
+    server.stop();
+  });
+  const events = [];
+  for (const event of ['voltage', 'fuel', 'temperature', 'rfid', 'gpsStatus', 'door']) {
+    server.on(event, (payload) => events.push([event, payload]));
+  }
+
+  const device = new DeviceSimulator({ port: server.server.address().port, imei: IMEI });
+  t.after(() => device.stop());
+  await device.connect();
+  const reports = [
+    [0x06, Buffer.from([0x04, 0xd2, 0x00, 0x01, 0xe2, 0x40])],
+    [0x0d, Buffer.from(withChecksum(FUEL_LINE), 'ascii')],
+    [0x0e, Buffer.from([0x01, 0x01, 0x00, 0xfa, 0x37])],
+    [0x1b, Buffer.from([0x02, 0x01, 0x00, 0x12, 0xd6, 0x87, 0x43, 0x03])],
+    [0x09, Buffer.from([0x02, 0x00, 0x00])],
+    [0x05, Buffer.from([0x01])],
+  ];
+  reports.forEach(([subProtocol, content], index) => device.socket.write(information(subProtocol, content, 10 + index)));
+
+  const deadline = Date.now() + 5000;
+  while (events.length < reports.length && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.deepEqual(events.map(([event]) => event), ['voltage', 'fuel', 'temperature', 'rfid', 'gpsStatus', 'door']);
+  const [, voltage] = events[0];
+  assert.equal(voltage.imei, IMEI);
+  assert.equal(voltage.subProtocol, 0x06);
+  assert.equal(voltage.voltage, 12.34);
+  assert.equal(voltage.mileage, 123456);
+  assert.equal(events[1][1].fuelLevel, 25.9);
+  assert.equal(events[3][1].cardId, '0012D687');
+
+  const client = server.clients.get(IMEI);
+  assert.equal(client.information.fuel.fuelLevel, 25.9);
+  assert.equal(client.information.temperature.sensors[0].temperature, 25);
+  assert.equal(client.information.door.doorOpen, true);
+  assert.equal(client.lastMileage, 123456);
+
+  const state = await storage.getDeviceState(IMEI);
+  assert.equal(state.batteryVoltage, 12.34);
+  assert.equal(state.mileage, 123456);
+  assert.equal(state.rfid.cardId, '0012D687');
+  assert.equal(state.gpsStatus.moduleState, '2D fix');
+  assert.equal((await storage.query('information', IMEI)).length, reports.length);
+});
@@ -0,0 +1,222 @@
+/**
+ * Live event stream: WebSocket and SSE filters, subscription changes, and
+ * WebSocket protocol errors that must not take the server down
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import WebSocket from 'ws';
+import { ApiAuth } from '../packages/server/auth.js';
+import { setupAPI } from '../packages/server/api.js';
+import { LIVE_WS_PATH } from '../packages/server/live.js';
+
+process.env.CONCOX_PORT = '0';
+const { default: ConcoxV5Server } = await import('../packages/server/index.js');
+
+const IMEI = '351608080779288';
+const OTHER_IMEI = '351608080779289';
+const HEADERS = { 'X-API-Key': 'viewer-key' };
+
+/**
+ * HTTP API on a free port for a server that is never started: events are emitted by hand
+ */
+async function startAPI(t) {
+  const server = new ConcoxV5Server({ storage: null, webhooks: null });
+  const app = setupAPI(server, 0, { auth: new ApiAuth({ apiKeys: [{ key: 'viewer-key', role: 'viewer' }] }) });
+  const sockets = new Set();
+  app.httpServer.on('connection', (socket) => sockets.add(socket));
+  t.after(() => {
+    // Upgraded WebSockets are no longer tracked by the HTTP server
+    for (const socket of sockets) socket.destroy();
+    app.httpServer.close();
+    server.stop();
+  });
+  await new Promise((resolve) => app.httpServer.once('listening', resolve));
+  return { server, port: app.httpServer.address().port };
+}
+
+async function liveStats(port) {
+  const response = await fetch(`http://127.0.0.1:${port}/api/stats`, { headers: HEADERS });
+  return (await response.json()).stats.liveClients;
+}
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await predicate())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the live stream');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * WebSocket client whose messages are read in order with next()
+ */
+async function connectWebSocket(t, port, query = '') {
+  const socket = new WebSocket(`ws://127.0.0.1:${port}${LIVE_WS_PATH}${query}`, { headers: HEADERS });
+  t.after(() => socket.terminate());
+  const messages = [];
+  const waiting = [];
+  socket.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+    if (waiting.length > 0) waiting.shift()(message);
+    else messages.push(message);
+  });
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+  socket.next = () =>
+    messages.length > 0 ? Promise.resolve(messages.shift()) : new Promise((resolve) => waiting.push(resolve));
+  socket.request = (body) => {
+    socket.send(JSON.stringify(body));
+    return socket.next();
+  };
+  return socket;
+}
+
+test('a WebSocket client only gets events matching its filter', async (t) => {
+  const { server, port } = await startAPI(t);
+  const socket = await connectWebSocket(t, port, `?imei=${IMEI}&events=location,alarm`);
+  assert.deepEqual(await socket.next(), { type: 'subscribed', imeis: [IMEI], events: ['location', 'alarm'] });
+
+  server.emit('heartbeat', { imei: IMEI });
+  server.emit('location', { imei: OTHER_IMEI, latitude: 1 });
+  server.emit('location', { imei: IMEI, latitude: 22.5, raw: Buffer.from([0x78, 0x78]) });
+
+  const message = await socket.next();
+  assert.equal(message.type, 'event');
+  assert.equal(message.event, 'location');
+  assert.equal(message.imei, IMEI);
+  assert.deepEqual(message.data, { imei: IMEI, latitude: 22.5, raw: '7878' });
+});
+
+test('subscribe and unsubscribe change the filter', async (t) => {
+  const { server, port } = await startAPI(t);
+  const socket = await connectWebSocket(t, port, '?events=location');
+  assert.deepEqual(await socket.next(), { type: 'subscribed', imeis: '*', events: ['location'] });
+
+  assert.deepEqual(await socket.request({ action: 'subscribe', imeis: [IMEI], events: ['alarm'] }), {
+    type: 'subscribed',
+    imeis: [IMEI],
+    events: ['location', 'alarm'],
+  });
+  assert.deepEqual(await socket.request({ action: 'unsubscribe', events: ['location'] }), {
+    type: 'subscribed',
+    imeis: [IMEI],
+    events: ['alarm'],
+  });
+
+  server.emit('location', { imei: IMEI });
+  server.emit('alarm', { imei: IMEI, alarmType: 'SOS' });
+  const message = await socket.next();
+  assert.equal(message.event, 'alarm');
+  assert.equal(message.data.alarmType, 'SOS');
+});
+
+test('invalid WebSocket requests get an error and keep the connection', async (t) => {
+  const { port } = await startAPI(t);
+  const socket = await connectWebSocket(t, port);
+  await socket.next();
+
+  socket.send('not json');
+  assert.deepEqual(await socket.next(), { type: 'error', error: 'Messages must be JSON' });
+  assert.match((await socket.request({ action: 'watch' })).error, /action must be/);
+  assert.match((await socket.request({ action: 'subscribe', events: ['teleport'] })).error, /Unknown event type\(s\): teleport/);
+  assert.deepEqual(await socket.request({ action: 'subscribe', imeis: [IMEI] }), {
+    type: 'subscribed',
+    imeis: [IMEI],
+    events: '*',
+  });
+});
+
+test('an unknown event type in the URL closes the WebSocket with 1008', async (t) => {
+  const { port } = await startAPI(t);
+  const socket = new WebSocket(`ws://127.0.0.1:${port}${LIVE_WS_PATH}?events=teleport`, { headers: HEADERS });
+  t.after(() => socket.terminate());
+  const messages = [];
+  socket.on('message', (data) => messages.push(JSON.parse(data.toString())));
+
+  const [code] = await new Promise((resolve) => socket.once('close', (...args) => resolve(args)));
+  assert.equal(code, 1008);
+  assert.match(messages[0].error, /Unknown event type/);
+});
+
+test('a client sending an unmasked frame is dropped without taking the server down', async (t) => {
+  const { server, port } = await startAPI(t);
+
+  const raw = net.connect(port, '127.0.0.1');
+  t.after(() => raw.destroy());
+  raw.write(
+    `GET ${LIVE_WS_PATH} HTTP/1.1\r\n` +
+      `Host: 127.0.0.1:${port}\r\n` +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n' +
+      'Sec-WebSocket-Version: 13\r\n' +
+      'X-API-Key: viewer-key\r\n\r\n',
+  );
+  const handshake = await new Promise((resolve) => raw.once('data', (data) => resolve(data.toString())));
+  assert.match(handshake, /^HTTP\/1\.1 101/);
+  await waitFor(async () => (await liveStats(port)).websocket === 1);
+
+  // Client frames must be masked (RFC 6455 5.1): this is "hi" without a mask
+  raw.write(Buffer.from([0x81, 0x02, 0x68, 0x69]));
+  await new Promise((resolve) => raw.once('close', resolve));
+
+  await waitFor(async () => (await liveStats(port)).websocket === 0);
+  const socket = await connectWebSocket(t, port);
+  await socket.next();
+  server.emit('login', { imei: IMEI });
+  assert.equal((await socket.next()).event, 'login');
+});
+
+test('SSE streams matching events until the client goes away', async (t) => {
+  const { server, port } = await startAPI(t);
+  const controller = new AbortController();
+  t.after(() => controller.abort());
+  const response = await fetch(`http://127.0.0.1:${port}${LIVE_WS_PATH}/events?imei=${IMEI}&events=alarm`, {
+    headers: HEADERS,
+    signal: controller.signal,
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'text/event-stream');
+
+  const reader = response.body.getReader();
+  let text = '';
+  const readUntil = async (pattern) => {
+    while (!pattern.test(text)) {
+      text += Buffer.from((await reader.read()).value).toString();
+    }
+  };
+  await readUntil(/\n\n/);
+  assert.equal(text, `event: subscribed\ndata: ${JSON.stringify({ imeis: [IMEI], events: ['alarm'] })}\n\n`);
+  assert.deepEqual(await liveStats(port), { websocket: 0, sse: 1 });
+
+  text = '';
+  server.emit('location', { imei: IMEI });
+  server.emit('alarm', { imei: OTHER_IMEI, alarmType: 'Power Cut' });
+  server.emit('alarm', { imei: IMEI, alarmType: 'SOS' });
+  await readUntil(/\n\n/);
+  const [eventLine, dataLine] = text.trim().split('\n');
+  assert.equal(eventLine, 'event: alarm');
+  const message = JSON.parse(dataLine.slice('data: '.length));
+  assert.equal(message.imei, IMEI);
+  assert.equal(message.data.alarmType, 'SOS');
+
+  controller.abort();
+  await waitFor(async () => (await liveStats(port)).sse === 0);
+});
+
+test('SSE refuses unknown event types and connections without a credential', async (t) => {
+  const { port } = await startAPI(t);
+  const unknown = await fetch(`http://127.0.0.1:${port}${LIVE_WS_PATH}/events?events=teleport`, { headers: HEADERS });
+  assert.equal(unknown.status, 400);
+  assert.match((await unknown.json()).error, /Unknown event type/);
+
+  const anonymous = await fetch(`http://127.0.0.1:${port}${LIVE_WS_PATH}/events`);
+  assert.equal(anonymous.status, 401);
+  const queryToken = await fetch(`http://127.0.0.1:${port}${LIVE_WS_PATH}/events?access_token=viewer-key`);
+  assert.equal(queryToken.status, 200);
+  await queryToken.body.cancel();
+});
@@ -0,0 +1,174 @@
+/**
+ * Device liveness: status transitions, the heartbeat cadence behind the stale
+ * and offline times, and the server's login deadline and idle timeouts
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { DEVICE_STATUS, LivenessTracker } from '../packages/server/liveness.js';
+import { MemoryStorage } from '../packages/server/storage.js';
+import { DeviceSimulator } from '../packages/simulator/index.js';
+
+process.env.CONCOX_PORT = '0';
+const { default: ConcoxV5Server } = await import('../packages/server/index.js');
+
+const IMEI = '351608080779288';
+const START = Date.parse('2024-12-15T10:00:00.000Z');
+const TIMEOUTS = { loginTimeoutMs: 30000, staleTimeoutMs: 360000, offlineTimeoutMs: 900000, minStaleTimeoutMs: 60000 };
+
+test('a device goes from connecting to online through its login and next packet', () => {
+  const liveness = new LivenessTracker(TIMEOUTS);
+  assert.equal(liveness.seen(IMEI), null, 'packets before a login are not tracked');
+
+  const authenticated = liveness.transition(IMEI, DEVICE_STATUS.AUTHENTICATED, '2024-12-15T10:00:00.000Z');
+  assert.deepEqual(authenticated, {
+    imei: IMEI,
+    status: DEVICE_STATUS.AUTHENTICATED,
+    previousStatus: DEVICE_STATUS.CONNECTING,
+    since: '2024-12-15T10:00:00.000Z',
+    lastSeenAt: '2024-12-15T10:00:00.000Z',
+    offlineSince: null,
+  });
+  assert.equal(liveness.get(IMEI).connectedAt, '2024-12-15T10:00:00.000Z');
+  assert.equal(liveness.transition(IMEI, DEVICE_STATUS.AUTHENTICATED), null, 'no transition to the same status');
+
+  assert.equal(liveness.seen(IMEI).status, DEVICE_STATUS.ONLINE);
+  assert.equal(liveness.seen(IMEI), null);
+
+  liveness.transition(IMEI, DEVICE_STATUS.STALE);
+  const online = liveness.seen(IMEI);
+  assert.equal(online.previousStatus, DEVICE_STATUS.STALE);
+  assert.equal(online.status, DEVICE_STATUS.ONLINE);
+
+  const offline = liveness.transition(IMEI, DEVICE_STATUS.OFFLINE, '2024-12-15T11:00:00.000Z');
+  assert.equal(offline.offlineSince, '2024-12-15T11:00:00.000Z');
+  assert.equal(liveness.get(IMEI).connectedAt, null);
+});
+
+test('the stale and offline times follow the heartbeat cadence', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: START });
+  const liveness = new LivenessTracker(TIMEOUTS);
+  liveness.transition(IMEI, DEVICE_STATUS.AUTHENTICATED);
+  // Unknown cadence: the configured times
+  assert.equal(liveness.staleAfterMs(IMEI), 360000);
+  assert.equal(liveness.offlineAfterMs(IMEI), 900000);
+
+  liveness.seen(IMEI, { heartbeat: true });
+  t.mock.timers.tick(180000);
+  liveness.seen(IMEI, { heartbeat: true });
+  assert.equal(liveness.get(IMEI).heartbeatIntervalMs, 180000);
+  // Stale after 2.5 missed heartbeats
+  assert.equal(liveness.staleAfterMs(IMEI), 450000);
+  assert.equal(liveness.offlineAfterMs(IMEI), 900000);
+
+  // Other packets don't count toward the cadence
+  t.mock.timers.tick(60000);
+  liveness.seen(IMEI);
+  t.mock.timers.tick(20000);
+  liveness.seen(IMEI, { heartbeat: true });
+  assert.equal(liveness.get(IMEI).heartbeatIntervalMs, Math.round(180000 * 0.7 + 80000 * 0.3));
+
+  // A gap longer than the offline timeout is an outage
+  t.mock.timers.tick(1000000);
+  liveness.seen(IMEI, { heartbeat: true });
+  assert.equal(liveness.get(IMEI).heartbeatIntervalMs, 150000);
+
+  // Slow devices get twice their stale time before they are closed
+  const slow = new LivenessTracker({ ...TIMEOUTS, offlineTimeoutMs: 1000000 });
+  slow.transition(IMEI, DEVICE_STATUS.AUTHENTICATED);
+  slow.seen(IMEI, { heartbeat: true });
+  t.mock.timers.tick(600000);
+  slow.seen(IMEI, { heartbeat: true });
+  assert.equal(slow.staleAfterMs(IMEI), 1500000);
+  assert.equal(slow.offlineAfterMs(IMEI), 3000000);
+});
+
+test('a fast cadence never makes a device stale sooner than minStaleTimeoutMs', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: START });
+  const liveness = new LivenessTracker(TIMEOUTS);
+  liveness.transition(IMEI, DEVICE_STATUS.AUTHENTICATED);
+  liveness.seen(IMEI, { heartbeat: true });
+  t.mock.timers.tick(10000);
+  liveness.seen(IMEI, { heartbeat: true });
+  assert.equal(liveness.staleAfterMs(IMEI), 60000);
+});
+
+test('devices restored from storage are offline until they log in', () => {
+  const liveness = new LivenessTracker(TIMEOUTS);
+  liveness.restore(IMEI, { lastSeenAt: '2024-12-15T10:00:00.000Z', heartbeatIntervalMs: 180000 });
+  liveness.restore('351608080779289', { heartbeatIntervalMs: 180000 });
+
+  assert.deepEqual(liveness.list().map((record) => [record.imei, record.status]), [[IMEI, DEVICE_STATUS.OFFLINE]]);
+  assert.equal(liveness.get(IMEI).offlineSince, '2024-12-15T10:00:00.000Z');
+  assert.equal(liveness.staleAfterMs(IMEI), 450000);
+
+  assert.equal(liveness.transition(IMEI, DEVICE_STATUS.AUTHENTICATED).previousStatus, DEVICE_STATUS.OFFLINE);
+  assert.equal(liveness.get(IMEI).offlineSince, null);
+  assert.equal(liveness.get(IMEI).lastHeartbeatAt, null, 'the cadence is measured again on the new connection');
+});
+
+async function startServer(t, liveness) {
+  const storage = new MemoryStorage();
+  const server = new ConcoxV5Server({ storage, webhooks: null, liveness });
+  await server.start();
+  const sockets = new Set();
+  server.server.on('connection', (socket) => sockets.add(socket));
+  t.after(() => {
+    for (const socket of sockets) socket.destroy();
+    server.stop();
+  });
+  const statuses = [];
+  server.on('deviceStatus', (change) => statuses.push(change.status));
+  return { server, storage, statuses, port: server.server.address().port };
+}
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for a status change');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test('the server closes connections that do not log in before the deadline', async (t) => {
+  const { server, port } = await startServer(t, new LivenessTracker({ ...TIMEOUTS, loginTimeoutMs: 100 }));
+  const socket = net.connect(port, '127.0.0.1');
+  t.after(() => socket.destroy());
+  const openedAt = Date.now();
+  await new Promise((resolve) => socket.once('close', resolve));
+
+  assert.ok(Date.now() - openedAt >= 90, 'not closed before the deadline');
+  assert.equal(server.clients.size, 0);
+  assert.deepEqual(server.liveness.list(), []);
+});
+
+test('a silent device goes stale, comes back with its next packet, then goes offline', async (t) => {
+  const liveness = new LivenessTracker({ ...TIMEOUTS, staleTimeoutMs: 150, offlineTimeoutMs: 400, minStaleTimeoutMs: 0 });
+  const { server, storage, statuses, port } = await startServer(t, liveness);
+  const device = new DeviceSimulator({ port, imei: IMEI });
+  t.after(() => device.stop());
+  await device.connect();
+  assert.deepEqual(statuses, [DEVICE_STATUS.AUTHENTICATED]);
+
+  // Logging in doesn't make the device online; its next packet does
+  await device.sendHeartbeat();
+  assert.deepEqual(statuses, [DEVICE_STATUS.AUTHENTICATED, DEVICE_STATUS.ONLINE]);
+
+  await waitFor(() => statuses.length === 3);
+  assert.equal(statuses[2], DEVICE_STATUS.STALE);
+  assert.ok(server.clients.has(IMEI), 'a stale device stays connected');
+  await device.sendHeartbeat();
+  assert.equal(statuses[3], DEVICE_STATUS.ONLINE);
+
+  await new Promise((resolve) => device.once('close', resolve));
+  // The device may see the close before the server has handled it
+  await waitFor(() => statuses.length === 6);
+  assert.deepEqual(statuses.slice(4), [DEVICE_STATUS.STALE, DEVICE_STATUS.OFFLINE]);
+  assert.equal(server.clients.has(IMEI), false);
+
+  const state = await storage.getDeviceState(IMEI);
+  assert.equal(state.status, DEVICE_STATUS.OFFLINE);
+  assert.equal(state.offlineSince, liveness.get(IMEI).offlineSince);
+  assert.ok(Date.parse(state.offlineSince) - Date.parse(state.lastSeenAt) >= 390, 'closed after the offline timeout');
+});
@@ -0,0 +1,104 @@
+/**
+ * LTE packets (0xA0, 0xA1, 0xA4): bit 15 of the MCC decides between a 1- and
+ * a 2-byte MNC, and every field after the cell stays aligned either way
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createLTEAlarmPacket,
+  createLTELBSExtensionPacket,
+  createLTELocationPacket,
+  parseLTEAlarm,
+  parseLTELBSExtension,
+  parseLTELocation,
+} from '../packages/protocols/index.js';
+import { buildPacket } from '../packages/shared/index.js';
+
+// 2024-12-15 10:30:00, then 9 satellites at 22.5448, 114.0225, standing, positioned
+const DATETIME = '180C0F0A1E00';
+const GPS = 'C9026B36200C3BB8B4001400';
+// LAC 0x287D, Cell ID 0x0BC6145E
+const LAC_CELL = '0000287D000000000BC6145E';
+
+// MCC 460 with a 1-byte MNC 0, and with bit 15 set and a 2-byte MNC 0x0123
+const ONE_BYTE_MNC = `01CC00${LAC_CELL}`;
+const TWO_BYTE_MNC = `81CC0123${LAC_CELL}`;
+
+function frame(protocolNumber, hex) {
+  return buildPacket(protocolNumber, Buffer.from(hex, 'hex'), 7);
+}
+
+function location(cell) {
+  // ACC on, upload mode 0x00, real time, mileage 1000 m
+  return frame(0xa0, `${DATETIME}${GPS}${cell}010000000003E8`);
+}
+
+test('0xA0 reads a 1-byte MNC when bit 15 of the MCC is clear', () => {
+  const parsed = parseLTELocation(location(ONE_BYTE_MNC));
+  assert.deepEqual(parsed.lbs, { mncTwoBytes: false, mcc: 460, mnc: 0, lac: 0x287d, cellId: 0x0bc6145e });
+  assert.equal(parsed.acc, 1);
+  assert.equal(parsed.mileage, 1000);
+});
+
+test('0xA0 reads a 2-byte MNC when bit 15 of the MCC is set, and clears the bit', () => {
+  const parsed = parseLTELocation(location(TWO_BYTE_MNC));
+  assert.deepEqual(parsed.lbs, { mncTwoBytes: true, mcc: 460, mnc: 0x0123, lac: 0x287d, cellId: 0x0bc6145e });
+  // The extra MNC byte doesn't shift what follows the cell
+  assert.equal(parsed.acc, 1);
+  assert.equal(parsed.mileage, 1000);
+  assert.equal(parsed.serialNumber, 7);
+});
+
+test('0xA1 keeps the neighbours aligned after a 2-byte MNC', () => {
+  // Main cell with RSSI 0x50, one neighbour, five empty ones, timing advance 0xFF, language English
+  const neighbors = `0000287E000000000BC6145F3C${'00'.repeat(13 * 5)}`;
+  const packet = frame(0xa1, `${DATETIME}${TWO_BYTE_MNC}50${neighbors}FF0002`);
+
+  const parsed = parseLTELBSExtension(packet);
+  assert.equal(parsed.mainBase.mcc, 460);
+  assert.equal(parsed.mainBase.mnc, 0x0123);
+  assert.equal(parsed.mainBase.rssi, 0x50);
+  assert.equal(parsed.neighbors[0].lac, 0x287e);
+  assert.equal(parsed.neighbors[0].cellId, 0x0bc6145f);
+  assert.equal(parsed.neighbors[0].rssi, 0x3c);
+  assert.equal(parsed.timingAdvance, 0xff);
+  assert.equal(parsed.language, 0x0002);
+});
+
+test('0xA4 takes the cell size from lbsLength with either MNC size', () => {
+  // Terminal info 0x46, voltage level 6, signal 4, SOS, English
+  const tail = '4606040102';
+  const oneByte = parseLTEAlarm(frame(0xa4, `${DATETIME}${GPS}10${ONE_BYTE_MNC}${tail}`));
+  const twoByte = parseLTEAlarm(frame(0xa4, `${DATETIME}${GPS}11${TWO_BYTE_MNC}${tail}`));
+
+  assert.equal(oneByte.lbs.mnc, 0);
+  assert.equal(twoByte.lbs.mnc, 0x0123);
+  for (const parsed of [oneByte, twoByte]) {
+    assert.equal(parsed.lbs.mcc, 460);
+    assert.equal(parsed.terminalInfo, 0x46);
+    assert.equal(parsed.voltageLevel, 6);
+    assert.equal(parsed.alarmType, 'SOS');
+  }
+});
+
+test('encoders set bit 15 for MNCs above 0xFF or when asked, and only then', () => {
+  const base = { datetime: '2024-12-15 10:30:00', latitude: 22.5448, longitude: 114.0225, satellites: 9, serialNumber: 7 };
+  const cellBytes = (packet) => packet.subarray(4 + 6 + 12, 4 + 6 + 12 + 4).toString('hex').toUpperCase();
+
+  assert.equal(cellBytes(createLTELocationPacket({ ...base, lbs: { mcc: 460, mnc: 0x0123, lac: 1, cellId: 2 } })), '81CC0123');
+  assert.equal(cellBytes(createLTELocationPacket({ ...base, lbs: { mcc: 460, mnc: 5, mncTwoBytes: true, lac: 1, cellId: 2 } })), '81CC0005');
+  assert.equal(cellBytes(createLTELocationPacket({ ...base, lbs: { mcc: 460, mnc: 5, lac: 1, cellId: 2 } })), '01CC0500');
+  // A stray bit 15 in the MCC doesn't make a 1-byte MNC 2 bytes long
+  assert.equal(cellBytes(createLTELocationPacket({ ...base, lbs: { mcc: 0x81cc, mnc: 5, lac: 1, cellId: 2 } })), '01CC0500');
+
+  const extension = parseLTELBSExtension(
+    createLTELBSExtensionPacket({ datetime: '2024-12-15 10:30:00', mainBase: { mcc: 460, mnc: 0x0123, lac: 1, cellId: 2, rssi: 3 } }),
+  );
+  assert.equal(extension.mainBase.mnc, 0x0123);
+  const alarm = parseLTEAlarm(
+    createLTEAlarmPacket({ datetime: base.datetime, lbs: { mcc: 460, mnc: 7, lac: 1, cellId: 2 }, alarmType: 'SOS' }),
+  );
+  assert.equal(alarm.lbs.mncTwoBytes, false);
+  assert.equal(alarm.lbs.mnc, 7);
+});
@@ -0,0 +1,193 @@
+/**
+ * MQTT bridge against an in-process aedes broker: event topics, retained
+ * last-known state, and commands answered on command/response
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import net from 'net';
+import Aedes from 'aedes';
+import mqtt from 'mqtt';
+import { MqttBridge } from '../packages/server/mqtt-bridge.js';
+
+const IMEI = '351608080779288';
+
+/**
+ * Stand-in for ConcoxV5Server: an event source with the command methods the bridge calls
+ */
+function createServer(online = []) {
+  const server = new EventEmitter();
+  server.clients = new Map(online.map((imei) => [imei, {}]));
+  server.sent = [];
+  server.sendCommand = async (imei, command, options) => {
+    server.sent.push({ imei, command, options });
+    if (!server.clients.has(imei)) {
+      throw Object.assign(new Error(`Device ${imei} not connected`), { code: 'DEVICE_NOT_CONNECTED' });
+    }
+    return { imei, command, success: true, response: 'OK' };
+  };
+  server.queueCommand = (imei, command) => ({ id: 'q1', imei, command, status: 'pending' });
+  return server;
+}
+
+/**
+ * Broker on a free port, and a bridge connected to it; both are closed after the test
+ */
+async function startBridge(t, server) {
+  const broker = await Aedes.createBroker();
+  const listener = net.createServer(broker.handle);
+  await new Promise((resolve) => listener.listen(0, '127.0.0.1', resolve));
+  const url = `mqtt://127.0.0.1:${listener.address().port}`;
+  const bridge = new MqttBridge(server, { url, clientOptions: { reconnectPeriod: 0 } });
+  await bridge.start();
+  t.after(async () => {
+    await bridge.stop();
+    await new Promise((resolve) => broker.close(resolve));
+    await new Promise((resolve) => listener.close(resolve));
+  });
+  return { bridge, url };
+}
+
+/**
+ * Client subscribed to topic, collecting { topic, body, retain } until the test ends
+ */
+async function subscribe(t, url, topic) {
+  const client = await mqtt.connectAsync(url, { reconnectPeriod: 0 });
+  t.after(() => client.endAsync());
+  const messages = [];
+  client.on('message', (messageTopic, payload, packet) => {
+    messages.push({ topic: messageTopic, body: JSON.parse(payload.toString('utf8')), retain: packet.retain });
+  });
+  await client.subscribeAsync(topic, { qos: 1 });
+  return { client, messages };
+}
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for MQTT messages');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test('events are published per device and only state topics are retained', async (t) => {
+  const server = createServer();
+  const { url } = await startBridge(t, server);
+  const live = await subscribe(t, url, `concox/${IMEI}/#`);
+
+  server.emit('location', { imei: IMEI, latitude: 22.5, longitude: 114.0 });
+  server.emit('trip', { imei: IMEI, state: 'started' });
+  server.emit('heartbeat', {});
+  await waitFor(() => live.messages.length === 2);
+
+  assert.deepEqual(
+    live.messages.map((m) => m.topic),
+    [`concox/${IMEI}/location`, `concox/${IMEI}/trip`],
+  );
+  assert.equal(live.messages[0].body.latitude, 22.5);
+  assert.ok(live.messages[0].body.timestamp);
+
+  // A late subscriber gets the last location, but not the trip event
+  const late = await subscribe(t, url, `concox/${IMEI}/+`);
+  await waitFor(() => late.messages.length === 1);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.deepEqual(
+    late.messages.map(({ topic, retain }) => ({ topic, retain })),
+    [{ topic: `concox/${IMEI}/location`, retain: true }],
+  );
+});
+
+test('login and disconnect are retained on status, except a superseded disconnect', async (t) => {
+  const server = createServer();
+  const { url } = await startBridge(t, server);
+  const live = await subscribe(t, url, `concox/${IMEI}/status`);
+
+  server.emit('login', { imei: IMEI });
+  server.emit('disconnect', { imei: IMEI, superseded: true });
+  server.emit('disconnect', { imei: IMEI });
+  await waitFor(() => live.messages.length === 2);
+
+  assert.deepEqual(live.messages.map((m) => m.body.online), [true, false]);
+});
+
+test('a command is sent to the device and the reply published on command/response', async (t) => {
+  const server = createServer([IMEI]);
+  const { url } = await startBridge(t, server);
+  const { client, messages } = await subscribe(t, url, `concox/${IMEI}/command/response`);
+
+  await client.publishAsync(`concox/${IMEI}/command`, 'RELAY,1#', { qos: 1 });
+  await client.publishAsync(
+    `concox/${IMEI}/command`,
+    JSON.stringify({ id: 'abc', command: 'STATUS#', timeoutMs: 5000 }),
+    { qos: 1 },
+  );
+  await waitFor(() => messages.length === 2);
+
+  assert.deepEqual(server.sent, [
+    { imei: IMEI, command: 'RELAY,1#', options: {} },
+    { imei: IMEI, command: 'STATUS#', options: { timeoutMs: 5000 } },
+  ]);
+  assert.deepEqual(
+    messages.map(({ body }) => ({ id: body.id, command: body.command, success: body.success, response: body.response })),
+    [
+      { id: null, command: 'RELAY,1#', success: true, response: 'OK' },
+      { id: 'abc', command: 'STATUS#', success: true, response: 'OK' },
+    ],
+  );
+  assert.equal(messages[0].retain, false);
+});
+
+test('failed and malformed commands are answered with an error', async (t) => {
+  const server = createServer();
+  const { url } = await startBridge(t, server);
+  const { client, messages } = await subscribe(t, url, 'concox/+/command/response');
+
+  await client.publishAsync(`concox/${IMEI}/command`, 'RELAY,1#', { qos: 1 });
+  await client.publishAsync(`concox/${IMEI}/command`, '{"id":', { qos: 1 });
+  await client.publishAsync(`concox/${IMEI}/command`, JSON.stringify({ id: 'x' }), { qos: 1 });
+  await client.publishAsync('concox/not-an-imei/command', 'RELAY,1#', { qos: 1 });
+  await waitFor(() => messages.length === 4);
+
+  // The device reply is awaited, so it can arrive after the others
+  assert.deepEqual(
+    messages.map(({ topic, body }) => [topic, body.success, body.code ?? null, body.error]).sort(),
+    [
+      [`concox/${IMEI}/command/response`, false, null, 'Invalid JSON payload'],
+      [`concox/${IMEI}/command/response`, false, null, 'command is required'],
+      [`concox/${IMEI}/command/response`, false, 'DEVICE_NOT_CONNECTED', `Device ${IMEI} not connected`],
+      ['concox/not-an-imei/command/response', false, null, 'Invalid IMEI in topic'],
+    ],
+  );
+  // Only the well-formed command reached the server
+  assert.equal(server.sent.length, 1);
+});
+
+test('queueIfOffline queues the command for an offline device', async (t) => {
+  const server = createServer();
+  const { url } = await startBridge(t, server);
+  const { client, messages } = await subscribe(t, url, `concox/${IMEI}/command/response`);
+
+  await client.publishAsync(
+    `concox/${IMEI}/command`,
+    JSON.stringify({ id: 'q', command: 'RELAY,1#', queueIfOffline: true }),
+    { qos: 1 },
+  );
+  await waitFor(() => messages.length === 1);
+  assert.equal(messages[0].body.queued, true);
+  assert.equal(messages[0].body.entry.id, 'q1');
+  assert.equal(server.sent.length, 0);
+
+  // Without a data directory the server has no queue and says so
+  server.queueCommand = () => {
+    throw Object.assign(new Error('Offline command queue is disabled'), { code: 'QUEUE_DISABLED' });
+  };
+  await client.publishAsync(
+    `concox/${IMEI}/command`,
+    JSON.stringify({ id: 'q', command: 'RELAY,1#', queueIfOffline: true }),
+    { qos: 1 },
+  );
+  await waitFor(() => messages.length === 2);
+  assert.equal(messages[1].body.success, false);
+  assert.equal(messages[1].body.code, 'QUEUE_DISABLED');
+});
@@ -0,0 +1,100 @@
+/**
+ * Framing: CRC-ITU and stop byte checks, resynchronisation after bad frames
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPacket, calculateCRCITU, parsePacket, verifyPacket } from '../packages/shared/index.js';
+
+// Login packet from the V5 manual
+const LOGIN = Buffer.from('7878110103516080807792882203320101AA53360D0A', 'hex');
+
+function corrupt(packet, index) {
+  const copy = Buffer.from(packet);
+  copy[index] ^= 0xff;
+  return copy;
+}
+
+test('CRC-ITU matches the manual example', () => {
+  assert.equal(calculateCRCITU(LOGIN, 2, LOGIN.length - 4), 0x5336);
+  assert.deepEqual(verifyPacket(LOGIN), { valid: true, reason: null, expectedCRC: 0x5336, actualCRC: 0x5336 });
+});
+
+test('a valid frame is returned with the bytes after it', () => {
+  const heartbeat = buildPacket(0x13, Buffer.from([0x44, 0x01, 0x04, 0x00, 0x01]), 2);
+  const result = parsePacket(Buffer.concat([LOGIN, heartbeat]));
+  assert.deepEqual(result.packet, LOGIN);
+  assert.equal(result.protocolNumber, 0x01);
+  assert.deepEqual(result.remaining, heartbeat);
+});
+
+test('an incomplete frame waits for more bytes', () => {
+  assert.equal(parsePacket(LOGIN.subarray(0, 10)), null);
+});
+
+test('a frame with a bad CRC is rejected and the next frame is kept', () => {
+  const bad = corrupt(LOGIN, 8);
+  const result = parsePacket(Buffer.concat([bad, LOGIN]));
+  assert.equal(result.packet, null);
+  assert.equal(result.rejected.reason, 'crc');
+  assert.equal(result.rejected.protocolNumber, 0x01);
+  assert.deepEqual(result.remaining, LOGIN);
+});
+
+test('a bad CRC is accepted when verification is off', () => {
+  const bad = corrupt(LOGIN, 8);
+  assert.deepEqual(parsePacket(bad, { verifyCRC: false }).packet, bad);
+});
+
+test('bad stop bytes are rejected even when CRC verification is off', () => {
+  const bad = corrupt(LOGIN, LOGIN.length - 1);
+  const result = parsePacket(bad, { verifyCRC: false });
+  assert.equal(result.packet, null);
+  assert.equal(result.rejected.reason, 'stop');
+});
+
+test('garbage before a frame is discarded up to the start marker', () => {
+  const result = parsePacket(Buffer.concat([Buffer.from([0x00, 0x12, 0x34]), LOGIN]));
+  assert.equal(result.packet, null);
+  assert.equal(result.discardedBytes, 3);
+  assert.deepEqual(parsePacket(result.remaining).packet, LOGIN);
+});
+
+test('a trailing half start marker is kept for the next read', () => {
+  const result = parsePacket(Buffer.from([0x00, 0x01, 0x02, 0x03, 0x78]));
+  assert.deepEqual(result.remaining, Buffer.from([0x78]));
+});
+
+test('long (0x79 0x79) frames are framed by their 2-byte length', () => {
+  const packet = buildPacket(0x94, Buffer.from([0x00, 0x04, 0xb0]), 7, { long: true });
+  assert.equal(packet.readUInt16BE(2), packet.length - 6);
+  assert.deepEqual(parsePacket(packet).packet, packet);
+});
+
+test('a long frame with an implausible length is rejected without waiting for its bytes', () => {
+  const corrupted = buildPacket(0x94, Buffer.from([0x00, 0x04, 0xb0]), 7, { long: true });
+  corrupted.writeUInt16BE(0xfff0, 2);
+  const heartbeat = buildPacket(0x13, Buffer.from([0x44, 0x01, 0x04, 0x00, 0x01]), 2);
+
+  const result = parsePacket(Buffer.concat([corrupted, heartbeat]));
+  assert.equal(result.packet, null);
+  assert.equal(result.rejected.reason, 'length');
+  assert.equal(result.rejected.protocolNumber, 0x94);
+  assert.deepEqual(result.remaining, heartbeat);
+  assert.deepEqual(parsePacket(result.remaining).packet, heartbeat);
+
+  // Only the header has arrived: rejected all the same
+  assert.equal(parsePacket(corrupted.subarray(0, 6)).rejected.reason, 'length');
+});
+
+test('a length too short to hold protocol, serial and CRC is rejected', () => {
+  const result = parsePacket(Buffer.concat([Buffer.from([0x78, 0x78, 0x02, 0x13, 0x00]), LOGIN]));
+  assert.equal(result.rejected.reason, 'length');
+  assert.deepEqual(result.remaining, LOGIN);
+});
+
+test('the largest accepted length can be lowered', () => {
+  const packet = buildPacket(0x94, Buffer.alloc(100), 1, { long: true });
+  assert.deepEqual(parsePacket(packet).packet, packet);
+  assert.equal(parsePacket(packet, { maxPacketLength: 64 }).rejected.reason, 'length');
+});
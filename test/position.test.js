@@ -0,0 +1,173 @@
+/**
+ * Normalized positions: every location-bearing packet type gives the same
+ * Position shape, and the server emits and stores it
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BUILT_IN_PROTOCOL_HANDLERS,
+  createAlarmHVT001Packet,
+  createAlarmPacket,
+  createGPSAddressRequestPacket,
+  createGPSLocationPacket,
+  createGT06AlarmPacket,
+  createGT06LBSExtensionPacket,
+  createGT06LocationPacket,
+  createLBSAddressRequestPacket,
+  createLBSAlarmPacket,
+  createLBSExtensionPacket,
+  createLTEAlarmPacket,
+  createLTELBSExtensionPacket,
+  createLTELocationPacket,
+  createPosition,
+  createProtocolRegistry,
+  createWiFiPacket,
+} from '../packages/protocols/index.js';
+import { MemoryStorage } from '../packages/server/storage.js';
+import { DeviceSimulator } from '../packages/simulator/index.js';
+
+process.env.CONCOX_PORT = '0';
+const { default: ConcoxV5Server } = await import('../packages/server/index.js');
+
+const IMEI = '351608080779288';
+const DATETIME = { year: 2024, month: 12, day: 15, hour: 10, minute: 30, second: 0 };
+const DEVICE_TIME = '2024-12-15T10:30:00.000Z';
+// West of Greenwich, to check the sign
+const GPS = { latitude: 22.5448, longitude: -114.0225, speed: 40, course: 120, satellites: 9, gpsPositioned: true };
+const CELL = { mcc: 460, mnc: 1, lac: 0x287d, cellId: 0x1f71 };
+const MAIN_BASE = { ...CELL, rssi: 0x50 };
+const NEIGHBORS = [{ lac: 0x287e, cellId: 0x1f72, rssi: 0x3c }];
+const ACCESS_POINT = { mac: '50:8F:4C:21:5A:10', signal: -58, ssid: 'Depot' };
+
+const SERVING_CELL = { mcc: 460, mnc: 1, lac: 0x287d, cellId: 0x1f71, rssi: null };
+const MEASURED_CELLS = [
+  { mcc: 460, mnc: 1, lac: 0x287d, cellId: 0x1f71, rssi: 0x50 },
+  { mcc: 460, mnc: 1, lac: 0x287e, cellId: 0x1f72, rssi: 0x3c },
+];
+
+const GPS_FIX = { deviceTime: DEVICE_TIME, ...GPS, cells: [SERVING_CELL] };
+const ALARM = { datetime: DATETIME, gpsData: GPS, lbs: CELL, terminalInfo: 0x46, alarmByte: 0x01 };
+const LBS_EXTENSION = { datetime: DATETIME, mainBase: MAIN_BASE, neighbors: NEIGHBORS };
+const ADDRESS_REQUEST = { phoneNumber: '', alarmByte: 0x00, languageByte: 0x02 };
+
+// Protocol number -> [packet, expected Position fields]; everything else is null or empty
+const CASES = {
+  0x22: [
+    createGPSLocationPacket({ datetime: DATETIME, ...GPS, lbs: CELL, acc: 0x01, dataUploadMode: 0x02, mileage: 1000 }),
+    { ...GPS_FIX, acc: true, mileage: 1000, uploadMode: 0x02 },
+  ],
+  0x12: [createGT06LocationPacket({ datetime: DATETIME, ...GPS, lbs: CELL }), GPS_FIX],
+  0xa0: [
+    createLTELocationPacket({ datetime: DATETIME, ...GPS, lbs: CELL, acc: 0x00, dataUploadMode: 0x03, mileage: 2000 }),
+    { ...GPS_FIX, acc: false, mileage: 2000, uploadMode: 0x03 },
+  ],
+  0x26: [createAlarmPacket(ALARM), GPS_FIX],
+  0x16: [createGT06AlarmPacket(ALARM), GPS_FIX],
+  0x27: [createAlarmHVT001Packet(ALARM), GPS_FIX],
+  0xa4: [createLTEAlarmPacket(ALARM), GPS_FIX],
+  // No date/time in the packet; the server uses the receive time
+  0x19: [createLBSAlarmPacket({ lbs: CELL, terminalInfo: 0x46, alarmByte: 0x01 }), { source: 'lbs', cells: [SERVING_CELL] }],
+  0x28: [createLBSExtensionPacket(LBS_EXTENSION), { deviceTime: DEVICE_TIME, source: 'lbs', cells: MEASURED_CELLS }],
+  0x18: [createGT06LBSExtensionPacket(LBS_EXTENSION), { deviceTime: DEVICE_TIME, source: 'lbs', cells: MEASURED_CELLS }],
+  0xa1: [createLTELBSExtensionPacket(LBS_EXTENSION), { deviceTime: DEVICE_TIME, source: 'lbs', cells: MEASURED_CELLS }],
+  0x2c: [
+    createWiFiPacket({ datetime: DATETIME, lbs: { mainBase: MAIN_BASE, neighbors: NEIGHBORS }, accessPoints: [ACCESS_POINT] }),
+    { deviceTime: DEVICE_TIME, source: 'wifi', cells: MEASURED_CELLS, accessPoints: [ACCESS_POINT] },
+  ],
+  0x1a: [
+    createGPSAddressRequestPacket({ datetime: DATETIME, ...GPS, ...ADDRESS_REQUEST }),
+    { deviceTime: DEVICE_TIME, ...GPS },
+  ],
+  0x17: [createLBSAddressRequestPacket({ lbs: CELL, ...ADDRESS_REQUEST }), { source: 'lbs', cells: [SERVING_CELL] }],
+};
+
+test('every handler with a position is covered here', () => {
+  const withPosition = BUILT_IN_PROTOCOL_HANDLERS.filter((handler) => handler.position).map((handler) => handler.protocolNumber);
+  assert.deepEqual(withPosition.sort((a, b) => a - b), Object.keys(CASES).map(Number).sort((a, b) => a - b));
+});
+
+const registry = createProtocolRegistry();
+for (const [protocolNumber, [packet, expected]] of Object.entries(CASES)) {
+  const handler = registry.resolve(Number(protocolNumber));
+  test(`0x${Number(protocolNumber).toString(16).padStart(2, '0')} ${handler.name} gives a normalized Position`, () => {
+    const data = handler.parse(packet);
+    assert.deepEqual(handler.position(data, {}), createPosition({ serialNumber: 1, ...expected }));
+  });
+}
+
+test('an alarm without a fix is placed by its cell', () => {
+  const handler = registry.resolve(0x26);
+  const packet = createAlarmPacket({ ...ALARM, gpsData: { ...GPS, gpsPositioned: false, latitude: 0, longitude: 0, satellites: 0 } });
+  const position = handler.position(handler.parse(packet), {});
+  // The zeroed coordinates are still numbers; only the fix flag says they're unusable
+  assert.equal(position.gpsPositioned, false);
+  assert.deepEqual(position.cells, [SERVING_CELL]);
+});
+
+test('createPosition fills what is not given with null, accuracy included', () => {
+  assert.deepEqual(createPosition(), {
+    deviceTime: null,
+    source: 'lbs',
+    latitude: null,
+    longitude: null,
+    gpsPositioned: null,
+    satellites: null,
+    speed: null,
+    course: null,
+    accuracy: null,
+    cells: [],
+    accessPoints: [],
+    acc: null,
+    mileage: null,
+    uploadMode: null,
+    serialNumber: null,
+  });
+  // A geolocation answer for an LBS fix keeps the source
+  const resolved = createPosition({ source: 'lbs', cells: [SERVING_CELL], latitude: 22.5, longitude: 114, accuracy: 550 });
+  assert.equal(resolved.source, 'lbs');
+  assert.equal(resolved.accuracy, 550);
+});
+
+test('the server emits one Position per fix, whatever the packet, and stores it', async (t) => {
+  const storage = new MemoryStorage();
+  const server = new ConcoxV5Server({ storage, webhooks: null });
+  await server.start();
+  const sockets = new Set();
+  server.server.on('connection', (socket) => sockets.add(socket));
+  t.after(() => {
+    for (const socket of sockets) socket.destroy();
+    server.stop();
+  });
+  const positions = [];
+  server.on('position', (position) => positions.push(position));
+
+  const device = new DeviceSimulator({ port: server.server.address().port, imei: IMEI });
+  t.after(() => device.stop());
+  await device.connect();
+  for (const protocolNumber of [0x22, 0x28, 0x19]) {
+    device.socket.write(CASES[protocolNumber][0]);
+  }
+  const deadline = Date.now() + 5000;
+  while (positions.length < 3 && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+
+  assert.deepEqual(positions.map((position) => [position.protocolNumber, position.source]), [
+    [0x22, 'gps'],
+    [0x28, 'lbs'],
+    [0x19, 'lbs'],
+  ]);
+  assert.ok(positions.every((position) => position.imei === IMEI && position.accuracy === null));
+  assert.equal(positions[0].latitude, 22.5448);
+  assert.equal(positions[0].longitude, -114.0225);
+  assert.ok(Date.parse(positions[2].deviceTime) > Date.parse('2025-01-01'), 'receive time for 0x19');
+
+  // 0x19 is an alarm, so its fix is kept with the alarm record and not as the last position
+  const stored = await storage.query('positions', IMEI);
+  assert.deepEqual(stored.map((position) => position.protocolNumber), [0x22, 0x28]);
+  assert.equal((await storage.getDeviceState(IMEI)).lastPosition.protocolNumber, 0x28);
+  const [alarm] = await storage.query('alarms', IMEI);
+  assert.equal(alarm.position.source, 'lbs');
+  assert.deepEqual(alarm.position.cells, [SERVING_CELL]);
+});
@@ -0,0 +1,124 @@
+/**
+ * Protocol handler registry: registration checks, per-model overrides, and
+ * the server dispatching packets to the handler for the device's model
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeartbeatAck, parseHeartbeat } from '../packages/protocols/heartbeat.js';
+import { ProtocolRegistry, createProtocolRegistry } from '../packages/protocols/registry.js';
+import { DeviceSimulator } from '../packages/simulator/index.js';
+
+process.env.CONCOX_PORT = '0';
+const { default: ConcoxV5Server } = await import('../packages/server/index.js');
+
+const IMEI = '351608080779288';
+
+const customHeartbeat = {
+  protocolNumber: 0x13,
+  name: 'Custom Heartbeat',
+  parse: (packet) => ({ ...parseHeartbeat(packet), custom: true }),
+  ack: (data) => createHeartbeatAck(data.serialNumber),
+  normalize: (data, context) => ({ event: 'customHeartbeat', payload: { custom: data.custom, model: context.model } }),
+};
+
+async function startServer(t, options = {}) {
+  const server = new ConcoxV5Server({ storage: null, webhooks: null, ...options });
+  await server.start();
+  const sockets = new Set();
+  server.server.on('connection', (socket) => sockets.add(socket));
+  t.after(() => {
+    for (const socket of sockets) socket.destroy();
+    server.stop();
+  });
+  return { server, port: server.server.address().port };
+}
+
+async function connectDevice(t, port, options = {}) {
+  const device = new DeviceSimulator({ port, imei: IMEI, ...options });
+  t.after(() => device.stop());
+  await device.connect();
+  return device;
+}
+
+test('a model override wins over the default handler for that model only', () => {
+  const registry = createProtocolRegistry([{ ...customHeartbeat, model: '3608' }]);
+
+  assert.equal(registry.resolve(0x13).name, 'Heartbeat');
+  assert.equal(registry.resolve(0x13, '3608').name, 'Custom Heartbeat');
+  assert.equal(registry.resolve(0x13, '3608').model, '3608');
+  assert.equal(registry.resolve(0x13, '0A22').name, 'Heartbeat');
+  // Protocols the model doesn't override fall back to the defaults
+  assert.equal(registry.resolve(0x22, '3608').name, registry.resolve(0x22).name);
+  assert.equal(registry.getName(0x13, '3608'), 'Custom Heartbeat');
+  assert.deepEqual(registry.list().at(-1), { protocolNumber: 0x13, name: 'Custom Heartbeat', model: '3608' });
+
+  assert.equal(registry.unregister(0x13, { model: '3608' }), true);
+  assert.equal(registry.resolve(0x13, '3608').name, 'Heartbeat');
+  assert.equal(registry.unregister(0x13, { model: '3608' }), false);
+});
+
+test('unknown protocol numbers resolve to no handler but keep their manual name', () => {
+  const registry = new ProtocolRegistry();
+  assert.equal(registry.resolve(0x13), null);
+  assert.equal(registry.getName(0x13), 'Heartbeat Packet');
+});
+
+test('handlers missing a field or with a non-function hook are refused', () => {
+  const registry = new ProtocolRegistry();
+  const parse = () => ({});
+  assert.throws(() => registry.register({ protocolNumber: 0x100, name: 'Big', parse }), /between 0x00 and 0xFF/);
+  assert.throws(() => registry.register({ protocolNumber: 0x13, parse }), /needs a name/);
+  assert.throws(() => registry.register({ protocolNumber: 0x13, name: 'Beat' }), /needs a parse function/);
+  assert.throws(() => registry.register({ protocolNumber: 0x13, name: 'Beat', parse, ack: 'yes' }), /ack must be a function/);
+  assert.deepEqual(registry.list(), []);
+});
+
+test('the server dispatches to the override for the model in the login', async (t) => {
+  const { server, port } = await startServer(t, {
+    protocols: createProtocolRegistry([{ ...customHeartbeat, model: '3608' }]),
+  });
+  const events = [];
+  server.on('customHeartbeat', (event) => events.push(event));
+  const heartbeats = [];
+  server.on('heartbeat', (event) => heartbeats.push(event));
+
+  // The simulator logs in with type identifier 0x3608
+  const device = await connectDevice(t, port);
+  await device.sendHeartbeat();
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].imei, IMEI);
+  assert.equal(events[0].custom, true);
+  assert.equal(events[0].model, '3608');
+  assert.equal(events[0].protocolName, 'Custom Heartbeat');
+  assert.deepEqual(heartbeats, []);
+});
+
+test('devices of other models keep the default handler', async (t) => {
+  const { server, port } = await startServer(t, {
+    protocols: createProtocolRegistry([{ ...customHeartbeat, model: '0A22' }]),
+  });
+  const events = [];
+  server.on('customHeartbeat', (event) => events.push(event));
+  const heartbeats = [];
+  server.on('heartbeat', (event) => heartbeats.push(event));
+
+  const device = await connectDevice(t, port);
+  await device.sendHeartbeat();
+  assert.deepEqual(events, []);
+  assert.equal(heartbeats.length, 1);
+});
+
+test('resolveDeviceModel decides which overrides a device gets', async (t) => {
+  const { server, port } = await startServer(t, {
+    protocols: createProtocolRegistry([{ ...customHeartbeat, model: 'tracker-x' }]),
+    resolveDeviceModel: (login) => (login.imei === IMEI ? 'tracker-x' : null),
+  });
+  const events = [];
+  server.on('customHeartbeat', (event) => events.push(event));
+
+  const device = await connectDevice(t, port);
+  await device.sendHeartbeat();
+  assert.deepEqual(events.map((event) => event.model), ['tracker-x']);
+});
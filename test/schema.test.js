@@ -0,0 +1,130 @@
+/**
+ * Schema DSL: parsing bounds, length fields, conditional fields and documentation
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildPacket,
+  defineSchema,
+  describeSchema,
+  encodeWithSchema,
+  parseWithSchema,
+} from '../packages/shared/index.js';
+import {
+  ALARM_SCHEMA,
+  createLTEAlarmPacket,
+  parseAlarm,
+  parseAlarmHVT001,
+  parseLTEAlarm,
+} from '../packages/protocols/index.js';
+
+// 0x26 "Pull Alarm" captured from a device
+const ALARM = Buffer.from(
+  '787825261A0209061114CF01DBD3430869E777001400090194EA4EB800FFA34002043202008122CC0D0A',
+  'hex',
+);
+const ALARM_CONTENT = ALARM.subarray(4, ALARM.length - 6);
+
+/**
+ * Alarm with the LBS block replaced: Date(6) + GPS(12) come before it
+ */
+function alarmWithLbs(lbs) {
+  return buildPacket(0x26, Buffer.concat([ALARM_CONTENT.subarray(0, 18), lbs, ALARM_CONTENT.subarray(27)]), 1);
+}
+
+test('a packet shorter than its fixed fields is rejected instead of reading the CRC', () => {
+  const truncated = buildPacket(0x26, ALARM_CONTENT.subarray(0, ALARM_CONTENT.length - 5), 0x81);
+  assert.throws(() => parseAlarm(truncated), { code: 'TRUNCATED_PACKET', message: /terminalInfo/ });
+});
+
+test('a length field larger than the packet is rejected', () => {
+  const schema = defineSchema({
+    protocolNumber: 0xf0,
+    name: 'Sized',
+    fields: [
+      { name: 'length', type: 'uint8' },
+      { name: 'text', type: 'ascii', size: 'length' },
+    ],
+  });
+  assert.deepEqual(parseWithSchema(schema, buildPacket(0xf0, Buffer.from('\x02OK'), 1)).text, 'OK');
+  assert.throws(() => parseWithSchema(schema, buildPacket(0xf0, Buffer.from('\x05OK'), 1)), {
+    code: 'TRUNCATED_PACKET',
+  });
+});
+
+test('the alarm cell is read within the declared lbsLength', () => {
+  const cell = ALARM_CONTENT.subarray(19, 27);
+
+  const noCell = alarmWithLbs(Buffer.from([0x01]));
+  assert.equal(parseAlarm(noCell).alarmType, 'Pull Alarm');
+  assert.equal(parseAlarmHVT001(noCell).lbs, null);
+
+  // Two bytes past the 8-byte cell are skipped
+  const longer = alarmWithLbs(Buffer.concat([Buffer.from([0x0b]), cell, Buffer.from([0xaa, 0xbb])]));
+  assert.equal(parseAlarm(longer).alarmType, 'Pull Alarm');
+  assert.equal(parseAlarm(longer).serialNumber, 1);
+
+  // Shorter than the cell's fields
+  assert.throws(() => parseAlarm(alarmWithLbs(Buffer.concat([Buffer.from([0x05]), cell.subarray(0, 4)]))), {
+    code: 'TRUNCATED_PACKET',
+  });
+});
+
+test('an LTE alarm without a cell parses with lbs null', () => {
+  const packet = createLTEAlarmPacket({
+    datetime: { year: 2024, month: 12, day: 15, hour: 10, minute: 30, second: 0 },
+    alarmType: 'SOS',
+    lbs: { mcc: 460, mnc: 1, lac: 1, cellId: 1 },
+  });
+  const content = packet.subarray(4, packet.length - 6);
+  // Date(6) + GPS(12) + length byte, then a 15-byte cell with a 1-byte MNC
+  const withoutCell = buildPacket(0xa4, Buffer.concat([content.subarray(0, 18), Buffer.from([0x01]), content.subarray(34)]), 1);
+  const parsed = parseLTEAlarm(withoutCell);
+  assert.equal(parsed.lbs, null);
+  assert.equal(parsed.alarmType, 'SOS');
+});
+
+test('optional, conditional and enum fields', () => {
+  const schema = defineSchema({
+    protocolNumber: 0xf1,
+    name: 'Conditional',
+    fields: [
+      { name: 'kind', type: 'uint8', enum: { table: { 0x01: 'One' }, as: 'kindName' } },
+      { name: 'extra', type: 'uint16', when: [(values) => values.kind === 0x01, 'kind is 0x01'] },
+      { name: 'tail', type: 'uint8', optional: true },
+    ],
+  });
+
+  assert.deepEqual(parseWithSchema(schema, encodeWithSchema(schema, { kindName: 'One', extra: 7, tail: 9 })), {
+    kind: 1,
+    kindName: 'One',
+    extra: 7,
+    tail: 9,
+    serialNumber: 1,
+  });
+  assert.deepEqual(parseWithSchema(schema, encodeWithSchema(schema, { kind: 2 })), {
+    kind: 2,
+    kindName: 'Unknown (0x2)',
+    tail: null,
+    serialNumber: 1,
+  });
+});
+
+test('unknown field types are refused when the schema is defined', () => {
+  assert.throws(
+    () => defineSchema({ protocolNumber: 0xf2, name: 'Broken', fields: [{ name: 'x', type: 'float' }] }),
+    /unknown type "float"/,
+  );
+});
+
+test('documentation lists the wire layout and the parsed fields', () => {
+  const { layout, fields } = describeSchema(ALARM_SCHEMA);
+  assert.deepEqual(
+    layout.map((row) => row.path),
+    ['datetime', 'gpsData', 'lbsLength', 'lbs.mcc', 'lbs.mnc', 'lbs.lac', 'lbs.cellId', 'terminalInfo',
+      'voltageLevel', 'gsmSignal', 'alarmByte', 'language'],
+  );
+  assert.ok(fields.some((row) => row.path === 'alarmType' && /Pull Alarm/.test(row.description)));
+  assert.equal(fields.at(-1).path, 'serialNumber');
+});
@@ -0,0 +1,59 @@
+/**
+ * Server defaults: in memory without a dataDir, on disk with one
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ConcoxV5Server from '../packages/server/index.js';
+import { DATA_DIR } from '../packages/server/data-dir.js';
+import { MemoryStorage } from '../packages/server/storage.js';
+
+/**
+ * Files under the default data directory, or null when it doesn't exist
+ */
+function listDataDir() {
+  return fs.existsSync(DATA_DIR) ? fs.readdirSync(DATA_DIR, { recursive: true }).sort() : null;
+}
+
+test('without a dataDir every subsystem but voice files works in memory', async () => {
+  const before = listDataDir();
+  const server = new ConcoxV5Server();
+  assert.ok(server.storage instanceof MemoryStorage);
+  assert.equal(server.files, null);
+  assert.deepEqual(server.memoryOnly, [
+    'commandQueue', 'storage', 'geofences', 'trips', 'registry', 'webhooks', 'files',
+  ]);
+
+  const entry = server.queueCommand('351608080779288', 'RELAY,1#');
+  assert.equal(server.commandQueue.list('351608080779288')[0].id, entry.id);
+  server.geofences.createZone({ name: 'Depot', type: 'circle', center: { latitude: 1, longitude: 2 }, radius: 100 });
+  server.registry.create({ imei: '351608080779288', name: 'Van 1' });
+  server.webhooks.createSubscription({ url: 'http://127.0.0.1:9/', events: ['alarm'] });
+  await server.storage.append('positions', { imei: '351608080779288', latitude: 1, longitude: 2 });
+  server.stop();
+
+  assert.deepEqual(listDataDir(), before);
+});
+
+test('subsystems passed in, or turned off with null, are not reported as in memory', () => {
+  const server = new ConcoxV5Server({ commandQueue: null, files: null, webhooks: null });
+  assert.equal(server.commandQueue, null);
+  assert.throws(() => server.queueCommand('351608080779288', 'RELAY,1#'), { code: 'QUEUE_DISABLED' });
+  assert.deepEqual(server.memoryOnly, ['storage', 'geofences', 'trips', 'registry']);
+});
+
+test('with a dataDir state is written there', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'concox-defaults-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const server = new ConcoxV5Server({ dataDir: dir });
+  assert.deepEqual(server.memoryOnly, []);
+  assert.notEqual(server.files, null);
+  server.queueCommand('351608080779288', 'RELAY,1#');
+  server.stop();
+
+  assert.ok(fs.existsSync(path.join(dir, 'command-queue.json')));
+});
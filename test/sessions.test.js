@@ -0,0 +1,115 @@
+/**
+ * Device sessions: a second login supersedes the first connection without
+ * losing the new session, and commands awaiting a reply follow the device
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createCommandResponsePacket } from '../packages/protocols/index.js';
+import { DEVICE_STATUS } from '../packages/server/liveness.js';
+import { DeviceSimulator } from '../packages/simulator/index.js';
+
+process.env.CONCOX_PORT = '0';
+const { default: ConcoxV5Server } = await import('../packages/server/index.js');
+
+const IMEI = '351608080779288';
+const OTHER_IMEI = '351608080779289';
+
+async function startServer(t) {
+  const server = new ConcoxV5Server({ storage: null, webhooks: null });
+  await server.start();
+  const sockets = new Set();
+  server.server.on('connection', (socket) => sockets.add(socket));
+  t.after(() => {
+    for (const socket of sockets) socket.destroy();
+    server.stop();
+  });
+  const statuses = [];
+  server.on('deviceStatus', (change) => statuses.push([change.imei, change.status]));
+  const disconnects = [];
+  server.on('disconnect', (event) => disconnects.push(event));
+  return { server, statuses, disconnects, port: server.server.address().port };
+}
+
+async function connectDevice(t, port, options = {}) {
+  const device = new DeviceSimulator({ port, imei: IMEI, ...options });
+  t.after(() => device.stop());
+  await device.connect();
+  return device;
+}
+
+test('the superseded connection closing leaves the new session in place', async (t) => {
+  const { server, statuses, disconnects, port } = await startServer(t);
+  const first = await connectDevice(t, port);
+  const firstClosed = new Promise((resolve) => first.once('close', resolve));
+
+  const second = await connectDevice(t, port);
+  await firstClosed;
+  // Let the server handle its side of the close
+  while (disconnects.length === 0) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+
+  assert.equal(disconnects[0].superseded, true);
+  assert.equal(server.clients.size, 1);
+  assert.equal(server.clients.get(IMEI).socket.remotePort, second.socket.localPort);
+  assert.equal(server.liveness.get(IMEI).status, DEVICE_STATUS.AUTHENTICATED);
+  assert.ok(!statuses.some(([, status]) => status === DEVICE_STATUS.OFFLINE), 'the device never went offline');
+
+  await second.sendHeartbeat();
+  assert.equal(server.liveness.get(IMEI).status, DEVICE_STATUS.ONLINE);
+});
+
+test('a command awaiting a reply is answered on the new connection', async (t) => {
+  const { server, port } = await startServer(t);
+  const first = await connectDevice(t, port);
+  // The device takes the command but drops the connection before replying
+  first.handleCommand = () => {};
+  const reply = server.sendCommand(IMEI, 'STATUS#', { timeoutMs: 5000 });
+  const [serverFlag] = server.clients.get(IMEI).socket.pendingCommands.keys();
+
+  const second = await connectDevice(t, port);
+  const pending = server.clients.get(IMEI).socket.pendingCommands;
+  assert.deepEqual([...pending.keys()], [serverFlag]);
+
+  second.socket.write(createCommandResponsePacket({ serverFlag, response: 'Battery:4.10V', serialNumber: 0x30 }));
+  const response = await reply;
+  assert.equal(response.command, 'STATUS#');
+  assert.equal(response.response, 'Battery:4.10V');
+  assert.equal(pending.size, 0);
+});
+
+test('a migrating command whose server flag is taken on the new connection fails', () => {
+  const server = new ConcoxV5Server({ storage: null, webhooks: null });
+  const rejected = [];
+  const pending = (command) => ({
+    command,
+    imei: IMEI,
+    timer: setTimeout(() => {}, 0),
+    reject: (error) => rejected.push([command, error.code]),
+  });
+  const moved = pending('STATUS#');
+  const from = { pendingCommands: new Map([['00000001', pending('RELAY,1#')], ['00000002', moved]]) };
+  const to = { pendingCommands: new Map([['00000001', pending('PARAM#')]]) };
+
+  assert.deepEqual(server.migratePendingCommands(from, to), { migrated: 1, failed: 1 });
+  assert.deepEqual(rejected, [['RELAY,1#', 'DEVICE_DISCONNECTED']]);
+  assert.equal(from.pendingCommands.size, 0);
+  assert.equal(to.pendingCommands.get('00000002'), moved);
+  assert.equal(moved.socket, to);
+});
+
+test('a connection logging in as another IMEI ends the first device session', async (t) => {
+  const { server, statuses, port } = await startServer(t);
+  const device = await connectDevice(t, port);
+
+  device.options.imei = OTHER_IMEI;
+  await device.sendLogin();
+
+  assert.deepEqual([...server.clients.keys()], [OTHER_IMEI]);
+  assert.deepEqual(statuses, [
+    [IMEI, DEVICE_STATUS.AUTHENTICATED],
+    [IMEI, DEVICE_STATUS.OFFLINE],
+    [OTHER_IMEI, DEVICE_STATUS.AUTHENTICATED],
+  ]);
+});
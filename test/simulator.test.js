@@ -0,0 +1,166 @@
+/**
+ * Device simulator conformance checks: a clean run against the server, and
+ * every violation type against a scripted server that gets the protocol wrong
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { createHeartbeatAck } from '../packages/protocols/heartbeat.js';
+import { createLoginAck } from '../packages/protocols/login.js';
+import { buildPacket } from '../packages/shared/encoding.js';
+import { parsePacket } from '../packages/shared/parser.js';
+import { PROTOCOL_NUMBERS } from '../packages/shared/protocols.js';
+import { DeviceSimulator } from '../packages/simulator/index.js';
+
+process.env.CONCOX_PORT = '0';
+const { default: ConcoxV5Server } = await import('../packages/server/index.js');
+
+const IMEI = '351608080779288';
+
+/**
+ * TCP server that acks logins and hands every other packet to `respond`
+ */
+async function scriptedServer(t, respond) {
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let result;
+      while ((result = parsePacket(buffer))) {
+        buffer = result.remaining;
+        const serialNumber = result.packet.readUInt16BE(result.packet.length - 6);
+        if (result.protocolNumber === PROTOCOL_NUMBERS.LOGIN) {
+          socket.write(createLoginAck(serialNumber));
+        } else {
+          respond(socket, result.protocolNumber, serialNumber);
+        }
+      }
+    });
+  });
+  const sockets = new Set();
+  server.on('connection', (socket) => sockets.add(socket));
+  t.after(() => {
+    for (const socket of sockets) socket.destroy();
+    server.close();
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return server.address().port;
+}
+
+async function connectDevice(t, port, options = {}) {
+  const device = new DeviceSimulator({ port, imei: IMEI, ...options });
+  t.after(() => device.stop());
+  await device.connect();
+  return device;
+}
+
+function onlineCommand(commandLength, command, serialNumber) {
+  const text = Buffer.from(command, 'ascii');
+  const content = Buffer.concat([
+    Buffer.from([commandLength, 0x00, 0x00, 0x00, 0x01]),
+    text,
+    Buffer.from([0x00, 0x02]),
+  ]);
+  return buildPacket(PROTOCOL_NUMBERS.ONLINE_COMMAND, content, serialNumber);
+}
+
+test('a session against the server has no violations', async (t) => {
+  const server = new ConcoxV5Server({ storage: null, webhooks: null });
+  await server.start();
+  const sockets = new Set();
+  server.server.on('connection', (socket) => sockets.add(socket));
+  t.after(() => {
+    for (const socket of sockets) socket.destroy();
+    server.stop();
+  });
+
+  const device = await connectDevice(t, server.server.address().port);
+  await device.sendHeartbeat();
+  await device.sendLocation();
+  await device.sendAlarm('SOS');
+  await device.sendWiFi();
+  await device.sendVoltage();
+  await server.sendCommand(IMEI, 'STATUS#', { timeoutMs: 2000 });
+
+  const report = device.report();
+  assert.deepEqual(report.violations, []);
+  assert.equal(report.pendingAcks, 0);
+  assert.equal(report.commands, 1);
+  for (const name of Object.keys(report.acked)) {
+    assert.equal(report.acked[name], report.sent[name]);
+  }
+  assert.equal(Object.keys(report.acked).length, 4);
+});
+
+test('a missing ack is an ackTimeout and rejects the send', async (t) => {
+  const port = await scriptedServer(t, () => {});
+  const device = await connectDevice(t, port, { ackTimeoutMs: 50 });
+
+  await assert.rejects(device.sendHeartbeat(), { code: 'ackTimeout' });
+  const [violation] = device.violations;
+  assert.equal(violation.type, 'ackTimeout');
+  assert.equal(violation.protocolNumber, PROTOCOL_NUMBERS.HEARTBEAT);
+  assert.equal(violation.serialNumber, 2);
+  // Packets that need no ack never time out
+  await device.sendLocation();
+  assert.equal(device.report().pendingAcks, 0);
+});
+
+test('corrupt frames, stray bytes and unexpected packets are each reported', async (t) => {
+  const port = await scriptedServer(t, (socket, protocolNumber, serialNumber) => {
+    const badCrc = createHeartbeatAck(serialNumber);
+    badCrc[badCrc.length - 3] ^= 0xff;
+    const badStop = createHeartbeatAck(serialNumber);
+    badStop[badStop.length - 1] = 0x00;
+    socket.write(
+      Buffer.concat([
+        Buffer.from('garbage'),
+        badCrc,
+        badStop,
+        // Not a packet the server sends to a device
+        buildPacket(PROTOCOL_NUMBERS.GPS_LOCATION, Buffer.alloc(0), serialNumber),
+        createHeartbeatAck(serialNumber + 100),
+        createHeartbeatAck(serialNumber),
+      ]),
+    );
+  });
+  const device = await connectDevice(t, port);
+  const violations = [];
+  device.on('violation', (violation) => violations.push(violation));
+
+  // The valid ack at the end still settles the heartbeat
+  await device.sendHeartbeat();
+
+  assert.deepEqual(
+    violations.map((violation) => violation.type),
+    ['garbage', 'badCrc', 'badFrame', 'unexpectedPacket', 'unexpectedAck'],
+  );
+  assert.match(violations[0].message, /7 byte\(s\) outside any frame/);
+  assert.equal(violations[1].protocolNumber, PROTOCOL_NUMBERS.HEARTBEAT);
+  assert.notEqual(violations[1].expectedCRC, violations[1].actualCRC);
+  assert.match(violations[2].message, /bad stop/);
+  assert.equal(violations[4].serialNumber, 102);
+  assert.deepEqual(device.report().violations, violations);
+  assert.equal(device.report().acked['Heartbeat Packet'], 1);
+});
+
+test('an online command whose length byte does not match the frame is not answered', async (t) => {
+  const port = await scriptedServer(t, (socket, protocolNumber, serialNumber) => {
+    if (protocolNumber !== PROTOCOL_NUMBERS.HEARTBEAT) return;
+    socket.write(createHeartbeatAck(serialNumber));
+    // Server flag(4) + "STATUS#"(7) + Language(2) = 13
+    socket.write(onlineCommand(20, 'STATUS#', 1));
+    socket.write(onlineCommand(13, 'STATUS#', 2));
+  });
+  const device = await connectDevice(t, port);
+  const violations = [];
+  device.on('violation', (violation) => violations.push(violation));
+  const command = new Promise((resolve) => device.once('command', resolve));
+
+  await device.sendHeartbeat();
+  assert.equal((await command).command, 'STATUS#');
+  assert.equal((await command).serverFlag, '00000001');
+  assert.deepEqual(violations.map((violation) => [violation.type, violation.commandLength]), [['badCommandLength', 20]]);
+  assert.equal(device.report().commands, 1);
+});
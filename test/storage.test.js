@@ -0,0 +1,105 @@
+/**
+ * Storage backends: FileStorage day files, range and paging queries, torn
+ * lines, and debounced device state writes
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileStorage, MemoryStorage, createStorage } from '../packages/server/storage.js';
+
+const IMEI = '351608080779288';
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'concox-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const POSITIONS = [
+  { imei: IMEI, deviceTime: '2024-12-15T23:59:00.000Z', latitude: 1 },
+  { imei: IMEI, deviceTime: '2024-12-16T00:01:00.000Z', latitude: 2 },
+  { imei: IMEI, deviceTime: '2024-12-15T10:00:00.000Z', latitude: 0 },
+  { imei: IMEI, deviceTime: '2024-12-17T08:00:00.000Z', latitude: 3 },
+];
+
+for (const [name, create] of [
+  ['MemoryStorage', () => new MemoryStorage()],
+  ['FileStorage', (t) => new FileStorage({ dir: tempDir(t) })],
+]) {
+  test(`${name} returns records by device time within the range, paged after a cursor`, async (t) => {
+    const storage = create(t);
+    for (const position of POSITIONS) await storage.append('positions', position);
+    await storage.append('positions', { imei: '351608080779289', deviceTime: '2024-12-15T12:00:00.000Z' });
+
+    const all = await storage.query('positions', IMEI);
+    assert.deepEqual(all.map((record) => record.latitude), [0, 1, 2, 3]);
+    assert.ok(all.every((record) => record.id && record.receivedAt));
+
+    const range = await storage.query('positions', IMEI, {
+      from: '2024-12-15T12:00:00.000Z',
+      to: '2024-12-16T12:00:00.000Z',
+    });
+    assert.deepEqual(range.map((record) => record.latitude), [1, 2]);
+
+    const firstPage = await storage.query('positions', IMEI, { limit: 2 });
+    const secondPage = await storage.query('positions', IMEI, { after: firstPage.at(-1), limit: 2 });
+    assert.deepEqual([...firstPage, ...secondPage].map((record) => record.latitude), [0, 1, 2, 3]);
+  });
+
+  test(`${name} refuses unknown collections and IMEIs that aren't plain identifiers`, async (t) => {
+    const storage = create(t);
+    await assert.rejects(storage.append('secrets', { imei: IMEI }), /Unknown storage collection/);
+    await assert.rejects(storage.append('positions', { imei: '../etc' }), /Invalid IMEI/);
+  });
+}
+
+test('FileStorage writes one NDJSON file per device per UTC day and skips torn lines', async (t) => {
+  const dir = tempDir(t);
+  const storage = new FileStorage({ dir });
+  for (const position of POSITIONS) await storage.append('positions', position);
+
+  const deviceDir = path.join(dir, 'positions', IMEI);
+  assert.deepEqual(fs.readdirSync(deviceDir).sort(), [
+    '2024-12-15.ndjson',
+    '2024-12-16.ndjson',
+    '2024-12-17.ndjson',
+  ]);
+  // A crash mid-append leaves half a line behind
+  fs.appendFileSync(path.join(deviceDir, '2024-12-17.ndjson'), '{"imei":"3516');
+
+  const records = await new FileStorage({ dir }).query('positions', IMEI);
+  assert.deepEqual(records.map((record) => record.latitude), [0, 1, 2, 3]);
+});
+
+test('FileStorage writes device state once per save interval, and on close', async (t) => {
+  const dir = tempDir(t);
+  const devicesFile = path.join(dir, 'devices.json');
+  const storage = new FileStorage({ dir, saveIntervalMs: 50 });
+
+  await storage.updateDeviceState(IMEI, { lastLoginAt: '2024-12-15T10:00:00.000Z' });
+  await storage.updateDeviceState(IMEI, { latitude: 22.5 });
+  assert.equal(fs.existsSync(devicesFile), false);
+  assert.deepEqual(await storage.getDeviceState(IMEI), {
+    imei: IMEI,
+    lastLoginAt: '2024-12-15T10:00:00.000Z',
+    latitude: 22.5,
+  });
+
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.equal(JSON.parse(fs.readFileSync(devicesFile, 'utf8'))[IMEI].latitude, 22.5);
+
+  // Not yet due: close() writes it
+  await storage.updateDeviceState(IMEI, { latitude: 23 });
+  await storage.close();
+  assert.equal(JSON.parse(fs.readFileSync(devicesFile, 'utf8'))[IMEI].latitude, 23);
+  assert.deepEqual((await new FileStorage({ dir }).listDeviceStates()).map((state) => state.latitude), [23]);
+});
+
+test('createStorage picks a backend by name', () => {
+  assert.ok(createStorage('memory') instanceof MemoryStorage);
+  assert.equal(createStorage('none'), null);
+  assert.throws(() => createStorage('mongo'), /Unknown storage type/);
+});
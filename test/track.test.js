@@ -0,0 +1,126 @@
+/**
+ * Track history: cursor paging, filters applied before paging, alarm fixes
+ * and Douglas-Peucker simplification
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { simplifyPath } from '../packages/shared/index.js';
+import { MemoryStorage } from '../packages/server/storage.js';
+import { decodeCursor, encodeCursor, queryTrack } from '../packages/server/track.js';
+
+const IMEI = '351608080779288';
+
+function minute(n) {
+  return new Date(Date.UTC(2024, 11, 15, 10, n)).toISOString();
+}
+
+/**
+ * Storage with `count` fixes one minute apart, heading east along the equator
+ */
+async function storageWithFixes(count, fields = () => ({})) {
+  const storage = new MemoryStorage();
+  for (let n = 0; n < count; n++) {
+    await storage.append('positions', {
+      imei: IMEI,
+      deviceTime: minute(n),
+      latitude: 0,
+      longitude: n * 0.001,
+      gpsPositioned: true,
+      ...fields(n),
+    });
+  }
+  return storage;
+}
+
+test('pages follow the cursor until every point is returned once', async () => {
+  const storage = await storageWithFixes(7);
+
+  const seen = [];
+  let cursor;
+  let pages = 0;
+  do {
+    const page = await queryTrack(storage, IMEI, { limit: 3, cursor });
+    seen.push(...page.points.map((point) => point.deviceTime));
+    cursor = page.nextCursor;
+    pages++;
+  } while (cursor);
+
+  assert.equal(pages, 3);
+  assert.deepEqual(seen, [0, 1, 2, 3, 4, 5, 6].map(minute));
+});
+
+test('a page that ends exactly at the last point has no next cursor', async () => {
+  const storage = await storageWithFixes(3);
+  const page = await queryTrack(storage, IMEI, { limit: 3 });
+  assert.equal(page.count, 3);
+  assert.equal(page.nextCursor, null);
+});
+
+test('from and to bound the track inclusively', async () => {
+  const storage = await storageWithFixes(6);
+  const page = await queryTrack(storage, IMEI, { from: minute(2), to: minute(4) });
+  assert.deepEqual(page.points.map((point) => point.deviceTime), [minute(2), minute(3), minute(4)]);
+});
+
+test('gpsPositionedOnly is applied before paging, so pages stay full', async () => {
+  // Every other fix is flagged as not positioned
+  const storage = await storageWithFixes(10, (n) => ({ gpsPositioned: n % 2 === 0 }));
+
+  const first = await queryTrack(storage, IMEI, { limit: 3, gpsPositionedOnly: true });
+  assert.deepEqual(first.points.map((point) => point.deviceTime), [minute(0), minute(2), minute(4)]);
+  const second = await queryTrack(storage, IMEI, { limit: 3, gpsPositionedOnly: true, cursor: first.nextCursor });
+  assert.deepEqual(second.points.map((point) => point.deviceTime), [minute(6), minute(8)]);
+  assert.equal(second.nextCursor, null);
+});
+
+test('alarm fixes are merged in time order when asked for', async () => {
+  const storage = await storageWithFixes(3);
+  await storage.append('alarms', {
+    imei: IMEI,
+    deviceTime: '2024-12-15T10:01:30.000Z',
+    alarmType: 'SOS',
+    position: { latitude: 1, longitude: 2, speed: 0, gpsPositioned: true },
+  });
+  // An alarm without a fix adds no point
+  await storage.append('alarms', { imei: IMEI, deviceTime: '2024-12-15T10:01:40.000Z', alarmType: 'Power Cut' });
+
+  assert.equal((await queryTrack(storage, IMEI)).count, 3);
+  const page = await queryTrack(storage, IMEI, { includeAlarms: true });
+  assert.deepEqual(
+    page.points.map((point) => [point.source, point.alarmType ?? null]),
+    [['position', null], ['position', null], ['alarm', 'SOS'], ['position', null]],
+  );
+});
+
+test('simplification drops points within the tolerance of the path', async () => {
+  // Straight line east with one point 50 m north of it
+  const storage = await storageWithFixes(5, (n) => ({ latitude: n === 2 ? 0.00045 : 0 }));
+
+  const loose = await queryTrack(storage, IMEI, { tolerance: 100 });
+  assert.equal(loose.rawCount, 5);
+  assert.deepEqual(loose.points.map((point) => point.deviceTime), [minute(0), minute(4)]);
+
+  const tight = await queryTrack(storage, IMEI, { tolerance: 30 });
+  assert.deepEqual(tight.points.map((point) => point.deviceTime), [minute(0), minute(2), minute(4)]);
+});
+
+test('simplifyPath keeps the end points and the point objects', () => {
+  const points = [
+    { latitude: 0, longitude: 0 },
+    { latitude: 0, longitude: 0.0005 },
+    { latitude: 0, longitude: 0.001 },
+  ];
+  const simplified = simplifyPath(points, 5);
+  assert.equal(simplified.length, 2);
+  assert.equal(simplified[0], points[0]);
+  assert.equal(simplified[1], points[2]);
+  assert.deepEqual(simplifyPath(points, 0), points);
+});
+
+test('cursors round-trip and malformed ones are refused', () => {
+  const record = { deviceTime: minute(1), id: 'abc' };
+  assert.deepEqual(decodeCursor(encodeCursor(record)), record);
+  assert.throws(() => decodeCursor('not-a-cursor'), /Invalid cursor/);
+  assert.throws(() => decodeCursor(Buffer.from('[1,2]').toString('base64url')), /Invalid cursor/);
+});
@@ -0,0 +1,148 @@
+/**
+ * Trip and stop detection: ACC, speed-only and gap endings, stops between
+ * trips, and heartbeat ACC reports
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TRIP_END_REASONS, TripDetector } from '../packages/server/trips.js';
+
+const IMEI = '351608080779288';
+
+function second(n) {
+  return new Date(Date.UTC(2024, 11, 15, 10, 0, 0) + n * 1000).toISOString();
+}
+
+/**
+ * Fixes 10 s apart heading east along the equator, about 111 m per fix while moving
+ */
+function drive(detector, fromSecond, count, fields = {}, startLongitude = 0) {
+  const completed = { trips: [], stops: [] };
+  for (let n = 0; n < count; n++) {
+    const result = detector.processPosition(IMEI, {
+      deviceTime: second(fromSecond + n * 10),
+      latitude: 0,
+      longitude: startLongitude + n * 0.001,
+      speed: 40,
+      gpsPositioned: true,
+      ...fields,
+    });
+    completed.trips.push(...result.trips);
+    completed.stops.push(...result.stops);
+  }
+  return completed;
+}
+
+function park(detector, time, longitude, fields = {}) {
+  return detector.processPosition(IMEI, {
+    deviceTime: second(time),
+    latitude: 0,
+    longitude,
+    speed: 0,
+    gpsPositioned: true,
+    ...fields,
+  });
+}
+
+test('ACC off ends a trip, and the next trip completes the stop between them', () => {
+  const detector = new TripDetector({ filePath: null });
+  drive(detector, 0, 6, { acc: true });
+  assert.equal(detector.currentTrip(IMEI).startTime, second(0));
+
+  const { trips } = park(detector, 60, 0.005, { acc: false });
+  assert.equal(trips.length, 1);
+  const [trip] = trips;
+  assert.equal(trip.endReason, TRIP_END_REASONS.ACC_OFF);
+  assert.equal(trip.startTime, second(0));
+  assert.equal(trip.endTime, second(60));
+  assert.equal(trip.durationSeconds, 60);
+  assert.ok(Math.abs(trip.distanceMeters - 556) <= 1, `distance ${trip.distanceMeters}`);
+  assert.equal(trip.maxSpeed, 40);
+  assert.equal(trip.fixes, 7);
+  assert.equal(detector.currentTrip(IMEI), null);
+
+  drive(detector, 600, 6, { acc: true }, 0.005);
+  const next = park(detector, 660, 0.01, { acc: false });
+  assert.equal(next.trips.length, 1);
+  assert.deepEqual(next.stops, [{
+    deviceTime: second(60),
+    startTime: second(60),
+    endTime: second(600),
+    durationSeconds: 540,
+    location: { latitude: 0, longitude: 0.005 },
+  }]);
+});
+
+test('without ACC a trip starts on speed and ends where the device stopped moving', () => {
+  const detector = new TripDetector({ filePath: null, stopMinSeconds: 120 });
+  drive(detector, 0, 6);
+  assert.deepEqual(park(detector, 60, 0.005).trips, []);
+  assert.deepEqual(park(detector, 120, 0.005).trips, []);
+
+  const [trip] = park(detector, 180, 0.005).trips;
+  assert.equal(trip.endReason, TRIP_END_REASONS.STOPPED);
+  assert.equal(trip.endTime, second(60));
+});
+
+test('a long silence ends the trip at its last fix', () => {
+  const detector = new TripDetector({ filePath: null, maxGapSeconds: 600 });
+  drive(detector, 0, 6, { acc: true });
+
+  const { trips } = drive(detector, 2000, 1, { acc: true }, 0.006);
+  assert.equal(trips.length, 1);
+  assert.equal(trips[0].endReason, TRIP_END_REASONS.GAP);
+  assert.equal(trips[0].endTime, second(50));
+  // The fix after the gap starts the next trip
+  assert.equal(detector.currentTrip(IMEI).startTime, second(2000));
+});
+
+test('trips shorter than minTripMeters are dropped', () => {
+  const detector = new TripDetector({ filePath: null });
+  drive(detector, 0, 2, { acc: true });
+  assert.deepEqual(park(detector, 20, 0.001, { acc: false }), { trips: [], stops: [] });
+  assert.equal(detector.currentTrip(IMEI), null);
+});
+
+test('GPS jumps are left out of the distance and out-of-order fixes are ignored', () => {
+  const detector = new TripDetector({ filePath: null });
+  drive(detector, 0, 3, { acc: true });
+  // 11 km in 10 s
+  drive(detector, 30, 1, { acc: true }, 0.1);
+  // Replayed from before the last fix
+  drive(detector, 5, 1, { acc: true }, 0.5);
+  assert.equal(detector.currentTrip(IMEI).fixes, 4);
+  assert.ok(detector.currentTrip(IMEI).distanceMeters < 300);
+});
+
+test('idling counts stationary time with ACC on', () => {
+  const detector = new TripDetector({ filePath: null });
+  drive(detector, 0, 3, { acc: true });
+  park(detector, 30, 0.002, { acc: true });
+  park(detector, 90, 0.002, { acc: true });
+  park(detector, 150, 0.002, { acc: true });
+  assert.equal(detector.currentTrip(IMEI).idleSeconds, 120);
+});
+
+test('heartbeat ACC low only ends trips the ACC line has been seen high on', () => {
+  const detector = new TripDetector({ filePath: null });
+  // A device without ACC wiring: positions carry no ACC, heartbeats report it low
+  drive(detector, 0, 6);
+  assert.deepEqual(detector.processAcc(IMEI, false), { trips: [], stops: [] });
+  assert.notEqual(detector.currentTrip(IMEI), null);
+
+  // Once a heartbeat reports ACC high, ACC low can be trusted
+  detector.processAcc(IMEI, true);
+  const { trips } = detector.processAcc(IMEI, false);
+  assert.equal(trips.length, 1);
+  assert.equal(trips[0].endReason, TRIP_END_REASONS.ACC_OFF);
+  assert.equal(trips[0].endTime, second(50));
+});
+
+test('a trip started with ACC high ends on a heartbeat reporting ACC low', () => {
+  const detector = new TripDetector({ filePath: null });
+  drive(detector, 0, 6, { acc: true });
+  assert.equal(detector.processAcc(IMEI, false).trips.length, 1);
+  assert.equal(detector.currentTrip(IMEI), null);
+  // No trip, nothing to end
+  assert.deepEqual(detector.processAcc(IMEI, false), { trips: [], stops: [] });
+});
@@ -0,0 +1,164 @@
+/**
+ * Webhook delivery against a local HTTP receiver: signing, retries and the pending cap
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { DELIVERY_STATES, WebhookManager, signPayload } from '../packages/server/webhooks.js';
+
+/**
+ * HTTP receiver answering each request with the next status in `statuses` (the last one repeats)
+ */
+async function startReceiver(statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body, at: Date.now() });
+      res.statusCode = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, url: `http://127.0.0.1:${server.address().port}/hook` };
+}
+
+/**
+ * Manager keeping its files in dir (a new temporary directory by default), closed and removed after the test
+ */
+function createManager(t, options = {}, dir = fs.mkdtempSync(path.join(os.tmpdir(), 'concox-webhooks-'))) {
+  const manager = new WebhookManager({
+    filePath: path.join(dir, 'webhooks.json'),
+    logPath: path.join(dir, 'webhook-deliveries.json'),
+    payloadPath: path.join(dir, 'webhook-payloads.json'),
+    initialBackoffMs: 20,
+    saveIntervalMs: 10,
+    ...options,
+  });
+  t.after(() => {
+    manager.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { manager, dir };
+}
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the deliveries');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test('deliveries are signed over the timestamp and body', async (t) => {
+  const receiver = await startReceiver([200]);
+  t.after(() => receiver.server.close());
+  const { manager } = createManager(t);
+  const subscription = manager.createSubscription({ url: receiver.url, events: ['alarm'], secret: 's3cret' });
+
+  const [delivery] = manager.dispatch('alarm', { imei: '123456789012345', alarmByte: 0x01 });
+  await waitFor(() => delivery.state !== DELIVERY_STATES.PENDING);
+
+  assert.equal(delivery.state, DELIVERY_STATES.DELIVERED);
+  const [request] = receiver.requests;
+  assert.equal(request.headers['x-concox-event'], 'alarm');
+  assert.equal(request.headers['x-concox-delivery'], delivery.id);
+  assert.equal(
+    request.headers['x-concox-signature'],
+    signPayload(subscription.secret, request.headers['x-concox-timestamp'], request.body),
+  );
+  const body = JSON.parse(request.body);
+  assert.equal(body.id, delivery.id);
+  assert.equal(body.imei, '123456789012345');
+  assert.equal(body.data.alarmByte, 0x01);
+});
+
+test('subscriptions only get the events and alarm types they picked', (t) => {
+  const { manager } = createManager(t);
+  manager.createSubscription({ url: 'http://127.0.0.1:9/', events: ['alarm'], alarmTypes: ['SOS'], enabled: false });
+  const sos = manager.createSubscription({ url: 'http://127.0.0.1:9/', events: ['alarm'], alarmTypes: ['sos'] });
+
+  assert.deepEqual(manager.dispatch('alarm', { imei: '1', alarmByte: 0x01 }).map((d) => d.subscriptionId), [sos.id]);
+  assert.equal(manager.dispatch('alarm', { imei: '1', alarmByte: 0x02 }).length, 0);
+  assert.equal(manager.dispatch('location', { imei: '1' }).length, 0);
+});
+
+test('5xx responses are retried with growing delays until one succeeds', async (t) => {
+  const receiver = await startReceiver([503, 500, 200]);
+  t.after(() => receiver.server.close());
+  const { manager } = createManager(t);
+  manager.createSubscription({ url: receiver.url, events: ['*'] });
+
+  const [delivery] = manager.dispatch('heartbeat', { imei: '1' });
+  await waitFor(() => delivery.state !== DELIVERY_STATES.PENDING);
+
+  assert.equal(delivery.state, DELIVERY_STATES.DELIVERED);
+  assert.equal(delivery.attempts, 3);
+  assert.equal(receiver.requests.length, 3);
+  // Same delivery id on every attempt, so receivers can drop duplicates
+  assert.equal(new Set(receiver.requests.map((r) => r.headers['x-concox-delivery'])).size, 1);
+  const [first, second, third] = receiver.requests.map((r) => r.at);
+  // 20 ms then 40 ms, with +/-25% jitter
+  assert.ok(second - first >= 15);
+  assert.ok(third - second >= 30);
+});
+
+test('4xx responses fail the delivery without a retry', async (t) => {
+  const receiver = await startReceiver([400]);
+  t.after(() => receiver.server.close());
+  const { manager } = createManager(t);
+  manager.createSubscription({ url: receiver.url, events: ['*'] });
+
+  const [delivery] = manager.dispatch('heartbeat', { imei: '1' });
+  await waitFor(() => delivery.state !== DELIVERY_STATES.PENDING);
+
+  assert.equal(delivery.state, DELIVERY_STATES.FAILED);
+  assert.equal(delivery.error, 'HTTP 400');
+  assert.equal(delivery.attempts, 1);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.equal(receiver.requests.length, 1);
+});
+
+test('the oldest pending deliveries are dropped past the per-subscription cap', (t) => {
+  const { manager, dir } = createManager(t, { maxPendingPerSubscription: 2, initialBackoffMs: 60000 });
+  manager.createSubscription({ url: 'http://127.0.0.1:9/', events: ['*'] });
+  // Keep the first attempts from running so the deliveries stay pending
+  manager.attempt = () => {};
+
+  const deliveries = [1, 2, 3, 4].map((n) => manager.dispatch('heartbeat', { imei: String(n) })[0]);
+
+  assert.deepEqual(
+    deliveries.map((d) => d.state),
+    [DELIVERY_STATES.FAILED, DELIVERY_STATES.FAILED, DELIVERY_STATES.PENDING, DELIVERY_STATES.PENDING],
+  );
+  assert.match(deliveries[0].error, /Dropped/);
+
+  // Payloads of pending deliveries live in their own file, not in the delivery log
+  manager.saveLog();
+  const log = fs.readFileSync(path.join(dir, 'webhook-deliveries.json'), 'utf8');
+  const payloads = JSON.parse(fs.readFileSync(path.join(dir, 'webhook-payloads.json'), 'utf8'));
+  assert.doesNotMatch(log, /"body"/);
+  assert.deepEqual(Object.keys(payloads).sort(), [deliveries[2].id, deliveries[3].id].sort());
+});
+
+test('pending deliveries resume after a restart', async (t) => {
+  const receiver = await startReceiver([200]);
+  t.after(() => receiver.server.close());
+  const { manager, dir } = createManager(t, { initialBackoffMs: 60000 });
+  manager.createSubscription({ url: receiver.url, events: ['*'] });
+  manager.attempt = () => {};
+  const [delivery] = manager.dispatch('location', { imei: '1', latitude: 22.5 });
+  manager.close();
+
+  const { manager: restarted } = createManager(t, {}, dir);
+  await waitFor(() => receiver.requests.length === 1);
+  await waitFor(() => restarted.listDeliveries()[0].state !== DELIVERY_STATES.PENDING);
+
+  assert.equal(JSON.parse(receiver.requests[0].body).id, delivery.id);
+  assert.equal(restarted.listDeliveries()[0].state, DELIVERY_STATES.DELIVERED);
+});